@@ -22,20 +22,18 @@ function flipCard() {
   }
 }
 
-function buildShareObj(cardData, forQRCode = false) {
-  // Ensure resume is properly structured
-  let resumeData = cardData.portfolioLinks?.resume;
-  if (typeof resumeData === 'string') {
-    // Backward compatibility: convert old string format to new object format
-    resumeData = { pdf: resumeData, docx: '' };
-  } else if (!resumeData) {
-    resumeData = { pdf: '', docx: '' };
-  }
-
+/**
+ * Build the object carried in share links
+ * @param {Object} cardData - Card data to share
+ * @param {boolean} forQRCode - Replace an uploaded photo with a tiny thumbnail
+ *   (or drop it when no thumbnail fits SHARE_PHOTO.maxBytes)
+ * @returns {Promise<Object>} Share object
+ */
+async function buildShareObj(cardData, forQRCode = false) {
   // Compress profile picture for QR codes
   let profilePicData = cardData.profilePic;
   if (forQRCode && cardData.profilePic && cardData.profilePic.startsWith('data:image')) {
-    profilePicData = compressImageForQR(cardData.profilePic);
+    profilePicData = await compressImageForQR(cardData.profilePic);
   }
 
   return {
@@ -45,78 +43,103 @@ function buildShareObj(cardData, forQRCode = false) {
     email: cardData.email,
     phone: cardData.phone,
     phoneE164: cardData.phoneE164,
-    linkedin: cardData.linkedin,
+    socialLinks: cardData.socialLinks,
     cardColor: cardData.cardColor,
     bgColor: cardData.bgColor,
+    theme: cardData.theme,
     profilePic: profilePicData,
-    portfolioLinks: {
-      ...cardData.portfolioLinks,
-      resume: resumeData
-    },
-    portfolioVisibility: cardData.portfolioVisibility || { 
-      cert: true, edu: true, proj: true, ref: true, resume: true, work: true 
-    }
+    portfolioLinks: cardData.portfolioLinks,
+    portfolioVisibility: cardData.portfolioVisibility,
+    resumes: cardData.resumes,
+    customSections: cardData.customSections,
+    portfolioOrder: cardData.portfolioOrder,
+    lastUpdated: cardData.lastUpdated
   };
 }
 
 /**
- * Compress image to smaller size for QR codes
+ * Compress image to a tiny thumbnail for share links
+ * Tries each size (largest first) and format, searching for the highest
+ * quality whose data URL fits within the byte budget
  * @param {string} dataUrl - Original image data URL
- * @returns {string} Compressed image data URL
+ * @param {number} maxBytes - Maximum data URL length
+ * @returns {Promise<string>} Thumbnail data URL, or empty string if none fits
  */
-function compressImageForQR(dataUrl) {
+async function compressImageForQR(dataUrl, maxBytes = SHARE_PHOTO.maxBytes) {
   try {
+    const img = await loadImage(dataUrl);
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    // Synchronously create smaller version
-    canvas.width = 200;
-    canvas.height = 200;
-    
-    // This won't work synchronously, so return empty for now
-    // The proper fix would be async, but let's use a simpler approach
-    return '';
+
+    for (const size of SHARE_PHOTO.sizes) {
+      canvas.width = size;
+      canvas.height = size;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(img, 0, 0, size, size);
+
+      for (const format of SHARE_PHOTO.formats) {
+        // Browsers fall back to PNG for unsupported formats
+        const probe = canvas.toDataURL(format, SHARE_PHOTO.minQuality);
+        if (!probe.startsWith(`data:${format}`) || probe.length > maxBytes) continue;
+
+        // Binary search for the best quality that still fits
+        let best = probe;
+        let low = SHARE_PHOTO.minQuality;
+        let high = SHARE_PHOTO.maxQuality;
+        for (let i = 0; i < 6; i++) {
+          const quality = (low + high) / 2;
+          const candidate = canvas.toDataURL(format, quality);
+          if (candidate.length <= maxBytes) {
+            best = candidate;
+            low = quality;
+          } else {
+            high = quality;
+          }
+        }
+        return best;
+      }
+    }
+
+    return ''; // Nothing fits the budget
   } catch (error) {
     console.error('Image compression failed:', error);
     return '';
   }
 }
 
+/**
+ * Load an image element from a URL
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image failed to load'));
+    img.src = src;
+  });
+}
+
 /**
  * Apply card data to all UI elements
  * Updates the business card display and settings form
- * @param {Object} cardData - Card data to apply
+ * @param {Object} cardData - Card data to apply (current schema, see migrateCard)
  */
 function applyCardData(cardData) {
+  currentCardData = cardData;
+
   // Update name and job title
   document.getElementById('fullName').textContent = 
     `${cardData.firstName} ${cardData.lastName}`;
   document.getElementById('jobTitle').textContent = cardData.jobTitle || '';
 
-  // Update LinkedIn
-  const linkedinLink = document.getElementById('linkedinLink');
-  linkedinLink.href = cardData.linkedin || '#';
-  linkedinLink.textContent = (cardData.linkedin || '')
-    .replace('https://', '')
-    .replace('http://', '');
-
-  // Parse and format phone number
-  let prettyPhone = cardData.phone;
-  let e164Phone = cardData.phoneE164;
-
-  if (!e164Phone && cardData.phone) {
-    const parsed = parsePrettyPhone10(cardData.phone);
-    if (parsed) {
-      const formatted = formatPhone(parsed.cc, parsed.local);
-      prettyPhone = formatted.pretty;
-      e164Phone = formatted.e164;
-    }
-  }
+  // Update social and web profile links
+  renderSocialLinks(cardData);
 
   // Update phone display
-  document.getElementById('phoneText').textContent = prettyPhone || '';
-  document.getElementById('phoneLink').href = e164Phone ? 'tel:' + e164Phone : '#';
+  document.getElementById('phoneText').textContent = cardData.phone || '';
+  document.getElementById('phoneLink').href = cardData.phoneE164 ? 'tel:' + cardData.phoneE164 : '#';
 
   // Update email with copy-to-clipboard functionality
   const emailLink = document.getElementById('emailLink');
@@ -124,12 +147,12 @@ function applyCardData(cardData) {
   emailLink.onclick = function(e) {
     e.preventDefault();
     e.stopPropagation(); // Prevent card flip
-    copyToClipboard(cardData.email, 'Email');
+    copyToClipboard(cardData.email, t('copy.email'));
   };
   document.getElementById('emailText').textContent = cardData.email;
 
   // Update images (use placeholder if no profile pic)
-  const profilePicUrl = cardData.profilePic && cardData.profilePic.length > 100
+  const profilePicUrl = isSafeImageSource(cardData.profilePic)
     ? cardData.profilePic 
     : `https://ui-avatars.com/api/?name=${encodeURIComponent(cardData.firstName + ' ' + cardData.lastName)}&size=400&background=6366f1&color=fff&bold=true`;
   
@@ -137,26 +160,16 @@ function applyCardData(cardData) {
   document.getElementById('profilePicSmall').src = profilePicUrl;
   document.getElementById('previewPic').src = profilePicUrl;
 
-  // Update card colors
-  const cardColor = cardData.cardColor;
-  document.getElementById('cardFront').style.background = 
-    `linear-gradient(135deg, ${cardColor} 0%, ${cardColor} 50%, ${cardColor} 100%)`;
-  document.getElementById('cardBack').style.background = cardColor;
-  
-  // Calculate text colors for contrast
-  const textColor = contrastColor(cardColor);
-  const chipBg = textColor === '#ffffff' 
-    ? 'rgba(255,255,255,0.2)' 
-    : 'rgba(0,0,0,0.15)';
-  const chipBgHover = textColor === '#ffffff' 
-    ? 'rgba(255,255,255,0.3)' 
-    : 'rgba(0,0,0,0.25)';
+  // Paint the card theme (gradient, pattern, fonts, layout, border, corners)
+  // with the text color the contrast module picks for it
+  const textColor = applyCardTheme(cardData);
+  const chips = getCardChipColors(textColor);
 
   // Apply CSS custom properties for dynamic styling
   const cardBackEl = document.getElementById('cardBack');
   cardBackEl.style.setProperty('--card-text', textColor);
-  cardBackEl.style.setProperty('--card-chip-bg', chipBg);
-  cardBackEl.style.setProperty('--card-chip-bg-hover', chipBgHover);
+  cardBackEl.style.setProperty('--card-chip-bg', chips.chip);
+  cardBackEl.style.setProperty('--card-chip-bg-hover', chips.hover);
 
   // Update background gradient
   document.body.style.setProperty('background', 
@@ -167,30 +180,21 @@ function applyCardData(cardData) {
   if (!viewingSharedCard) {
     document.getElementById('firstNameInput').value = cardData.firstName;
     document.getElementById('lastNameInput').value = cardData.lastName;
+
+    const nameFormatting = cardData.nameFormatting || DEFAULT_CARD.nameFormatting;
+    document.getElementById('autoCapitalizeNameInput').checked = nameFormatting.autoCapitalize;
+    document.getElementById('nameParticlesInput').value = nameFormatting.particles.join(', ');
+    document.getElementById('nameParticlesInput').disabled = !nameFormatting.autoCapitalize;
     document.getElementById('jobTitleInput').value = cardData.jobTitle || '';
     document.getElementById('emailInput').value = cardData.email;
-    document.getElementById('linkedinInput').value = cardData.linkedin || '';
     document.getElementById('cardColorInput').value = cardData.cardColor;
     document.getElementById('cardColorPicker').value = cardData.cardColor;
     document.getElementById('bgColorInput').value = cardData.bgColor;
     document.getElementById('bgColorPicker').value = cardData.bgColor;
+    fillThemeControls(cardData.theme);
 
     // Portfolio URLs
-    const portfolioLinks = cardData.portfolioLinks || {};
-
-    // Handle resume - support both old string format and new object format
-    let resumeData = portfolioLinks.resume;
-    if (typeof resumeData === 'string') {
-      // Backward compatibility
-      document.getElementById('resumePdfInput').value = resumeData;
-      document.getElementById('resumeDocxInput').value = '';
-    } else if (resumeData && typeof resumeData === 'object') {
-      document.getElementById('resumePdfInput').value = resumeData.pdf || '';
-      document.getElementById('resumeDocxInput').value = resumeData.docx || '';
-    } else {
-      document.getElementById('resumePdfInput').value = '';
-      document.getElementById('resumeDocxInput').value = '';
-    }
+    const portfolioLinks = cardData.portfolioLinks;
 
     document.getElementById('certPageInput').value = portfolioLinks.cert || '';
     document.getElementById('eduPageInput').value = portfolioLinks.edu || '';
@@ -198,55 +202,47 @@ function applyCardData(cardData) {
     document.getElementById('refPageInput').value = portfolioLinks.ref || '';
     document.getElementById('workPageInput').value = portfolioLinks.work || '';     
 
-    // Phone number fields
-    const countryCodeSelect = document.getElementById('countryCodeSelect');
-    const localNumberInput = document.getElementById('localNumberInput');
-
-    let countryCode = cardData.countryCode;
-    let localNumber = cardData.localNumber;
-
-    // Try to parse from pretty phone if not available
-    if ((!countryCode || !localNumber) && cardData.phone) {
-      const parsed = parsePrettyPhone10(cardData.phone);
-      if (parsed) {
-        countryCode = parsed.cc;
-        localNumber = parsed.local;
-      }
-    }
-
-    // Set values if valid
-    countryCodeSelect.value = (countryCode && ALLOWED_COUNTRY_CODES.includes(countryCode)) 
-      ? countryCode 
-      : '';
-    localNumberInput.value = localNumber 
-      ? localNumber.replace(/\D+/g, '').slice(0, 10) 
-      : '';
+    // Phone number fields (shown in the country's national style)
+    document.getElementById('countryCodeSelect').value =
+      getPhoneCountry(cardData.phoneRegion) ? cardData.phoneRegion : '';
+    document.getElementById('localNumberInput').value = cardData.localNumber || '';
+    updatePhoneInput();
 
     // Portfolio visibility checkboxes
-    const visibility = cardData.portfolioVisibility || { 
-      cert: true, edu: true, proj: true, ref: true, resume: true, work: true  
-    };
+    const visibility = cardData.portfolioVisibility;
     document.getElementById('showCertifications').checked = visibility.cert !== false;
     document.getElementById('showEducation').checked = visibility.edu !== false;
     document.getElementById('showProjects').checked = visibility.proj !== false;
     document.getElementById('showReferences').checked = visibility.ref !== false;
     document.getElementById('showResume').checked = visibility.resume !== false;     
     document.getElementById('showWork').checked = visibility.work !== false;         
+
+    renderResumeEditor(cardData.resumes || []);
+    renderSocialLinksEditor(cardData.socialLinks || []);
+    renderCustomSectionsEditor(cardData.customSections || []);
+    portfolioOrderDraft = getPortfolioOrder(cardData);
+    renderPortfolioOrderEditor();
   }
 
   // Store portfolio links globally for button handlers
-  const portfolioLinks = cardData.portfolioLinks || {};
-  if (portfolioLinks.resume && typeof portfolioLinks.resume === 'string') {
-    // Convert old string format to new object format
-    portfolioLinks.resume = { pdf: portfolioLinks.resume, docx: '' };
-  } else if (!portfolioLinks.resume) {
-    // Ensure resume exists as an object
-    portfolioLinks.resume = { pdf: '', docx: '' };
-  }
-  window.portfolioLinks = portfolioLinks;
+  window.portfolioLinks = cardData.portfolioLinks;
 
   console.log('✅ Set window.portfolioLinks:', window.portfolioLinks); // Debug line
 
   // Render portfolio section with visibility settings
   renderPortfolioSection(cardData);
+}
+
+/**
+ * Download the currently displayed card as a .vcf file
+ * Triggered from the vCard link on the back of the card
+ * @param {Event} event - Click event
+ */
+function downloadCurrentCardVCard(event) {
+  event.preventDefault();
+  event.stopPropagation(); // Prevent card flip
+
+  if (currentCardData) {
+    downloadVCard(currentCardData);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,542 @@
+/* ==========================================================
+   CARD CODEC MODULE
+   Compact, versioned encoding of share payloads for ?card= links
+
+   Format: base64url( [version byte] [flags byte] [body] )
+     body  = UTF-8 JSON array of card fields in fixed positions
+     flags = bit 0 set when the body is deflate-compressed
+             bit 1 set when the body is passphrase-encrypted
+   Encrypted bodies are [salt (16)] [iv (12)] [AES-GCM ciphertext]
+   with the key derived from the passphrase by PBKDF2-SHA-256.
+   Legacy links (base64 JSON from encodeObj) are still decoded.
+   ========================================================== */
+
+const CARD_CODEC_VERSION = 1;
+
+const _CODEC_FLAG_DEFLATE = 0x01;
+const _CODEC_FLAG_ENCRYPTED = 0x02;
+
+const _CODEC_PBKDF2_ITERATIONS = 600000;
+const _CODEC_SALT_BYTES = 16;
+const _CODEC_IV_BYTES = 12;
+const _CODEC_TAG_BYTES = 16; // AES-GCM authentication tag (Web Crypto default)
+
+// Portfolio URL slots, in positional order
+// (resumePdf / resumeDocx are only read, from links made before resume variants)
+const _CODEC_PORTFOLIO_SLOTS = ['cert', 'edu', 'proj', 'ref', 'resumePdf', 'resumeDocx', 'work'];
+
+// Visibility bitmask order (bit set = visible)
+const _CODEC_VISIBILITY_KEYS = ['cert', 'edu', 'proj', 'ref', 'resume', 'work'];
+
+/* ==========================================================
+   PUBLIC API
+   ========================================================== */
+
+/**
+ * Encode a share object (from buildShareObj) for a ?card= link
+ * @param {Object} shareObj - Share object to encode
+ * @param {string} [passphrase] - Encrypt the payload with this passphrase
+ * @returns {Promise<string>} base64url payload
+ */
+async function encodeCardPayload(shareObj, passphrase = '') {
+  const json = JSON.stringify(_codecPackV1(shareObj));
+  let body = new TextEncoder().encode(json);
+  let flags = 0;
+
+  // Browsers whose CompressionStream lacks 'deflate-raw' throw here;
+  // their links are simply sent uncompressed
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      body = await _codecTransform(body, new CompressionStream('deflate-raw'));
+      flags |= _CODEC_FLAG_DEFLATE;
+    } catch (error) {
+      console.warn('Compression unavailable, sending the card uncompressed:', error);
+    }
+  }
+
+  if (passphrase) {
+    body = await _codecEncrypt(body, passphrase);
+    flags |= _CODEC_FLAG_ENCRYPTED;
+  }
+
+  const bytes = new Uint8Array(body.length + 2);
+  bytes[0] = CARD_CODEC_VERSION;
+  bytes[1] = flags;
+  bytes.set(body, 2);
+
+  return bytesToBase64Url(bytes);
+}
+
+/**
+ * Check whether a ?card= payload is passphrase-protected
+ * @param {string} payload - Value of the card URL parameter
+ * @returns {boolean} True if decoding needs a passphrase
+ */
+function isCardPayloadEncrypted(payload) {
+  if (!payload || payload.startsWith('eyJ')) return false;
+
+  try {
+    return (base64UrlToBytes(payload.slice(0, 4))[1] & _CODEC_FLAG_ENCRYPTED) !== 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Estimate how much passphrase encryption lengthens a payload
+ * @returns {number} base64url characters for the salt, IV and authentication tag
+ */
+function getCardPayloadEncryptionOverhead() {
+  return Math.round((_CODEC_SALT_BYTES + _CODEC_IV_BYTES + _CODEC_TAG_BYTES) * 4 / 3);
+}
+
+/**
+ * Decode a ?card= payload (current or legacy format)
+ * @param {string} payload - Value of the card URL parameter
+ * @param {string} [passphrase] - Passphrase for encrypted payloads
+ * @returns {Promise<Object>} Share object
+ * @throws {Error} If the payload is malformed or from an unknown version.
+ *   Encrypted payloads throw with error.code 'PASSPHRASE_REQUIRED' or
+ *   'WRONG_PASSPHRASE'.
+ */
+async function decodeCardPayload(payload, passphrase = '') {
+  // Legacy links are standard base64 of a JSON object ('{"' -> 'eyJ').
+  // URLSearchParams turns unescaped '+' into spaces, so restore them.
+  if (payload.startsWith('eyJ')) {
+    return decodeObj(payload.replace(/ /g, '+'));
+  }
+
+  const bytes = base64UrlToBytes(payload);
+  const version = bytes[0];
+  const flags = bytes[1];
+
+  const unpack = _CODEC_UNPACKERS[version];
+  if (!unpack) {
+    throw new Error(t('codec.unsupportedVersion', { version }));
+  }
+
+  let body = bytes.subarray(2);
+  if (flags & _CODEC_FLAG_ENCRYPTED) {
+    body = await _codecDecrypt(body, passphrase);
+  }
+  if (flags & _CODEC_FLAG_DEFLATE) {
+    let stream;
+    try {
+      stream = new DecompressionStream('deflate-raw');
+    } catch (error) {
+      throw new Error(t('codec.noCompression'));
+    }
+    body = await _codecTransform(body, stream);
+  }
+
+  return unpack(JSON.parse(new TextDecoder().decode(body)));
+}
+
+/* ==========================================================
+   VERSION 1 LAYOUT
+   [0] firstName   [1] lastName   [2] jobTitle   [3] email
+   [4] phone       [5] phoneE164  [6] linkedin*  [7] cardColor
+   [8] bgColor     [9] profilePic [10] portfolio URLs (array)
+   [11] visibility bitmask        [12] extension fields (object)
+   * left empty; only read, from links made before social links
+   Extension fields: u = lastUpdated, x = expiresAt (ISO dates),
+                     c = visible custom sections as [label, URL] pairs,
+                     o = button order as indices (0-5 built-in sections in
+                         bitmask order, 6+ entries of c); omitted if default,
+                     r = resume variants as [label, format, URL, updated],
+                     t = theme with only non-default parts: g = extra
+                         gradient colors, a = angle, p = pattern, f = fonts,
+                         l = layout, b = border, k = corners, i = logo URL,
+                     s = social links as [type, URL, label] (label only
+                         for 'other' links)
+   URLs drop their https:// prefix and colors drop their '#'.
+   Trailing empty positions are omitted.
+   ========================================================== */
+
+/**
+ * Pack a share object into the version 1 positional array
+ * @param {Object} obj - Share object (current card schema)
+ * @returns {Array} Positional array
+ */
+function _codecPackV1(obj) {
+  const links = obj.portfolioLinks;
+
+  const urls = {
+    cert: links.cert, edu: links.edu, proj: links.proj, ref: links.ref,
+    resumePdf: '', resumeDocx: '', work: links.work
+  };
+
+  const visibility = obj.portfolioVisibility;
+  const visibilityMask = _CODEC_VISIBILITY_KEYS.reduce(
+    (mask, key, i) => (visibility[key] !== false ? mask | (1 << i) : mask), 0);
+
+  const packed = [
+    obj.firstName || '',
+    obj.lastName || '',
+    obj.jobTitle || '',
+    obj.email || '',
+    obj.phone || '',
+    obj.phoneE164 || '',
+    '',
+    (obj.cardColor || '').replace(/^#/, ''),
+    (obj.bgColor || '').replace(/^#/, ''),
+    _codecShortUrl(obj.profilePic),
+    _codecTrimTrailing(_CODEC_PORTFOLIO_SLOTS.map(slot => _codecShortUrl(urls[slot]))),
+    visibilityMask,
+    _codecTrimObject({
+      u: obj.lastUpdated,
+      x: obj.expiresAt,
+      c: _codecPackCustomSections(obj.customSections),
+      o: _codecPackOrder(obj),
+      r: _codecPackResumes(obj.resumes),
+      t: _codecPackTheme(obj.theme),
+      s: _codecPackSocialLinks(obj.socialLinks)
+    })
+  ];
+
+  return _codecTrimTrailing(packed);
+}
+
+/**
+ * Unpack a version 1 positional array into a share object
+ * @param {Array} arr - Positional array
+ * @returns {Object} Share object
+ */
+function _codecUnpackV1(arr) {
+  if (!Array.isArray(arr)) throw new Error(t('codec.malformed'));
+
+  const str = (i) => (typeof arr[i] === 'string' ? arr[i] : '');
+  const urls = Array.isArray(arr[10]) ? arr[10] : [];
+  const url = (slot) => _codecExpandUrl(urls[_CODEC_PORTFOLIO_SLOTS.indexOf(slot)]);
+  const mask = typeof arr[11] === 'number' ? arr[11] : 0x3F;
+  const color = (i, fallback) => (str(i) ? `#${str(i)}` : fallback);
+  const ext = arr[12] && typeof arr[12] === 'object' ? arr[12] : {};
+
+  const portfolioVisibility = {};
+  _CODEC_VISIBILITY_KEYS.forEach((key, i) => {
+    portfolioVisibility[key] = (mask & (1 << i)) !== 0;
+  });
+
+  return {
+    firstName: str(0),
+    lastName: str(1),
+    jobTitle: str(2),
+    email: str(3),
+    phone: str(4),
+    phoneE164: str(5),
+    linkedin: _codecExpandUrl(str(6)),
+    socialLinks: _codecUnpackSocialLinks(ext.s),
+    cardColor: color(7, DEFAULT_CARD.cardColor),
+    bgColor: color(8, DEFAULT_CARD.bgColor),
+    theme: _codecUnpackTheme(ext.t),
+    profilePic: _codecExpandUrl(str(9)),
+    portfolioLinks: {
+      cert: url('cert'),
+      edu: url('edu'),
+      proj: url('proj'),
+      ref: url('ref'),
+      work: url('work')
+    },
+    resumes: _codecUnpackResumes(ext.r, url('resumePdf'), url('resumeDocx')),
+    portfolioVisibility,
+    customSections: _codecUnpackCustomSections(ext.c),
+    portfolioOrder: _codecUnpackOrder(ext.o, Array.isArray(ext.c) ? ext.c.length : 0),
+    lastUpdated: typeof ext.u === 'string' ? ext.u : '',
+    expiresAt: typeof ext.x === 'string' ? ext.x : ''
+  };
+}
+
+/**
+ * Pack the shown custom sections as [label, short URL] pairs
+ * @param {Array} sections - Custom sections
+ * @returns {Array|undefined} Pairs, or undefined if there are none
+ */
+function _codecPackCustomSections(sections) {
+  const pairs = (sections || [])
+    .filter(section => section.visible !== false && section.label)
+    .map(section => [section.label, _codecShortUrl(section.url)]);
+  return pairs.length ? pairs : undefined;
+}
+
+/**
+ * Pack resume variants as [label, format, short URL, updated] arrays
+ * @param {Array} resumes - Resume variants
+ * @returns {Array|undefined} Packed variants, or undefined if there are none
+ */
+function _codecPackResumes(resumes) {
+  const packed = (resumes || [])
+    .filter(resume => resume.url)
+    .map(resume => _codecTrimTrailing([resume.label, resume.format, _codecShortUrl(resume.url), resume.updated || '']));
+  return packed.length ? packed : undefined;
+}
+
+/**
+ * Unpack resume variants, including the single PDF / DOCX slots of older links
+ * @param {*} packed - Extension value
+ * @param {string} legacyPdf - Legacy PDF resume URL
+ * @param {string} legacyDocx - Legacy DOCX resume URL
+ * @returns {Array} Resume variants (ids are positional)
+ */
+function _codecUnpackResumes(packed, legacyPdf, legacyDocx) {
+  const resumes = (Array.isArray(packed) ? packed : [])
+    .filter(Array.isArray)
+    .map(([label, format, url, updated]) => ({ label, format, url: _codecExpandUrl(url), updated: updated || '' }));
+
+  if (legacyPdf) resumes.push({ label: 'Resume', format: 'pdf', url: legacyPdf, updated: '' });
+  if (legacyDocx) resumes.push({ label: 'Resume', format: 'docx', url: legacyDocx, updated: '' });
+
+  return resumes.map((resume, i) => ({ id: `r${i + 1}`, ...resume }));
+}
+
+/**
+ * Pack social links as [type, short URL, label] arrays
+ * @param {Array} links - Social links
+ * @returns {Array|undefined} Packed links, or undefined if there are none
+ */
+function _codecPackSocialLinks(links) {
+  const packed = (links || [])
+    .filter(link => link.url)
+    .map(link => _codecTrimTrailing([link.type, _codecShortUrl(link.url), link.type === 'other' ? link.label : '']));
+  return packed.length ? packed : undefined;
+}
+
+/**
+ * Unpack social links packed by _codecPackSocialLinks
+ * @param {*} packed - Extension value
+ * @returns {Array} Social links (ids are positional)
+ */
+function _codecUnpackSocialLinks(packed) {
+  return (Array.isArray(packed) ? packed : [])
+    .filter(Array.isArray)
+    .map(([type, url, label], i) => ({ id: `l${i + 1}`, type, url: _codecExpandUrl(url), label: label || '' }));
+}
+
+/**
+ * Pack the theme with short keys, leaving out default values
+ * @param {Object} theme - Theme descriptor
+ * @returns {Object|undefined} Packed theme, or undefined for the default theme
+ */
+function _codecPackTheme(theme) {
+  const current = normalizeCardTheme(theme);
+  const defaults = DEFAULT_CARD.theme;
+  const changed = (field) => (current[field] !== defaults[field] ? current[field] : undefined);
+
+  const packed = _codecTrimObject({
+    g: current.colors.length ? current.colors.map(hex => hex.replace(/^#/, '')) : undefined,
+    a: changed('angle'),
+    p: changed('pattern'),
+    f: changed('fonts'),
+    l: changed('layout'),
+    b: changed('border'),
+    k: changed('corners'),
+    i: _codecShortUrl(current.logo)
+  });
+  return Object.keys(packed).length ? packed : undefined;
+}
+
+/**
+ * Unpack a theme packed by _codecPackTheme
+ * Values are passed through for validateSharedCard() to check
+ * @param {*} packed - Extension value
+ * @returns {Object|undefined} Theme descriptor, or undefined if absent
+ */
+function _codecUnpackTheme(packed) {
+  if (!packed || typeof packed !== 'object' || Array.isArray(packed)) return undefined;
+
+  const defaults = DEFAULT_CARD.theme;
+  const value = (key, fallback) => (packed[key] !== undefined ? packed[key] : fallback);
+  return {
+    colors: Array.isArray(packed.g)
+      ? packed.g.map(hex => (typeof hex === 'string' ? `#${hex}` : hex))
+      : defaults.colors.slice(),
+    angle: value('a', defaults.angle),
+    pattern: value('p', defaults.pattern),
+    fonts: value('f', defaults.fonts),
+    layout: value('l', defaults.layout),
+    border: value('b', defaults.border),
+    corners: value('k', defaults.corners),
+    logo: _codecExpandUrl(packed.i)
+  };
+}
+
+/**
+ * Pack the portfolio order as indices into the shared sections
+ * @param {Object} obj - Share object
+ * @returns {Array<number>|undefined} Indices, or undefined for the default order
+ */
+function _codecPackOrder(obj) {
+  const shared = (obj.customSections || [])
+    .filter(section => section.visible !== false && section.label)
+    .map(section => `custom:${section.id}`);
+
+  const indices = getPortfolioOrder(obj)
+    .map(key => (key.startsWith('custom:')
+      ? (shared.includes(key) ? _CODEC_VISIBILITY_KEYS.length + shared.indexOf(key) : -1)
+      : _CODEC_VISIBILITY_KEYS.indexOf(key)))
+    .filter(index => index >= 0);
+
+  return indices.some((index, i) => index !== i) ? indices : undefined;
+}
+
+/**
+ * Unpack portfolio order indices into section keys
+ * @param {*} indices - Extension value
+ * @param {number} customCount - Number of shared custom sections
+ * @returns {Array<string>} Section keys (missing ones follow in default order)
+ */
+function _codecUnpackOrder(indices, customCount) {
+  const keys = _CODEC_VISIBILITY_KEYS.slice();
+  for (let i = 0; i < customCount; i++) keys.push(`custom:s${i + 1}`);
+
+  if (!Array.isArray(indices)) return keys;
+  return normalizePortfolioOrder(indices.map(index => keys[index]), keys);
+}
+
+/**
+ * Unpack [label, short URL] pairs into custom sections
+ * @param {*} pairs - Extension value
+ * @returns {Array} Custom sections (ids are positional)
+ */
+function _codecUnpackCustomSections(pairs) {
+  if (!Array.isArray(pairs)) return [];
+  return pairs.map((pair, i) => ({
+    id: `s${i + 1}`,
+    label: Array.isArray(pair) ? pair[0] : '',
+    url: Array.isArray(pair) ? _codecExpandUrl(pair[1]) : '',
+    visible: true
+  }));
+}
+
+// Unpackers by codec version
+const _CODEC_UNPACKERS = {
+  1: _codecUnpackV1
+};
+
+/* ==========================================================
+   HELPERS
+   ========================================================== */
+
+/**
+ * Drop the https:// prefix from a URL (restored by _codecExpandUrl)
+ * @param {string} url - Full URL
+ * @returns {string} Shortened URL
+ */
+function _codecShortUrl(url) {
+  if (!url) return '';
+  const rest = url.replace(/^https:\/\//i, '');
+  // Keep the prefix if the remainder would look like it has its own scheme
+  return /^[a-z][a-z0-9+.-]*:/i.test(rest) ? url : rest;
+}
+
+/**
+ * Restore a URL shortened by _codecShortUrl
+ * @param {string} value - Shortened URL
+ * @returns {string} Full URL
+ */
+function _codecExpandUrl(value) {
+  if (!value || typeof value !== 'string') return '';
+  return /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : 'https://' + value;
+}
+
+/**
+ * Remove trailing empty values ('' / [] / {}) from an array
+ * @param {Array} arr - Array to trim
+ * @returns {Array} Trimmed copy
+ */
+function _codecTrimTrailing(arr) {
+  const isEmpty = (v) => v === '' || v === null || v === undefined ||
+    (Array.isArray(v) && v.length === 0) ||
+    (typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0);
+
+  const result = arr.slice();
+  while (result.length && isEmpty(result[result.length - 1])) result.pop();
+  return result;
+}
+
+/**
+ * Remove empty values from an extension object
+ * @param {Object} obj - Extension fields
+ * @returns {Object} Copy without empty values
+ */
+function _codecTrimObject(obj) {
+  const result = {};
+  Object.keys(obj).forEach(key => {
+    if (obj[key] !== '' && obj[key] !== null && obj[key] !== undefined) result[key] = obj[key];
+  });
+  return result;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+async function _codecDeriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: _CODEC_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt a payload body with a passphrase
+ * @param {Uint8Array} body - Plain body
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Uint8Array>} [salt][iv][ciphertext]
+ */
+async function _codecEncrypt(body, passphrase) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error(t('codec.passphraseNeedsHttps'));
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(_CODEC_SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(_CODEC_IV_BYTES));
+  const key = await _codecDeriveKey(passphrase, salt);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, body));
+
+  const result = new Uint8Array(salt.length + iv.length + ciphertext.length);
+  result.set(salt, 0);
+  result.set(iv, salt.length);
+  result.set(ciphertext, salt.length + iv.length);
+  return result;
+}
+
+/**
+ * Decrypt a payload body with a passphrase
+ * @param {Uint8Array} body - [salt][iv][ciphertext]
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Uint8Array>} Plain body
+ * @throws {Error} With code 'PASSPHRASE_REQUIRED' or 'WRONG_PASSPHRASE'
+ */
+async function _codecDecrypt(body, passphrase) {
+  if (!passphrase) {
+    throw Object.assign(new Error(t('codec.passphraseRequired')), { code: 'PASSPHRASE_REQUIRED' });
+  }
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error(t('codec.passphraseUnsupported'));
+  }
+
+  const salt = body.subarray(0, _CODEC_SALT_BYTES);
+  const iv = body.subarray(_CODEC_SALT_BYTES, _CODEC_SALT_BYTES + _CODEC_IV_BYTES);
+  const key = await _codecDeriveKey(passphrase, salt);
+
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv }, key, body.subarray(_CODEC_SALT_BYTES + _CODEC_IV_BYTES)));
+  } catch (error) {
+    throw Object.assign(new Error(t('codec.wrongPassphrase')), { code: 'WRONG_PASSPHRASE' });
+  }
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} stream - CompressionStream / DecompressionStream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function _codecTransform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
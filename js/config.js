@@ -11,7 +11,10 @@ const DEFAULT_CARD = {
   phoneE164: '+15551234567',
   countryCode: '1',
   localNumber: '5551234567',
-  linkedin: 'https://linkedin.com/in/johndoe',
+  phoneRegion: 'US',
+  socialLinks: [
+    { id: 'l1', type: 'linkedin', url: 'https://linkedin.com/in/johndoe', label: '' }
+  ],
   cardColor: '#6366f1',
   bgColor: '#6B46C1',
   profilePic: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=400',
@@ -20,12 +23,9 @@ const DEFAULT_CARD = {
     edu: '',
     proj: '',
     ref: '',
-    resume: {
-      pdf: '',
-      docx: ''
-    },
     work: ''
   },
+  resumes: [],
   portfolioVisibility: {
     cert: true,
     edu: true,
@@ -34,28 +34,132 @@ const DEFAULT_CARD = {
     resume: true,
     work: true
   },
+  customSections: [],
+  portfolioOrder: ['cert', 'edu', 'proj', 'ref', 'resume', 'work'],
+  // Name capitalization; particles stay lowercase ("van der Berg")
+  nameFormatting: {
+    autoCapitalize: true,
+    particles: ['de', 'del', 'la', 'las', 'los', 'da', 'das', 'dos',
+                'van', 'von', 'der', 'den', 'le', 'du', 'di']
+  },
+  // Card theme descriptor (see CARD THEMES below)
+  theme: {
+    colors: [],
+    angle: 135,
+    pattern: 'none',
+    fonts: 'system',
+    layout: 'photo',
+    border: 'none',
+    corners: 'rounded',
+    logo: ''
+  },
   lastUpdated: ''
 };
 
 // ===============================
-// ALLOWED COUNTRY CODES
-// Country codes permitted for phone numbers
+// NAME LIMITS
+// Maximum name length (characters) and number of particles
+// ===============================
+const NAME_LIMITS = {
+  maxLength: 30,
+  maxParticles: 40
+};
+
+// ===============================
+// CONTRAST
+// Minimum WCAG 2.x contrast ratio for card text, chips and buttons
+// (AA for normal-size text)
+// ===============================
+const CONTRAST_MINIMUM = 4.5;
+
+// ===============================
+// PHOTO PALETTE
+// Card/background pairings suggested from the cropped profile photo
+// (median cut over a sampleSize x sampleSize copy; card colors closer
+// than minDistance in RGB are merged; tint lightens the fallback background)
+// ===============================
+const PHOTO_PALETTE = {
+  sampleSize: 64,
+  colors: 8,
+  pairings: 6,
+  minDistance: 24,
+  tint: 0.8
+};
+
+// ===============================
+// QR CODE SETTINGS
+// Error correction level for share QR codes ('L', 'M', 'Q' or 'H')
 // ===============================
-const ALLOWED_COUNTRY_CODES = ['1', '44', '61', '81', '91', '353'];
+const QR_ERROR_CORRECTION = 'M';
 
 // ===============================
-// LOCAL STORAGE KEYS
-// Keys used for localStorage operations
+// SHARE PHOTO SETTINGS
+// Thumbnail embedded in share links when it fits the byte budget
+// maxBytes counts characters of the thumbnail data URL
+// ===============================
+const SHARE_PHOTO = {
+  sizes: [64, 56, 48],
+  formats: ['image/webp', 'image/jpeg'],
+  minQuality: 0.1,
+  maxQuality: 0.9,
+  maxBytes: 900
+};
+
+// ===============================
+// PRINT EXPORT
+// Print-ready PDF of the card. Sizes are trim sizes in millimetres with
+// the bleed added on every side of single cards; sheets butt the cards
+// together (no bleed) in up to PRINT_SETTINGS.columns x rows, dropping
+// rows or columns that would reach into the home printer's unprintable edge
+// ===============================
+const PRINT_CARD_SIZES = {
+  us: { width: 88.9, height: 50.8, bleed: 3.175 },     // 3.5 x 2 in, 1/8 in bleed
+  eu: { width: 85, height: 55, bleed: 3 },
+  creditCard: { width: 85.6, height: 53.98, bleed: 3 } // ISO/IEC 7810 ID-1
+};
+
+const PRINT_SHEETS = {
+  letter: { width: 215.9, height: 279.4 },
+  a4: { width: 210, height: 297 }
+};
+
+const PRINT_SETTINGS = {
+  dpi: 300,
+  jpegQuality: 0.92,
+  safeMargin: 4,       // mm kept clear of text inside the trim
+  cropMarkLength: 5,   // mm
+  cropMarkGap: 1,      // mm between the artwork and its crop marks
+  cropMarkMinLength: 2, // mm; shorter marks are hard to cut along
+  cropMarkWidth: 0.25, // pt
+  printableMargin: 6,  // mm at the sheet edge home printers cannot print
+  columns: 2,          // Most cards per sheet
+  rows: 5
+};
+
+// ===============================
+// VCARD SETTINGS
+// vCard version used for .vcf downloads ('3.0' or '4.0')
+// ===============================
+const VCARD_VERSION = '3.0';
+
+// ===============================
+// STORAGE KEYS
+// Record keys used by the storage module (IndexedDB or localStorage)
 // ===============================
 const STORAGE_KEYS = {
   MY_CARD: 'myCard',
+  CARD_PROFILES: 'cardProfiles',
   SAVED_CONTACTS: 'savedContacts',
-  HINT_DISMISSED: 'hintDismissed'
+  IDB_MIGRATED: 'migratedFromLocalStorage',
+  SIGNING_KEY: 'deviceSigningKey',
+  HINT_DISMISSED: 'hintDismissed',
+  LOCALE: 'uiLocale'
 };
 
 // ===============================
 // PORTFOLIO LABELS
-// Display names for portfolio sections
+// English names for portfolio sections; the keys are the section ids
+// (shown translated via getPortfolioLabel())
 // ===============================
 const PORTFOLIO_LABELS = {
   cert: 'Certifications',
@@ -64,4 +168,112 @@ const PORTFOLIO_LABELS = {
   ref: 'References',
   resume: 'Resume',
   work: 'Work Experience'
-};
\ No newline at end of file
+};
+
+// Shorter names used on the card's portfolio buttons
+const PORTFOLIO_BUTTON_LABELS = {
+  ...PORTFOLIO_LABELS,
+  work: 'Work'
+};
+
+// ===============================
+// RESUME VARIANTS
+// Each resume is {id, label, format, url, updated (YYYY-MM-DD or '')}
+// ===============================
+const RESUME_FORMATS = {
+  pdf: 'PDF',
+  docx: 'Word (DOCX)',
+  html: 'Web page (HTML)',
+  md: 'Markdown'
+};
+
+const RESUME_LIMITS = {
+  maxVariants: 8,
+  maxLabelLength: 40
+};
+
+// ===============================
+// CUSTOM PORTFOLIO SECTIONS
+// User-defined sections ({id, label, url, visible}) after the built-in six
+// ===============================
+const CUSTOM_SECTION_LIMITS = {
+  maxSections: 12,
+  maxLabelLength: 24
+};
+
+// ===============================
+// SOCIAL LINKS
+// Profile links on the card back ({id, type, url, label}); `type` is a
+// SOCIAL_LINK_TYPES key (social.js) and `label` is only used by 'other'
+// ===============================
+const SOCIAL_LINK_LIMITS = {
+  maxLinks: 10,
+  maxLabelLength: 24
+};
+
+// ===============================
+// CARD THEMES
+// A card's `theme` is {colors, angle, pattern, fonts, layout, border,
+// corners, logo}. The gradient runs from cardColor through `colors`
+// (extra stops); with no extra stops the card is a flat color.
+// Patterns are drawn by the theme module (CARD_PATTERNS).
+// ===============================
+const CARD_THEME_LIMITS = {
+  maxExtraColors: 3
+};
+
+// Heading and body font stacks ('' keeps the page font)
+const CARD_FONT_PAIRINGS = {
+  system: { heading: '', body: '' },
+  classic: { heading: "Georgia, 'Times New Roman', serif", body: "'Helvetica Neue', Arial, sans-serif" },
+  modern: { heading: "'Avenir Next', 'Segoe UI', 'Helvetica Neue', sans-serif", body: "'Segoe UI', Roboto, sans-serif" },
+  elegant: { heading: "'Palatino Linotype', Palatino, 'Book Antiqua', serif", body: "Georgia, serif" },
+  mono: { heading: "'SF Mono', Menlo, Consolas, monospace", body: "'Segoe UI', Roboto, sans-serif" },
+  rounded: { heading: "'Arial Rounded MT Bold', 'Trebuchet MS', sans-serif", body: "'Trebuchet MS', sans-serif" }
+};
+
+// What the front face shows
+const CARD_LAYOUTS = ['photo', 'photoName', 'logoName'];
+
+// Border width and style (drawn in the card's text color)
+const CARD_BORDERS = {
+  none: '',
+  thin: '2px solid',
+  thick: '5px solid',
+  double: '6px double',
+  dashed: '2px dashed'
+};
+
+// Corner radius of both faces
+const CARD_CORNERS = {
+  square: '0',
+  soft: '8px',
+  rounded: '20px',
+  round: '36px'
+};
+
+// Starting points offered in settings (all meet CONTRAST_MINIMUM);
+// missing theme fields use the default
+const CARD_THEME_PRESETS = {
+  classic: { cardColor: '#312e81', theme: {} },
+  sunset: {
+    cardColor: '#fdba74',
+    theme: { colors: ['#f9a8d4', '#c4b5fd'], fonts: 'modern', layout: 'photoName' }
+  },
+  ocean: {
+    cardColor: '#0b4364',
+    theme: { colors: ['#172554'], angle: 160, pattern: 'dots', layout: 'photoName' }
+  },
+  forest: {
+    cardColor: '#114827',
+    theme: { colors: ['#2c4410'], pattern: 'stripes', fonts: 'classic', border: 'thin', corners: 'soft' }
+  },
+  midnight: {
+    cardColor: '#0f172a',
+    theme: { colors: ['#312e81', '#0f172a'], angle: 90, pattern: 'grid', fonts: 'mono', border: 'thin', corners: 'square' }
+  },
+  paper: {
+    cardColor: '#f5f5f4',
+    theme: { pattern: 'dots', fonts: 'elegant', layout: 'photoName', border: 'double', corners: 'soft' }
+  }
+};
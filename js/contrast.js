@@ -0,0 +1,167 @@
+/* ==========================================================
+   CONTRAST MODULE
+   WCAG 2.x contrast ratios for card colors: picks the card's
+   text color, lists parts below AA and suggests compliant shades
+   ========================================================== */
+
+// Text colors a card can use
+const CARD_TEXT_COLORS = {
+  dark: '#111827',
+  light: '#ffffff'
+};
+
+// Chip and portfolio button backgrounds: the text color laid over the
+// card at these opacities (lighter for light text, darker for dark text)
+const _CARD_CHIP_ALPHA = {
+  light: { chip: 0.2, hover: 0.3 },
+  dark: { chip: 0.15, hover: 0.25 }
+};
+
+/* ==========================================================
+   RATIOS
+   ========================================================== */
+
+/**
+ * Calculate the WCAG relative luminance of a color
+ * @param {string} hex - Hex color
+ * @returns {number} Luminance (0 black - 1 white); 1 for invalid colors
+ */
+function getRelativeLuminance(hex) {
+  const rgb = _rgb(hex);
+  if (!rgb) return 1;
+
+  const linearize = (value) => {
+    value /= 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linearize(rgb.r) + 0.7152 * linearize(rgb.g) + 0.0722 * linearize(rgb.b);
+}
+
+/**
+ * Calculate the WCAG contrast ratio between two colors
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number} Ratio from 1 to 21
+ */
+function getContrastRatio(foreground, background) {
+  const a = getRelativeLuminance(foreground);
+  const b = getRelativeLuminance(background);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Check whether two colors meet the AA minimum for normal text
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {boolean} True if the ratio is at least CONTRAST_MINIMUM
+ */
+function meetsContrastMinimum(foreground, background) {
+  return getContrastRatio(foreground, background) >= CONTRAST_MINIMUM;
+}
+
+/**
+ * Mix two colors
+ * @param {string} base - Hex color
+ * @param {string} overlay - Hex color laid on top
+ * @param {number} amount - Overlay opacity (0-1)
+ * @returns {string} Resulting hex color
+ */
+function mixColors(base, overlay, amount) {
+  const from = _rgb(base);
+  const to = _rgb(overlay);
+  if (!from || !to) return base;
+
+  const channel = (name) => Math.round(from[name] + (to[name] - from[name]) * amount);
+  return '#' + ['r', 'g', 'b'].map(name => channel(name).toString(16).padStart(2, '0')).join('');
+}
+
+/* ==========================================================
+   CARD COLORS
+   ========================================================== */
+
+/**
+ * Get the chip and portfolio button backgrounds for a text color
+ * @param {string} textColor - Card text color
+ * @returns {{chip: string, hover: string}} CSS rgba() backgrounds
+ */
+function getCardChipColors(textColor) {
+  const alpha = _CARD_CHIP_ALPHA[textColor === CARD_TEXT_COLORS.light ? 'light' : 'dark'];
+  const base = textColor === CARD_TEXT_COLORS.light ? '255,255,255' : '0,0,0';
+  return { chip: `rgba(${base},${alpha.chip})`, hover: `rgba(${base},${alpha.hover})` };
+}
+
+/**
+ * Compute the contrast of each part of the card over one background color
+ * @param {string} background - Hex color (a gradient stop)
+ * @param {string} textColor - Card text color
+ * @returns {{text: number, chips: number, buttons: number}} Ratios
+ *   (chips at rest, portfolio buttons when hovered or pressed)
+ */
+function getCardPartRatios(background, textColor) {
+  const light = textColor === CARD_TEXT_COLORS.light;
+  const alpha = _CARD_CHIP_ALPHA[light ? 'light' : 'dark'];
+  const overlay = light ? '#ffffff' : '#000000';
+
+  return {
+    text: getContrastRatio(textColor, background),
+    chips: getContrastRatio(textColor, mixColors(background, overlay, alpha.chip)),
+    buttons: getContrastRatio(textColor, mixColors(background, overlay, alpha.hover))
+  };
+}
+
+/**
+ * Pick the card's text color: the one whose weakest part, over every
+ * gradient stop, has the higher contrast
+ * @param {string} cardColor - First gradient stop
+ * @param {Object} theme - Theme descriptor
+ * @returns {string} CARD_TEXT_COLORS.dark or CARD_TEXT_COLORS.light
+ */
+function getCardTextColor(cardColor, theme) {
+  const stops = getCardThemeStops(cardColor, theme);
+  const weakest = (textColor) => Math.min(...stops.map(stop =>
+    Math.min(...Object.values(getCardPartRatios(stop, textColor)))));
+
+  return weakest(CARD_TEXT_COLORS.dark) >= weakest(CARD_TEXT_COLORS.light)
+    ? CARD_TEXT_COLORS.dark
+    : CARD_TEXT_COLORS.light;
+}
+
+/**
+ * List the gradient stops where card text, chips or buttons fall below AA
+ * @param {string} cardColor - First gradient stop
+ * @param {Object} theme - Theme descriptor
+ * @returns {{textColor: string, issues: Array<{stop: number, color: string,
+ *   ratios: Object, failing: Array<string>, suggestion: string|null}>}}
+ *   Text color and one entry per failing stop (0 = cardColor)
+ */
+function checkCardContrast(cardColor, theme) {
+  const textColor = getCardTextColor(cardColor, theme);
+
+  const issues = getCardThemeStops(cardColor, theme)
+    .map((color, stop) => {
+      const ratios = getCardPartRatios(color, textColor);
+      const failing = Object.keys(ratios).filter(part => ratios[part] < CONTRAST_MINIMUM);
+      return { stop, color, ratios, failing, suggestion: failing.length ? suggestCompliantShade(color, textColor) : null };
+    })
+    .filter(issue => issue.failing.length);
+
+  return { textColor, issues };
+}
+
+/**
+ * Find the nearest shade of a background on which every card part meets AA
+ * Darkens under light text and lightens under dark text, one step at a time
+ * @param {string} background - Hex color
+ * @param {string} textColor - Card text color
+ * @returns {string|null} Compliant hex color, or null if none is found
+ */
+function suggestCompliantShade(background, textColor) {
+  const target = textColor === CARD_TEXT_COLORS.light ? '#000000' : '#ffffff';
+
+  for (let step = 1; step <= 100; step++) {
+    const candidate = mixColors(background, target, step / 100);
+    const ratios = getCardPartRatios(candidate, textColor);
+    if (Object.values(ratios).every(ratio => ratio >= CONTRAST_MINIMUM)) return candidate;
+  }
+  return null;
+}
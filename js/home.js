@@ -3,6 +3,9 @@
    Manages home panel with My Card and Saved Contacts tabs
    ========================================================== */
 
+// Saved contacts as last read from storage; search/sort/filter work on this
+let savedContactsCache = [];
+
 /**
  * Open the home panel (My Card & Saved Contacts)
  * Loads initial content for both tabs
@@ -46,78 +49,238 @@ function switchTab(tabName) {
  * Load and display user's card in home panel
  * Shows empty state if no card exists
  */
-function loadMyCardSection() {
-  const myCard = getMyCard();
+async function loadMyCardSection() {
+  const myCard = await getMyCard();
   const section = document.getElementById('myCardSection');
+  const switcher = await renderProfileSwitcher();
 
   if (!myCard) {
     // Show empty state with create button
-    section.innerHTML = `
+    section.innerHTML = switcher + `
       <div class="empty-state">
         <svg width="80" height="80" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
           <rect x="1" y="4" width="22" height="16" rx="2" ry="2"></rect>
           <line x1="1" y1="10" x2="23" y2="10"></line>
         </svg>
-        <h3>Create Your Business Card</h3>
-        <p>Set up your digital business card to share with others</p>
-        <button class="save-btn" onclick="openSettings()" style="max-width:200px;margin:20px auto 0;">Create My Card</button>
+        <h3>${escapeHtml(t('home.emptyCardTitle'))}</h3>
+        <p>${escapeHtml(t('home.emptyCardText'))}</p>
+        <button class="save-btn" onclick="openSettings()" style="max-width:200px;margin:20px auto 0;">${escapeHtml(t('home.createCard'))}</button>
       </div>`;
     return;
   }
 
-  // Calculate colors for styling
-  const accent = myCard.cardColor || '#6366f1';
-  const text = textOn(accent);
-  const chipBg = text === '#ffffff' 
-    ? 'rgba(255,255,255,0.2)' 
-    : 'rgba(0,0,0,0.08)';
-  const chipBorder = text === '#ffffff' ? '#ffffff' : 'rgba(0,0,0,0.2)';
-  const editText = _lum(accent) > 0.85 ? '#111827' : accent;
-  const borderColor = _lum(accent) < 0.45 ? '#ffffff' : '#111827';
+  // Calculate colors for styling (same text and chip colors as the card)
+  const accent = isHexColor(myCard.cardColor) ? myCard.cardColor : '#6366f1';
+  const text = getCardTextColor(accent, myCard.theme);
+  const chipBg = getCardChipColors(text).chip;
+  const chipBorder = text === CARD_TEXT_COLORS.light ? '#ffffff' : 'rgba(0,0,0,0.2)';
+  const editText = meetsContrastMinimum(accent, '#ffffff') ? accent : CARD_TEXT_COLORS.dark;
+  const borderColor = text;
 
   // Build name line with optional job title
-  const nameLine = (myCard.jobTitle && myCard.jobTitle.trim())
+  const nameLine = escapeHtml((myCard.jobTitle && myCard.jobTitle.trim())
     ? `${myCard.firstName} ${myCard.lastName} - ${myCard.jobTitle}`
-    : `${myCard.firstName} ${myCard.lastName}`;
+    : `${myCard.firstName} ${myCard.lastName}`);
+  const picUrl = isSafeImageSource(myCard.profilePic) ? myCard.profilePic : '';
 
   // Render card preview
-  section.innerHTML = `
-    <div class="my-card-section" style="background:${accent};color:${text};border:2px solid ${borderColor}">
-      <h3 style="color:${text}">My Business Card</h3>
+  section.innerHTML = switcher + `
+    <div class="my-card-section" style="background:${buildCardGradient(accent, myCard.theme)};color:${text};border:2px solid ${borderColor}">
+      <h3 style="color:${text}">${escapeHtml(t('home.myBusinessCard'))}</h3>
 
       <div class="my-card-preview">
-        <img src="${myCard.profilePic}" alt="${myCard.firstName}" class="my-card-pic">
+        <img src="${escapeHtml(picUrl)}" alt="${escapeHtml(myCard.firstName)}" class="my-card-pic">
 
         <div class="my-card-details">
           <h4 style="color:${text}">${nameLine}</h4>
-          <p style="color:${text}">${myCard.email}</p>
-          <p style="color:${text}">${myCard.phone || ''}</p>
+          <p style="color:${text}">${escapeHtml(myCard.email)}</p>
+          <p style="color:${text}">${escapeHtml(myCard.phone)}</p>
         </div>
       </div>
 
       <div style="display:flex;gap:10px;margin-top:20px;">
         <button class="action-btn" onclick="closeHome(); openSettings();" 
           style="background:#fff;color:${editText};font-weight:600;border:1px solid ${chipBorder}">
-          Edit Card
+          ${escapeHtml(t('home.editCard'))}
         </button>
 
         <button class="action-btn" onclick="closeHome(); openShare();" 
           style="background:${chipBg};color:${text};border:1px solid ${chipBorder};font-weight:600">
-          Share Card
+          ${escapeHtml(t('home.shareCard'))}
         </button>
       </div>
     </div>`;
 }
 
 /**
- * Load and display all saved contacts
+ * Build the profile switcher shown above the card preview
+ * @returns {Promise<string>} Switcher HTML (empty if there are no profiles yet)
+ */
+async function renderProfileSwitcher() {
+  const { activeId, defaultId, profiles } = await getCardProfiles();
+  if (profiles.length === 0) return '';
+
+  const options = profiles.map(profile => {
+    const label = profile.id === defaultId ? t('profiles.defaultName', { name: profile.name }) : profile.name;
+    const selected = profile.id === activeId ? ' selected' : '';
+    return `<option value="${escapeHtml(profile.id)}"${selected}>${escapeHtml(label)}</option>`;
+  }).join('');
+
+  return `
+    <div class="profile-switcher">
+      <label for="profileSelect">${escapeHtml(t('profiles.label'))}</label>
+      <select id="profileSelect" onchange="switchCardProfile(this.value)">${options}</select>
+      <div class="profile-actions">
+        <button class="action-btn" onclick="newCardProfile()">${escapeHtml(t('profiles.new'))}</button>
+        <button class="action-btn" onclick="duplicateActiveProfile()">${escapeHtml(t('profiles.duplicate'))}</button>
+        <button class="action-btn" onclick="renameActiveProfile()">${escapeHtml(t('profiles.rename'))}</button>
+        <button class="action-btn" onclick="setActiveProfileAsDefault()"${activeId === defaultId ? ' disabled' : ''}>${escapeHtml(t('profiles.setDefault'))}</button>
+        <button class="action-btn delete-btn" onclick="deleteActiveProfile()">${escapeHtml(t('common.delete'))}</button>
+      </div>
+    </div>`;
+}
+
+/**
+ * Switch to another card profile
+ * @param {string} id - Profile id
+ */
+async function switchCardProfile(id) {
+  await setActiveCardProfile(id);
+  await refreshAfterProfileChange();
+}
+
+/**
+ * Create a new, empty card profile and open settings to fill it in
+ */
+async function newCardProfile() {
+  const name = (prompt(t('profiles.newPrompt')) || '').trim();
+  if (!name) return;
+
+  if (!(await createCardProfile(name))) {
+    alert(t('profiles.createFailed'));
+    return;
+  }
+  await refreshAfterProfileChange();
+  closeHome();
+  openSettings();
+}
+
+/**
+ * Copy the active profile under a new name
+ */
+async function duplicateActiveProfile() {
+  const { activeId, profiles } = await getCardProfiles();
+  const active = profiles.find(p => p.id === activeId);
+  if (!active) return;
+
+  const name = (prompt(t('profiles.duplicatePrompt'), t('profiles.copyName', { name: active.name })) || '').trim();
+  if (!name) return;
+
+  if (!(await duplicateCardProfile(activeId, name))) {
+    alert(t('profiles.duplicateFailed'));
+    return;
+  }
+  await refreshAfterProfileChange();
+}
+
+/**
+ * Rename the active profile
+ */
+async function renameActiveProfile() {
+  const { activeId, profiles } = await getCardProfiles();
+  const active = profiles.find(p => p.id === activeId);
+  if (!active) return;
+
+  const name = (prompt(t('profiles.renamePrompt'), active.name) || '').trim();
+  if (!name || name === active.name) return;
+
+  await renameCardProfile(activeId, name);
+  await loadMyCardSection();
+}
+
+/**
+ * Make the active profile the one loaded on startup
+ */
+async function setActiveProfileAsDefault() {
+  const { activeId } = await getCardProfiles();
+  if (!activeId) return;
+
+  await setDefaultCardProfile(activeId);
+  await loadMyCardSection();
+}
+
+/**
+ * Delete the active profile after confirmation
+ */
+async function deleteActiveProfile() {
+  const { activeId, profiles } = await getCardProfiles();
+  const active = profiles.find(p => p.id === activeId);
+  if (!active) return;
+
+  if (!confirm(t('profiles.deleteConfirm', { name: active.name }))) return;
+
+  await deleteCardProfile(activeId);
+  await refreshAfterProfileChange();
+}
+
+/**
+ * Reload the main card view and home section after the active profile changes
+ */
+async function refreshAfterProfileChange() {
+  if (!viewingSharedCard) {
+    hideContactViewControls();
+    await loadMyCard();
+  }
+  await loadMyCardSection();
+}
+
+/**
+ * Load saved contacts from storage and display them
+ */
+async function loadContacts() {
+  savedContactsCache = await getSavedContacts();
+  renderTagFilterOptions();
+  renderContacts();
+}
+
+/**
+ * Fill the tag filter with every tag used on saved contacts
+ * Keeps the current selection if that tag still exists
+ */
+function renderTagFilterOptions() {
+  const select = document.getElementById('contactTagFilter');
+  if (!select) return;
+
+  const current = select.value;
+  const tags = getAllContactTags();
+
+  select.innerHTML = `<option value="">${escapeHtml(t('home.allTags'))}</option>` + tags
+    .map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`)
+    .join('');
+  select.value = tags.includes(current) ? current : '';
+}
+
+/**
+ * Collect the distinct tags used on saved contacts
+ * @returns {Array<string>} Tags sorted alphabetically for the current language
+ */
+function getAllContactTags() {
+  const tags = new Map();
+  savedContactsCache.forEach(contact => {
+    contact.annotations.tags.forEach(tag => tags.set(tag.toLowerCase(), tag));
+  });
+  return Array.from(tags.values()).sort((a, b) => a.localeCompare(b, getLocale()));
+}
+
+/**
+ * Display saved contacts matching the current search, filters and sort
+ * Works on the cached list, so it is cheap to call on every keystroke
  * Shows empty state if no contacts saved
  */
-function loadContacts() {
-  const contacts = getSavedContacts();
+function renderContacts() {
   const grid = document.getElementById('contactsGrid');
 
-  if (contacts.length === 0) {
+  if (savedContactsCache.length === 0) {
     // Show empty state
     grid.classList.add('is-empty');
     grid.innerHTML = `
@@ -128,59 +291,178 @@ function loadContacts() {
           <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
           <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
         </svg>
-        <h3>No contacts yet</h3>
-        <p>When someone shares their card with you, save it here</p>
+        <h3>${escapeHtml(t('home.noContactsTitle'))}</h3>
+        <p>${escapeHtml(t('home.noContactsText'))}</p>
+      </div>`;
+    return;
+  }
+
+  const contacts = getVisibleContacts();
+
+  if (contacts.length === 0) {
+    grid.classList.add('is-empty');
+    grid.innerHTML = `
+      <div class="empty-state">
+        <h3>${escapeHtml(t('home.noMatchesTitle'))}</h3>
+        <p>${escapeHtml(t('home.noMatchesText'))}</p>
       </div>`;
     return;
   }
 
   grid.classList.remove('is-empty');
 
-  // Render contact cards
-  grid.innerHTML = contacts.map((contact, index) => {
+  // Render contact cards (index refers to the position in storage)
+  grid.innerHTML = contacts.map(({ contact, index }) => {
     // Generate avatar URL if no profile pic
-    const avatarUrl = contact.profilePic && contact.profilePic.length > 100
+    const avatarUrl = isSafeImageSource(contact.profilePic)
       ? contact.profilePic
       : `https://ui-avatars.com/api/?name=${encodeURIComponent(contact.firstName + ' ' + contact.lastName)}&size=120&background=6366f1&color=fff&bold=true`;
+
+    // Cards saved from an expiring link may be out of date once it lapses
+    const outdated = isShareExpired(contact)
+      ? `<span class="outdated-badge" title="${escapeHtml(t('home.outdatedTitle', { date: formatDate(contact.expiresAt) }))}">${escapeHtml(t('home.outdated'))}</span>`
+      : '';
+
+    // When it was saved, and when the sender last changed it
+    const dates = [
+      contact.savedAt ? t('home.savedOn', { date: formatDate(contact.savedAt) }) : '',
+      contact.lastUpdated ? t('home.updatedOn', { date: formatDate(contact.lastUpdated) }) : ''
+    ].filter(Boolean).join(' · ');
+
+    const tagChips = contact.annotations.tags.length
+      ? `<div class="tag-list">${contact.annotations.tags
+          .map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}</div>`
+      : '';
     
     return `
       <div class="saved-card">
         <div class="saved-card-header">
-          <img src="${avatarUrl}" alt="${contact.firstName}" class="saved-card-pic">
+          <img src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(contact.firstName)}" class="saved-card-pic">
           <div class="saved-card-info">
-            <h3>${contact.firstName} ${contact.lastName}</h3>
-            <p>${contact.email}</p>
+            <h3>${escapeHtml(contact.firstName)} ${escapeHtml(contact.lastName)}</h3>
+            <p>${escapeHtml(contact.email)}</p>
+            ${dates ? `<p class="saved-card-dates">${escapeHtml(dates)}</p>` : ''}
+            ${outdated}
           </div>
         </div>
+        ${tagChips}
 
         <div class="saved-card-actions">
-          <button class="action-btn" onclick="viewContact(${index})">View</button>
-          <button class="action-btn delete-btn" onclick="deleteContact(${index})">Delete</button>
+          <button class="action-btn" onclick="viewContact(${index})">${escapeHtml(t('home.view'))}</button>
+          <button class="action-btn" onclick="downloadContactVCard(${index})">${escapeHtml(t('card.downloadVcf'))}</button>
+          <button class="action-btn delete-btn" onclick="deleteContact(${index})">${escapeHtml(t('common.delete'))}</button>
         </div>
       </div>
     `}).join('');
 }
 
+/**
+ * Apply the contacts toolbar (search, filters, sort) to the cached contacts
+ * @returns {Array<Object>} [{contact, index}] in display order
+ */
+function getVisibleContacts() {
+  const query = normalizeForSearch(document.getElementById('contactSearchInput')?.value || '');
+  const queryDigits = query.replace(/\D+/g, '');
+  const sortBy = document.getElementById('contactSortSelect')?.value || 'name';
+  const hasResume = document.getElementById('filterHasResume')?.checked;
+  const hasLinkedin = document.getElementById('filterHasLinkedin')?.checked;
+  const tagFilter = (document.getElementById('contactTagFilter')?.value || '').toLowerCase();
+
+  const matchesQuery = (contact) => {
+    if (!query) return true;
+
+    const text = normalizeForSearch([
+      `${contact.firstName} ${contact.lastName}`,
+      contact.email,
+      contact.jobTitle,
+      contact.phone,
+      contact.annotations.tags.join(' '),
+      contact.annotations.notes
+    ].join(' '));
+    if (text.includes(query)) return true;
+
+    // Let "5551234" match "+1 (555) 123-4567"
+    const phoneDigits = (contact.phoneE164 || contact.phone || '').replace(/\D+/g, '');
+    return queryDigits.length >= 3 && queryDigits === query.replace(/[\s()+-]/g, '') &&
+      phoneDigits.includes(queryDigits);
+  };
+
+  const matchesFilters = (contact) => {
+    if (hasResume && !contact.resumes.some(resume => resume.url)) return false;
+    if (hasLinkedin && !contact.socialLinks.some(link => link.type === 'linkedin')) return false;
+    if (tagFilter && !contact.annotations.tags.some(tag => tag.toLowerCase() === tagFilter)) return false;
+    return true;
+  };
+
+  const byName = (a, b) =>
+    `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`, getLocale(), { sensitivity: 'base' });
+  const byDateDesc = (field) => (a, b) => (b[field] || '').localeCompare(a[field] || '');
+  const comparators = {
+    name: byName,
+    saved: byDateDesc('savedAt'),
+    updated: byDateDesc('lastUpdated')
+  };
+  const compare = comparators[sortBy] || byName;
+
+  return savedContactsCache
+    .map((contact, index) => ({ contact, index }))
+    .filter(({ contact }) => matchesQuery(contact) && matchesFilters(contact))
+    .sort((a, b) => compare(a.contact, b.contact));
+}
+
 /**
  * Save currently viewed shared card to contacts
  * Prevents duplicate saves and returns user to their own card
  */
-function saveContact() {
+async function saveContact() {
   if (!sharedCardData) return;
 
-  const success = addContact(sharedCardData);
+  const name = `${sharedCardData.firstName} ${sharedCardData.lastName}`;
+  const signature = sharedCardSignature;
 
-  if (!success) {
-    alert('This contact is already in your collection!');
+  if (signature.status === SIGNATURE_STATUS.MISMATCH &&
+      !confirm(t('contact.signatureMismatchConfirm'))) {
     return;
   }
 
-  alert(`${sharedCardData.firstName} ${sharedCardData.lastName}'s card saved to your contacts!`);
+  // Pin the sender's key when the card is verified
+  const card = {
+    ...sharedCardData,
+    pinnedKey: signature.status === SIGNATURE_STATUS.VERIFIED
+      ? { publicKey: signature.publicKey, fingerprint: signature.fingerprint }
+      : null
+  };
+  const existing = await findMatchingContact(card);
+
+  if (existing) {
+    const changes = diffContactCards(existing, card);
+    if (changes.length === 0) {
+      alert(t('contact.alreadyLatest', { name }));
+      return;
+    }
+
+    if (!confirm(buildContactUpdatePrompt(existing, card, changes))) return;
+
+    if (!await updateContact(existing.id, card)) {
+      alert(t('contact.updateFailed'));
+      return;
+    }
+    alert(t('contact.updated', { name }));
+  } else {
+    if (!await addContact(card)) {
+      alert(t('contact.alreadySaved'));
+      return;
+    }
+    alert(t('contact.saved', { name }));
+  }
+
   document.getElementById('saveContactBtn').classList.remove('show');
+  document.getElementById('signatureBadge').classList.remove('show');
   
   // Return to user's own card
   viewingSharedCard = false;
   sharedCardData = null;
+  sharedCardSignature = null;
   loadMyCard();
   
   // Clean up URL
@@ -190,42 +472,304 @@ function saveContact() {
   }
 }
 
+/**
+ * List the fields that differ between a saved contact and an incoming card
+ * Private fields (annotations, ids, timestamps) are not compared
+ * @param {Object} oldCard - Saved contact
+ * @param {Object} newCard - Incoming card
+ * @returns {Array<{label: string, before: string, after: string}>} Changed fields (translated labels)
+ */
+function diffContactCards(oldCard, newCard) {
+  const fields = [
+    [t('field.firstName'), c => c.firstName],
+    [t('field.lastName'), c => c.lastName],
+    [t('field.jobTitle'), c => c.jobTitle],
+    [t('field.email'), c => c.email],
+    [t('field.phone'), c => c.phone],
+    [t('field.socialLinks'), c => c.socialLinks
+      .map(link => `${getSocialLinkName(link)}: ${link.url}`)
+      .join(', ')],
+    [t('field.cardColor'), c => c.cardColor],
+    [t('field.bgColor'), c => c.bgColor],
+    [t('field.theme'), c => JSON.stringify(normalizeCardTheme(c.theme)), true],
+    [t('field.photo'), c => c.profilePic, true]
+  ];
+
+  Object.keys(PORTFOLIO_LABELS).forEach(key => {
+    if (key === 'resume') {
+      fields.push([t('field.resumes'), c => c.resumes
+        .map(resume => `${resume.label} (${getResumeFormatLabel(resume.format)}): ${resume.url}`)
+        .join(', ')]);
+    } else {
+      fields.push([getPortfolioLabel(key), c => c.portfolioLinks[key]]);
+    }
+    fields.push([t('field.sectionShown', { section: getPortfolioLabel(key) }),
+      c => (c.portfolioVisibility[key] ? t('common.yes') : t('common.no'))]);
+  });
+
+  fields.push([t('field.buttonOrder'), c => getVisiblePortfolioItems(c).map(item => item.label).join(' · ')]);
+  fields.push([t('field.customSections'), c => (c.customSections || [])
+    .filter(section => section.visible !== false)
+    .map(section => `${section.label} (${section.url || t('field.noLink')})`)
+    .join(', ')]);
+
+  const current = migrateCard(newCard);
+  return fields
+    .filter(([, get]) => (get(oldCard) || '') !== (get(current) || ''))
+    .map(([label, get, opaque]) => ({
+      label,
+      before: opaque ? (get(oldCard) ? t('diff.set') : t('diff.none')) : (get(oldCard) || t('diff.empty')),
+      after: opaque ? (get(current) ? t('diff.changed') : t('diff.removed')) : (get(current) || t('diff.empty'))
+    }));
+}
+
+/**
+ * Build the confirmation text for updating a saved contact
+ * @param {Object} oldCard - Saved contact
+ * @param {Object} newCard - Incoming card
+ * @param {Array} changes - Changed fields from diffContactCards()
+ * @returns {string} Prompt text
+ */
+function buildContactUpdatePrompt(oldCard, newCard, changes) {
+  const lines = [t('update.intro', { name: `${oldCard.firstName} ${oldCard.lastName}` }), ''];
+  changes.forEach(change => lines.push(`• ${change.label}: ${change.before} → ${change.after}`));
+  lines.push('');
+
+  const oldDate = Date.parse(oldCard.lastUpdated);
+  const newDate = Date.parse(newCard.lastUpdated);
+  if (newDate && oldDate && newDate < oldDate) {
+    lines.push(t('update.older', { saved: formatDate(oldDate), incoming: formatDate(newDate) }));
+  } else if (newDate) {
+    lines.push(t('update.cardUpdated', { date: formatDate(newDate) }));
+  }
+
+  const pinned = oldCard.pinnedKey;
+  const incoming = newCard.pinnedKey;
+  if (pinned && (!incoming || incoming.fingerprint !== pinned.fingerprint)) {
+    lines.push(incoming
+      ? '⚠ ' + t('update.differentKey', { incoming: incoming.fingerprint, pinned: pinned.fingerprint })
+      : '⚠ ' + t('update.unsigned'));
+  }
+
+  lines.push(t('update.choice'));
+  return lines.join('\n');
+}
+
 /**
  * View a saved contact's card
  * @param {number} index - Index of contact in saved contacts array
  */
-function viewContact(index) {
-  const contacts = getSavedContacts();
+async function viewContact(index) {
+  const contacts = await getSavedContacts();
   const contact = contacts[index];
 
   if (contact) {
     applyCardData(contact);
     closeHome();
+    viewingContactId = contact.id;
     
-    // Show "Back to My Card" button
+    // Show "Back to My Card" and "Tags & Notes" buttons
     document.getElementById('backToMyCardBtn').classList.add('show');
+    document.getElementById('contactNotesBtn').classList.add('show');
   }
 }
 
 /**
  * Return to viewing user's own card
- * Hides the "Back to My Card" button and loads user's card
+ * Hides the contact view buttons and loads user's card
  */
 function returnToMyCard() {
-  // Hide the back button
-  document.getElementById('backToMyCardBtn').classList.remove('show');
+  hideContactViewControls();
   
   // Load user's own card
   loadMyCard();
 }
 
+/**
+ * Hide the buttons shown while viewing a saved contact
+ */
+function hideContactViewControls() {
+  viewingContactId = null;
+  document.getElementById('backToMyCardBtn').classList.remove('show');
+  document.getElementById('contactNotesBtn').classList.remove('show');
+  closeContactNotes();
+}
+
+/* ==========================================================
+   CONTACT TAGS & NOTES
+   Private annotations on saved contacts, edited from the
+   contact view opened by viewContact()
+   ========================================================== */
+
+// Tags being edited in the notes modal (saved on "Save")
+let editingContactTags = [];
+
+/**
+ * Open the tags & notes editor for the contact being viewed
+ */
+async function openContactNotes() {
+  const contact = (await getSavedContacts()).find(c => c.id === viewingContactId);
+  if (!contact) return;
+
+  editingContactTags = contact.annotations.tags.slice();
+  document.getElementById('contactNotesTitle').textContent =
+    t('notes.titleFor', { name: `${contact.firstName} ${contact.lastName}` });
+  document.getElementById('contactNotesInput').value = contact.annotations.notes;
+  document.getElementById('tagInput').value = '';
+
+  // Suggest tags already used on other contacts
+  savedContactsCache = await getSavedContacts();
+  document.getElementById('knownTagsList').innerHTML = getAllContactTags()
+    .map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+
+  renderTagEditor();
+  document.getElementById('contactNotesModal').classList.add('active');
+}
+
+/**
+ * Close the tags & notes editor without saving
+ */
+function closeContactNotes() {
+  document.getElementById('contactNotesModal').classList.remove('active');
+}
+
+/**
+ * Render the tag chips inside the editor
+ */
+function renderTagEditor() {
+  document.getElementById('tagChips').innerHTML = editingContactTags.map((tag, i) => `
+    <span class="tag-chip">
+      ${escapeHtml(tag)}
+      <button type="button" class="tag-remove" onclick="removeEditingTag(${i})" aria-label="${escapeHtml(t('notes.removeTag', { tag }))}">×</button>
+    </span>`).join('');
+}
+
+/**
+ * Add tags typed into the tag input (Enter or comma separates tags)
+ * @param {KeyboardEvent} event - Keydown event from the tag input
+ */
+function handleTagInputKey(event) {
+  if (event.key !== 'Enter' && event.key !== ',') return;
+  event.preventDefault();
+  addEditingTags(event.target.value);
+  event.target.value = '';
+}
+
+/**
+ * Add one or more comma-separated tags to the editor
+ * Tags are trimmed, limited to 30 characters and de-duplicated case-insensitively
+ * @param {string} text - Tag text
+ */
+function addEditingTags(text) {
+  text.split(',').forEach(raw => {
+    const tag = raw.replace(/\s+/g, ' ').trim().slice(0, 30);
+    if (tag && !editingContactTags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      editingContactTags.push(tag);
+    }
+  });
+  renderTagEditor();
+}
+
+/**
+ * Remove a tag from the editor
+ * @param {number} index - Index of tag to remove
+ */
+function removeEditingTag(index) {
+  editingContactTags.splice(index, 1);
+  renderTagEditor();
+}
+
+/**
+ * Save tags and notes for the contact being viewed
+ */
+async function saveContactNotes() {
+  // Include a tag still sitting in the input
+  const tagInput = document.getElementById('tagInput');
+  if (tagInput.value.trim()) {
+    addEditingTags(tagInput.value);
+    tagInput.value = '';
+  }
+
+  const saved = await updateContactAnnotations(viewingContactId, {
+    tags: editingContactTags,
+    notes: document.getElementById('contactNotesInput').value.trim()
+  });
+
+  if (!saved) {
+    alert(t('notes.saveFailed'));
+    return;
+  }
+
+  closeContactNotes();
+  showCopyFeedback(t('notes.saved'));
+}
+
+/**
+ * Download a saved contact as a .vcf file
+ * @param {number} index - Index of contact in saved contacts array
+ */
+async function downloadContactVCard(index) {
+  const contact = (await getSavedContacts())[index];
+  if (contact) {
+    downloadVCard(contact);
+  }
+}
+
+/**
+ * Import contacts from one or more .vcf files
+ * Each file may contain several vCards; duplicates are skipped
+ * @param {FileList} files - Files chosen in the import input
+ */
+async function importVCardFiles(files) {
+  if (!files || files.length === 0) return;
+
+  let imported = 0;
+  let duplicates = 0;
+  let unreadable = 0;
+  let cleaned = 0;
+
+  for (const file of Array.from(files)) {
+    try {
+      const cards = parseVCards(await file.text());
+      if (cards.length === 0) unreadable++;
+
+      for (const parsed of cards) {
+        // Imported files are as untrusted as share links
+        const { card, problems } = validateSharedCard(parsed);
+        if (problems.length) {
+          console.warn(`Problems in ${file.name}:`, problems);
+          cleaned++;
+        }
+        if (!card) continue;
+
+        if (await addContact(card)) {
+          imported++;
+        } else {
+          duplicates++;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to import ${file.name}:`, error);
+      unreadable++;
+    }
+  }
+
+  const lines = [t('import.imported', { count: imported })];
+  if (duplicates) lines.push(t('import.duplicates', { count: duplicates }));
+  if (cleaned) lines.push(t('import.cleaned', { count: cleaned }));
+  if (unreadable) lines.push(t('import.unreadable', { count: unreadable }));
+  alert(lines.join('\n'));
+
+  loadContacts();
+}
+
 /**
  * Delete a saved contact after confirmation
  * @param {number} index - Index of contact to delete
  */
-function deleteContact(index) {
-  if (!confirm('Remove this contact?')) return;
+async function deleteContact(index) {
+  if (!confirm(t('contact.removeConfirm'))) return;
 
-  removeContact(index);
-  loadContacts();
+  await removeContact(index);
+  await loadContacts();
 }
\ No newline at end of file
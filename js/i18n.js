@@ -0,0 +1,159 @@
+/* ==========================================================
+   I18N MODULE
+   Message catalogs, locale detection, pluralization and
+   locale-aware dates. Catalogs live in js/locales/<locale>.js
+   and add themselves to MESSAGES; English is the fallback.
+   ========================================================== */
+
+// Languages offered in the language switcher (native names)
+const SUPPORTED_LOCALES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  ja: '日本語'
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Message catalogs by locale: flat 'area.key' -> string, or
+// {one, other, ...} keyed by Intl.PluralRules category
+const MESSAGES = {};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Pick the interface language: the saved choice, then the browser's
+ * preferred languages, then English
+ * @returns {string} Supported locale code
+ */
+function detectLocale() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STORAGE_KEYS.LOCALE);
+  } catch (error) {
+    // Storage unavailable (private mode); fall through to the browser
+  }
+  if (saved && SUPPORTED_LOCALES[saved]) return saved;
+
+  const preferred = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  for (const language of preferred) {
+    const base = String(language || '').toLowerCase().split('-')[0];
+    if (SUPPORTED_LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Current interface language
+ * @returns {string} Locale code, e.g. "fr"
+ */
+function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Change the interface language, remember it and translate the page
+ * Views built in JavaScript must be re-rendered by the caller
+ * @param {string} locale - Supported locale code
+ * @returns {boolean} True if the locale was applied
+ */
+function setLocale(locale) {
+  if (!SUPPORTED_LOCALES[locale]) return false;
+
+  currentLocale = locale;
+  try {
+    localStorage.setItem(STORAGE_KEYS.LOCALE, locale);
+  } catch (error) {
+    console.error('Failed to save language:', error);
+  }
+  applyTranslations();
+  return true;
+}
+
+/**
+ * Translate a message
+ * Placeholders like {name} are replaced from params (numbers are
+ * formatted for the locale); plural messages pick their form from params.count
+ * @param {string} key - Message key, e.g. 'share.linkCopied'
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated text (the English text, or the key, if missing)
+ */
+function t(key, params = {}) {
+  const catalog = MESSAGES[currentLocale] || {};
+  let message = catalog[key] ?? (MESSAGES[DEFAULT_LOCALE] || {})[key] ?? key;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? value.toLocaleString(currentLocale) : String(value);
+  });
+}
+
+/**
+ * Format a date for display in the current locale
+ * @param {string|number|Date} value - ISO string, timestamp or Date
+ * @param {Object} options - Intl.DateTimeFormat options (default: medium date)
+ * @returns {string} Formatted date, or '' if the value is not a date
+ */
+function formatDate(value, options = { dateStyle: 'medium' }) {
+  if (value === '' || value === null || value === undefined) return '';
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(currentLocale, options).format(date);
+}
+
+/**
+ * Translate static markup
+ * data-i18n sets the text; data-i18n-placeholder, data-i18n-title and
+ * data-i18n-aria-label set those attributes
+ * @param {ParentNode} root - Element to translate (default: whole document)
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+
+  ['placeholder', 'title', 'aria-label'].forEach(attr => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+
+  document.documentElement.lang = currentLocale;
+}
+
+/**
+ * Display name of a built-in portfolio section in the current language
+ * @param {string} key - PORTFOLIO_LABELS key
+ * @param {boolean} short - Use the shorter card button name
+ * @returns {string} Section name
+ */
+function getPortfolioLabel(key, short = false) {
+  return t(`${short ? 'portfolioButton' : 'portfolio'}.${key}`);
+}
+
+/**
+ * Display name of a resume format in the current language
+ * @param {string} format - RESUME_FORMATS key
+ * @returns {string} Format name (upper-cased key if unknown)
+ */
+function getResumeFormatLabel(format) {
+  return format in RESUME_FORMATS ? t(`resumeFormat.${format}`) : String(format).toUpperCase();
+}
+
+/**
+ * Display name of a social link type in the current language
+ * @param {string} type - SOCIAL_LINK_TYPES key
+ * @returns {string} Type name
+ */
+function getSocialLinkTypeLabel(type) {
+  return t(`socialType.${type in SOCIAL_LINK_TYPES ? type : 'other'}`);
+}
+
+currentLocale = detectLocale();
@@ -0,0 +1,484 @@
+/* ==========================================================
+   ENGLISH MESSAGES
+   Source catalog and fallback for every other language.
+   Plural messages are {one, other} (Intl.PluralRules categories).
+   ========================================================== */
+
+MESSAGES.en = {
+  // Shared words
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.delete': 'Delete',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+
+  // Floating navigation
+  'nav.openHome': 'Open home panel',
+  'nav.openShare': 'Open share panel',
+  'nav.openSettings': 'Open settings',
+
+  // Business card
+  'card.hint': 'Click card to see contact info',
+  'card.hintShared': 'Click card to see full details',
+  'card.downloadVcf': 'Download .vcf',
+  'card.portfolioHeading': 'PORTFOLIO',
+  'copy.email': 'Email',
+  'copy.copied': '{label} copied!',
+  'copy.failed': 'Could not copy {label}',
+
+  // Portfolio sections (full names, then the shorter card button names)
+  'portfolio.cert': 'Certifications',
+  'portfolio.edu': 'Education',
+  'portfolio.proj': 'Projects',
+  'portfolio.ref': 'References',
+  'portfolio.resume': 'Resume',
+  'portfolio.work': 'Work Experience',
+  'portfolioButton.cert': 'Certifications',
+  'portfolioButton.edu': 'Education',
+  'portfolioButton.proj': 'Projects',
+  'portfolioButton.ref': 'References',
+  'portfolioButton.resume': 'Resume',
+  'portfolioButton.work': 'Work',
+  'portfolio.unsafeLink': 'This link is not a valid web address, so it was not opened.',
+  'portfolio.noContactLink': 'No {item} link available for this contact.',
+  'portfolio.noOwnLink': 'No link set for {item}.\n\nAdd a URL in Settings to link to your portfolio.',
+  'portfolio.thisSection': 'this section',
+
+  // Resumes
+  'resumeFormat.pdf': 'PDF',
+  'resumeFormat.docx': 'Word (DOCX)',
+  'resumeFormat.html': 'Web page (HTML)',
+  'resumeFormat.md': 'Markdown',
+  'resume.chooseTitle': 'Choose a resume',
+  'resume.updated': 'Updated {date}',
+  'resume.labelPlaceholder': 'Label, e.g. Engineering',
+  'resume.format': 'Format',
+  'resume.remove': 'Remove resume',
+  'resume.updatedTitle': 'Last updated (optional)',
+  'resume.limit': { one: 'You can add up to {count} resume.', other: 'You can add up to {count} resumes.' },
+  'resume.missingUrl': 'Add a link for the "{label}" resume.',
+
+  // Social links
+  'social.type': 'Link type',
+  'social.remove': 'Remove link',
+  'social.labelPlaceholder': 'Label, e.g. Podcast',
+  'social.limit': { one: 'You can add up to {count} link.', other: 'You can add up to {count} links.' },
+  'social.missingUrl': 'Add a URL for the {name} link.',
+  'social.missingLabel': 'Add a label for {url}.',
+  'social.invalidUrl': 'The {name} link does not look right. Use a profile URL like {example}',
+  'socialType.linkedin': 'LinkedIn',
+  'socialType.github': 'GitHub',
+  'socialType.website': 'Website',
+  'socialType.x': 'X',
+  'socialType.mastodon': 'Mastodon',
+  'socialType.behance': 'Behance',
+  'socialType.youtube': 'YouTube',
+  'socialType.other': 'Other',
+
+  // Custom portfolio sections and button order
+  'customSection.showOnCard': 'Show on card',
+  'customSection.labelPlaceholder': 'Label, e.g. Demo Reel',
+  'customSection.remove': 'Remove section',
+  'customSection.limit': {
+    one: 'You can add up to {count} custom section.',
+    other: 'You can add up to {count} custom sections.'
+  },
+  'customSection.missingName': 'Give each custom portfolio section a name.',
+  'customSection.duplicate': 'There is already a portfolio section called "{label}".',
+  'customSection.untitled': 'Untitled section',
+  'order.itemLabel': '{label}, position {position} of {total}',
+  'order.moveUp': 'Move up',
+  'order.moveDown': 'Move down',
+
+  // Home panel
+  'home.title': 'My Collection',
+  'home.tabMyCard': 'My Card',
+  'home.tabContacts': 'Saved Contacts',
+  'home.emptyCardTitle': 'Create Your Business Card',
+  'home.emptyCardText': 'Set up your digital business card to share with others',
+  'home.createCard': 'Create My Card',
+  'home.myBusinessCard': 'My Business Card',
+  'home.editCard': 'Edit Card',
+  'home.shareCard': 'Share Card',
+  'home.searchPlaceholder': 'Search name, email, title or phone',
+  'home.searchLabel': 'Search contacts',
+  'home.sortLabel': 'Sort contacts',
+  'home.sortName': 'Sort: Name',
+  'home.sortSaved': 'Sort: Date saved',
+  'home.sortUpdated': 'Sort: Last updated',
+  'home.tagFilterLabel': 'Filter by tag',
+  'home.allTags': 'All tags',
+  'home.hasResume': 'Has resume',
+  'home.hasLinkedin': 'Has LinkedIn',
+  'home.importVcf': 'Import .vcf',
+  'home.noContactsTitle': 'No contacts yet',
+  'home.noContactsText': 'When someone shares their card with you, save it here',
+  'home.noMatchesTitle': 'No matching contacts',
+  'home.noMatchesText': 'Try a different search or clear the filters',
+  'home.outdated': 'Possibly outdated',
+  'home.outdatedTitle': 'The link this card came from expired on {date}',
+  'home.savedOn': 'Saved {date}',
+  'home.updatedOn': 'Updated {date}',
+  'home.view': 'View',
+
+  // Card profiles
+  'profiles.label': 'Card profile',
+  'profiles.firstProfile': 'My Card',
+  'profiles.defaultName': '{name} (default)',
+  'profiles.new': 'New',
+  'profiles.duplicate': 'Duplicate',
+  'profiles.rename': 'Rename',
+  'profiles.setDefault': 'Set Default',
+  'profiles.newPrompt': 'Name for the new card profile (e.g. "Job Fair"):',
+  'profiles.createFailed': 'Could not create the profile.',
+  'profiles.duplicatePrompt': 'Name for the copy:',
+  'profiles.copyName': '{name} (copy)',
+  'profiles.duplicateFailed': 'Could not duplicate the profile.',
+  'profiles.renamePrompt': 'New profile name:',
+  'profiles.deleteConfirm': 'Delete the "{name}" card profile? This cannot be undone.',
+
+  // Saving and viewing contacts
+  'contact.saveToContacts': 'Save to My Contacts',
+  'contact.backToMyCard': '← Back to My Card',
+  'contact.signatureMismatchConfirm':
+    'This card\'s signature does not match its contents, so it may have been altered.\n\nSave it anyway?',
+  'contact.alreadyLatest': 'You already have the latest version of {name}\'s card.',
+  'contact.updateFailed': 'Could not update this contact.',
+  'contact.updated': '{name}\'s card updated. Your tags and notes were kept.',
+  'contact.alreadySaved': 'This contact is already in your collection!',
+  'contact.saved': '{name}\'s card saved to your contacts!',
+  'contact.removeConfirm': 'Remove this contact?',
+
+  // Card fields (change lists and validation messages)
+  'field.firstName': 'First name',
+  'field.lastName': 'Last name',
+  'field.jobTitle': 'Job title',
+  'field.email': 'Email',
+  'field.phone': 'Phone',
+  'field.phoneE164': 'Phone (E.164)',
+  'field.countryCode': 'Country code',
+  'field.localNumber': 'Local number',
+  'field.phoneCountry': 'Phone country',
+  'field.linkedin': 'LinkedIn',
+  'field.socialLinks': 'Social links',
+  'field.socialLinkName': 'Link label',
+  'field.cardColor': 'Card color',
+  'field.bgColor': 'Background color',
+  'field.theme': 'Card theme',
+  'field.gradientColor': 'Gradient color',
+  'field.logo': 'Logo',
+  'field.photo': 'Photo',
+  'field.resumes': 'Resumes',
+  'field.resumeName': 'Resume name',
+  'field.sectionShown': '{section} shown',
+  'field.buttonOrder': 'Button order',
+  'field.customSections': 'Custom sections',
+  'field.customSectionName': 'Custom section name',
+  'field.noLink': 'no link',
+  'field.lastUpdated': 'Last updated date',
+  'field.expiresAt': 'Expiry date',
+
+  // Updating a saved contact
+  'diff.set': 'set',
+  'diff.none': 'none',
+  'diff.changed': 'changed',
+  'diff.removed': 'removed',
+  'diff.empty': '(empty)',
+  'update.intro': 'You already have {name} saved. This card has changes:',
+  'update.older': 'Warning: this card (updated {incoming}) is OLDER than the version you saved ({saved}).',
+  'update.cardUpdated': 'Card updated {date}.',
+  'update.differentKey': 'Signed with a DIFFERENT key ({incoming}) than the one pinned for this contact ({pinned}).',
+  'update.unsigned': 'This card is not signed, but your saved copy was signed by this contact.',
+  'update.choice': 'OK = update (your tags and notes are kept)  ·  Cancel = keep the saved version',
+
+  // Tags & notes
+  'notes.title': 'Tags & Notes',
+  'notes.titleFor': 'Tags & Notes for {name}',
+  'notes.hint': 'Only you can see these. They are kept if this contact sends you an updated card.',
+  'notes.tags': 'Tags',
+  'notes.tagPlaceholder': 'e.g. Spring Fair 2026 — press Enter to add',
+  'notes.notes': 'Notes',
+  'notes.notesPlaceholder': 'Where you met, what to follow up on…',
+  'notes.removeTag': 'Remove tag {tag}',
+  'notes.saveFailed': 'Could not save tags and notes.',
+  'notes.saved': 'Tags & notes saved',
+
+  // vCard import
+  'import.imported': { one: 'Imported {count} contact.', other: 'Imported {count} contacts.' },
+  'import.duplicates': { one: '{count} already in your collection.', other: '{count} already in your collection.' },
+  'import.cleaned': {
+    one: '{count} had invalid details that were left out (see the browser console).',
+    other: '{count} had invalid details that were left out (see the browser console).'
+  },
+  'import.unreadable': { one: '{count} file could not be read.', other: '{count} files could not be read.' },
+
+  // Share panel
+  'share.title': 'Share My Card',
+  'share.qrHeading': 'Share via QR Code',
+  'share.instructions': 'Others can scan this QR code to view and save your business card.',
+  'share.protect': 'Protect with a passphrase',
+  'share.passphrasePlaceholder': 'Passphrase to give to recipients',
+  'share.expiresLabel': 'Link expires',
+  'share.expiryNever': 'Never',
+  'share.expiryDay': 'After 1 day',
+  'share.expiryWeek': 'After 1 week',
+  'share.expiryMonth': 'After 1 month',
+  'share.expiryCustom': 'On a custom date…',
+  'share.regenerate': 'Regenerate',
+  'share.copyLink': 'Copy Link',
+  'share.openLink': 'Open Link',
+  'share.noCard': 'Please create your card in Settings first!',
+  'share.fileWarning': 'This is a local file ({scheme}). Phones cannot open that. ' +
+    'Run a web server and use your network URL instead.',
+  'share.localhostWarning': 'The QR points to {host}. Other devices cannot reach it. ' +
+    'Use your network IP (e.g., {example}).',
+  'share.qrFailed': 'QR code generation failed. Use Copy Link or Open Link buttons below:',
+  'share.qrLabel': 'QR code for your share link',
+  'share.photoCost': { one: 'Your photo adds {count} byte to the link.', other: 'Your photo adds {count} bytes to the link.' },
+  'share.photoTooLarge': 'Your photo could not be shrunk below {count} bytes, ' +
+    'so recipients will see an initials avatar instead.',
+  'share.passphraseMissing': 'Enter a passphrase to create a protected link.',
+  'share.expiryMissing': 'Choose the date the link should expire.',
+  'share.expiryPast': 'Choose an expiry date in the future.',
+  'share.signed': 'Links are signed by this device (key {fingerprint}).',
+  'share.unsigned': 'Links are unsigned: signing needs https:// or localhost.',
+  'share.linkCopied': 'Link copied to clipboard!',
+  'share.copyFailed': 'Copy failed. Please select and copy manually.',
+
+  // Print export
+  'print.heading': 'Print Your Card',
+  'print.instructions': 'Download a PDF of the front and back with bleed and crop marks. The QR code uses the link options above.',
+  'print.sizeLabel': 'Card size',
+  'print.sizeUs': 'US (3.5 × 2 in)',
+  'print.sizeEu': 'European (85 × 55 mm)',
+  'print.sizeCreditCard': 'Credit card (85.6 × 54 mm)',
+  'print.layoutLabel': 'Layout',
+  'print.layoutSingle': 'One card per page, with bleed (print shop)',
+  'print.layoutLetter': { one: '{count} card on US Letter', other: '{count} cards on US Letter' },
+  'print.layoutA4': { one: '{count} card on A4', other: '{count} cards on A4' },
+  'print.download': 'Download PDF',
+  'print.preparing': 'Preparing PDF…',
+  'print.qrFailed': 'The QR code for the back could not be created. Try a shorter link (for example a smaller photo).',
+  'print.failed': 'The PDF could not be created. Please try again.',
+
+  // Opening a shared card
+  'shared.passphrasePrompt': 'This card is protected. Enter the passphrase you were given:',
+  'shared.passphraseRetry': 'Incorrect passphrase. Please try again:',
+  'shared.passphraseCancelled': 'This card is passphrase-protected. Open the link again to enter the passphrase.',
+  'shared.openFailed': 'This card link could not be opened: {reason}',
+  'shared.problemsIntro': 'Some details on this card were not safe or valid and were left out:',
+  'shared.moreProblems': { one: '…and {count} more', other: '…and {count} more' },
+  'expired.title': 'This card link has expired',
+  'expired.message': '{sender} shared this card with a link that expired on {date}, ' +
+    'so the details may be out of date. Ask them for a new link or QR code.',
+  'expired.theSender': 'The sender',
+  'expired.goToMyCard': 'Go to My Card',
+  'badge.verified': 'Verified · key {fingerprint}',
+  'badge.keyChanged': 'Signed with a different key than your saved contact (now {now}, was {was})',
+  'badge.mismatch': 'Signature mismatch: this card may have been altered',
+  'badge.unchecked': 'Signed, but this browser cannot check signatures (needs https://)',
+  'badge.unsignedPinned': 'Unsigned: your saved copy of this contact was signed',
+  'badge.unsigned': 'Unsigned card: the sender could not be verified',
+
+  // Card links
+  'codec.unsupportedVersion': 'Unsupported card link version: {version}',
+  'codec.noCompression': 'This browser cannot open compressed card links.',
+  'codec.malformed': 'Malformed card payload',
+  'codec.passphraseNeedsHttps': 'Passphrase protection needs https:// or localhost.',
+  'codec.passphraseRequired': 'This card is passphrase-protected.',
+  'codec.passphraseUnsupported': 'This browser cannot open passphrase-protected cards (needs https://).',
+  'codec.wrongPassphrase': 'Incorrect passphrase.',
+
+  // Checking shared and imported cards
+  'validation.unrecognisedCard': 'The card data is not in a recognised format.',
+  'validation.unexpectedField': 'Ignored unexpected field "{field}".',
+  'validation.schemaVersion': 'Ignored an invalid schema version.',
+  'validation.noName': 'The card has no name.',
+  'validation.notText': '{label} was not text and was removed.',
+  'validation.controlCharacters': '{label} contained hidden control characters, which were removed.',
+  'validation.tooLong': '{label} was longer than {count} characters and was shortened.',
+  'validation.invalidValue': '{label} "{value}" is not valid and was removed.',
+  'validation.invalidUrl': '{label} link was removed because it is not a valid http(s) address.',
+  'validation.invalidColor': '{label} is not a valid color; the default was used.',
+  'validation.unrecognisedTheme': 'The card theme was not in a recognised format; the default theme was used.',
+  'validation.invalidThemeOption': 'Theme {option} "{value}" is not supported; the default was used.',
+  'validation.invalidImage': 'Profile photo was removed because it is not a supported image.',
+  'validation.invalidDate': '{label} is not a valid date and was removed.',
+  'validation.unrecognisedLinks': 'Portfolio links were not in a recognised format.',
+  'validation.unknownSection': 'Ignored unknown portfolio section "{section}".',
+  'validation.invalidVisibility': 'Visibility of {section} was not true/false; it is shown.',
+  'validation.unrecognisedResumes': 'Resumes were not in a recognised format.',
+  'validation.tooManyResumes': {
+    one: 'Only the first resume was kept.',
+    other: 'Only the first {count} resumes were kept.'
+  },
+  'validation.unrecognisedResume': 'A resume was not in a recognised format.',
+  'validation.resumeNamed': 'Resume "{label}"',
+  'validation.resumeFormat': 'Resume "{label}" has an unsupported format and was removed.',
+  'validation.resumeDate': 'Resume "{label}" had an invalid date, which was removed.',
+  'validation.unrecognisedSocialLinks': 'Social links were not in a recognised format.',
+  'validation.tooManySocialLinks': { one: 'Only the first social link was kept.', other: 'Only the first {count} social links were kept.' },
+  'validation.unrecognisedSocialLink': 'A social link was not in a recognised format.',
+  'validation.socialLinkType': 'A link of unknown type "{type}" was removed.',
+  'validation.socialLinkUrl': 'The {name} link was not a valid profile URL and was removed.',
+  'validation.unrecognisedSections': 'Custom portfolio sections were not in a recognised format.',
+  'validation.tooManySections': {
+    one: 'Only the first custom portfolio section was kept.',
+    other: 'Only the first {count} custom portfolio sections were kept.'
+  },
+  'validation.unrecognisedSection': 'A custom portfolio section was not in a recognised format.',
+  'validation.unnamedSection': 'A custom portfolio section without a name was removed.',
+  'validation.invalidOrder': 'The portfolio button order was not valid; the default order is used.',
+
+  // Settings panel
+  'settings.title': 'My Card Settings',
+  'settings.language': 'Language',
+  'settings.editingProfile': 'Editing profile: {name}',
+  'settings.profileSection': 'PROFILE INFORMATION',
+  'settings.profilePicture': 'Profile Picture',
+  'settings.uploadHint': 'Upload a photo from your device',
+  'settings.photoPalette': 'Colors from your photo',
+  'settings.photoPaletteHint': 'Pick a pairing for the card and background.',
+  'settings.firstName': 'First Name (Required)',
+  'settings.firstNamePlaceholder': 'ex: John',
+  'settings.lastName': 'Last Name (Required)',
+  'settings.lastNamePlaceholder': 'ex: Doe',
+  'settings.autoCapitalize': 'Auto-capitalize my name',
+  'settings.autoCapitalizeHint': 'Turn off to keep your name exactly as typed, e.g. McDonald or DiCaprio.',
+  'settings.particles': 'Lowercase particles',
+  'settings.particlesHint': 'Words kept lowercase in names, separated by commas.',
+  'settings.jobTitle': 'Job Title',
+  'settings.jobTitlePlaceholder': 'Student',
+  'settings.email': 'Email (Required)',
+  'settings.phone': 'Phone (Required)',
+  'settings.country': 'Country',
+  'settings.countryPlaceholder': 'Country…',
+  'settings.phonePlaceholder': 'Phone number',
+  'settings.socialLinks': 'Social & Web Links',
+  'settings.socialLinksHint': 'Profiles and sites listed on the back of your card.',
+  'settings.addSocialLink': '+ Add Link',
+  'settings.portfolioSection': 'PORTFOLIO LINKS',
+  'settings.portfolioItems': 'Portfolio Items to Display',
+  'settings.portfolioItemsHint': 'Select which portfolio items you want to show on your card',
+  'settings.certUrl': 'Certifications Page URL',
+  'settings.eduUrl': 'Education Page URL',
+  'settings.projUrl': 'Projects Page URL',
+  'settings.refUrl': 'References Page URL',
+  'settings.workUrl': 'Work Experience URL',
+  'settings.resumes': 'Resumes',
+  'settings.resumesHint': 'Add each version of your resume. When there is more than one, visitors pick from a list.',
+  'settings.addResume': '+ Add Resume',
+  'settings.customSections': 'Custom Sections',
+  'settings.customSectionsHint':
+    'Add your own buttons, e.g. Dribbble, Demo Reel or Publications. Tick to show on your card.',
+  'settings.addSection': '+ Add Section',
+  'settings.buttonOrder': 'Button Order',
+  'settings.buttonOrderHint': 'Drag to reorder, or select an item and press the ↑ / ↓ arrow keys.',
+  'settings.customizationSection': 'CUSTOMIZATION',
+  'settings.theme': 'Theme',
+  'settings.themeHint': 'Start from a preset, then adjust anything below.',
+  'settings.themeCustom': 'Custom',
+  'settings.cardColor': 'Card Color',
+  'settings.gradient': 'Gradient Colors',
+  'settings.gradientHint': 'Colors blended after the card color. Leave empty for a flat card.',
+  'settings.addColor': '+ Add Color',
+  'settings.gradientAngle': 'Gradient Angle',
+  'settings.pattern': 'Pattern',
+  'settings.fonts': 'Fonts',
+  'settings.layout': 'Front Layout',
+  'settings.logo': 'Logo URL',
+  'settings.logoHint': 'Shown on the front of the card with the Logo + Name layout.',
+  'settings.border': 'Border',
+  'settings.corners': 'Corners',
+  'settings.bgColor': 'Background Color',
+  'settings.save': 'Save My Card',
+  'settings.reset': 'Reset Card to Default (John Doe)',
+  'settings.invalidFirstName':
+    'Invalid first name.\n\nUse letters, hyphens and apostrophes (up to {max} characters).',
+  'settings.invalidLastName':
+    'Invalid last name.\n\nUse letters, spaces, hyphens and apostrophes (up to {max} characters).',
+  'settings.saved': 'Your card has been saved!',
+  'settings.resetConfirm': 'Are you sure you want to reset to default? This will delete your current card.',
+  'settings.resetDone': 'Card has been reset to default (John Doe).',
+  'storage.full': 'Could not save your card (storage full). Try reducing image size.',
+  'storage.migrationFailed': 'Your saved data could not be moved to the browser\'s database. ' +
+    'It stays where it was and is used for now; moving it will be tried again next time.',
+
+  // Card themes
+  'theme.removeColor': 'Remove color',
+  'theme.colorLimit': { one: 'You can add up to {count} gradient color.', other: 'You can add up to {count} gradient colors.' },
+  'themePreset.classic': 'Classic',
+  'themePreset.sunset': 'Sunset',
+  'themePreset.ocean': 'Ocean',
+  'themePreset.forest': 'Forest',
+  'themePreset.midnight': 'Midnight',
+  'themePreset.paper': 'Paper',
+  'cardPattern.none': 'None',
+  'cardPattern.dots': 'Dots',
+  'cardPattern.stripes': 'Stripes',
+  'cardPattern.grid': 'Grid',
+  'cardPattern.checks': 'Checks',
+  'cardFonts.system': 'System',
+  'cardFonts.classic': 'Classic serif',
+  'cardFonts.modern': 'Modern',
+  'cardFonts.elegant': 'Elegant',
+  'cardFonts.mono': 'Typewriter',
+  'cardFonts.rounded': 'Rounded',
+  'cardLayout.photo': 'Photo only',
+  'cardLayout.photoName': 'Photo + name',
+  'cardLayout.logoName': 'Logo + name',
+  'cardBorder.none': 'None',
+  'cardBorder.thin': 'Thin',
+  'cardBorder.thick': 'Thick',
+  'cardBorder.double': 'Double',
+  'cardBorder.dashed': 'Dashed',
+  'cardCorners.square': 'Square',
+  'cardCorners.soft': 'Slightly rounded',
+  'cardCorners.rounded': 'Rounded',
+  'cardCorners.round': 'Very rounded',
+
+  // Contrast warnings
+  'contrast.heading': 'Low contrast: WCAG AA needs at least {ratio}:1.',
+  'contrast.cardColor': 'Card color {color}',
+  'contrast.gradientColor': 'Gradient color {position} ({color})',
+  'contrast.text': 'text {ratio}:1',
+  'contrast.chips': 'chips {ratio}:1',
+  'contrast.buttons': 'portfolio buttons {ratio}:1',
+  'contrast.useShade': 'Use {color}',
+
+  // Photo palette
+  'palette.apply': 'Card {card} on background {background}',
+
+  // Email checks
+  'email.invalidHeading': 'Email is invalid:',
+  'email.length': 'Email length must be between {min}–{max} characters.',
+  'email.oneAt': 'Must contain exactly one \'@\' symbol.',
+  'email.consecutiveDots': 'Email cannot contain consecutive dots.',
+  'email.startsWithDot': 'Email cannot start with a dot.',
+  'email.endsWithDot': 'Email cannot end with a dot.',
+  'email.startsWithDash': 'Email cannot start with a dash.',
+  'email.missingLocalPart': 'Missing text before \'@\'.',
+  'email.domainNoDot': 'Domain must contain a dot.',
+  'email.domainConsecutiveDots': 'Domain cannot contain consecutive dots.',
+  'email.domainStartsWithDot': 'Domain cannot start with a dot.',
+  'email.domainEndsWithDot': 'Domain cannot end with a dot.',
+  'email.domainNumbers': 'Domain cannot contain numbers.',
+  'email.tldLength': 'Top-level domain must be at least {min} letters.',
+
+  // Phone checks
+  'phone.chooseCountry': 'Please choose a country.',
+  'phone.enterNumber': 'Please enter a phone number.',
+  'phone.invalidCharacters': 'Phone number can contain digits, spaces, dashes and brackets only.',
+  'phone.invalidInternational': 'That is not a valid international phone number.',
+  'phone.wrongCountryCode': 'This number starts with +{code}, but {country} uses +{expected}.',
+  'phone.lengthExact': '{country} numbers have {min} digits.',
+  'phone.lengthExactTrunk': '{country} numbers have {min} digits (not counting the leading {trunk}).',
+  'phone.lengthRange': '{country} numbers have {min}–{max} digits.',
+  'phone.lengthRangeTrunk': '{country} numbers have {min}–{max} digits (not counting the leading {trunk}).',
+  'phone.invalidNumber': 'That does not look like a valid {country} number.',
+
+  // Photo crop
+  'crop.instructions': 'Drag to reposition • Use slider to zoom',
+  'crop.zoom': 'Zoom:',
+  'crop.apply': 'Save & Apply'
+};
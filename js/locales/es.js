@@ -0,0 +1,486 @@
+/* ==========================================================
+   SPANISH MESSAGES (Español)
+   Missing keys fall back to English.
+   ========================================================== */
+
+MESSAGES.es = {
+  // Shared words
+  'common.cancel': 'Cancelar',
+  'common.save': 'Guardar',
+  'common.delete': 'Eliminar',
+  'common.yes': 'Sí',
+  'common.no': 'No',
+
+  // Floating navigation
+  'nav.openHome': 'Abrir el panel de inicio',
+  'nav.openShare': 'Abrir el panel para compartir',
+  'nav.openSettings': 'Abrir la configuración',
+
+  // Business card
+  'card.hint': 'Haz clic en la tarjeta para ver los datos de contacto',
+  'card.hintShared': 'Haz clic en la tarjeta para ver todos los detalles',
+  'card.downloadVcf': 'Descargar .vcf',
+  'card.portfolioHeading': 'PORTAFOLIO',
+  'copy.email': 'Correo electrónico',
+  'copy.copied': '¡{label} copiado!',
+  'copy.failed': 'No se pudo copiar: {label}',
+
+  // Portfolio sections (full names, then the shorter card button names)
+  'portfolio.cert': 'Certificaciones',
+  'portfolio.edu': 'Formación',
+  'portfolio.proj': 'Proyectos',
+  'portfolio.ref': 'Referencias',
+  'portfolio.resume': 'Currículum',
+  'portfolio.work': 'Experiencia laboral',
+  'portfolioButton.cert': 'Certificaciones',
+  'portfolioButton.edu': 'Formación',
+  'portfolioButton.proj': 'Proyectos',
+  'portfolioButton.ref': 'Referencias',
+  'portfolioButton.resume': 'Currículum',
+  'portfolioButton.work': 'Experiencia',
+  'portfolio.unsafeLink': 'Este enlace no es una dirección web válida, así que no se abrió.',
+  'portfolio.noContactLink': 'Este contacto no tiene enlace para {item}.',
+  'portfolio.noOwnLink': 'No hay enlace para {item}.\n\nAñade una URL en la configuración para enlazar tu portafolio.',
+  'portfolio.thisSection': 'esta sección',
+
+  // Resumes
+  'resumeFormat.pdf': 'PDF',
+  'resumeFormat.docx': 'Word (DOCX)',
+  'resumeFormat.html': 'Página web (HTML)',
+  'resumeFormat.md': 'Markdown',
+  'resume.chooseTitle': 'Elige un currículum',
+  'resume.updated': 'Actualizado en {date}',
+  'resume.labelPlaceholder': 'Etiqueta, p. ej. Ingeniería',
+  'resume.format': 'Formato',
+  'resume.remove': 'Quitar currículum',
+  'resume.updatedTitle': 'Última actualización (opcional)',
+  'resume.limit': {
+    one: 'Puedes añadir como máximo {count} currículum.',
+    other: 'Puedes añadir como máximo {count} currículums.'
+  },
+  'resume.missingUrl': 'Añade un enlace para el currículum «{label}».',
+
+  // Social links
+  'social.type': 'Tipo de enlace',
+  'social.remove': 'Quitar enlace',
+  'social.labelPlaceholder': 'Etiqueta, p. ej. Pódcast',
+  'social.limit': { one: 'Puedes añadir hasta {count} enlace.', other: 'Puedes añadir hasta {count} enlaces.' },
+  'social.missingUrl': 'Añade una URL para el enlace de {name}.',
+  'social.missingLabel': 'Añade una etiqueta para {url}.',
+  'social.invalidUrl': 'El enlace de {name} no parece correcto. Usa una URL de perfil como {example}',
+  'socialType.linkedin': 'LinkedIn',
+  'socialType.github': 'GitHub',
+  'socialType.website': 'Sitio web',
+  'socialType.x': 'X',
+  'socialType.mastodon': 'Mastodon',
+  'socialType.behance': 'Behance',
+  'socialType.youtube': 'YouTube',
+  'socialType.other': 'Otro',
+
+  // Custom portfolio sections and button order
+  'customSection.showOnCard': 'Mostrar en la tarjeta',
+  'customSection.labelPlaceholder': 'Etiqueta, p. ej. Videobook',
+  'customSection.remove': 'Quitar sección',
+  'customSection.limit': {
+    one: 'Puedes añadir como máximo {count} sección personalizada.',
+    other: 'Puedes añadir como máximo {count} secciones personalizadas.'
+  },
+  'customSection.missingName': 'Ponle nombre a cada sección personalizada del portafolio.',
+  'customSection.duplicate': 'Ya existe una sección del portafolio llamada «{label}».',
+  'customSection.untitled': 'Sección sin título',
+  'order.itemLabel': '{label}, posición {position} de {total}',
+  'order.moveUp': 'Subir',
+  'order.moveDown': 'Bajar',
+
+  // Home panel
+  'home.title': 'Mi colección',
+  'home.tabMyCard': 'Mi tarjeta',
+  'home.tabContacts': 'Contactos guardados',
+  'home.emptyCardTitle': 'Crea tu tarjeta de presentación',
+  'home.emptyCardText': 'Configura tu tarjeta de presentación digital para compartirla con otras personas',
+  'home.createCard': 'Crear mi tarjeta',
+  'home.myBusinessCard': 'Mi tarjeta de presentación',
+  'home.editCard': 'Editar tarjeta',
+  'home.shareCard': 'Compartir tarjeta',
+  'home.searchPlaceholder': 'Buscar por nombre, correo, cargo o teléfono',
+  'home.searchLabel': 'Buscar contactos',
+  'home.sortLabel': 'Ordenar contactos',
+  'home.sortName': 'Ordenar: nombre',
+  'home.sortSaved': 'Ordenar: fecha de guardado',
+  'home.sortUpdated': 'Ordenar: última actualización',
+  'home.tagFilterLabel': 'Filtrar por etiqueta',
+  'home.allTags': 'Todas las etiquetas',
+  'home.hasResume': 'Con currículum',
+  'home.hasLinkedin': 'Con LinkedIn',
+  'home.importVcf': 'Importar .vcf',
+  'home.noContactsTitle': 'Aún no hay contactos',
+  'home.noContactsText': 'Cuando alguien comparta su tarjeta contigo, guárdala aquí',
+  'home.noMatchesTitle': 'Ningún contacto coincide',
+  'home.noMatchesText': 'Prueba otra búsqueda o quita los filtros',
+  'home.outdated': 'Posiblemente desactualizada',
+  'home.outdatedTitle': 'El enlace de esta tarjeta caducó el {date}',
+  'home.savedOn': 'Guardada el {date}',
+  'home.updatedOn': 'Actualizada el {date}',
+  'home.view': 'Ver',
+
+  // Card profiles
+  'profiles.label': 'Perfil de tarjeta',
+  'profiles.firstProfile': 'Mi tarjeta',
+  'profiles.defaultName': '{name} (predeterminado)',
+  'profiles.new': 'Nuevo',
+  'profiles.duplicate': 'Duplicar',
+  'profiles.rename': 'Renombrar',
+  'profiles.setDefault': 'Predeterminar',
+  'profiles.newPrompt': 'Nombre del nuevo perfil de tarjeta (p. ej. «Feria de empleo»):',
+  'profiles.createFailed': 'No se pudo crear el perfil.',
+  'profiles.duplicatePrompt': 'Nombre de la copia:',
+  'profiles.copyName': '{name} (copia)',
+  'profiles.duplicateFailed': 'No se pudo duplicar el perfil.',
+  'profiles.renamePrompt': 'Nuevo nombre del perfil:',
+  'profiles.deleteConfirm': '¿Eliminar el perfil de tarjeta «{name}»? No se puede deshacer.',
+
+  // Saving and viewing contacts
+  'contact.saveToContacts': 'Guardar en mis contactos',
+  'contact.backToMyCard': '← Volver a mi tarjeta',
+  'contact.signatureMismatchConfirm':
+    'La firma de esta tarjeta no coincide con su contenido, así que puede haber sido alterada.\n\n¿Guardarla de todos modos?',
+  'contact.alreadyLatest': 'Ya tienes la versión más reciente de la tarjeta de {name}.',
+  'contact.updateFailed': 'No se pudo actualizar este contacto.',
+  'contact.updated': 'Tarjeta de {name} actualizada. Se conservaron tus etiquetas y notas.',
+  'contact.alreadySaved': '¡Este contacto ya está en tu colección!',
+  'contact.saved': '¡Tarjeta de {name} guardada en tus contactos!',
+  'contact.removeConfirm': '¿Quitar este contacto?',
+
+  // Card fields (change lists and validation messages)
+  'field.firstName': 'Nombre',
+  'field.lastName': 'Apellidos',
+  'field.jobTitle': 'Cargo',
+  'field.email': 'Correo electrónico',
+  'field.phone': 'Teléfono',
+  'field.phoneE164': 'Teléfono (E.164)',
+  'field.countryCode': 'Prefijo del país',
+  'field.localNumber': 'Número local',
+  'field.phoneCountry': 'País del teléfono',
+  'field.linkedin': 'LinkedIn',
+  'field.socialLinks': 'Redes sociales',
+  'field.socialLinkName': 'Etiqueta del enlace',
+  'field.cardColor': 'Color de la tarjeta',
+  'field.bgColor': 'Color de fondo',
+  'field.theme': 'Tema de la tarjeta',
+  'field.gradientColor': 'Color del degradado',
+  'field.logo': 'Logotipo',
+  'field.photo': 'Foto',
+  'field.resumes': 'Currículums',
+  'field.resumeName': 'Nombre del currículum',
+  'field.sectionShown': '{section} visible',
+  'field.buttonOrder': 'Orden de los botones',
+  'field.customSections': 'Secciones personalizadas',
+  'field.customSectionName': 'Nombre de la sección personalizada',
+  'field.noLink': 'sin enlace',
+  'field.lastUpdated': 'Fecha de actualización',
+  'field.expiresAt': 'Fecha de caducidad',
+
+  // Updating a saved contact
+  'diff.set': 'definida',
+  'diff.none': 'ninguna',
+  'diff.changed': 'cambiada',
+  'diff.removed': 'eliminada',
+  'diff.empty': '(vacío)',
+  'update.intro': 'Ya tienes guardado a {name}. Esta tarjeta tiene cambios:',
+  'update.older': 'Atención: esta tarjeta (actualizada el {incoming}) es MÁS ANTIGUA que la versión que guardaste ({saved}).',
+  'update.cardUpdated': 'Tarjeta actualizada el {date}.',
+  'update.differentKey': 'Firmada con una clave DISTINTA ({incoming}) a la registrada para este contacto ({pinned}).',
+  'update.unsigned': 'Esta tarjeta no está firmada, pero tu copia guardada sí la firmó este contacto.',
+  'update.choice': 'Aceptar = actualizar (se conservan tus etiquetas y notas)  ·  Cancelar = mantener la versión guardada',
+
+  // Tags & notes
+  'notes.title': 'Etiquetas y notas',
+  'notes.titleFor': 'Etiquetas y notas de {name}',
+  'notes.hint': 'Solo tú puedes verlas. Se conservan si este contacto te envía una tarjeta actualizada.',
+  'notes.tags': 'Etiquetas',
+  'notes.tagPlaceholder': 'p. ej. Feria de primavera 2026 — pulsa Intro para añadir',
+  'notes.notes': 'Notas',
+  'notes.notesPlaceholder': 'Dónde os conocisteis, qué queda pendiente…',
+  'notes.removeTag': 'Quitar la etiqueta {tag}',
+  'notes.saveFailed': 'No se pudieron guardar las etiquetas y notas.',
+  'notes.saved': 'Etiquetas y notas guardadas',
+
+  // vCard import
+  'import.imported': { one: 'Se importó {count} contacto.', other: 'Se importaron {count} contactos.' },
+  'import.duplicates': { one: '{count} ya estaba en tu colección.', other: '{count} ya estaban en tu colección.' },
+  'import.cleaned': {
+    one: '{count} tenía datos no válidos que se omitieron (consulta la consola del navegador).',
+    other: '{count} tenían datos no válidos que se omitieron (consulta la consola del navegador).'
+  },
+  'import.unreadable': { one: 'No se pudo leer {count} archivo.', other: 'No se pudieron leer {count} archivos.' },
+
+  // Share panel
+  'share.title': 'Compartir mi tarjeta',
+  'share.qrHeading': 'Compartir con código QR',
+  'share.instructions': 'Otras personas pueden escanear este código QR para ver y guardar tu tarjeta.',
+  'share.protect': 'Proteger con una frase de contraseña',
+  'share.passphrasePlaceholder': 'Frase de contraseña para los destinatarios',
+  'share.expiresLabel': 'El enlace caduca',
+  'share.expiryNever': 'Nunca',
+  'share.expiryDay': 'Tras 1 día',
+  'share.expiryWeek': 'Tras 1 semana',
+  'share.expiryMonth': 'Tras 1 mes',
+  'share.expiryCustom': 'En una fecha concreta…',
+  'share.regenerate': 'Regenerar',
+  'share.copyLink': 'Copiar enlace',
+  'share.openLink': 'Abrir enlace',
+  'share.noCard': '¡Primero crea tu tarjeta en la configuración!',
+  'share.fileWarning': 'Es un archivo local ({scheme}). Los teléfonos no pueden abrirlo. ' +
+    'Usa un servidor web y la URL de tu red.',
+  'share.localhostWarning': 'El QR apunta a {host}. Otros dispositivos no pueden acceder. ' +
+    'Usa la IP de tu red (p. ej., {example}).',
+  'share.qrFailed': 'No se pudo generar el código QR. Usa los botones Copiar enlace o Abrir enlace:',
+  'share.qrLabel': 'Código QR de tu enlace para compartir',
+  'share.photoCost': { one: 'Tu foto añade {count} byte al enlace.', other: 'Tu foto añade {count} bytes al enlace.' },
+  'share.photoTooLarge': 'No se pudo reducir tu foto por debajo de {count} bytes, ' +
+    'así que los destinatarios verán un avatar con tus iniciales.',
+  'share.passphraseMissing': 'Escribe una frase de contraseña para crear un enlace protegido.',
+  'share.expiryMissing': 'Elige la fecha en que caducará el enlace.',
+  'share.expiryPast': 'Elige una fecha de caducidad futura.',
+  'share.signed': 'Los enlaces se firman con este dispositivo (clave {fingerprint}).',
+  'share.unsigned': 'Los enlaces no están firmados: la firma necesita https:// o localhost.',
+  'share.linkCopied': '¡Enlace copiado al portapapeles!',
+  'share.copyFailed': 'No se pudo copiar. Selecciónalo y cópialo manualmente.',
+
+  // Print export
+  'print.heading': 'Imprime tu tarjeta',
+  'print.instructions': 'Descarga un PDF del anverso y el reverso con sangrado y marcas de corte. El código QR usa las opciones de enlace de arriba.',
+  'print.sizeLabel': 'Tamaño de la tarjeta',
+  'print.sizeUs': 'EE. UU. (3,5 × 2 in)',
+  'print.sizeEu': 'Europeo (85 × 55 mm)',
+  'print.sizeCreditCard': 'Tarjeta de crédito (85,6 × 54 mm)',
+  'print.layoutLabel': 'Diseño',
+  'print.layoutSingle': 'Una tarjeta por página, con sangrado (imprenta)',
+  'print.layoutLetter': { one: '{count} tarjeta en carta (EE. UU.)', other: '{count} tarjetas en carta (EE. UU.)' },
+  'print.layoutA4': { one: '{count} tarjeta en A4', other: '{count} tarjetas en A4' },
+  'print.download': 'Descargar PDF',
+  'print.preparing': 'Preparando el PDF…',
+  'print.qrFailed': 'No se pudo crear el código QR del reverso. Prueba con un enlace más corto (por ejemplo, una foto más pequeña).',
+  'print.failed': 'No se pudo crear el PDF. Inténtalo de nuevo.',
+
+  // Opening a shared card
+  'shared.passphrasePrompt': 'Esta tarjeta está protegida. Escribe la frase de contraseña que te dieron:',
+  'shared.passphraseRetry': 'Frase de contraseña incorrecta. Inténtalo de nuevo:',
+  'shared.passphraseCancelled':
+    'Esta tarjeta está protegida con contraseña. Vuelve a abrir el enlace para escribir la frase de contraseña.',
+  'shared.openFailed': 'No se pudo abrir el enlace de esta tarjeta: {reason}',
+  'shared.problemsIntro': 'Algunos datos de esta tarjeta no eran seguros o válidos y se omitieron:',
+  'shared.moreProblems': { one: '…y {count} más', other: '…y {count} más' },
+  'expired.title': 'El enlace de esta tarjeta ha caducado',
+  'expired.message': '{sender} compartió esta tarjeta con un enlace que caducó el {date}, ' +
+    'así que los datos pueden estar desactualizados. Pídele un enlace o código QR nuevo.',
+  'expired.theSender': 'El remitente',
+  'expired.goToMyCard': 'Ir a mi tarjeta',
+  'badge.verified': 'Verificada · clave {fingerprint}',
+  'badge.keyChanged': 'Firmada con una clave distinta a la de tu contacto guardado (ahora {now}, antes {was})',
+  'badge.mismatch': 'La firma no coincide: esta tarjeta puede haber sido alterada',
+  'badge.unchecked': 'Firmada, pero este navegador no puede comprobar firmas (necesita https://)',
+  'badge.unsignedPinned': 'Sin firma: tu copia guardada de este contacto estaba firmada',
+  'badge.unsigned': 'Tarjeta sin firma: no se pudo verificar al remitente',
+
+  // Card links
+  'codec.unsupportedVersion': 'Versión de enlace de tarjeta no compatible: {version}',
+  'codec.noCompression': 'Este navegador no puede abrir enlaces de tarjeta comprimidos.',
+  'codec.malformed': 'Los datos de la tarjeta están dañados',
+  'codec.passphraseNeedsHttps': 'La protección con contraseña necesita https:// o localhost.',
+  'codec.passphraseRequired': 'Esta tarjeta está protegida con contraseña.',
+  'codec.passphraseUnsupported': 'Este navegador no puede abrir tarjetas protegidas con contraseña (necesita https://).',
+  'codec.wrongPassphrase': 'Frase de contraseña incorrecta.',
+
+  // Checking shared and imported cards
+  'validation.unrecognisedCard': 'Los datos de la tarjeta no tienen un formato reconocido.',
+  'validation.unexpectedField': 'Se ignoró el campo inesperado «{field}».',
+  'validation.schemaVersion': 'Se ignoró una versión de esquema no válida.',
+  'validation.noName': 'La tarjeta no tiene nombre.',
+  'validation.notText': '{label} no era texto y se eliminó.',
+  'validation.controlCharacters': '{label} contenía caracteres de control ocultos, que se eliminaron.',
+  'validation.tooLong': '{label} superaba los {count} caracteres y se acortó.',
+  'validation.invalidValue': '{label} «{value}» no es válido y se eliminó.',
+  'validation.invalidUrl': 'Se eliminó el enlace de {label} porque no es una dirección http(s) válida.',
+  'validation.invalidColor': '{label} no es un color válido; se usó el predeterminado.',
+  'validation.unrecognisedTheme': 'El tema de la tarjeta no tenía un formato reconocible; se usó el tema predeterminado.',
+  'validation.invalidThemeOption': 'La opción de tema {option} «{value}» no es compatible; se usó la predeterminada.',
+  'validation.invalidImage': 'Se eliminó la foto de perfil porque no es una imagen compatible.',
+  'validation.invalidDate': '{label} no es una fecha válida y se eliminó.',
+  'validation.unrecognisedLinks': 'Los enlaces del portafolio no tenían un formato reconocido.',
+  'validation.unknownSection': 'Se ignoró la sección desconocida del portafolio «{section}».',
+  'validation.invalidVisibility': 'La visibilidad de {section} no era verdadero/falso; se muestra.',
+  'validation.unrecognisedResumes': 'Los currículums no tenían un formato reconocido.',
+  'validation.tooManyResumes': {
+    one: 'Solo se conservó el primer currículum.',
+    other: 'Solo se conservaron los primeros {count} currículums.'
+  },
+  'validation.unrecognisedResume': 'Un currículum no tenía un formato reconocido.',
+  'validation.resumeNamed': 'Currículum «{label}»',
+  'validation.resumeFormat': 'El currículum «{label}» tiene un formato no compatible y se eliminó.',
+  'validation.resumeDate': 'El currículum «{label}» tenía una fecha no válida, que se eliminó.',
+  'validation.unrecognisedSocialLinks': 'Las redes sociales no tenían un formato reconocido.',
+  'validation.tooManySocialLinks': { one: 'Solo se conservó la primera red social.', other: 'Solo se conservaron las primeras {count} redes sociales.' },
+  'validation.unrecognisedSocialLink': 'Una red social no tenía un formato reconocido.',
+  'validation.socialLinkType': 'Se eliminó un enlace de tipo desconocido "{type}".',
+  'validation.socialLinkUrl': 'El enlace de {name} no era una URL de perfil válida y se eliminó.',
+  'validation.unrecognisedSections': 'Las secciones personalizadas no tenían un formato reconocido.',
+  'validation.tooManySections': {
+    one: 'Solo se conservó la primera sección personalizada.',
+    other: 'Solo se conservaron las primeras {count} secciones personalizadas.'
+  },
+  'validation.unrecognisedSection': 'Una sección personalizada no tenía un formato reconocido.',
+  'validation.unnamedSection': 'Se eliminó una sección personalizada sin nombre.',
+  'validation.invalidOrder': 'El orden de los botones del portafolio no era válido; se usa el orden predeterminado.',
+
+  // Settings panel
+  'settings.title': 'Configuración de mi tarjeta',
+  'settings.language': 'Idioma',
+  'settings.editingProfile': 'Editando el perfil: {name}',
+  'settings.profileSection': 'INFORMACIÓN DEL PERFIL',
+  'settings.profilePicture': 'Foto de perfil',
+  'settings.uploadHint': 'Sube una foto desde tu dispositivo',
+  'settings.photoPalette': 'Colores de tu foto',
+  'settings.photoPaletteHint': 'Elige una combinación para la tarjeta y el fondo.',
+  'settings.firstName': 'Nombre (obligatorio)',
+  'settings.firstNamePlaceholder': 'p. ej. Juan',
+  'settings.lastName': 'Apellidos (obligatorio)',
+  'settings.lastNamePlaceholder': 'p. ej. Pérez',
+  'settings.autoCapitalize': 'Poner mayúsculas automáticamente en mi nombre',
+  'settings.autoCapitalizeHint': 'Desactívalo para mantener tu nombre tal como lo escribes, p. ej. McDonald o DiCaprio.',
+  'settings.particles': 'Partículas en minúscula',
+  'settings.particlesHint': 'Palabras que se mantienen en minúscula en los nombres, separadas por comas.',
+  'settings.jobTitle': 'Cargo',
+  'settings.jobTitlePlaceholder': 'Estudiante',
+  'settings.email': 'Correo electrónico (obligatorio)',
+  'settings.phone': 'Teléfono (obligatorio)',
+  'settings.country': 'País',
+  'settings.countryPlaceholder': 'País…',
+  'settings.phonePlaceholder': 'Número de teléfono',
+  'settings.socialLinks': 'Redes y enlaces web',
+  'settings.socialLinksHint': 'Perfiles y sitios que aparecen en el reverso de tu tarjeta.',
+  'settings.addSocialLink': '+ Añadir enlace',
+  'settings.portfolioSection': 'ENLACES DEL PORTAFOLIO',
+  'settings.portfolioItems': 'Elementos del portafolio que se muestran',
+  'settings.portfolioItemsHint': 'Elige qué elementos del portafolio quieres mostrar en tu tarjeta',
+  'settings.certUrl': 'URL de la página de certificaciones',
+  'settings.eduUrl': 'URL de la página de formación',
+  'settings.projUrl': 'URL de la página de proyectos',
+  'settings.refUrl': 'URL de la página de referencias',
+  'settings.workUrl': 'URL de la experiencia laboral',
+  'settings.resumes': 'Currículums',
+  'settings.resumesHint': 'Añade cada versión de tu currículum. Si hay más de una, los visitantes eligen de una lista.',
+  'settings.addResume': '+ Añadir currículum',
+  'settings.customSections': 'Secciones personalizadas',
+  'settings.customSectionsHint':
+    'Añade tus propios botones, p. ej. Dribbble, Videobook o Publicaciones. Márcalos para mostrarlos en tu tarjeta.',
+  'settings.addSection': '+ Añadir sección',
+  'settings.buttonOrder': 'Orden de los botones',
+  'settings.buttonOrderHint': 'Arrastra para reordenar, o selecciona un elemento y pulsa las flechas ↑ / ↓.',
+  'settings.customizationSection': 'PERSONALIZACIÓN',
+  'settings.theme': 'Tema',
+  'settings.themeHint': 'Parte de un tema predefinido y ajusta lo que quieras abajo.',
+  'settings.themeCustom': 'Personalizado',
+  'settings.cardColor': 'Color de la tarjeta',
+  'settings.gradient': 'Colores del degradado',
+  'settings.gradientHint': 'Colores que se mezclan tras el color de la tarjeta. Déjalo vacío para una tarjeta lisa.',
+  'settings.addColor': '+ Añadir color',
+  'settings.gradientAngle': 'Ángulo del degradado',
+  'settings.pattern': 'Patrón',
+  'settings.fonts': 'Tipografías',
+  'settings.layout': 'Diseño del anverso',
+  'settings.logo': 'URL del logotipo',
+  'settings.logoHint': 'Se muestra en el anverso con el diseño Logotipo + nombre.',
+  'settings.border': 'Borde',
+  'settings.corners': 'Esquinas',
+  'settings.bgColor': 'Color de fondo',
+  'settings.save': 'Guardar mi tarjeta',
+  'settings.reset': 'Restablecer la tarjeta predeterminada (John Doe)',
+  'settings.invalidFirstName':
+    'Nombre no válido.\n\nUsa letras, guiones y apóstrofos (hasta {max} caracteres).',
+  'settings.invalidLastName':
+    'Apellidos no válidos.\n\nUsa letras, espacios, guiones y apóstrofos (hasta {max} caracteres).',
+  'settings.saved': '¡Tu tarjeta se ha guardado!',
+  'settings.resetConfirm': '¿Seguro que quieres restablecer la tarjeta predeterminada? Se eliminará tu tarjeta actual.',
+  'settings.resetDone': 'La tarjeta se ha restablecido a la predeterminada (John Doe).',
+  'storage.full': 'No se pudo guardar tu tarjeta (almacenamiento lleno). Prueba a reducir el tamaño de la imagen.',
+  'storage.migrationFailed': 'No se pudieron mover tus datos guardados a la base de datos del navegador. Se quedan donde estaban y se usan por ahora; se volverá a intentar la próxima vez.',
+
+  // Card themes
+  'theme.removeColor': 'Quitar color',
+  'theme.colorLimit': { one: 'Puedes añadir hasta {count} color de degradado.', other: 'Puedes añadir hasta {count} colores de degradado.' },
+  'themePreset.classic': 'Clásico',
+  'themePreset.sunset': 'Atardecer',
+  'themePreset.ocean': 'Océano',
+  'themePreset.forest': 'Bosque',
+  'themePreset.midnight': 'Medianoche',
+  'themePreset.paper': 'Papel',
+  'cardPattern.none': 'Ninguno',
+  'cardPattern.dots': 'Puntos',
+  'cardPattern.stripes': 'Rayas',
+  'cardPattern.grid': 'Cuadrícula',
+  'cardPattern.checks': 'Cuadros',
+  'cardFonts.system': 'Sistema',
+  'cardFonts.classic': 'Serif clásica',
+  'cardFonts.modern': 'Moderna',
+  'cardFonts.elegant': 'Elegante',
+  'cardFonts.mono': 'Máquina de escribir',
+  'cardFonts.rounded': 'Redondeada',
+  'cardLayout.photo': 'Solo foto',
+  'cardLayout.photoName': 'Foto + nombre',
+  'cardLayout.logoName': 'Logotipo + nombre',
+  'cardBorder.none': 'Ninguno',
+  'cardBorder.thin': 'Fino',
+  'cardBorder.thick': 'Grueso',
+  'cardBorder.double': 'Doble',
+  'cardBorder.dashed': 'Discontinuo',
+  'cardCorners.square': 'Rectas',
+  'cardCorners.soft': 'Ligeramente redondeadas',
+  'cardCorners.rounded': 'Redondeadas',
+  'cardCorners.round': 'Muy redondeadas',
+
+  // Contrast warnings
+  'contrast.heading': 'Contraste bajo: WCAG AA exige al menos {ratio}:1.',
+  'contrast.cardColor': 'Color de la tarjeta {color}',
+  'contrast.gradientColor': 'Color del degradado {position} ({color})',
+  'contrast.text': 'texto {ratio}:1',
+  'contrast.chips': 'etiquetas {ratio}:1',
+  'contrast.buttons': 'botones del portafolio {ratio}:1',
+  'contrast.useShade': 'Usar {color}',
+
+  // Photo palette
+  'palette.apply': 'Tarjeta {card} sobre fondo {background}',
+
+  // Email checks
+  'email.invalidHeading': 'El correo electrónico no es válido:',
+  'email.length': 'El correo debe tener entre {min} y {max} caracteres.',
+  'email.oneAt': 'Debe contener exactamente un símbolo «@».',
+  'email.consecutiveDots': 'El correo no puede contener puntos seguidos.',
+  'email.startsWithDot': 'El correo no puede empezar por un punto.',
+  'email.endsWithDot': 'El correo no puede terminar en un punto.',
+  'email.startsWithDash': 'El correo no puede empezar por un guion.',
+  'email.missingLocalPart': 'Falta el texto antes de «@».',
+  'email.domainNoDot': 'El dominio debe contener un punto.',
+  'email.domainConsecutiveDots': 'El dominio no puede contener puntos seguidos.',
+  'email.domainStartsWithDot': 'El dominio no puede empezar por un punto.',
+  'email.domainEndsWithDot': 'El dominio no puede terminar en un punto.',
+  'email.domainNumbers': 'El dominio no puede contener números.',
+  'email.tldLength': 'El dominio de nivel superior debe tener al menos {min} letras.',
+
+  // Phone checks
+  'phone.chooseCountry': 'Elige un país.',
+  'phone.enterNumber': 'Escribe un número de teléfono.',
+  'phone.invalidCharacters': 'El número solo puede contener dígitos, espacios, guiones y paréntesis.',
+  'phone.invalidInternational': 'No es un número de teléfono internacional válido.',
+  'phone.wrongCountryCode': 'Este número empieza por +{code}, pero {country} usa +{expected}.',
+  'phone.lengthExact': 'Los números de {country} tienen {min} dígitos.',
+  'phone.lengthExactTrunk': 'Los números de {country} tienen {min} dígitos (sin contar el {trunk} inicial).',
+  'phone.lengthRange': 'Los números de {country} tienen entre {min} y {max} dígitos.',
+  'phone.lengthRangeTrunk': 'Los números de {country} tienen entre {min} y {max} dígitos (sin contar el {trunk} inicial).',
+  'phone.invalidNumber': 'No parece un número válido de {country}.',
+
+  // Photo crop
+  'crop.instructions': 'Arrastra para recolocar • Usa el control deslizante para hacer zoom',
+  'crop.zoom': 'Zoom:',
+  'crop.apply': 'Guardar y aplicar'
+};
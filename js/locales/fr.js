@@ -0,0 +1,483 @@
+/* ==========================================================
+   FRENCH MESSAGES (Français)
+   Missing keys fall back to English.
+   ========================================================== */
+
+MESSAGES.fr = {
+  // Shared words
+  'common.cancel': 'Annuler',
+  'common.save': 'Enregistrer',
+  'common.delete': 'Supprimer',
+  'common.yes': 'Oui',
+  'common.no': 'Non',
+
+  // Floating navigation
+  'nav.openHome': 'Ouvrir le panneau d’accueil',
+  'nav.openShare': 'Ouvrir le panneau de partage',
+  'nav.openSettings': 'Ouvrir les paramètres',
+
+  // Business card
+  'card.hint': 'Cliquez sur la carte pour voir les coordonnées',
+  'card.hintShared': 'Cliquez sur la carte pour voir tous les détails',
+  'card.downloadVcf': 'Télécharger le .vcf',
+  'card.portfolioHeading': 'PORTFOLIO',
+  'copy.email': 'E-mail',
+  'copy.copied': '{label} copié !',
+  'copy.failed': 'Impossible de copier : {label}',
+
+  // Portfolio sections (full names, then the shorter card button names)
+  'portfolio.cert': 'Certifications',
+  'portfolio.edu': 'Formation',
+  'portfolio.proj': 'Projets',
+  'portfolio.ref': 'Références',
+  'portfolio.resume': 'CV',
+  'portfolio.work': 'Expérience professionnelle',
+  'portfolioButton.cert': 'Certifications',
+  'portfolioButton.edu': 'Formation',
+  'portfolioButton.proj': 'Projets',
+  'portfolioButton.ref': 'Références',
+  'portfolioButton.resume': 'CV',
+  'portfolioButton.work': 'Expérience',
+  'portfolio.unsafeLink': 'Ce lien n’est pas une adresse web valide, il n’a donc pas été ouvert.',
+  'portfolio.noContactLink': 'Aucun lien {item} disponible pour ce contact.',
+  'portfolio.noOwnLink': 'Aucun lien défini pour {item}.\n\nAjoutez une URL dans les paramètres pour relier votre portfolio.',
+  'portfolio.thisSection': 'cette section',
+
+  // Resumes
+  'resumeFormat.pdf': 'PDF',
+  'resumeFormat.docx': 'Word (DOCX)',
+  'resumeFormat.html': 'Page web (HTML)',
+  'resumeFormat.md': 'Markdown',
+  'resume.chooseTitle': 'Choisissez un CV',
+  'resume.updated': 'Mis à jour en {date}',
+  'resume.labelPlaceholder': 'Libellé, ex. Ingénierie',
+  'resume.format': 'Format',
+  'resume.remove': 'Retirer le CV',
+  'resume.updatedTitle': 'Dernière mise à jour (facultatif)',
+  'resume.limit': { one: 'Vous pouvez ajouter jusqu’à {count} CV.', other: 'Vous pouvez ajouter jusqu’à {count} CV.' },
+  'resume.missingUrl': 'Ajoutez un lien pour le CV « {label} ».',
+
+  // Social links
+  'social.type': 'Type de lien',
+  'social.remove': 'Supprimer le lien',
+  'social.labelPlaceholder': 'Libellé, ex. Podcast',
+  'social.limit': { one: 'Vous pouvez ajouter jusqu’à {count} lien.', other: 'Vous pouvez ajouter jusqu’à {count} liens.' },
+  'social.missingUrl': 'Ajoutez une URL pour le lien {name}.',
+  'social.missingLabel': 'Ajoutez un libellé pour {url}.',
+  'social.invalidUrl': 'Le lien {name} semble incorrect. Utilisez une URL de profil comme {example}',
+  'socialType.linkedin': 'LinkedIn',
+  'socialType.github': 'GitHub',
+  'socialType.website': 'Site web',
+  'socialType.x': 'X',
+  'socialType.mastodon': 'Mastodon',
+  'socialType.behance': 'Behance',
+  'socialType.youtube': 'YouTube',
+  'socialType.other': 'Autre',
+
+  // Custom portfolio sections and button order
+  'customSection.showOnCard': 'Afficher sur la carte',
+  'customSection.labelPlaceholder': 'Libellé, ex. Bande démo',
+  'customSection.remove': 'Retirer la section',
+  'customSection.limit': {
+    one: 'Vous pouvez ajouter jusqu’à {count} section personnalisée.',
+    other: 'Vous pouvez ajouter jusqu’à {count} sections personnalisées.'
+  },
+  'customSection.missingName': 'Donnez un nom à chaque section personnalisée du portfolio.',
+  'customSection.duplicate': 'Il existe déjà une section de portfolio nommée « {label} ».',
+  'customSection.untitled': 'Section sans titre',
+  'order.itemLabel': '{label}, position {position} sur {total}',
+  'order.moveUp': 'Monter',
+  'order.moveDown': 'Descendre',
+
+  // Home panel
+  'home.title': 'Ma collection',
+  'home.tabMyCard': 'Ma carte',
+  'home.tabContacts': 'Contacts enregistrés',
+  'home.emptyCardTitle': 'Créez votre carte de visite',
+  'home.emptyCardText': 'Configurez votre carte de visite numérique pour la partager',
+  'home.createCard': 'Créer ma carte',
+  'home.myBusinessCard': 'Ma carte de visite',
+  'home.editCard': 'Modifier la carte',
+  'home.shareCard': 'Partager la carte',
+  'home.searchPlaceholder': 'Rechercher un nom, e-mail, poste ou téléphone',
+  'home.searchLabel': 'Rechercher des contacts',
+  'home.sortLabel': 'Trier les contacts',
+  'home.sortName': 'Trier : nom',
+  'home.sortSaved': 'Trier : date d’enregistrement',
+  'home.sortUpdated': 'Trier : dernière mise à jour',
+  'home.tagFilterLabel': 'Filtrer par étiquette',
+  'home.allTags': 'Toutes les étiquettes',
+  'home.hasResume': 'Avec CV',
+  'home.hasLinkedin': 'Avec LinkedIn',
+  'home.importVcf': 'Importer un .vcf',
+  'home.noContactsTitle': 'Aucun contact pour l’instant',
+  'home.noContactsText': 'Quand quelqu’un partage sa carte avec vous, enregistrez-la ici',
+  'home.noMatchesTitle': 'Aucun contact correspondant',
+  'home.noMatchesText': 'Essayez une autre recherche ou effacez les filtres',
+  'home.outdated': 'Peut-être obsolète',
+  'home.outdatedTitle': 'Le lien d’origine de cette carte a expiré le {date}',
+  'home.savedOn': 'Enregistrée le {date}',
+  'home.updatedOn': 'Mise à jour le {date}',
+  'home.view': 'Voir',
+
+  // Card profiles
+  'profiles.label': 'Profil de carte',
+  'profiles.firstProfile': 'Ma carte',
+  'profiles.defaultName': '{name} (par défaut)',
+  'profiles.new': 'Nouveau',
+  'profiles.duplicate': 'Dupliquer',
+  'profiles.rename': 'Renommer',
+  'profiles.setDefault': 'Par défaut',
+  'profiles.newPrompt': 'Nom du nouveau profil de carte (ex. « Salon de l’emploi ») :',
+  'profiles.createFailed': 'Impossible de créer le profil.',
+  'profiles.duplicatePrompt': 'Nom de la copie :',
+  'profiles.copyName': '{name} (copie)',
+  'profiles.duplicateFailed': 'Impossible de dupliquer le profil.',
+  'profiles.renamePrompt': 'Nouveau nom du profil :',
+  'profiles.deleteConfirm': 'Supprimer le profil de carte « {name} » ? Cette action est irréversible.',
+
+  // Saving and viewing contacts
+  'contact.saveToContacts': 'Enregistrer dans mes contacts',
+  'contact.backToMyCard': '← Retour à ma carte',
+  'contact.signatureMismatchConfirm':
+    'La signature de cette carte ne correspond pas à son contenu : elle a peut-être été modifiée.\n\nL’enregistrer quand même ?',
+  'contact.alreadyLatest': 'Vous avez déjà la dernière version de la carte de {name}.',
+  'contact.updateFailed': 'Impossible de mettre à jour ce contact.',
+  'contact.updated': 'Carte de {name} mise à jour. Vos étiquettes et notes ont été conservées.',
+  'contact.alreadySaved': 'Ce contact est déjà dans votre collection !',
+  'contact.saved': 'Carte de {name} enregistrée dans vos contacts !',
+  'contact.removeConfirm': 'Retirer ce contact ?',
+
+  // Card fields (change lists and validation messages)
+  'field.firstName': 'Prénom',
+  'field.lastName': 'Nom',
+  'field.jobTitle': 'Poste',
+  'field.email': 'E-mail',
+  'field.phone': 'Téléphone',
+  'field.phoneE164': 'Téléphone (E.164)',
+  'field.countryCode': 'Indicatif du pays',
+  'field.localNumber': 'Numéro local',
+  'field.phoneCountry': 'Pays du téléphone',
+  'field.linkedin': 'LinkedIn',
+  'field.socialLinks': 'Réseaux sociaux',
+  'field.socialLinkName': 'Libellé du lien',
+  'field.cardColor': 'Couleur de la carte',
+  'field.bgColor': 'Couleur de fond',
+  'field.theme': 'Thème de la carte',
+  'field.gradientColor': 'Couleur du dégradé',
+  'field.logo': 'Logo',
+  'field.photo': 'Photo',
+  'field.resumes': 'CV',
+  'field.resumeName': 'Nom du CV',
+  'field.sectionShown': '{section} affiché',
+  'field.buttonOrder': 'Ordre des boutons',
+  'field.customSections': 'Sections personnalisées',
+  'field.customSectionName': 'Nom de la section personnalisée',
+  'field.noLink': 'sans lien',
+  'field.lastUpdated': 'Date de mise à jour',
+  'field.expiresAt': 'Date d’expiration',
+
+  // Updating a saved contact
+  'diff.set': 'définie',
+  'diff.none': 'aucune',
+  'diff.changed': 'modifiée',
+  'diff.removed': 'supprimée',
+  'diff.empty': '(vide)',
+  'update.intro': '{name} est déjà enregistré. Cette carte contient des modifications :',
+  'update.older': 'Attention : cette carte (mise à jour le {incoming}) est PLUS ANCIENNE que la version enregistrée ({saved}).',
+  'update.cardUpdated': 'Carte mise à jour le {date}.',
+  'update.differentKey': 'Signée avec une clé DIFFÉRENTE ({incoming}) de celle associée à ce contact ({pinned}).',
+  'update.unsigned': 'Cette carte n’est pas signée, mais votre copie enregistrée était signée par ce contact.',
+  'update.choice': 'OK = mettre à jour (vos étiquettes et notes sont conservées)  ·  Annuler = garder la version enregistrée',
+
+  // Tags & notes
+  'notes.title': 'Étiquettes et notes',
+  'notes.titleFor': 'Étiquettes et notes pour {name}',
+  'notes.hint': 'Vous seul pouvez les voir. Elles sont conservées si ce contact vous envoie une carte mise à jour.',
+  'notes.tags': 'Étiquettes',
+  'notes.tagPlaceholder': 'ex. Salon de printemps 2026 — appuyez sur Entrée pour ajouter',
+  'notes.notes': 'Notes',
+  'notes.notesPlaceholder': 'Où vous vous êtes rencontrés, quoi relancer…',
+  'notes.removeTag': 'Retirer l’étiquette {tag}',
+  'notes.saveFailed': 'Impossible d’enregistrer les étiquettes et notes.',
+  'notes.saved': 'Étiquettes et notes enregistrées',
+
+  // vCard import
+  'import.imported': { one: '{count} contact importé.', other: '{count} contacts importés.' },
+  'import.duplicates': { one: '{count} déjà dans votre collection.', other: '{count} déjà dans votre collection.' },
+  'import.cleaned': {
+    one: '{count} contenait des données invalides qui ont été ignorées (voir la console du navigateur).',
+    other: '{count} contenaient des données invalides qui ont été ignorées (voir la console du navigateur).'
+  },
+  'import.unreadable': { one: '{count} fichier n’a pas pu être lu.', other: '{count} fichiers n’ont pas pu être lus.' },
+
+  // Share panel
+  'share.title': 'Partager ma carte',
+  'share.qrHeading': 'Partager par QR code',
+  'share.instructions': 'Vos contacts peuvent scanner ce QR code pour voir et enregistrer votre carte de visite.',
+  'share.protect': 'Protéger par une phrase secrète',
+  'share.passphrasePlaceholder': 'Phrase secrète à donner aux destinataires',
+  'share.expiresLabel': 'Expiration du lien',
+  'share.expiryNever': 'Jamais',
+  'share.expiryDay': 'Après 1 jour',
+  'share.expiryWeek': 'Après 1 semaine',
+  'share.expiryMonth': 'Après 1 mois',
+  'share.expiryCustom': 'À une date précise…',
+  'share.regenerate': 'Régénérer',
+  'share.copyLink': 'Copier le lien',
+  'share.openLink': 'Ouvrir le lien',
+  'share.noCard': 'Créez d’abord votre carte dans les paramètres !',
+  'share.fileWarning': 'Ceci est un fichier local ({scheme}). Les téléphones ne peuvent pas l’ouvrir. ' +
+    'Utilisez un serveur web et l’URL de votre réseau.',
+  'share.localhostWarning': 'Le QR code pointe vers {host}. Les autres appareils ne peuvent pas y accéder. ' +
+    'Utilisez l’IP de votre réseau (ex. {example}).',
+  'share.qrFailed': 'La génération du QR code a échoué. Utilisez les boutons Copier le lien ou Ouvrir le lien :',
+  'share.qrLabel': 'QR code de votre lien de partage',
+  'share.photoCost': { one: 'Votre photo ajoute {count} octet au lien.', other: 'Votre photo ajoute {count} octets au lien.' },
+  'share.photoTooLarge': 'Votre photo n’a pas pu être réduite sous {count} octets, ' +
+    'les destinataires verront donc un avatar avec vos initiales.',
+  'share.passphraseMissing': 'Saisissez une phrase secrète pour créer un lien protégé.',
+  'share.expiryMissing': 'Choisissez la date d’expiration du lien.',
+  'share.expiryPast': 'Choisissez une date d’expiration future.',
+  'share.signed': 'Les liens sont signés par cet appareil (clé {fingerprint}).',
+  'share.unsigned': 'Les liens ne sont pas signés : la signature nécessite https:// ou localhost.',
+  'share.linkCopied': 'Lien copié dans le presse-papiers !',
+  'share.copyFailed': 'La copie a échoué. Sélectionnez et copiez le lien manuellement.',
+
+  // Print export
+  'print.heading': 'Imprimer votre carte',
+  'print.instructions': 'Téléchargez un PDF du recto et du verso avec fond perdu et traits de coupe. Le code QR utilise les options de lien ci-dessus.',
+  'print.sizeLabel': 'Format de la carte',
+  'print.sizeUs': 'US (3,5 × 2 po)',
+  'print.sizeEu': 'Européen (85 × 55 mm)',
+  'print.sizeCreditCard': 'Carte bancaire (85,6 × 54 mm)',
+  'print.layoutLabel': 'Mise en page',
+  'print.layoutSingle': 'Une carte par page, avec fond perdu (imprimeur)',
+  'print.layoutLetter': { one: '{count} carte sur US Letter', other: '{count} cartes sur US Letter' },
+  'print.layoutA4': { one: '{count} carte sur A4', other: '{count} cartes sur A4' },
+  'print.download': 'Télécharger le PDF',
+  'print.preparing': 'Préparation du PDF…',
+  'print.qrFailed': 'Le code QR du verso n’a pas pu être créé. Essayez un lien plus court (par exemple une photo plus petite).',
+  'print.failed': 'Le PDF n’a pas pu être créé. Veuillez réessayer.',
+
+  // Opening a shared card
+  'shared.passphrasePrompt': 'Cette carte est protégée. Saisissez la phrase secrète que l’on vous a donnée :',
+  'shared.passphraseRetry': 'Phrase secrète incorrecte. Réessayez :',
+  'shared.passphraseCancelled':
+    'Cette carte est protégée par une phrase secrète. Rouvrez le lien pour la saisir.',
+  'shared.openFailed': 'Impossible d’ouvrir le lien de cette carte : {reason}',
+  'shared.problemsIntro': 'Certaines informations de cette carte n’étaient pas sûres ou valides et ont été ignorées :',
+  'shared.moreProblems': { one: '…et {count} autre', other: '…et {count} autres' },
+  'expired.title': 'Le lien de cette carte a expiré',
+  'expired.message': '{sender} a partagé cette carte avec un lien qui a expiré le {date} : ' +
+    'les informations sont peut-être obsolètes. Demandez un nouveau lien ou QR code.',
+  'expired.theSender': 'L’expéditeur',
+  'expired.goToMyCard': 'Aller à ma carte',
+  'badge.verified': 'Vérifiée · clé {fingerprint}',
+  'badge.keyChanged': 'Signée avec une autre clé que votre contact enregistré (maintenant {now}, avant {was})',
+  'badge.mismatch': 'Signature non conforme : cette carte a peut-être été modifiée',
+  'badge.unchecked': 'Signée, mais ce navigateur ne peut pas vérifier les signatures (https:// requis)',
+  'badge.unsignedPinned': 'Non signée : votre copie enregistrée de ce contact était signée',
+  'badge.unsigned': 'Carte non signée : l’expéditeur n’a pas pu être vérifié',
+
+  // Card links
+  'codec.unsupportedVersion': 'Version de lien de carte non prise en charge : {version}',
+  'codec.noCompression': 'Ce navigateur ne peut pas ouvrir les liens de carte compressés.',
+  'codec.malformed': 'Données de carte corrompues',
+  'codec.passphraseNeedsHttps': 'La protection par phrase secrète nécessite https:// ou localhost.',
+  'codec.passphraseRequired': 'Cette carte est protégée par une phrase secrète.',
+  'codec.passphraseUnsupported': 'Ce navigateur ne peut pas ouvrir les cartes protégées (https:// requis).',
+  'codec.wrongPassphrase': 'Phrase secrète incorrecte.',
+
+  // Checking shared and imported cards
+  'validation.unrecognisedCard': 'Les données de la carte ne sont pas dans un format reconnu.',
+  'validation.unexpectedField': 'Champ inattendu « {field} » ignoré.',
+  'validation.schemaVersion': 'Version de schéma invalide ignorée.',
+  'validation.noName': 'La carte n’a pas de nom.',
+  'validation.notText': '{label} n’était pas du texte et a été supprimé.',
+  'validation.controlCharacters': '{label} contenait des caractères de contrôle cachés, qui ont été supprimés.',
+  'validation.tooLong': '{label} dépassait {count} caractères et a été raccourci.',
+  'validation.invalidValue': '{label} « {value} » n’est pas valide et a été supprimé.',
+  'validation.invalidUrl': 'Le lien {label} a été supprimé car ce n’est pas une adresse http(s) valide.',
+  'validation.invalidColor': '{label} n’est pas une couleur valide ; la couleur par défaut a été utilisée.',
+  'validation.unrecognisedTheme': 'Le thème de la carte n’était pas dans un format reconnu ; le thème par défaut a été utilisé.',
+  'validation.invalidThemeOption': 'L’option de thème {option} « {value} » n’est pas prise en charge ; la valeur par défaut a été utilisée.',
+  'validation.invalidImage': 'La photo de profil a été supprimée car ce n’est pas une image prise en charge.',
+  'validation.invalidDate': '{label} n’est pas une date valide et a été supprimé.',
+  'validation.unrecognisedLinks': 'Les liens du portfolio n’étaient pas dans un format reconnu.',
+  'validation.unknownSection': 'Section de portfolio inconnue « {section} » ignorée.',
+  'validation.invalidVisibility': 'La visibilité de {section} n’était pas vrai/faux ; la section est affichée.',
+  'validation.unrecognisedResumes': 'Les CV n’étaient pas dans un format reconnu.',
+  'validation.tooManyResumes': {
+    one: 'Seul le premier CV a été conservé.',
+    other: 'Seuls les {count} premiers CV ont été conservés.'
+  },
+  'validation.unrecognisedResume': 'Un CV n’était pas dans un format reconnu.',
+  'validation.resumeNamed': 'CV « {label} »',
+  'validation.resumeFormat': 'Le CV « {label} » a un format non pris en charge et a été supprimé.',
+  'validation.resumeDate': 'Le CV « {label} » avait une date invalide, qui a été supprimée.',
+  'validation.unrecognisedSocialLinks': 'Les réseaux sociaux n’étaient pas dans un format reconnu.',
+  'validation.tooManySocialLinks': { one: 'Seul le premier réseau social a été conservé.', other: 'Seuls les {count} premiers réseaux sociaux ont été conservés.' },
+  'validation.unrecognisedSocialLink': 'Un réseau social n’était pas dans un format reconnu.',
+  'validation.socialLinkType': 'Un lien de type inconnu « {type} » a été supprimé.',
+  'validation.socialLinkUrl': 'Le lien {name} n’était pas une URL de profil valide et a été supprimé.',
+  'validation.unrecognisedSections': 'Les sections personnalisées n’étaient pas dans un format reconnu.',
+  'validation.tooManySections': {
+    one: 'Seule la première section personnalisée a été conservée.',
+    other: 'Seules les {count} premières sections personnalisées ont été conservées.'
+  },
+  'validation.unrecognisedSection': 'Une section personnalisée n’était pas dans un format reconnu.',
+  'validation.unnamedSection': 'Une section personnalisée sans nom a été supprimée.',
+  'validation.invalidOrder': 'L’ordre des boutons du portfolio n’était pas valide ; l’ordre par défaut est utilisé.',
+
+  // Settings panel
+  'settings.title': 'Paramètres de ma carte',
+  'settings.language': 'Langue',
+  'settings.editingProfile': 'Profil modifié : {name}',
+  'settings.profileSection': 'INFORMATIONS DU PROFIL',
+  'settings.profilePicture': 'Photo de profil',
+  'settings.uploadHint': 'Importez une photo depuis votre appareil',
+  'settings.photoPalette': 'Couleurs de votre photo',
+  'settings.photoPaletteHint': 'Choisissez une association pour la carte et le fond.',
+  'settings.firstName': 'Prénom (obligatoire)',
+  'settings.firstNamePlaceholder': 'ex. Jean',
+  'settings.lastName': 'Nom (obligatoire)',
+  'settings.lastNamePlaceholder': 'ex. Dupont',
+  'settings.autoCapitalize': 'Mettre automatiquement les majuscules à mon nom',
+  'settings.autoCapitalizeHint': 'Désactivez pour garder votre nom tel que saisi, ex. McDonald ou DiCaprio.',
+  'settings.particles': 'Particules en minuscules',
+  'settings.particlesHint': 'Mots laissés en minuscules dans les noms, séparés par des virgules.',
+  'settings.jobTitle': 'Poste',
+  'settings.jobTitlePlaceholder': 'Étudiant',
+  'settings.email': 'E-mail (obligatoire)',
+  'settings.phone': 'Téléphone (obligatoire)',
+  'settings.country': 'Pays',
+  'settings.countryPlaceholder': 'Pays…',
+  'settings.phonePlaceholder': 'Numéro de téléphone',
+  'settings.socialLinks': 'Réseaux et liens web',
+  'settings.socialLinksHint': 'Profils et sites affichés au dos de votre carte.',
+  'settings.addSocialLink': '+ Ajouter un lien',
+  'settings.portfolioSection': 'LIENS DU PORTFOLIO',
+  'settings.portfolioItems': 'Éléments du portfolio à afficher',
+  'settings.portfolioItemsHint': 'Choisissez les éléments du portfolio à afficher sur votre carte',
+  'settings.certUrl': 'URL de la page Certifications',
+  'settings.eduUrl': 'URL de la page Formation',
+  'settings.projUrl': 'URL de la page Projets',
+  'settings.refUrl': 'URL de la page Références',
+  'settings.workUrl': 'URL de l’expérience professionnelle',
+  'settings.resumes': 'CV',
+  'settings.resumesHint': 'Ajoutez chaque version de votre CV. S’il y en a plusieurs, les visiteurs choisissent dans une liste.',
+  'settings.addResume': '+ Ajouter un CV',
+  'settings.customSections': 'Sections personnalisées',
+  'settings.customSectionsHint':
+    'Ajoutez vos propres boutons, ex. Dribbble, Bande démo ou Publications. Cochez pour les afficher sur votre carte.',
+  'settings.addSection': '+ Ajouter une section',
+  'settings.buttonOrder': 'Ordre des boutons',
+  'settings.buttonOrderHint': 'Faites glisser pour réordonner, ou sélectionnez un élément et utilisez les flèches ↑ / ↓.',
+  'settings.customizationSection': 'PERSONNALISATION',
+  'settings.theme': 'Thème',
+  'settings.themeHint': 'Partez d’un thème prédéfini, puis ajustez le reste ci-dessous.',
+  'settings.themeCustom': 'Personnalisé',
+  'settings.cardColor': 'Couleur de la carte',
+  'settings.gradient': 'Couleurs du dégradé',
+  'settings.gradientHint': 'Couleurs fondues après la couleur de la carte. Laissez vide pour une carte unie.',
+  'settings.addColor': '+ Ajouter une couleur',
+  'settings.gradientAngle': 'Angle du dégradé',
+  'settings.pattern': 'Motif',
+  'settings.fonts': 'Polices',
+  'settings.layout': 'Disposition du recto',
+  'settings.logo': 'URL du logo',
+  'settings.logoHint': 'Affiché au recto avec la disposition Logo + nom.',
+  'settings.border': 'Bordure',
+  'settings.corners': 'Coins',
+  'settings.bgColor': 'Couleur de fond',
+  'settings.save': 'Enregistrer ma carte',
+  'settings.reset': 'Réinitialiser la carte (John Doe)',
+  'settings.invalidFirstName':
+    'Prénom invalide.\n\nUtilisez des lettres, des tirets et des apostrophes ({max} caractères maximum).',
+  'settings.invalidLastName':
+    'Nom invalide.\n\nUtilisez des lettres, des espaces, des tirets et des apostrophes ({max} caractères maximum).',
+  'settings.saved': 'Votre carte a été enregistrée !',
+  'settings.resetConfirm': 'Voulez-vous vraiment réinitialiser ? Votre carte actuelle sera supprimée.',
+  'settings.resetDone': 'La carte a été réinitialisée (John Doe).',
+  'storage.full': 'Impossible d’enregistrer votre carte (stockage plein). Essayez de réduire la taille de l’image.',
+  'storage.migrationFailed': 'Vos données enregistrées n’ont pas pu être déplacées dans la base de données du navigateur. Elles restent à leur place et sont utilisées pour le moment ; le déplacement sera retenté la prochaine fois.',
+
+  // Card themes
+  'theme.removeColor': 'Retirer la couleur',
+  'theme.colorLimit': { one: 'Vous pouvez ajouter jusqu’à {count} couleur de dégradé.', other: 'Vous pouvez ajouter jusqu’à {count} couleurs de dégradé.' },
+  'themePreset.classic': 'Classique',
+  'themePreset.sunset': 'Coucher de soleil',
+  'themePreset.ocean': 'Océan',
+  'themePreset.forest': 'Forêt',
+  'themePreset.midnight': 'Minuit',
+  'themePreset.paper': 'Papier',
+  'cardPattern.none': 'Aucun',
+  'cardPattern.dots': 'Pois',
+  'cardPattern.stripes': 'Rayures',
+  'cardPattern.grid': 'Grille',
+  'cardPattern.checks': 'Damier',
+  'cardFonts.system': 'Système',
+  'cardFonts.classic': 'Serif classique',
+  'cardFonts.modern': 'Moderne',
+  'cardFonts.elegant': 'Élégante',
+  'cardFonts.mono': 'Machine à écrire',
+  'cardFonts.rounded': 'Arrondie',
+  'cardLayout.photo': 'Photo seule',
+  'cardLayout.photoName': 'Photo + nom',
+  'cardLayout.logoName': 'Logo + nom',
+  'cardBorder.none': 'Aucune',
+  'cardBorder.thin': 'Fine',
+  'cardBorder.thick': 'Épaisse',
+  'cardBorder.double': 'Double',
+  'cardBorder.dashed': 'Tirets',
+  'cardCorners.square': 'Droits',
+  'cardCorners.soft': 'Légèrement arrondis',
+  'cardCorners.rounded': 'Arrondis',
+  'cardCorners.round': 'Très arrondis',
+
+  // Contrast warnings
+  'contrast.heading': 'Contraste insuffisant : le niveau WCAG AA exige au moins {ratio}:1.',
+  'contrast.cardColor': 'Couleur de la carte {color}',
+  'contrast.gradientColor': 'Couleur du dégradé {position} ({color})',
+  'contrast.text': 'texte {ratio}:1',
+  'contrast.chips': 'pastilles {ratio}:1',
+  'contrast.buttons': 'boutons du portfolio {ratio}:1',
+  'contrast.useShade': 'Utiliser {color}',
+
+  // Photo palette
+  'palette.apply': 'Carte {card} sur fond {background}',
+
+  // Email checks
+  'email.invalidHeading': 'L’e-mail n’est pas valide :',
+  'email.length': 'L’e-mail doit contenir entre {min} et {max} caractères.',
+  'email.oneAt': 'Il doit contenir exactement un symbole « @ ».',
+  'email.consecutiveDots': 'L’e-mail ne peut pas contenir deux points consécutifs.',
+  'email.startsWithDot': 'L’e-mail ne peut pas commencer par un point.',
+  'email.endsWithDot': 'L’e-mail ne peut pas se terminer par un point.',
+  'email.startsWithDash': 'L’e-mail ne peut pas commencer par un tiret.',
+  'email.missingLocalPart': 'Texte manquant avant « @ ».',
+  'email.domainNoDot': 'Le domaine doit contenir un point.',
+  'email.domainConsecutiveDots': 'Le domaine ne peut pas contenir deux points consécutifs.',
+  'email.domainStartsWithDot': 'Le domaine ne peut pas commencer par un point.',
+  'email.domainEndsWithDot': 'Le domaine ne peut pas se terminer par un point.',
+  'email.domainNumbers': 'Le domaine ne peut pas contenir de chiffres.',
+  'email.tldLength': 'Le domaine de premier niveau doit comporter au moins {min} lettres.',
+
+  // Phone checks
+  'phone.chooseCountry': 'Veuillez choisir un pays.',
+  'phone.enterNumber': 'Veuillez saisir un numéro de téléphone.',
+  'phone.invalidCharacters': 'Le numéro ne peut contenir que des chiffres, espaces, tirets et parenthèses.',
+  'phone.invalidInternational': 'Ce n’est pas un numéro de téléphone international valide.',
+  'phone.wrongCountryCode': 'Ce numéro commence par +{code}, mais l’indicatif de {country} est +{expected}.',
+  'phone.lengthExact': 'Les numéros de {country} comportent {min} chiffres.',
+  'phone.lengthExactTrunk': 'Les numéros de {country} comportent {min} chiffres (sans compter le {trunk} initial).',
+  'phone.lengthRange': 'Les numéros de {country} comportent de {min} à {max} chiffres.',
+  'phone.lengthRangeTrunk': 'Les numéros de {country} comportent de {min} à {max} chiffres (sans compter le {trunk} initial).',
+  'phone.invalidNumber': 'Ce numéro ne semble pas valide pour {country}.',
+
+  // Photo crop
+  'crop.instructions': 'Faites glisser pour repositionner • Utilisez le curseur pour zoomer',
+  'crop.zoom': 'Zoom :',
+  'crop.apply': 'Enregistrer et appliquer'
+};
@@ -0,0 +1,471 @@
+/* ==========================================================
+   JAPANESE MESSAGES (日本語)
+   Missing keys fall back to English. Japanese has a single
+   plural category, so plural messages only need `other`.
+   ========================================================== */
+
+MESSAGES.ja = {
+  // Shared words
+  'common.cancel': 'キャンセル',
+  'common.save': '保存',
+  'common.delete': '削除',
+  'common.yes': 'はい',
+  'common.no': 'いいえ',
+
+  // Floating navigation
+  'nav.openHome': 'ホームパネルを開く',
+  'nav.openShare': '共有パネルを開く',
+  'nav.openSettings': '設定を開く',
+
+  // Business card
+  'card.hint': 'カードをクリックすると連絡先が表示されます',
+  'card.hintShared': 'カードをクリックすると詳細が表示されます',
+  'card.downloadVcf': '.vcf をダウンロード',
+  'card.portfolioHeading': 'ポートフォリオ',
+  'copy.email': 'メールアドレス',
+  'copy.copied': '{label}をコピーしました',
+  'copy.failed': '{label}をコピーできませんでした',
+
+  // Portfolio sections (full names, then the shorter card button names)
+  'portfolio.cert': '資格',
+  'portfolio.edu': '学歴',
+  'portfolio.proj': 'プロジェクト',
+  'portfolio.ref': '推薦者',
+  'portfolio.resume': '履歴書',
+  'portfolio.work': '職歴',
+  'portfolioButton.cert': '資格',
+  'portfolioButton.edu': '学歴',
+  'portfolioButton.proj': 'プロジェクト',
+  'portfolioButton.ref': '推薦者',
+  'portfolioButton.resume': '履歴書',
+  'portfolioButton.work': '職歴',
+  'portfolio.unsafeLink': 'このリンクは有効なウェブアドレスではないため、開きませんでした。',
+  'portfolio.noContactLink': 'この連絡先には{item}のリンクがありません。',
+  'portfolio.noOwnLink': '{item}のリンクが設定されていません。\n\n設定で URL を追加すると、ポートフォリオにリンクできます。',
+  'portfolio.thisSection': 'このセクション',
+
+  // Resumes
+  'resumeFormat.pdf': 'PDF',
+  'resumeFormat.docx': 'Word (DOCX)',
+  'resumeFormat.html': 'ウェブページ (HTML)',
+  'resumeFormat.md': 'Markdown',
+  'resume.chooseTitle': '履歴書を選択',
+  'resume.updated': '{date}更新',
+  'resume.labelPlaceholder': 'ラベル(例: エンジニア職)',
+  'resume.format': '形式',
+  'resume.remove': '履歴書を削除',
+  'resume.updatedTitle': '最終更新日(任意)',
+  'resume.limit': { other: '履歴書は最大{count}件まで追加できます。' },
+  'resume.missingUrl': '履歴書「{label}」のリンクを追加してください。',
+
+  // Social links
+  'social.type': 'リンクの種類',
+  'social.remove': 'リンクを削除',
+  'social.labelPlaceholder': 'ラベル（例: ポッドキャスト）',
+  'social.limit': { other: 'リンクは {count} 件まで追加できます。' },
+  'social.missingUrl': '{name} のリンクに URL を入力してください。',
+  'social.missingLabel': '{url} にラベルを入力してください。',
+  'social.invalidUrl': '{name} のリンクが正しくないようです。{example} のようなプロフィール URL を使ってください。',
+  'socialType.linkedin': 'LinkedIn',
+  'socialType.github': 'GitHub',
+  'socialType.website': 'ウェブサイト',
+  'socialType.x': 'X',
+  'socialType.mastodon': 'Mastodon',
+  'socialType.behance': 'Behance',
+  'socialType.youtube': 'YouTube',
+  'socialType.other': 'その他',
+
+  // Custom portfolio sections and button order
+  'customSection.showOnCard': 'カードに表示',
+  'customSection.labelPlaceholder': 'ラベル(例: デモリール)',
+  'customSection.remove': 'セクションを削除',
+  'customSection.limit': { other: 'カスタムセクションは最大{count}件まで追加できます。' },
+  'customSection.missingName': 'カスタムセクションにはそれぞれ名前を付けてください。',
+  'customSection.duplicate': '「{label}」という名前のセクションはすでにあります。',
+  'customSection.untitled': '無題のセクション',
+  'order.itemLabel': '{label}、{total}件中{position}番目',
+  'order.moveUp': '上へ移動',
+  'order.moveDown': '下へ移動',
+
+  // Home panel
+  'home.title': 'マイコレクション',
+  'home.tabMyCard': 'マイカード',
+  'home.tabContacts': '保存した連絡先',
+  'home.emptyCardTitle': '名刺を作成しましょう',
+  'home.emptyCardText': 'デジタル名刺を作成して、ほかの人と共有できます',
+  'home.createCard': 'マイカードを作成',
+  'home.myBusinessCard': 'マイ名刺',
+  'home.editCard': 'カードを編集',
+  'home.shareCard': 'カードを共有',
+  'home.searchPlaceholder': '名前・メール・役職・電話番号で検索',
+  'home.searchLabel': '連絡先を検索',
+  'home.sortLabel': '連絡先の並べ替え',
+  'home.sortName': '並べ替え: 名前',
+  'home.sortSaved': '並べ替え: 保存日',
+  'home.sortUpdated': '並べ替え: 更新日',
+  'home.tagFilterLabel': 'タグで絞り込み',
+  'home.allTags': 'すべてのタグ',
+  'home.hasResume': '履歴書あり',
+  'home.hasLinkedin': 'LinkedIn あり',
+  'home.importVcf': '.vcf を読み込む',
+  'home.noContactsTitle': 'まだ連絡先がありません',
+  'home.noContactsText': '誰かにカードを共有してもらったら、ここに保存しましょう',
+  'home.noMatchesTitle': '一致する連絡先がありません',
+  'home.noMatchesText': '別の検索語を試すか、絞り込みを解除してください',
+  'home.outdated': '古い可能性あり',
+  'home.outdatedTitle': 'このカードのリンクは{date}に期限切れになりました',
+  'home.savedOn': '{date}に保存',
+  'home.updatedOn': '{date}に更新',
+  'home.view': '表示',
+
+  // Card profiles
+  'profiles.label': 'カードプロフィール',
+  'profiles.firstProfile': 'マイカード',
+  'profiles.defaultName': '{name}(既定)',
+  'profiles.new': '新規',
+  'profiles.duplicate': '複製',
+  'profiles.rename': '名前を変更',
+  'profiles.setDefault': '既定にする',
+  'profiles.newPrompt': '新しいカードプロフィールの名前(例: 「就職説明会」):',
+  'profiles.createFailed': 'プロフィールを作成できませんでした。',
+  'profiles.duplicatePrompt': 'コピーの名前:',
+  'profiles.copyName': '{name}(コピー)',
+  'profiles.duplicateFailed': 'プロフィールを複製できませんでした。',
+  'profiles.renamePrompt': '新しいプロフィール名:',
+  'profiles.deleteConfirm': 'カードプロフィール「{name}」を削除しますか?元に戻せません。',
+
+  // Saving and viewing contacts
+  'contact.saveToContacts': '連絡先に保存',
+  'contact.backToMyCard': '← マイカードに戻る',
+  'contact.signatureMismatchConfirm':
+    'このカードの署名が内容と一致しません。改ざんされている可能性があります。\n\nそれでも保存しますか?',
+  'contact.alreadyLatest': '{name}さんのカードはすでに最新版です。',
+  'contact.updateFailed': 'この連絡先を更新できませんでした。',
+  'contact.updated': '{name}さんのカードを更新しました。タグとメモはそのまま残っています。',
+  'contact.alreadySaved': 'この連絡先はすでにコレクションにあります。',
+  'contact.saved': '{name}さんのカードを連絡先に保存しました。',
+  'contact.removeConfirm': 'この連絡先を削除しますか?',
+
+  // Card fields (change lists and validation messages)
+  'field.firstName': '名',
+  'field.lastName': '姓',
+  'field.jobTitle': '役職',
+  'field.email': 'メールアドレス',
+  'field.phone': '電話番号',
+  'field.phoneE164': '電話番号 (E.164)',
+  'field.countryCode': '国番号',
+  'field.localNumber': '国内番号',
+  'field.phoneCountry': '電話番号の国',
+  'field.linkedin': 'LinkedIn',
+  'field.socialLinks': 'ソーシャルリンク',
+  'field.socialLinkName': 'リンクのラベル',
+  'field.cardColor': 'カードの色',
+  'field.bgColor': '背景色',
+  'field.theme': 'カードのテーマ',
+  'field.gradientColor': 'グラデーションの色',
+  'field.logo': 'ロゴ',
+  'field.photo': '写真',
+  'field.resumes': '履歴書',
+  'field.resumeName': '履歴書の名前',
+  'field.sectionShown': '{section}の表示',
+  'field.buttonOrder': 'ボタンの順序',
+  'field.customSections': 'カスタムセクション',
+  'field.customSectionName': 'カスタムセクションの名前',
+  'field.noLink': 'リンクなし',
+  'field.lastUpdated': '更新日',
+  'field.expiresAt': '有効期限',
+
+  // Updating a saved contact
+  'diff.set': '設定済み',
+  'diff.none': 'なし',
+  'diff.changed': '変更',
+  'diff.removed': '削除',
+  'diff.empty': '(空)',
+  'update.intro': '{name}さんはすでに保存されています。このカードには次の変更があります:',
+  'update.older': '注意: このカード({incoming}更新)は、保存済みのバージョン({saved})より古いものです。',
+  'update.cardUpdated': 'カードの更新日: {date}',
+  'update.differentKey': 'この連絡先に登録された鍵({pinned})とは別の鍵({incoming})で署名されています。',
+  'update.unsigned': 'このカードは署名されていませんが、保存済みのコピーはこの連絡先が署名していました。',
+  'update.choice': 'OK = 更新(タグとメモは残ります)  ·  キャンセル = 保存済みのバージョンを残す',
+
+  // Tags & notes
+  'notes.title': 'タグとメモ',
+  'notes.titleFor': '{name}さんのタグとメモ',
+  'notes.hint': 'あなただけが見られます。この連絡先から更新されたカードが届いても残ります。',
+  'notes.tags': 'タグ',
+  'notes.tagPlaceholder': '例: 2026年春の説明会 — Enter で追加',
+  'notes.notes': 'メモ',
+  'notes.notesPlaceholder': '出会った場所、フォローアップの内容など…',
+  'notes.removeTag': 'タグ「{tag}」を削除',
+  'notes.saveFailed': 'タグとメモを保存できませんでした。',
+  'notes.saved': 'タグとメモを保存しました',
+
+  // vCard import
+  'import.imported': { other: '{count}件の連絡先を読み込みました。' },
+  'import.duplicates': { other: '{count}件はすでにコレクションにあります。' },
+  'import.cleaned': { other: '{count}件に無効な情報があり、除外しました(ブラウザーのコンソールを参照)。' },
+  'import.unreadable': { other: '{count}個のファイルを読み込めませんでした。' },
+
+  // Share panel
+  'share.title': 'マイカードを共有',
+  'share.qrHeading': 'QR コードで共有',
+  'share.instructions': 'この QR コードをスキャンすると、あなたの名刺を表示・保存できます。',
+  'share.protect': 'パスフレーズで保護する',
+  'share.passphrasePlaceholder': '受け取る人に伝えるパスフレーズ',
+  'share.expiresLabel': 'リンクの有効期限',
+  'share.expiryNever': 'なし',
+  'share.expiryDay': '1日後',
+  'share.expiryWeek': '1週間後',
+  'share.expiryMonth': '1か月後',
+  'share.expiryCustom': '日付を指定…',
+  'share.regenerate': '再生成',
+  'share.copyLink': 'リンクをコピー',
+  'share.openLink': 'リンクを開く',
+  'share.noCard': '先に設定でカードを作成してください。',
+  'share.fileWarning': 'これはローカルファイル({scheme})です。スマートフォンでは開けません。' +
+    'ウェブサーバーを起動し、ネットワークの URL を使ってください。',
+  'share.localhostWarning': 'QR コードが {host} を指しています。ほかの端末からはアクセスできません。' +
+    'ネットワークの IP アドレス(例: {example})を使ってください。',
+  'share.qrFailed': 'QR コードを生成できませんでした。下の「リンクをコピー」または「リンクを開く」を使ってください:',
+  'share.qrLabel': '共有リンクの QR コード',
+  'share.photoCost': { other: '写真によってリンクが{count}バイト長くなります。' },
+  'share.photoTooLarge': '写真を{count}バイト未満に縮小できなかったため、' +
+    '受け取った人にはイニシャルのアバターが表示されます。',
+  'share.passphraseMissing': '保護されたリンクを作成するには、パスフレーズを入力してください。',
+  'share.expiryMissing': 'リンクの有効期限の日付を選んでください。',
+  'share.expiryPast': '未来の日付を有効期限に選んでください。',
+  'share.signed': 'リンクはこの端末で署名されます(鍵 {fingerprint})。',
+  'share.unsigned': 'リンクは署名されません。署名には https:// または localhost が必要です。',
+  'share.linkCopied': 'リンクをクリップボードにコピーしました。',
+  'share.copyFailed': 'コピーできませんでした。手動で選択してコピーしてください。',
+
+  // Print export
+  'print.heading': 'カードを印刷',
+  'print.instructions': '塗り足しとトンボ付きの表面・裏面の PDF をダウンロードします。QR コードは上のリンク設定を使用します。',
+  'print.sizeLabel': 'カードのサイズ',
+  'print.sizeUs': '米国（3.5 × 2 インチ）',
+  'print.sizeEu': 'ヨーロッパ（85 × 55 mm）',
+  'print.sizeCreditCard': 'クレジットカード（85.6 × 54 mm）',
+  'print.layoutLabel': 'レイアウト',
+  'print.layoutSingle': '1 ページに 1 枚・塗り足し付き（印刷所向け）',
+  'print.layoutLetter': { other: 'US レターに {count} 枚' },
+  'print.layoutA4': { other: 'A4 に {count} 枚' },
+  'print.download': 'PDF をダウンロード',
+  'print.preparing': 'PDF を作成中…',
+  'print.qrFailed': '裏面の QR コードを作成できませんでした。短いリンク（小さい写真など）でお試しください。',
+  'print.failed': 'PDF を作成できませんでした。もう一度お試しください。',
+
+  // Opening a shared card
+  'shared.passphrasePrompt': 'このカードは保護されています。受け取ったパスフレーズを入力してください:',
+  'shared.passphraseRetry': 'パスフレーズが違います。もう一度入力してください:',
+  'shared.passphraseCancelled': 'このカードはパスフレーズで保護されています。リンクを開き直してパスフレーズを入力してください。',
+  'shared.openFailed': 'このカードのリンクを開けませんでした: {reason}',
+  'shared.problemsIntro': 'このカードの一部の情報は安全でないか無効だったため、除外しました:',
+  'shared.moreProblems': { other: '…ほか{count}件' },
+  'expired.title': 'このカードのリンクは期限切れです',
+  'expired.message': '{sender}さんが共有したこのカードのリンクは{date}に期限切れになったため、' +
+    '情報が古い可能性があります。新しいリンクか QR コードを依頼してください。',
+  'expired.theSender': '送信者',
+  'expired.goToMyCard': 'マイカードへ',
+  'badge.verified': '検証済み · 鍵 {fingerprint}',
+  'badge.keyChanged': '保存済みの連絡先とは別の鍵で署名されています(現在 {now}、以前 {was})',
+  'badge.mismatch': '署名が一致しません: このカードは改ざんされている可能性があります',
+  'badge.unchecked': '署名されていますが、このブラウザーでは検証できません(https:// が必要)',
+  'badge.unsignedPinned': '署名なし: 保存済みのこの連絡先のコピーは署名されていました',
+  'badge.unsigned': '署名のないカード: 送信者を確認できませんでした',
+
+  // Card links
+  'codec.unsupportedVersion': '対応していないカードリンクのバージョンです: {version}',
+  'codec.noCompression': 'このブラウザーでは圧縮されたカードリンクを開けません。',
+  'codec.malformed': 'カードのデータが壊れています',
+  'codec.passphraseNeedsHttps': 'パスフレーズ保護には https:// または localhost が必要です。',
+  'codec.passphraseRequired': 'このカードはパスフレーズで保護されています。',
+  'codec.passphraseUnsupported': 'このブラウザーではパスフレーズで保護されたカードを開けません(https:// が必要)。',
+  'codec.wrongPassphrase': 'パスフレーズが違います。',
+
+  // Checking shared and imported cards
+  'validation.unrecognisedCard': 'カードのデータが認識できる形式ではありません。',
+  'validation.unexpectedField': '想定外の項目「{field}」を無視しました。',
+  'validation.schemaVersion': '無効なスキーマバージョンを無視しました。',
+  'validation.noName': 'カードに名前がありません。',
+  'validation.notText': '{label}がテキストではなかったため、削除しました。',
+  'validation.controlCharacters': '{label}に含まれていた見えない制御文字を削除しました。',
+  'validation.tooLong': '{label}が{count}文字を超えていたため、短くしました。',
+  'validation.invalidValue': '{label}「{value}」は無効なため、削除しました。',
+  'validation.invalidUrl': '{label}のリンクは有効な http(s) アドレスではないため、削除しました。',
+  'validation.invalidColor': '{label}は有効な色ではないため、既定の色を使いました。',
+  'validation.unrecognisedTheme': 'カードのテーマが認識できる形式ではなかったため、既定のテーマを使いました。',
+  'validation.invalidThemeOption': 'テーマの{option}「{value}」には対応していないため、既定値を使いました。',
+  'validation.invalidImage': 'プロフィール写真は対応している画像ではないため、削除しました。',
+  'validation.invalidDate': '{label}は有効な日付ではないため、削除しました。',
+  'validation.unrecognisedLinks': 'ポートフォリオのリンクが認識できる形式ではありませんでした。',
+  'validation.unknownSection': '不明なポートフォリオセクション「{section}」を無視しました。',
+  'validation.invalidVisibility': '{section}の表示設定が true/false ではなかったため、表示しています。',
+  'validation.unrecognisedResumes': '履歴書が認識できる形式ではありませんでした。',
+  'validation.tooManyResumes': { other: '最初の{count}件の履歴書だけを残しました。' },
+  'validation.unrecognisedResume': '認識できない形式の履歴書がありました。',
+  'validation.resumeNamed': '履歴書「{label}」',
+  'validation.resumeFormat': '履歴書「{label}」は対応していない形式のため、削除しました。',
+  'validation.resumeDate': '履歴書「{label}」の日付が無効だったため、日付を削除しました。',
+  'validation.unrecognisedSocialLinks': 'ソーシャルリンクの形式を認識できませんでした。',
+  'validation.tooManySocialLinks': { other: '最初の {count} 件のソーシャルリンクのみ保持しました。' },
+  'validation.unrecognisedSocialLink': 'ソーシャルリンクの形式を認識できませんでした。',
+  'validation.socialLinkType': '不明な種類「{type}」のリンクを削除しました。',
+  'validation.socialLinkUrl': '{name} のリンクは有効なプロフィール URL ではないため削除しました。',
+  'validation.unrecognisedSections': 'カスタムセクションが認識できる形式ではありませんでした。',
+  'validation.tooManySections': { other: '最初の{count}件のカスタムセクションだけを残しました。' },
+  'validation.unrecognisedSection': '認識できない形式のカスタムセクションがありました。',
+  'validation.unnamedSection': '名前のないカスタムセクションを削除しました。',
+  'validation.invalidOrder': 'ポートフォリオのボタンの順序が無効だったため、既定の順序を使います。',
+
+  // Settings panel
+  'settings.title': 'マイカードの設定',
+  'settings.language': '言語',
+  'settings.editingProfile': '編集中のプロフィール: {name}',
+  'settings.profileSection': 'プロフィール情報',
+  'settings.profilePicture': 'プロフィール写真',
+  'settings.uploadHint': '端末から写真をアップロード',
+  'settings.photoPalette': '写真から選んだ色',
+  'settings.photoPaletteHint': 'カードと背景の組み合わせを選んでください。',
+  'settings.firstName': '名(必須)',
+  'settings.firstNamePlaceholder': '例: 太郎',
+  'settings.lastName': '姓(必須)',
+  'settings.lastNamePlaceholder': '例: 山田',
+  'settings.autoCapitalize': '名前の大文字・小文字を自動で整える',
+  'settings.autoCapitalizeHint': 'オフにすると、入力したとおりに名前を残します(例: McDonald、DiCaprio)。',
+  'settings.particles': '小文字のままにする語',
+  'settings.particlesHint': '名前の中で小文字のままにする語をカンマ区切りで入力します。',
+  'settings.jobTitle': '役職',
+  'settings.jobTitlePlaceholder': '学生',
+  'settings.email': 'メールアドレス(必須)',
+  'settings.phone': '電話番号(必須)',
+  'settings.country': '国',
+  'settings.countryPlaceholder': '国…',
+  'settings.phonePlaceholder': '電話番号',
+  'settings.socialLinks': 'ソーシャル・ウェブリンク',
+  'settings.socialLinksHint': 'カードの裏面に表示するプロフィールやサイトです。',
+  'settings.addSocialLink': '+ リンクを追加',
+  'settings.portfolioSection': 'ポートフォリオのリンク',
+  'settings.portfolioItems': '表示するポートフォリオ項目',
+  'settings.portfolioItemsHint': 'カードに表示するポートフォリオ項目を選んでください',
+  'settings.certUrl': '資格ページの URL',
+  'settings.eduUrl': '学歴ページの URL',
+  'settings.projUrl': 'プロジェクトページの URL',
+  'settings.refUrl': '推薦者ページの URL',
+  'settings.workUrl': '職歴の URL',
+  'settings.resumes': '履歴書',
+  'settings.resumesHint': '履歴書のバージョンをそれぞれ追加します。複数ある場合は、閲覧者が一覧から選びます。',
+  'settings.addResume': '+ 履歴書を追加',
+  'settings.customSections': 'カスタムセクション',
+  'settings.customSectionsHint':
+    'Dribbble、デモリール、出版物など独自のボタンを追加できます。チェックするとカードに表示されます。',
+  'settings.addSection': '+ セクションを追加',
+  'settings.buttonOrder': 'ボタンの順序',
+  'settings.buttonOrderHint': 'ドラッグして並べ替えるか、項目を選んで ↑ / ↓ キーを押します。',
+  'settings.customizationSection': 'カスタマイズ',
+  'settings.theme': 'テーマ',
+  'settings.themeHint': 'プリセットを選んでから、下の項目を自由に調整できます。',
+  'settings.themeCustom': 'カスタム',
+  'settings.cardColor': 'カードの色',
+  'settings.gradient': 'グラデーションの色',
+  'settings.gradientHint': 'カードの色に続けて混ぜる色です。空欄にすると単色のカードになります。',
+  'settings.addColor': '+ 色を追加',
+  'settings.gradientAngle': 'グラデーションの角度',
+  'settings.pattern': '模様',
+  'settings.fonts': 'フォント',
+  'settings.layout': '表面のレイアウト',
+  'settings.logo': 'ロゴの URL',
+  'settings.logoHint': '「ロゴ + 名前」レイアウトでカードの表面に表示されます。',
+  'settings.border': '枠線',
+  'settings.corners': '角',
+  'settings.bgColor': '背景色',
+  'settings.save': 'マイカードを保存',
+  'settings.reset': 'カードを初期状態(John Doe)に戻す',
+  'settings.invalidFirstName':
+    '名が正しくありません。\n\n文字、ハイフン、アポストロフィを使ってください({max}文字まで)。',
+  'settings.invalidLastName':
+    '姓が正しくありません。\n\n文字、スペース、ハイフン、アポストロフィを使ってください({max}文字まで)。',
+  'settings.saved': 'カードを保存しました。',
+  'settings.resetConfirm': '初期状態に戻しますか?現在のカードは削除されます。',
+  'settings.resetDone': 'カードを初期状態(John Doe)に戻しました。',
+  'storage.full': 'カードを保存できませんでした(ストレージがいっぱいです)。画像サイズを小さくしてみてください。',
+  'storage.migrationFailed': '保存したデータをブラウザのデータベースに移動できませんでした。データは元の場所に残り、今回はそのまま使用されます。次回もう一度移動を試みます。',
+
+  // Card themes
+  'theme.removeColor': '色を削除',
+  'theme.colorLimit': { other: 'グラデーションの色は最大{count}色まで追加できます。' },
+  'themePreset.classic': 'クラシック',
+  'themePreset.sunset': 'サンセット',
+  'themePreset.ocean': 'オーシャン',
+  'themePreset.forest': 'フォレスト',
+  'themePreset.midnight': 'ミッドナイト',
+  'themePreset.paper': 'ペーパー',
+  'cardPattern.none': 'なし',
+  'cardPattern.dots': 'ドット',
+  'cardPattern.stripes': 'ストライプ',
+  'cardPattern.grid': 'グリッド',
+  'cardPattern.checks': 'チェック',
+  'cardFonts.system': 'システム',
+  'cardFonts.classic': 'クラシック(明朝風)',
+  'cardFonts.modern': 'モダン',
+  'cardFonts.elegant': 'エレガント',
+  'cardFonts.mono': 'タイプライター',
+  'cardFonts.rounded': '丸ゴシック風',
+  'cardLayout.photo': '写真のみ',
+  'cardLayout.photoName': '写真 + 名前',
+  'cardLayout.logoName': 'ロゴ + 名前',
+  'cardBorder.none': 'なし',
+  'cardBorder.thin': '細い',
+  'cardBorder.thick': '太い',
+  'cardBorder.double': '二重',
+  'cardBorder.dashed': '破線',
+  'cardCorners.square': '角張った',
+  'cardCorners.soft': '少し丸い',
+  'cardCorners.rounded': '丸い',
+  'cardCorners.round': 'とても丸い',
+
+  // Contrast warnings
+  'contrast.heading': 'コントラスト不足: WCAG AA では {ratio}:1 以上が必要です。',
+  'contrast.cardColor': 'カードの色 {color}',
+  'contrast.gradientColor': 'グラデーションの色 {position}({color})',
+  'contrast.text': '文字 {ratio}:1',
+  'contrast.chips': 'チップ {ratio}:1',
+  'contrast.buttons': 'ポートフォリオのボタン {ratio}:1',
+  'contrast.useShade': '{color} を使う',
+
+  // Photo palette
+  'palette.apply': 'カード {card}・背景 {background}',
+
+  // Email checks
+  'email.invalidHeading': 'メールアドレスが無効です:',
+  'email.length': 'メールアドレスは{min}〜{max}文字にしてください。',
+  'email.oneAt': '「@」はちょうど1つ含めてください。',
+  'email.consecutiveDots': 'メールアドレスにドットを連続して使うことはできません。',
+  'email.startsWithDot': 'メールアドレスをドットで始めることはできません。',
+  'email.endsWithDot': 'メールアドレスをドットで終えることはできません。',
+  'email.startsWithDash': 'メールアドレスをハイフンで始めることはできません。',
+  'email.missingLocalPart': '「@」の前に文字がありません。',
+  'email.domainNoDot': 'ドメインにはドットが必要です。',
+  'email.domainConsecutiveDots': 'ドメインにドットを連続して使うことはできません。',
+  'email.domainStartsWithDot': 'ドメインをドットで始めることはできません。',
+  'email.domainEndsWithDot': 'ドメインをドットで終えることはできません。',
+  'email.domainNumbers': 'ドメインに数字は使えません。',
+  'email.tldLength': 'トップレベルドメインは{min}文字以上にしてください。',
+
+  // Phone checks
+  'phone.chooseCountry': '国を選んでください。',
+  'phone.enterNumber': '電話番号を入力してください。',
+  'phone.invalidCharacters': '電話番号に使えるのは数字、スペース、ハイフン、かっこだけです。',
+  'phone.invalidInternational': '有効な国際電話番号ではありません。',
+  'phone.wrongCountryCode': 'この番号は +{code} で始まっていますが、{country}の国番号は +{expected} です。',
+  'phone.lengthExact': '{country}の電話番号は{min}桁です。',
+  'phone.lengthExactTrunk': '{country}の電話番号は{min}桁です(先頭の {trunk} を除く)。',
+  'phone.lengthRange': '{country}の電話番号は{min}〜{max}桁です。',
+  'phone.lengthRangeTrunk': '{country}の電話番号は{min}〜{max}桁です(先頭の {trunk} を除く)。',
+  'phone.invalidNumber': '{country}の有効な電話番号ではないようです。',
+
+  // Photo crop
+  'crop.instructions': 'ドラッグで位置を調整 • スライダーで拡大',
+  'crop.zoom': '拡大:',
+  'crop.apply': '保存して適用'
+};
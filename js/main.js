@@ -14,6 +14,13 @@ let isFlipped = false;
 // Shared card viewing state
 let viewingSharedCard = false;  // true when viewing someone else's card via URL
 let sharedCardData = null;      // decoded data from ?card= URL parameter
+let sharedCardSignature = null; // verifySharePayload() result for the shared card
+
+// Id of the saved contact currently displayed (null when not viewing one)
+let viewingContactId = null;
+
+// Card currently displayed (own card, shared card or saved contact)
+let currentCardData = null;
 
 // Temporary storage for image uploads before saving
 let uploadedImageData = null;
@@ -23,11 +30,16 @@ let uploadedImageData = null;
    Check URL for shared card on page load
    ========================================================== */
 
-window.addEventListener('DOMContentLoaded', () => {
-  checkForSharedCard();
+window.addEventListener('DOMContentLoaded', async () => {
   initializeEventListeners();
   initializeParallaxEffect();
   initializeFlipPrevention();
+
+  // Start each session on the default card profile
+  const { defaultId } = await getCardProfiles();
+  if (defaultId) await setActiveCardProfile(defaultId);
+
+  checkForSharedCard();
 });
 
 /* ==========================================================
@@ -38,8 +50,9 @@ window.addEventListener('DOMContentLoaded', () => {
 /**
  * Check if URL contains ?card= parameter and load shared card
  * Called on page load to determine viewing mode
+ * Accepts both compact codec payloads and legacy base64 JSON links
  */
-function checkForSharedCard() {
+async function checkForSharedCard() {
   const urlParams = new URLSearchParams(window.location.search);
   const cardData = urlParams.get('card');
 
@@ -48,9 +61,30 @@ function checkForSharedCard() {
     viewingSharedCard = true;
 
     try {
-      // Decode the card data from URL
-      sharedCardData = decodeObj(cardData);
+      // Decode the card data from URL (asks for a passphrase if protected)
+      const decoded = await decodeSharedCard(cardData);
+      if (!decoded) {
+        alert(t('shared.passphraseCancelled'));
+        loadMyCard();
+        return;
+      }
+
+      // Never trust the payload: check every field before it reaches the UI
+      const { card, problems } = validateSharedCard(decoded);
+      if (!card) {
+        throw new Error(problems.join(' '));
+      }
+
+      if (isShareExpired(card)) {
+        showExpiredCard(card);
+        return;
+      }
+
+      sharedCardData = migrateCard(card);
+      sharedCardSignature = await verifySharePayload(cardData, urlParams.get('sig'));
       applyCardData(sharedCardData);
+      await showSignatureBadge(sharedCardData, sharedCardSignature);
+      reportCardProblems(problems);
 
       // Show save button for visitors
       const saveBtn = document.getElementById('saveContactBtn');
@@ -62,9 +96,13 @@ function checkForSharedCard() {
 
       // Update hint text
       const hint = document.getElementById('hintText');
-      if (hint) hint.textContent = 'Click card to see full details';
+      if (hint) {
+        hint.setAttribute('data-i18n', 'card.hintShared');
+        hint.textContent = t('card.hintShared');
+      }
     } catch (error) {
       console.error('Invalid card data:', error);
+      alert(t('shared.openFailed', { reason: error.message }));
       loadMyCard(); // Fall back to user's own card
     }
   } else {
@@ -73,19 +111,124 @@ function checkForSharedCard() {
   }
 }
 
+/**
+ * Tell the viewer which parts of a shared card were removed or changed
+ * @param {Array<string>} problems - Messages from validateSharedCard()
+ */
+function reportCardProblems(problems) {
+  if (problems.length === 0) return;
+
+  const shown = problems.slice(0, 8).map(problem => `• ${problem}`);
+  if (problems.length > shown.length) shown.push(`• ${t('shared.moreProblems', { count: problems.length - shown.length })}`);
+
+  alert(`${t('shared.problemsIntro')}\n\n${shown.join('\n')}`);
+}
+
+/**
+ * Check whether a shared card's link has expired
+ * @param {Object} card - Shared card (or saved contact)
+ * @returns {boolean} True if its expiresAt is in the past
+ */
+function isShareExpired(card) {
+  const expires = Date.parse(card.expiresAt);
+  return !!expires && expires < Date.now();
+}
+
+/**
+ * Explain that a shared card's link has expired instead of showing it
+ * @param {Object} card - Decoded shared card
+ */
+function showExpiredCard(card) {
+  const sender = [card.firstName, card.lastName].filter(Boolean).join(' ') || t('expired.theSender');
+
+  document.getElementById('expiredCardMessage').textContent =
+    t('expired.message', { sender, date: formatDate(card.expiresAt) });
+  document.getElementById('expiredCardScreen').classList.add('active');
+}
+
+/**
+ * Leave the expired card screen and show the user's own card
+ */
+function closeExpiredCard() {
+  document.getElementById('expiredCardScreen').classList.remove('active');
+  history.replaceState({}, '', `${location.origin}${location.pathname}`);
+  loadMyCard();
+}
+
+/**
+ * Decode a ?card= payload, prompting for the passphrase of protected cards
+ * @param {string} payload - Value of the card URL parameter
+ * @returns {Promise<Object|null>} Share object, or null if the visitor cancelled
+ */
+async function decodeSharedCard(payload) {
+  if (!isCardPayloadEncrypted(payload)) {
+    return decodeCardPayload(payload);
+  }
+
+  let message = t('shared.passphrasePrompt');
+  for (;;) {
+    const passphrase = prompt(message);
+    if (passphrase === null) return null;
+
+    try {
+      return await decodeCardPayload(payload, passphrase);
+    } catch (error) {
+      if (error.code !== 'WRONG_PASSPHRASE') throw error;
+      message = t('shared.passphraseRetry');
+    }
+  }
+}
+
+/**
+ * Show the shared card's signature status
+ * Flags a verified card whose key differs from the one pinned
+ * on the matching saved contact
+ * @param {Object} card - Shared card
+ * @param {Object} signature - Result from verifySharePayload()
+ */
+async function showSignatureBadge(card, signature) {
+  const badge = document.getElementById('signatureBadge');
+  if (!badge) return;
+
+  const contact = await findMatchingContact(card);
+  const pinned = contact && contact.pinnedKey;
+  let text;
+  let state = signature.status;
+
+  if (signature.status === SIGNATURE_STATUS.VERIFIED) {
+    if (pinned && pinned.fingerprint !== signature.fingerprint) {
+      state = 'key-changed';
+      text = '⚠ ' + t('badge.keyChanged', { now: signature.fingerprint, was: pinned.fingerprint });
+    } else {
+      text = '✓ ' + t('badge.verified', { fingerprint: signature.fingerprint });
+    }
+  } else if (signature.status === SIGNATURE_STATUS.MISMATCH) {
+    text = '⚠ ' + t('badge.mismatch');
+  } else if (signature.status === SIGNATURE_STATUS.UNCHECKED) {
+    text = t('badge.unchecked');
+  } else {
+    text = pinned
+      ? '⚠ ' + t('badge.unsignedPinned')
+      : t('badge.unsigned');
+  }
+
+  badge.textContent = text;
+  badge.className = `signature-badge show ${state}`;
+}
+
 /* ==========================================================
    PERSONAL CARD LOADING
-   Load user's saved card from localStorage
+   Load user's saved card from storage
    ========================================================== */
 
 /**
- * Load the user's own business card from localStorage
+ * Load the user's own business card from storage
  * Falls back to default card if none exists
  */
-function loadMyCard() {
+async function loadMyCard() {
   viewingSharedCard = false;
 
-  const cardData = getMyCard();
+  const cardData = await getMyCard();
 
   if (cardData) {
     applyCardData(cardData);
@@ -103,10 +246,23 @@ function loadMyCard() {
 /**
  * Open the settings panel
  */
-function openSettings() {
+async function openSettings() {
+  await showSettingsProfileName();
   document.getElementById('settingsPanel').classList.add('active');
 }
 
+/**
+ * Show which profile is being edited at the top of settings
+ */
+async function showSettingsProfileName() {
+  const { activeId, profiles } = await getCardProfiles();
+  const active = profiles.find(p => p.id === activeId);
+  const profileLabel = document.getElementById('settingsProfileName');
+  if (profileLabel) {
+    profileLabel.textContent = active ? t('settings.editingProfile', { name: active.name }) : '';
+  }
+}
+
 /**
  * Close the settings panel
  */
@@ -114,9 +270,41 @@ function closeSettings() {
   document.getElementById('settingsPanel').classList.remove('active');
 }
 
+/* ==========================================================
+   LANGUAGE
+   Re-render views built in JavaScript after a language change
+   ========================================================== */
+
+/**
+ * Switch the interface language from the settings switcher
+ * setLocale() translates the static markup; everything rendered
+ * from JavaScript is rebuilt here
+ * @param {string} locale - Locale code
+ */
+async function changeLanguage(locale) {
+  if (!setLocale(locale)) return;
+
+  if (currentCardData) renderPortfolioSection(currentCardData);
+  refreshSettingsLanguage();
+  await showSettingsProfileName();
+
+  if (viewingSharedCard && sharedCardData && sharedCardSignature) {
+    await showSignatureBadge(sharedCardData, sharedCardSignature);
+  }
+  if (document.getElementById('homePanel').classList.contains('active')) {
+    await loadMyCardSection();
+    renderTagFilterOptions();
+    renderContacts();
+  }
+  if (document.getElementById('sharePanel').classList.contains('active')) {
+    renderPrintLayoutOptions();
+    await generateQRCode();
+  }
+}
+
 /* ==========================================================
    EMAIL INPUT VALIDATION
-   Live filtering and validation for email input
+   Live filtering of the email input (settings.js shows the errors)
    ========================================================== */
 
 /**
@@ -143,23 +331,6 @@ function initializeEventListeners() {
 
       event.target.value = value;
     });
-
-    // Live email validation feedback
-    const emailErrorBox = document.getElementById("emailErrorBox");
-    if (emailErrorBox) {
-      emailInput.addEventListener("input", () => {
-        const value = emailInput.value.trim().toLowerCase();
-        const errors = getEmailErrors(value);
-
-        if (errors.length === 0) {
-          emailErrorBox.style.display = "none";
-          emailErrorBox.innerHTML = "";
-        } else {
-          emailErrorBox.style.display = "block";
-          emailErrorBox.innerHTML = "⚠ Email is invalid:<br>• " + errors.join("<br>• ");
-        }
-      });
-    }
   }
 }
 
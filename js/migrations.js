@@ -0,0 +1,198 @@
+/* ==========================================================
+   MIGRATIONS MODULE
+   Upgrades stored and shared card objects to the current shape.
+   Every card record carries a `schemaVersion`; records without one
+   are treated as version 0 and run through every migration.
+   ========================================================== */
+
+/**
+ * Ordered list of card migrations
+ * Each step upgrades a card from (version - 1) to `version` and must be
+ * safe to run on a card that already has the newer shape
+ */
+const CARD_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Resume links become {pdf, docx}; all portfolio keys present',
+    migrate(card) {
+      const links = card.portfolioLinks || {};
+      let resume = links.resume;
+
+      if (typeof resume === 'string') {
+        resume = { pdf: resume, docx: '' };
+      } else if (!resume || typeof resume !== 'object') {
+        resume = { pdf: '', docx: '' };
+      }
+
+      card.portfolioLinks = {
+        cert: links.cert || '',
+        edu: links.edu || '',
+        proj: links.proj || '',
+        ref: links.ref || '',
+        resume: { pdf: resume.pdf || '', docx: resume.docx || '' },
+        work: links.work || ''
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Back-fill phoneE164, countryCode and localNumber from the pretty phone',
+    migrate(card) {
+      if (!card.phone) return;
+
+      const parsed = parsePhoneNumber(card.phone);
+      if (!parsed) return;
+
+      const formatted = formatPhone(parsed.region, parsed.nationalNumber);
+      if (!card.phoneE164) {
+        card.phone = formatted.pretty;
+        card.phoneE164 = formatted.e164;
+      }
+      if (!card.countryCode || !card.localNumber) {
+        card.countryCode = parsed.countryCode;
+        card.localNumber = parsed.nationalNumber;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Default portfolio visibility to all sections shown',
+    migrate(card) {
+      const visibility = card.portfolioVisibility || {};
+      card.portfolioVisibility = {};
+      ['cert', 'edu', 'proj', 'ref', 'resume', 'work'].forEach(key => {
+        card.portfolioVisibility[key] = visibility[key] !== false;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Private tags and notes live in `annotations`, apart from sender data',
+    migrate(card) {
+      const annotations = card.annotations || {};
+      card.annotations = {
+        tags: Array.isArray(annotations.tags) ? annotations.tags : [],
+        notes: typeof annotations.notes === 'string' ? annotations.notes : ''
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'User-defined portfolio sections in `customSections`',
+    migrate(card) {
+      if (!Array.isArray(card.customSections)) card.customSections = [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Portfolio button order in `portfolioOrder` (custom sections as custom:<id>)',
+    migrate(card) {
+      if (!Array.isArray(card.portfolioOrder)) {
+        card.portfolioOrder = ['cert', 'edu', 'proj', 'ref', 'resume', 'work']
+          .concat(card.customSections.map(section => `custom:${section.id}`));
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Resume {pdf, docx} links become labelled `resumes` variants',
+    migrate(card) {
+      const resumes = Array.isArray(card.resumes) ? card.resumes : [];
+      const legacy = card.portfolioLinks.resume || {};
+
+      if (legacy.pdf) resumes.push({ id: 'rpdf', label: 'Resume', format: 'pdf', url: legacy.pdf, updated: '' });
+      if (legacy.docx) resumes.push({ id: 'rdocx', label: 'Resume', format: 'docx', url: legacy.docx, updated: '' });
+
+      delete card.portfolioLinks.resume;
+      card.resumes = resumes;
+    }
+  },
+  {
+    version: 8,
+    description: 'Phone country in `phoneRegion`; phone reformatted by country rules',
+    migrate(card) {
+      const parsed = parsePhoneNumber(card.phoneE164 || card.phone);
+      if (!parsed) {
+        card.phoneRegion = card.phoneRegion || getPhoneRegionForCode(card.countryCode || '') || '';
+        return;
+      }
+
+      const formatted = formatPhone(parsed.region, parsed.nationalNumber);
+      card.phone = formatted.pretty;
+      card.phoneE164 = formatted.e164;
+      card.countryCode = parsed.countryCode;
+      card.localNumber = parsed.nationalNumber;
+      card.phoneRegion = card.phoneRegion && getPhoneCountry(card.phoneRegion)?.countryCode === parsed.countryCode
+        ? card.phoneRegion
+        : parsed.region;
+    }
+  },
+  {
+    version: 9,
+    description: 'Name capitalization preferences in `nameFormatting`',
+    migrate(card) {
+      const formatting = card.nameFormatting || {};
+      card.nameFormatting = {
+        autoCapitalize: formatting.autoCapitalize !== false,
+        particles: Array.isArray(formatting.particles)
+          ? formatting.particles
+          : DEFAULT_CARD.nameFormatting.particles.slice()
+      };
+    }
+  },
+  {
+    version: 10,
+    description: 'Card theme descriptor in `theme` (gradient, pattern, fonts, layout, border, corners)',
+    migrate(card) {
+      card.theme = normalizeCardTheme(card.theme);
+    }
+  },
+  {
+    version: 11,
+    description: 'LinkedIn URL moves into the `socialLinks` list',
+    migrate(card) {
+      const links = Array.isArray(card.socialLinks) ? card.socialLinks : [];
+
+      // A URL that is not a LinkedIn profile stays, as a labelled "other" link
+      if (card.linkedin && !links.some(link => link.url === card.linkedin)) {
+        links.unshift(isValidSocialLink('linkedin', card.linkedin)
+          ? { id: 'linkedin', type: 'linkedin', url: card.linkedin, label: '' }
+          : { id: 'linkedin', type: 'other', url: card.linkedin, label: 'LinkedIn' });
+      }
+
+      delete card.linkedin;
+      card.socialLinks = links;
+    }
+  }
+];
+
+// Current card schema version (the last migration's target)
+const CARD_SCHEMA_VERSION = CARD_MIGRATIONS[CARD_MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a card object to the current schema version
+ * @param {Object} card - Stored or decoded card object
+ * @returns {Object} Upgraded copy stamped with schemaVersion (input is not modified)
+ */
+function migrateCard(card) {
+  if (!card || typeof card !== 'object') return card;
+
+  const upgraded = JSON.parse(JSON.stringify(card));
+  const fromVersion = Number(upgraded.schemaVersion) || 0;
+
+  CARD_MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .forEach(step => step.migrate(upgraded));
+
+  upgraded.schemaVersion = Math.max(fromVersion, CARD_SCHEMA_VERSION);
+  return upgraded;
+}
+
+/**
+ * Check whether a card predates the current schema
+ * @param {Object} card - Card object
+ * @returns {boolean} True if migrateCard() would change its version
+ */
+function needsMigration(card) {
+  return !!card && (Number(card.schemaVersion) || 0) < CARD_SCHEMA_VERSION;
+}
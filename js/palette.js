@@ -0,0 +1,123 @@
+/* ==========================================================
+   PALETTE MODULE
+   Dominant colors of the profile photo (median cut) and the
+   card/background pairings built from them
+   ========================================================== */
+
+/**
+ * Extract the dominant colors of an image by median cut
+ * @param {HTMLCanvasElement|HTMLImageElement} source - Cropped photo
+ * @param {number} count - Number of colors to extract
+ * @returns {Array<string>} Hex colors, most common first
+ */
+function extractPhotoColors(source, count = PHOTO_PALETTE.colors) {
+  // Scale down first: a few thousand pixels are plenty for a palette
+  const size = PHOTO_PALETTE.sampleSize;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, size, size);
+  const data = ctx.getImageData(0, 0, size, size).data;
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue; // Skip transparent pixels
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (!pixels.length) return [];
+
+  // Split the box with the widest channel range at its median until
+  // there are enough boxes (or nothing left to split)
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    let widest = null;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const { channel, range } = _widestChannel(box);
+      if (range > 0 && (!widest || range > widest.range)) widest = { index, channel, range };
+    });
+    if (!widest) break;
+
+    const box = boxes[widest.index].sort((a, b) => a[widest.channel] - b[widest.channel]);
+    const middle = Math.floor(box.length / 2);
+    boxes.splice(widest.index, 1, box.slice(0, middle), box.slice(middle));
+  }
+
+  return boxes
+    .sort((a, b) => b.length - a.length)
+    .map(box => {
+      const average = [0, 1, 2].map(c => Math.round(box.reduce((sum, pixel) => sum + pixel[c], 0) / box.length));
+      return '#' + average.map(value => value.toString(16).padStart(2, '0')).join('');
+    })
+    .filter((color, index, all) => all.indexOf(color) === index);
+}
+
+/**
+ * Find the color channel with the widest range in a box of pixels
+ * @param {Array<Array<number>>} box - [r, g, b] pixels
+ * @returns {{channel: number, range: number}} Channel index (0 r, 1 g, 2 b) and its range
+ */
+function _widestChannel(box) {
+  return [0, 1, 2]
+    .map(channel => {
+      let min = 255;
+      let max = 0;
+      box.forEach(pixel => {
+        min = Math.min(min, pixel[channel]);
+        max = Math.max(max, pixel[channel]);
+      });
+      return { channel, range: max - min };
+    })
+    .reduce((best, entry) => (entry.range > best.range ? entry : best));
+}
+
+/**
+ * Measure how far apart two colors are
+ * @param {string} a - Hex color
+ * @param {string} b - Hex color
+ * @returns {number} Euclidean RGB distance (0-441)
+ */
+function _colorDistance(a, b) {
+  const from = _rgb(a);
+  const to = _rgb(b);
+  if (!from || !to) return 0;
+  return Math.hypot(from.r - to.r, from.g - to.g, from.b - to.b);
+}
+
+/**
+ * Build card/background pairings from photo colors
+ * Each photo color becomes a flat card color (shaded until every card part
+ * meets AA) and is paired with the photo colors most unlike it, or a tint
+ * @param {Array<string>} colors - Hex colors from extractPhotoColors()
+ * @returns {Array<{cardColor: string, bgColor: string}>} Up to PHOTO_PALETTE.pairings pairings
+ */
+function buildPhotoPairings(colors) {
+  // Compliant card colors, dropping near-duplicates
+  const cardColors = [];
+  colors.forEach(color => {
+    const { textColor, issues } = checkCardContrast(color, null);
+    const cardColor = issues.length ? suggestCompliantShade(color, textColor) : color;
+    if (cardColor && !cardColors.some(other => _colorDistance(other, cardColor) < PHOTO_PALETTE.minDistance)) {
+      cardColors.push(cardColor);
+    }
+  });
+
+  // Backgrounds for each card color, most different first, then a pale
+  // tint of the card color (so single-color photos still get a pairing)
+  const backgrounds = cardColors.map(cardColor => colors
+    .filter(color => _colorDistance(color, cardColor) >= PHOTO_PALETTE.minDistance)
+    .sort((a, b) => _colorDistance(b, cardColor) - _colorDistance(a, cardColor))
+    .concat([mixColors(cardColor, '#ffffff', PHOTO_PALETTE.tint)]));
+
+  // Give every card color its best background before offering second choices
+  const pairings = [];
+  const longest = Math.max(0, ...backgrounds.map(list => list.length));
+  for (let rank = 0; rank < longest && pairings.length < PHOTO_PALETTE.pairings; rank++) {
+    cardColors.forEach((cardColor, index) => {
+      const bgColor = backgrounds[index][rank];
+      if (bgColor && pairings.length < PHOTO_PALETTE.pairings) pairings.push({ cardColor, bgColor });
+    });
+  }
+  return pairings;
+}
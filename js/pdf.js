@@ -0,0 +1,185 @@
+/* ==========================================================
+   PDF MODULE
+   Minimal PDF 1.4 writer: pages of JPEG images, filled
+   rectangles and stroked lines (no fonts, no dependencies)
+   ========================================================== */
+
+// Points per millimetre (PDF user space is 1/72 in)
+const PDF_POINTS_PER_MM = 72 / 25.4;
+
+/* ==========================================================
+   PUBLIC API
+   ========================================================== */
+
+/**
+ * Build a PDF file
+ * Coordinates are millimetres from the page's top-left corner
+ * @param {Object} doc - {title, images, pages}
+ *   images: {name: {jpeg: Uint8Array, width, height}} (width/height in pixels)
+ *   pages: [{width, height, trimBox, bleedBox, items}] where boxes are
+ *     {x, y, width, height} and items are
+ *     {type: 'image', name, x, y, width, height},
+ *     {type: 'rects', color, rects: [{x, y, width, height}]} or
+ *     {type: 'lines', color, lineWidth, lines: [{x1, y1, x2, y2}]}
+ *   (colors are hex strings; lineWidth is in points)
+ * @returns {Uint8Array} PDF bytes
+ */
+function buildPdf(doc) {
+  const imageNames = Object.keys(doc.images || {});
+  const objects = []; // Each entry is an array of string / Uint8Array chunks
+
+  // Fixed objects: 1 catalog, 2 page tree, 3 info, then images, then pages
+  const imageIds = {};
+  imageNames.forEach((name, i) => { imageIds[name] = 4 + i; });
+  const firstPageId = 4 + imageNames.length;
+  const pageIds = doc.pages.map((page, i) => firstPageId + i * 2);
+
+  objects[1] = ['<< /Type /Catalog /Pages 2 0 R >>'];
+  objects[2] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+  objects[3] = [`<< /Title ${_pdfText(doc.title || '')} /Producer ${_pdfText('Digital Portfolio Card')} >>`];
+
+  imageNames.forEach(name => {
+    const image = doc.images[name];
+    objects[imageIds[name]] = [
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`,
+      image.jpeg,
+      '\nendstream'
+    ];
+  });
+
+  doc.pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const content = _pdfPageContent(page);
+    const box = (name, rect) => (rect ? ` /${name} ${_pdfBox(page, rect)}` : '');
+    const xObjects = imageNames.map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+
+    objects[pageId] = [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${_pdfNum(_pdfPt(page.width))} ${_pdfNum(_pdfPt(page.height))}]` +
+      `${box('BleedBox', page.bleedBox)}${box('TrimBox', page.trimBox)}` +
+      ` /Resources << /XObject << ${xObjects} >> >> /Contents ${pageId + 1} 0 R >>`
+    ];
+    objects[pageId + 1] = [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`];
+  });
+
+  // Serialize, recording each object's byte offset for the xref table
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  // Header; the binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    objects[id].forEach(write);
+    write('\nendobj\n');
+  }
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(bytes => {
+    result.set(bytes, offset);
+    offset += bytes.length;
+  });
+  return result;
+}
+
+/* ==========================================================
+   HELPERS
+   ========================================================== */
+
+/**
+ * Build a page's content stream
+ * @param {Object} page - Page description (see buildPdf)
+ * @returns {string} Content stream operators
+ */
+function _pdfPageContent(page) {
+  const ops = [];
+  // Flip to a top-left origin: y runs down from the top edge
+  const x = (mm) => _pdfNum(_pdfPt(mm));
+  const y = (mm) => _pdfNum(_pdfPt(page.height - mm));
+
+  page.items.forEach(item => {
+    if (item.type === 'image') {
+      ops.push('q', `${x(item.width)} 0 0 ${x(item.height)} ${x(item.x)} ${y(item.y + item.height)} cm`,
+        `/${item.name} Do`, 'Q');
+    } else if (item.type === 'rects') {
+      ops.push(`${_pdfColor(item.color)} rg`);
+      item.rects.forEach(rect => ops.push(`${x(rect.x)} ${y(rect.y + rect.height)} ${x(rect.width)} ${x(rect.height)} re`));
+      ops.push('f');
+    } else if (item.type === 'lines') {
+      ops.push(`${_pdfColor(item.color)} RG`, `${_pdfNum(item.lineWidth)} w`);
+      item.lines.forEach(line => ops.push(`${x(line.x1)} ${y(line.y1)} m ${x(line.x2)} ${y(line.y2)} l`));
+      ops.push('S');
+    }
+  });
+  return ops.join('\n');
+}
+
+/**
+ * Convert millimetres to points
+ * @param {number} mm - Length in millimetres
+ * @returns {number} Length in points
+ */
+function _pdfPt(mm) {
+  return mm * PDF_POINTS_PER_MM;
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} Number with at most 3 decimals
+ */
+function _pdfNum(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Format a page box (top-left millimetres) as a PDF rectangle
+ * @param {Object} page - Page ({height})
+ * @param {Object} rect - {x, y, width, height}
+ * @returns {string} [llx lly urx ury] in points
+ */
+function _pdfBox(page, rect) {
+  const bottom = page.height - rect.y - rect.height;
+  return `[${[rect.x, bottom, rect.x + rect.width, bottom + rect.height].map(v => _pdfNum(_pdfPt(v))).join(' ')}]`;
+}
+
+/**
+ * Format a hex color as PDF RGB components
+ * @param {string} hex - Hex color
+ * @returns {string} "r g b" from 0 to 1
+ */
+function _pdfColor(hex) {
+  const rgb = _rgb(hex) || { r: 0, g: 0, b: 0 };
+  return [rgb.r, rgb.g, rgb.b].map(value => _pdfNum(value / 255)).join(' ');
+}
+
+/**
+ * Encode text as a PDF string (UTF-16BE hex, so any script is allowed)
+ * @param {string} text - Text
+ * @returns {string} Hex string with byte order mark
+ */
+function _pdfText(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
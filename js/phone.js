@@ -0,0 +1,426 @@
+/* ==========================================================
+   PHONE MODULE
+   International phone numbers: country calling codes,
+   per-plan length and formatting rules, parsing and E.164.
+   Numbers are kept as a region (ISO country) plus the national
+   significant number, i.e. without the trunk prefix ("0").
+   ========================================================== */
+
+// Countries and territories as [region, name, calling code]
+const PHONE_COUNTRIES = [
+  ['AF', 'Afghanistan', '93'], ['AX', 'Åland Islands', '358'], ['AL', 'Albania', '355'],
+  ['DZ', 'Algeria', '213'], ['AS', 'American Samoa', '1'], ['AD', 'Andorra', '376'],
+  ['AO', 'Angola', '244'], ['AI', 'Anguilla', '1'], ['AG', 'Antigua and Barbuda', '1'],
+  ['AR', 'Argentina', '54'], ['AM', 'Armenia', '374'], ['AW', 'Aruba', '297'],
+  ['AC', 'Ascension Island', '247'], ['AU', 'Australia', '61'], ['AT', 'Austria', '43'],
+  ['AZ', 'Azerbaijan', '994'], ['BS', 'Bahamas', '1'], ['BH', 'Bahrain', '973'],
+  ['BD', 'Bangladesh', '880'], ['BB', 'Barbados', '1'], ['BY', 'Belarus', '375'],
+  ['BE', 'Belgium', '32'], ['BZ', 'Belize', '501'], ['BJ', 'Benin', '229'],
+  ['BM', 'Bermuda', '1'], ['BT', 'Bhutan', '975'], ['BO', 'Bolivia', '591'],
+  ['BA', 'Bosnia and Herzegovina', '387'], ['BW', 'Botswana', '267'], ['BR', 'Brazil', '55'],
+  ['IO', 'British Indian Ocean Territory', '246'], ['VG', 'British Virgin Islands', '1'],
+  ['BN', 'Brunei', '673'], ['BG', 'Bulgaria', '359'], ['BF', 'Burkina Faso', '226'],
+  ['BI', 'Burundi', '257'], ['KH', 'Cambodia', '855'], ['CM', 'Cameroon', '237'],
+  ['CA', 'Canada', '1'], ['CV', 'Cape Verde', '238'], ['BQ', 'Caribbean Netherlands', '599'],
+  ['KY', 'Cayman Islands', '1'], ['CF', 'Central African Republic', '236'], ['TD', 'Chad', '235'],
+  ['CL', 'Chile', '56'], ['CN', 'China', '86'], ['CX', 'Christmas Island', '61'],
+  ['CC', 'Cocos (Keeling) Islands', '61'], ['CO', 'Colombia', '57'], ['KM', 'Comoros', '269'],
+  ['CG', 'Congo - Brazzaville', '242'], ['CD', 'Congo - Kinshasa', '243'], ['CK', 'Cook Islands', '682'],
+  ['CR', 'Costa Rica', '506'], ['CI', 'Côte d’Ivoire', '225'], ['HR', 'Croatia', '385'],
+  ['CU', 'Cuba', '53'], ['CW', 'Curaçao', '599'], ['CY', 'Cyprus', '357'],
+  ['CZ', 'Czechia', '420'], ['DK', 'Denmark', '45'], ['DJ', 'Djibouti', '253'],
+  ['DM', 'Dominica', '1'], ['DO', 'Dominican Republic', '1'], ['EC', 'Ecuador', '593'],
+  ['EG', 'Egypt', '20'], ['SV', 'El Salvador', '503'], ['GQ', 'Equatorial Guinea', '240'],
+  ['ER', 'Eritrea', '291'], ['EE', 'Estonia', '372'], ['SZ', 'Eswatini', '268'],
+  ['ET', 'Ethiopia', '251'], ['FK', 'Falkland Islands', '500'], ['FO', 'Faroe Islands', '298'],
+  ['FJ', 'Fiji', '679'], ['FI', 'Finland', '358'], ['FR', 'France', '33'],
+  ['GF', 'French Guiana', '594'], ['PF', 'French Polynesia', '689'], ['GA', 'Gabon', '241'],
+  ['GM', 'Gambia', '220'], ['GE', 'Georgia', '995'], ['DE', 'Germany', '49'],
+  ['GH', 'Ghana', '233'], ['GI', 'Gibraltar', '350'], ['GR', 'Greece', '30'],
+  ['GL', 'Greenland', '299'], ['GD', 'Grenada', '1'], ['GP', 'Guadeloupe', '590'],
+  ['GU', 'Guam', '1'], ['GT', 'Guatemala', '502'], ['GG', 'Guernsey', '44'],
+  ['GN', 'Guinea', '224'], ['GW', 'Guinea-Bissau', '245'], ['GY', 'Guyana', '592'],
+  ['HT', 'Haiti', '509'], ['HN', 'Honduras', '504'], ['HK', 'Hong Kong', '852'],
+  ['HU', 'Hungary', '36'], ['IS', 'Iceland', '354'], ['IN', 'India', '91'],
+  ['ID', 'Indonesia', '62'], ['IR', 'Iran', '98'], ['IQ', 'Iraq', '964'],
+  ['IE', 'Ireland', '353'], ['IM', 'Isle of Man', '44'], ['IL', 'Israel', '972'],
+  ['IT', 'Italy', '39'], ['JM', 'Jamaica', '1'], ['JP', 'Japan', '81'],
+  ['JE', 'Jersey', '44'], ['JO', 'Jordan', '962'], ['KZ', 'Kazakhstan', '7'],
+  ['KE', 'Kenya', '254'], ['KI', 'Kiribati', '686'], ['XK', 'Kosovo', '383'],
+  ['KW', 'Kuwait', '965'], ['KG', 'Kyrgyzstan', '996'], ['LA', 'Laos', '856'],
+  ['LV', 'Latvia', '371'], ['LB', 'Lebanon', '961'], ['LS', 'Lesotho', '266'],
+  ['LR', 'Liberia', '231'], ['LY', 'Libya', '218'], ['LI', 'Liechtenstein', '423'],
+  ['LT', 'Lithuania', '370'], ['LU', 'Luxembourg', '352'], ['MO', 'Macao', '853'],
+  ['MG', 'Madagascar', '261'], ['MW', 'Malawi', '265'], ['MY', 'Malaysia', '60'],
+  ['MV', 'Maldives', '960'], ['ML', 'Mali', '223'], ['MT', 'Malta', '356'],
+  ['MH', 'Marshall Islands', '692'], ['MQ', 'Martinique', '596'], ['MR', 'Mauritania', '222'],
+  ['MU', 'Mauritius', '230'], ['YT', 'Mayotte', '262'], ['MX', 'Mexico', '52'],
+  ['FM', 'Micronesia', '691'], ['MD', 'Moldova', '373'], ['MC', 'Monaco', '377'],
+  ['MN', 'Mongolia', '976'], ['ME', 'Montenegro', '382'], ['MS', 'Montserrat', '1'],
+  ['MA', 'Morocco', '212'], ['MZ', 'Mozambique', '258'], ['MM', 'Myanmar', '95'],
+  ['NA', 'Namibia', '264'], ['NR', 'Nauru', '674'], ['NP', 'Nepal', '977'],
+  ['NL', 'Netherlands', '31'], ['NC', 'New Caledonia', '687'], ['NZ', 'New Zealand', '64'],
+  ['NI', 'Nicaragua', '505'], ['NE', 'Niger', '227'], ['NG', 'Nigeria', '234'],
+  ['NU', 'Niue', '683'], ['NF', 'Norfolk Island', '672'], ['KP', 'North Korea', '850'],
+  ['MK', 'North Macedonia', '389'], ['MP', 'Northern Mariana Islands', '1'], ['NO', 'Norway', '47'],
+  ['OM', 'Oman', '968'], ['PK', 'Pakistan', '92'], ['PW', 'Palau', '680'],
+  ['PS', 'Palestine', '970'], ['PA', 'Panama', '507'], ['PG', 'Papua New Guinea', '675'],
+  ['PY', 'Paraguay', '595'], ['PE', 'Peru', '51'], ['PH', 'Philippines', '63'],
+  ['PL', 'Poland', '48'], ['PT', 'Portugal', '351'], ['PR', 'Puerto Rico', '1'],
+  ['QA', 'Qatar', '974'], ['RE', 'Réunion', '262'], ['RO', 'Romania', '40'],
+  ['RU', 'Russia', '7'], ['RW', 'Rwanda', '250'], ['BL', 'Saint Barthélemy', '590'],
+  ['SH', 'Saint Helena', '290'], ['KN', 'Saint Kitts and Nevis', '1'], ['LC', 'Saint Lucia', '1'],
+  ['MF', 'Saint Martin', '590'], ['PM', 'Saint Pierre and Miquelon', '508'],
+  ['VC', 'Saint Vincent and the Grenadines', '1'], ['WS', 'Samoa', '685'], ['SM', 'San Marino', '378'],
+  ['ST', 'São Tomé and Príncipe', '239'], ['SA', 'Saudi Arabia', '966'], ['SN', 'Senegal', '221'],
+  ['RS', 'Serbia', '381'], ['SC', 'Seychelles', '248'], ['SL', 'Sierra Leone', '232'],
+  ['SG', 'Singapore', '65'], ['SX', 'Sint Maarten', '1'], ['SK', 'Slovakia', '421'],
+  ['SI', 'Slovenia', '386'], ['SB', 'Solomon Islands', '677'], ['SO', 'Somalia', '252'],
+  ['ZA', 'South Africa', '27'], ['KR', 'South Korea', '82'], ['SS', 'South Sudan', '211'],
+  ['ES', 'Spain', '34'], ['LK', 'Sri Lanka', '94'], ['SD', 'Sudan', '249'],
+  ['SR', 'Suriname', '597'], ['SJ', 'Svalbard and Jan Mayen', '47'], ['SE', 'Sweden', '46'],
+  ['CH', 'Switzerland', '41'], ['SY', 'Syria', '963'], ['TW', 'Taiwan', '886'],
+  ['TJ', 'Tajikistan', '992'], ['TZ', 'Tanzania', '255'], ['TH', 'Thailand', '66'],
+  ['TL', 'Timor-Leste', '670'], ['TG', 'Togo', '228'], ['TK', 'Tokelau', '690'],
+  ['TO', 'Tonga', '676'], ['TT', 'Trinidad and Tobago', '1'], ['TA', 'Tristan da Cunha', '290'],
+  ['TN', 'Tunisia', '216'], ['TR', 'Turkey', '90'], ['TM', 'Turkmenistan', '993'],
+  ['TC', 'Turks and Caicos Islands', '1'], ['TV', 'Tuvalu', '688'], ['VI', 'U.S. Virgin Islands', '1'],
+  ['UG', 'Uganda', '256'], ['UA', 'Ukraine', '380'], ['AE', 'United Arab Emirates', '971'],
+  ['GB', 'United Kingdom', '44'], ['US', 'United States', '1'], ['UY', 'Uruguay', '598'],
+  ['UZ', 'Uzbekistan', '998'], ['VU', 'Vanuatu', '678'], ['VA', 'Vatican City', '39'],
+  ['VE', 'Venezuela', '58'], ['VN', 'Vietnam', '84'], ['WF', 'Wallis and Futuna', '681'],
+  ['EH', 'Western Sahara', '212'], ['YE', 'Yemen', '967'], ['ZM', 'Zambia', '260'],
+  ['ZW', 'Zimbabwe', '263']
+].map(([region, name, countryCode]) => ({ region, name, countryCode }));
+
+// Region a calling code belongs to when several share it and no
+// entry in _PHONE_REGION_PREFIXES matches
+const _PHONE_MAIN_REGIONS = {
+  1: 'US', 7: 'RU', 39: 'IT', 44: 'GB', 47: 'NO', 61: 'AU',
+  212: 'MA', 262: 'RE', 290: 'SH', 358: 'FI', 590: 'GP', 599: 'CW'
+};
+
+// Leading national digits that identify a region sharing a calling code
+// (NANP area codes, Crown Dependency ranges, etc.)
+const _PHONE_REGION_PREFIXES = {
+  AS: /^684/, AI: /^264/, AG: /^268/, BS: /^242/, BB: /^246/, BM: /^441/, VG: /^284/,
+  KY: /^345/, DM: /^767/, DO: /^8[024]9/, GD: /^473/, GU: /^671/, JM: /^(876|658)/,
+  MS: /^664/, MP: /^670/, PR: /^(787|939)/, KN: /^869/, LC: /^758/, VC: /^784/,
+  SX: /^721/, TT: /^868/, TC: /^649/, VI: /^340/,
+  CA: /^(204|226|236|249|250|263|289|306|343|354|365|367|368|382|403|416|418|428|431|437|438|450|460|468|474|506|514|519|548|579|581|584|587|604|613|639|647|672|683|705|709|742|753|778|780|782|807|819|825|867|873|879|902|905)/,
+  KZ: /^[67]/,
+  GG: /^(1481|7781|7839|7911)/, JE: /^(1534|7509|7700[378]|7797|7829|7937)/, IM: /^(1624|7524|7624|7924)/,
+  VA: /^06698/, SJ: /^79/, CX: /^89164/, CC: /^89162/, EH: /^528[89]/,
+  YT: /^(269|639)/, TA: /^8/, AX: /^18/, BQ: /^[347]/
+};
+
+// Numbering plans by calling code:
+//   lengths - [min, max] digits of the national significant number
+//   trunk   - prefix dialled before national numbers ('' if none)
+//   pattern - optional extra check on the national number
+//   formats - [leading digits, template]; '#' is a digit, the first
+//             match wins and any extra digits join the last group
+//   example - national number used as the input placeholder
+// Calling codes without an entry use _PHONE_GENERIC_RULE
+const _PHONE_RULES = {
+  1: { lengths: [10, 10], trunk: '', pattern: /^[2-9]/, formats: [[/^/, '(###) ###-####']], example: '2015550123' },
+  7: { lengths: [10, 10], trunk: '8', formats: [[/^/, '### ###-##-##']], example: '9123456789' },
+  20: { lengths: [9, 10], trunk: '0', formats: [[/^1/, '### ### ####'], [/^/, '## #### ####']], example: '1001234567' },
+  27: { lengths: [9, 9], trunk: '0', formats: [[/^/, '## ### ####']], example: '711234567' },
+  30: { lengths: [10, 10], trunk: '', formats: [[/^/, '### ### ####']], example: '6912345678' },
+  31: { lengths: [9, 9], trunk: '0', formats: [[/^6/, '# ########'], [/^/, '## #######']], example: '612345678' },
+  32: { lengths: [8, 9], trunk: '0', formats: [[/^4/, '### ## ## ##'], [/^/, '## ## ## ##']], example: '470123456' },
+  33: { lengths: [9, 9], trunk: '0', formats: [[/^/, '# ## ## ## ##']], example: '612345678' },
+  34: { lengths: [9, 9], trunk: '', formats: [[/^/, '### ## ## ##']], example: '612345678' },
+  36: { lengths: [8, 9], trunk: '06', formats: [[/^1/, '# ### ####'], [/^/, '## ### ####']], example: '201234567' },
+  39: { lengths: [6, 11], trunk: '', formats: [[/^0[26]/, '## #### ####'], [/^0/, '### ### ####'], [/^3/, '### ### ####']], example: '3123456789' },
+  40: { lengths: [9, 9], trunk: '0', formats: [[/^/, '### ### ###']], example: '712345678' },
+  41: { lengths: [9, 9], trunk: '0', formats: [[/^/, '## ### ## ##']], example: '781234567' },
+  43: { lengths: [4, 13], trunk: '0', formats: [[/^1/, '# ### ####'], [/^6/, '### #######'], [/^/, '#### ######']], example: '6641234567' },
+  44: { lengths: [9, 10], trunk: '0', formats: [[/^2/, '## #### ####'], [/^(1[1-9]1|11)/, '### ### ####'], [/^[389]/, '### ### ####'], [/^/, '#### ######']], example: '7400123456' },
+  45: { lengths: [8, 8], trunk: '', formats: [[/^/, '## ## ## ##']], example: '32123456' },
+  46: { lengths: [7, 9], trunk: '0', formats: [[/^8/, '# ### ## ##'], [/^/, '## ### ## ##']], example: '701234567' },
+  47: { lengths: [8, 8], trunk: '', formats: [[/^[49]/, '### ## ###'], [/^/, '## ## ## ##']], example: '40612345' },
+  48: { lengths: [9, 9], trunk: '', formats: [[/^/, '### ### ###']], example: '512345678' },
+  49: { lengths: [6, 13], trunk: '0', formats: [[/^1[5-7]/, '### ########'], [/^(30|40|69|89)/, '## ########'], [/^/, '### ########']], example: '15123456789' },
+  51: { lengths: [8, 9], trunk: '0', formats: [[/^9/, '### ### ###'], [/^/, '# #######']], example: '912345678' },
+  52: { lengths: [10, 10], trunk: '', formats: [[/^(33|55|81)/, '## #### ####'], [/^/, '### ### ####']], example: '2221234567' },
+  55: { lengths: [10, 11], trunk: '0', formats: [[/^/, '## #####-####']], example: '11961234567' },
+  56: { lengths: [9, 9], trunk: '', formats: [[/^/, '# #### ####']], example: '221234567' },
+  57: { lengths: [10, 10], trunk: '', formats: [[/^/, '### #######']], example: '3211234567' },
+  60: { lengths: [9, 10], trunk: '0', formats: [[/^1/, '##-#### ####'], [/^/, '#-### ####']], example: '123456789' },
+  61: { lengths: [9, 9], trunk: '0', formats: [[/^4/, '### ### ###'], [/^/, '# #### ####']], example: '412345678' },
+  62: { lengths: [9, 12], trunk: '0', formats: [[/^8/, '###-####-####'], [/^/, '##-####-####']], example: '812345678' },
+  63: { lengths: [10, 10], trunk: '0', formats: [[/^/, '### ### ####']], example: '9051234567' },
+  64: { lengths: [8, 10], trunk: '0', formats: [[/^2/, '## ### ####'], [/^/, '# ### ####']], example: '211234567' },
+  65: { lengths: [8, 8], trunk: '', formats: [[/^/, '#### ####']], example: '81234567' },
+  66: { lengths: [8, 9], trunk: '0', formats: [[/^[689]/, '## ### ####'], [/^/, '# ### ####']], example: '812345678' },
+  81: { lengths: [9, 10], trunk: '0', formats: [[/^[789]0/, '##-####-####'], [/^[36]/, '#-####-####'], [/^/, '##-###-####']], example: '9012345678' },
+  82: { lengths: [9, 10], trunk: '0', formats: [[/^1/, '##-####-####'], [/^2/, '#-####-####'], [/^/, '##-###-####']], example: '1020000000' },
+  84: { lengths: [9, 10], trunk: '0', formats: [[/^/, '## ### ## ##']], example: '912345678' },
+  86: { lengths: [10, 11], trunk: '0', formats: [[/^1/, '### #### ####'], [/^/, '## #### ####']], example: '13123456789' },
+  90: { lengths: [10, 10], trunk: '0', formats: [[/^/, '### ### ## ##']], example: '5012345678' },
+  91: { lengths: [10, 10], trunk: '0', formats: [[/^/, '##### #####']], example: '8123456789' },
+  92: { lengths: [10, 10], trunk: '0', formats: [[/^/, '### #######']], example: '3012345678' },
+  234: { lengths: [8, 10], trunk: '0', formats: [[/^/, '### ### ####']], example: '8021234567' },
+  254: { lengths: [9, 9], trunk: '0', formats: [[/^/, '### ######']], example: '712123456' },
+  351: { lengths: [9, 9], trunk: '', formats: [[/^/, '### ### ###']], example: '912345678' },
+  353: { lengths: [7, 9], trunk: '0', formats: [[/^1/, '# ### ####'], [/^/, '## ### ####']], example: '850123456' },
+  358: { lengths: [5, 12], trunk: '0', formats: [[/^(4|50)/, '## ### ####'], [/^/, '# ### ####']], example: '412345678' },
+  380: { lengths: [9, 9], trunk: '0', formats: [[/^/, '## ### ####']], example: '501234567' },
+  852: { lengths: [8, 8], trunk: '', formats: [[/^/, '#### ####']], example: '51234567' },
+  966: { lengths: [9, 9], trunk: '0', formats: [[/^/, '## ### ####']], example: '512345678' },
+  971: { lengths: [8, 9], trunk: '0', formats: [[/^5/, '## ### ####'], [/^/, '# ### ####']], example: '501234567' },
+  972: { lengths: [8, 9], trunk: '0', formats: [[/^5/, '##-###-####'], [/^/, '#-###-####']], example: '501234567' }
+};
+
+// Plans without specific rules: E.164 allows up to 15 digits in total
+const _PHONE_GENERIC_RULE = { lengths: [4, 14], trunk: '', formats: [], example: '' };
+
+/* ==========================================================
+   LOOKUPS
+   ========================================================== */
+
+/**
+ * Look up a country or territory
+ * @param {string} region - ISO country code, e.g. "GB"
+ * @returns {Object|null} {region, name, countryCode} or null if unknown
+ */
+function getPhoneCountry(region) {
+  return PHONE_COUNTRIES.find(country => country.region === region) || null;
+}
+
+/**
+ * Country name in the current interface language
+ * Falls back to the English name where Intl.DisplayNames is unavailable
+ * @param {string} region - Region code, e.g. "DE"
+ * @returns {string} Country name, e.g. "Allemagne" in French
+ */
+function getPhoneCountryName(region) {
+  const country = getPhoneCountry(region);
+  if (!country) return region;
+
+  try {
+    const name = new Intl.DisplayNames([getLocale()], { type: 'region' }).of(region);
+    return name && name !== region ? name : country.name;
+  } catch (error) {
+    return country.name;
+  }
+}
+
+/**
+ * Work out which region a number belongs to from its calling code
+ * @param {string} countryCode - Calling code digits, e.g. "44"
+ * @param {string} nationalNumber - National significant number (optional)
+ * @returns {string} Region, or '' if the calling code is unknown
+ */
+function getPhoneRegionForCode(countryCode, nationalNumber = '') {
+  const regions = PHONE_COUNTRIES.filter(country => country.countryCode === String(countryCode));
+  if (regions.length <= 1) return regions.length ? regions[0].region : '';
+
+  const byPrefix = regions.find(country =>
+    _PHONE_REGION_PREFIXES[country.region] && _PHONE_REGION_PREFIXES[country.region].test(nationalNumber));
+  return byPrefix ? byPrefix.region : _PHONE_MAIN_REGIONS[countryCode];
+}
+
+/**
+ * Numbering plan rules for a calling code
+ * @param {string} countryCode - Calling code digits
+ * @returns {Object} Plan rules (generic rules if none are defined)
+ */
+function _phoneRule(countryCode) {
+  if (_PHONE_RULES[countryCode]) return _PHONE_RULES[countryCode];
+  return { ..._PHONE_GENERIC_RULE, lengths: [4, 15 - String(countryCode).length] };
+}
+
+/* ==========================================================
+   PARSING & VALIDATION
+   ========================================================== */
+
+/**
+ * Check a national significant number against its plan
+ * @param {string} countryCode - Calling code digits
+ * @param {string} nationalNumber - Digits without the trunk prefix
+ * @returns {boolean} True if the length (and pattern, if any) fit
+ */
+function _isValidNationalNumber(countryCode, nationalNumber) {
+  const rule = _phoneRule(countryCode);
+  const [min, max] = rule.lengths;
+  return /^\d+$/.test(nationalNumber) &&
+    nationalNumber.length >= min && nationalNumber.length <= max &&
+    (!rule.pattern || rule.pattern.test(nationalNumber));
+}
+
+/**
+ * Check whether a value is a valid E.164 number ("+" and up to 15 digits)
+ * with a known calling code and a plausible national number
+ * @param {string} value - Value to check, e.g. "+442079460018"
+ * @returns {boolean} True if valid
+ */
+function isValidE164(value) {
+  return /^\+[1-9]\d{1,14}$/.test(value || '') && parsePhoneNumber(value) !== null;
+}
+
+/**
+ * Parse a phone number in any common written form
+ * Reads international numbers ("+44 20 7946 0018", "0044 …", "tel:+…"),
+ * the older stored style "+1 (555) 123-4567", and national numbers
+ * when a default region is given
+ * @param {string} value - Phone number text
+ * @param {string} defaultRegion - Region for numbers without a calling code
+ * @returns {Object|null} {region, countryCode, nationalNumber, e164}, or null if not valid
+ */
+function parsePhoneNumber(value, defaultRegion = '') {
+  const raw = String(value || '').replace(/^tel:/i, '').trim();
+  if (!raw || /[^\d\s().+\-/]/.test(raw)) return null;
+
+  const digits = raw.replace(/\D+/g, '');
+  const international = raw.startsWith('+') ? digits : raw.startsWith('00') ? digits.slice(2) : '';
+
+  if (international) {
+    // Calling codes are prefix-free, so at most one length matches
+    for (let length = 1; length <= 3; length++) {
+      const countryCode = international.slice(0, length);
+      const region = getPhoneRegionForCode(countryCode, international.slice(length));
+      if (region) return _phoneResult(region, countryCode, international.slice(length));
+    }
+    return null;
+  }
+
+  const country = getPhoneCountry(defaultRegion);
+  if (!country) return null;
+  return _phoneResult(country.region, country.countryCode, _stripTrunkPrefix(country.countryCode, digits));
+}
+
+/**
+ * Build a parse result if the national number is valid
+ * @param {string} region - Region
+ * @param {string} countryCode - Calling code digits
+ * @param {string} nationalNumber - National significant number
+ * @returns {Object|null} Parse result, or null if not valid
+ */
+function _phoneResult(region, countryCode, nationalNumber) {
+  if (!_isValidNationalNumber(countryCode, nationalNumber)) return null;
+  return { region, countryCode, nationalNumber, e164: `+${countryCode}${nationalNumber}` };
+}
+
+/**
+ * Remove the trunk prefix from digits typed in national form
+ * @param {string} countryCode - Calling code digits
+ * @param {string} digits - Typed digits
+ * @returns {string} National significant number
+ */
+function _stripTrunkPrefix(countryCode, digits) {
+  const { trunk, lengths } = _phoneRule(countryCode);
+  if (trunk && digits.startsWith(trunk) && digits.length - trunk.length >= lengths[0]) {
+    return digits.slice(trunk.length);
+  }
+  return digits;
+}
+
+/**
+ * Validate a number typed for the selected country
+ * Accepts national ("020 7946 0018") or international ("+44 20 …") input
+ * @param {string} region - Selected region
+ * @param {string} input - Typed number
+ * @returns {{countryCode: string, nationalNumber: string, error: string}} Result, or an error message
+ */
+function parsePhoneInput(region, input) {
+  const country = getPhoneCountry(region);
+  const value = String(input || '').trim();
+  const fail = (error) => ({ countryCode: '', nationalNumber: '', error });
+
+  if (!country) return fail(t('phone.chooseCountry'));
+  if (!value) return fail(t('phone.enterNumber'));
+  if (/[^\d\s().+\-/]/.test(value)) {
+    return fail(t('phone.invalidCharacters'));
+  }
+
+  const digits = value.replace(/\D+/g, '');
+  if (value.startsWith('+') || value.startsWith('00')) {
+    const parsed = parsePhoneNumber(value);
+    if (!parsed) return fail(t('phone.invalidInternational'));
+    if (parsed.countryCode !== country.countryCode) {
+      return fail(t('phone.wrongCountryCode', {
+        code: parsed.countryCode, country: getPhoneCountryName(region), expected: country.countryCode
+      }));
+    }
+    return { countryCode: parsed.countryCode, nationalNumber: parsed.nationalNumber, error: '' };
+  }
+
+  const nationalNumber = _stripTrunkPrefix(country.countryCode, digits);
+  const { lengths: [min, max], trunk } = _phoneRule(country.countryCode);
+  if (nationalNumber.length < min || nationalNumber.length > max) {
+    const params = { country: getPhoneCountryName(region), min, max, trunk };
+    const key = min === max ? 'phone.lengthExact' : 'phone.lengthRange';
+    return fail(t(trunk ? `${key}Trunk` : key, params));
+  }
+  if (!_isValidNationalNumber(country.countryCode, nationalNumber)) {
+    return fail(t('phone.invalidNumber', { country: getPhoneCountryName(region) }));
+  }
+
+  return { countryCode: country.countryCode, nationalNumber, error: '' };
+}
+
+/* ==========================================================
+   FORMATTING
+   ========================================================== */
+
+/**
+ * Group national digits using the plan's template
+ * Plans without templates get groups of three with a final four
+ * @param {string} countryCode - Calling code digits
+ * @param {string} nationalNumber - National significant number
+ * @returns {string} Grouped digits, e.g. "20 7946 0018"
+ */
+function _groupPhoneDigits(countryCode, nationalNumber) {
+  const match = _phoneRule(countryCode).formats.find(([leading]) => leading.test(nationalNumber));
+
+  if (!match) {
+    const groups = [];
+    let rest = nationalNumber;
+    while (rest.length > 4) {
+      groups.push(rest.slice(0, 3));
+      rest = rest.slice(3);
+    }
+    return groups.concat(rest).filter(Boolean).join(' ');
+  }
+
+  let i = 0;
+  let out = '';
+  for (const char of match[1]) {
+    if (i >= nationalNumber.length) break;
+    out += char === '#' ? nationalNumber[i++] : char;
+  }
+  return out + nationalNumber.slice(i);
+}
+
+/**
+ * Format a phone number for display and dialling
+ * @param {string} region - Region, e.g. "GB"
+ * @param {string} nationalNumber - National significant number
+ * @returns {{pretty: string, prettyNational: string, e164: string}} International style
+ *   ("+44 20 7946 0018"), national style ("020 7946 0018") and E.164 ("+442079460018")
+ */
+function formatPhone(region, nationalNumber) {
+  const country = getPhoneCountry(region);
+  const countryCode = country ? country.countryCode : '';
+  const grouped = _groupPhoneDigits(countryCode, nationalNumber);
+
+  return {
+    pretty: countryCode ? `+${countryCode} ${grouped}` : grouped,
+    prettyNational: `${_phoneRule(countryCode).trunk}${grouped}`,
+    e164: `+${countryCode}${nationalNumber}`
+  };
+}
+
+/**
+ * Example number for a region in national style (for placeholders)
+ * @param {string} region - Region
+ * @returns {string} Example number, or '' if the plan has none
+ */
+function getPhoneExample(region) {
+  const country = getPhoneCountry(region);
+  const example = country ? _phoneRule(country.countryCode).example : '';
+  return example ? formatPhone(region, example).prettyNational : '';
+}
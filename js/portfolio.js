@@ -4,94 +4,77 @@
    ========================================================== */
 
 /**
- * Handle portfolio button clicks
- * Opens the configured URL or shows appropriate message
- * @param {Event} event - Click event
- * @param {string} type - Portfolio type (cert/edu/proj/ref/resume/work)
+ * Open a portfolio URL in a new tab
+ * Only http(s) links are opened, so a crafted card cannot run script
+ * @param {string} url - URL to open
  */
-function openLink(event, type) {
-  event.stopPropagation(); // Prevent card flip
-
-  const linkMap = {
-    cert: 'Certifications',
-    edu: 'Education',
-    proj: 'Projects',
-    ref: 'References',
-    resume: 'Resume',
-    work: 'Work Experience'
-  };
+function openPortfolioUrl(url) {
+  if (!isSafeUrl(url)) {
+    alert(t('portfolio.unsafeLink'));
+    return;
+  }
+  window.open(url, '_blank', 'noopener');
+}
 
-  // Get URL from global portfolio links
-  const url = window.portfolioLinks && window.portfolioLinks[type] 
-    ? window.portfolioLinks[type].trim() 
-    : '';
+/**
+ * Reconcile a stored order with the sections that exist
+ * Unknown or repeated keys are dropped; missing keys are appended
+ * @param {Array<string>} order - Stored order
+ * @param {Array<string>} keys - Existing section keys in default order
+ * @returns {Array<string>} Complete order
+ */
+function normalizePortfolioOrder(order, keys) {
+  const result = (Array.isArray(order) ? order : [])
+    .filter((key, i, arr) => keys.includes(key) && arr.indexOf(key) === i);
+  return result.concat(keys.filter(key => !result.includes(key)));
+}
 
-  if (url) {
-    // Open URL in new tab
-    const newWindow = window.open(url, '_blank');
-    if (!newWindow) {
-      alert('Pop-up blocked! Please allow pop-ups for this site.');
-    }
-  } else {
-    // No URL configured
-    const itemName = linkMap[type] || 'This item';
+/**
+ * Get a card's complete portfolio order
+ * Built-in sections use their PORTFOLIO_LABELS key, custom ones 'custom:<id>'
+ * @param {Object} cardData - Card data
+ * @returns {Array<string>} Section keys in display order
+ */
+function getPortfolioOrder(cardData) {
+  const keys = Object.keys(PORTFOLIO_LABELS)
+    .concat((cardData.customSections || []).map(section => `custom:${section.id}`));
+  return normalizePortfolioOrder(cardData.portfolioOrder, keys);
+}
 
-    if (viewingSharedCard) {
-      alert(`No ${itemName} link available for this contact.`);
-    } else {
-      alert(`No link set for ${itemName}.\n\nAdd a URL in Settings to link to your portfolio.`);
-    }
-  }
+/**
+ * List the portfolio items shown on a card, in the card's order
+ * @param {Object} cardData - Card data with portfolio settings
+ * @returns {Array<{type: string, id: string, label: string}>} Visible items
+ *   (type is a PORTFOLIO_LABELS key or 'custom')
+ */
+function getVisiblePortfolioItems(cardData) {
+  const visibility = cardData.portfolioVisibility;
+  const customById = new Map((cardData.customSections || []).map(section => [section.id, section]));
+
+  return getPortfolioOrder(cardData)
+    .map(key => {
+      if (!key.startsWith('custom:')) {
+        return visibility[key] !== false
+          ? { type: key, id: '', label: getPortfolioLabel(key, true) }
+          : null;
+      }
+      const section = customById.get(key.slice('custom:'.length));
+      return section.visible !== false && section.label
+        ? { type: 'custom', id: section.id, label: section.label }
+        : null;
+    })
+    .filter(Boolean);
 }
 
 /**
  * Render portfolio section with only visible items
- * Dynamically adjusts grid layout based on number of items
+ * Lays buttons out in 1-3 columns depending on the number of items;
+ * an incomplete last row is centered
  * @param {Object} cardData - Card data with portfolio settings
  */
 function renderPortfolioSection(cardData) {
-  const visibility = cardData.portfolioVisibility || { 
-    cert: true, edu: true, proj: true, ref: true, resume: true, work: true
-  };
-
-  // Build array of visible portfolio items
-  const visibleItems = [];
-  if (visibility.cert !== false) {
-    visibleItems.push({
-      type: 'cert',
-      label: 'Certifications'
-    });
-  }
-  if (visibility.edu !== false) {
-    visibleItems.push({
-      type: 'edu',
-      label: 'Education'
-    });
-  }
-  if (visibility.proj !== false) {
-    visibleItems.push({
-      type: 'proj',
-      label: 'Projects'
-    });
-  }
-  if (visibility.ref !== false) {
-    visibleItems.push({
-      type: 'ref',
-      label: 'References'
-    });
-  }
-  if (visibility.resume !== false) {
-    visibleItems.push({
-      type: 'resume',
-      label: 'Resume'
-    });
-  }
-  if (visibility.work !== false) {
-    visibleItems.push({
-      type: 'work',
-      label: 'Work'
-    });
-  }
+  const visibleItems = getVisiblePortfolioItems(cardData);
+  closeResumeChooser();
 
   const portfolioSection = document.querySelector('.portfolio-links');
   if (!portfolioSection) return;
@@ -102,69 +85,29 @@ function renderPortfolioSection(cardData) {
     return;
   }
 
-  // Determine grid layout based on item count
-  let gridStyle = 'margin: 0 auto; display: grid; gap: 6px;';
-  let gridHtml = '';
-
-  switch (visibleItems.length) {
-    case 1:
-      gridStyle += 'grid-template-columns: 1fr; max-width: 140px;';
-      gridHtml = visibleItems.map(item => 
-        `<button class="portfolio-link" data-link-type="${item.type}">${item.label}</button>`
-      ).join('');
-      break;
-
-    case 2:
-      gridStyle += 'grid-template-columns: 1fr 1fr; max-width: 200px;';
-      gridHtml = visibleItems.map(item => 
-        `<button class="portfolio-link" data-link-type="${item.type}">${item.label}</button>`
-      ).join('');
-      break;
-
-    case 3:
-      gridStyle += 'grid-template-columns: 1fr 1fr; max-width: 200px;';
-      gridHtml = `
-        <button class="portfolio-link" data-link-type="${visibleItems[0].type}">${visibleItems[0].label}</button>
-        <button class="portfolio-link" data-link-type="${visibleItems[1].type}">${visibleItems[1].label}</button>
-        <div style="grid-column: 1 / -1; display: flex; justify-content: center;">
-          <button class="portfolio-link" data-link-type="${visibleItems[2].type}">${visibleItems[2].label}</button>
-        </div>
-      `;
-      break;
-
-    case 4:
-      gridStyle += 'grid-template-columns: 1fr 1fr; max-width: 200px;';
-      gridHtml = visibleItems.map(item => 
-        `<button class="portfolio-link" data-link-type="${item.type}">${item.label}</button>`
-      ).join('');
-      break;
-
-    case 5:
-      gridStyle += 'grid-template-columns: 1fr 1fr; max-width: 200px;';
-      gridHtml = `
-        <button class="portfolio-link" data-link-type="${visibleItems[0].type}">${visibleItems[0].label}</button>
-        <button class="portfolio-link" data-link-type="${visibleItems[1].type}">${visibleItems[1].label}</button>
-        <button class="portfolio-link" data-link-type="${visibleItems[2].type}">${visibleItems[2].label}</button>
-        <button class="portfolio-link" data-link-type="${visibleItems[3].type}">${visibleItems[3].label}</button>
-        <div style="grid-column: 1 / -1; display: flex; justify-content: center;">
-          <button class="portfolio-link" data-link-type="${visibleItems[4].type}">${visibleItems[4].label}</button>
-        </div>
-      `;
-      break;
-
-    case 6:
-    default:
-      gridStyle += 'grid-template-columns: 1fr 1fr 1fr; max-width: 300px;';
-      gridHtml = visibleItems.map(item => 
-        `<button class="portfolio-link" data-link-type="${item.type}">${item.label}</button>`
-      ).join('');
-      break;
+  // 1 item: one column; up to 5: two columns; more: three columns
+  const count = visibleItems.length;
+  const columns = count === 1 ? 1 : count <= 5 ? 2 : 3;
+  const maxWidth = { 1: 140, 2: 200, 3: 300 }[columns];
+  const gridStyle = 'margin: 0 auto; display: grid; gap: 6px; ' +
+    `grid-template-columns: repeat(${columns}, 1fr); max-width: ${maxWidth}px;`;
+
+  const button = (item) =>
+    `<button class="portfolio-link" data-link-type="${item.type}" data-section-id="${escapeHtml(item.id)}">${escapeHtml(item.label)}</button>`;
+
+  const fullRows = count - (count % columns);
+  let gridHtml = visibleItems.slice(0, fullRows).map(button).join('');
+  if (fullRows < count) {
+    gridHtml += `
+      <div style="grid-column: 1 / -1; display: flex; justify-content: center; gap: 6px;">
+        ${visibleItems.slice(fullRows).map(button).join('')}
+      </div>`;
   }
 
   // Render portfolio section
   portfolioSection.style.display = 'block';
   portfolioSection.innerHTML = `
-    <h3>PORTFOLIO</h3>
+    <h3>${escapeHtml(t('card.portfolioHeading'))}</h3>
     <div class="portfolio-links-grid" style="${gridStyle}">
       ${gridHtml}
     </div>
@@ -174,9 +117,21 @@ function renderPortfolioSection(cardData) {
   attachPortfolioClickHandlers();
 }
 
+/**
+ * Tell the user that a portfolio item has no link
+ * @param {string} itemName - Section name
+ */
+function _alertMissingPortfolioLink(itemName) {
+  if (viewingSharedCard) {
+    alert(t('portfolio.noContactLink', { item: itemName }));
+  } else {
+    alert(t('portfolio.noOwnLink', { item: itemName }));
+  }
+}
+
 /**
  * Attach click handlers to portfolio buttons
- * Handles special resume logic with multiple formats
+ * Resumes with several variants open the resume chooser
  */
 function attachPortfolioClickHandlers() {
   const portfolioSection = document.querySelector('.portfolio-links');
@@ -189,52 +144,28 @@ function attachPortfolioClickHandlers() {
       event.stopPropagation(); // Prevent card flip
 
       const type = this.getAttribute('data-link-type');
-      const linkMap = {
-        cert: 'Certifications',
-        edu: 'Education',
-        proj: 'Projects',
-        ref: 'References',
-        resume: 'Resume',
-        work: 'Work Experience'
-      };
-
-      // Special handling for resume with multiple formats
-      if (type === 'resume') {
-        const resumeData = window.portfolioLinks && window.portfolioLinks.resume;
-        let pdfUrl = '';
-        let docxUrl = '';
 
-        // Handle both old string format and new object format
-        if (typeof resumeData === 'string') {
-          pdfUrl = resumeData.trim();
-        } else if (resumeData && typeof resumeData === 'object') {
-          pdfUrl = (resumeData.pdf || '').trim();
-          docxUrl = (resumeData.docx || '').trim();
-        }
-
-        // If both formats available, let user choose
-        if (pdfUrl && docxUrl) {
-          const choice = confirm(
-            'Choose your preferred format:\n\n' +
-            'OK = PDF\n' +
-            'Cancel = Word (DOCX)'
-          );
-          const urlToOpen = choice ? pdfUrl : docxUrl;
-          window.open(urlToOpen, '_blank');
-          return;
+      // User-defined sections carry their own label and URL
+      if (type === 'custom') {
+        const id = this.getAttribute('data-section-id');
+        const section = (currentCardData.customSections || []).find(s => s.id === id);
+        if (section && section.url) {
+          openPortfolioUrl(section.url);
+        } else {
+          _alertMissingPortfolioLink(section ? section.label : t('portfolio.thisSection'));
         }
+        return;
+      }
 
-        // If only one format available, open it
-        const url = pdfUrl || docxUrl;
-        if (url) {
-          window.open(url, '_blank');
+      // Resumes: open the only one directly, otherwise let the viewer pick
+      if (type === 'resume') {
+        const resumes = (currentCardData.resumes || []).filter(resume => resume.url);
+        if (resumes.length === 1) {
+          openPortfolioUrl(resumes[0].url);
+        } else if (resumes.length > 1) {
+          openResumeChooser(resumes);
         } else {
-          const itemName = linkMap[type] || 'This item';
-          if (viewingSharedCard) {
-            alert(`No ${itemName} link available for this contact.`);
-          } else {
-            alert(`No link set for ${itemName}.\n\nAdd a URL in Settings to link to your portfolio.`);
-          }
+          _alertMissingPortfolioLink(getPortfolioLabel('resume'));
         }
         return;
       }
@@ -245,15 +176,79 @@ function attachPortfolioClickHandlers() {
         : '';
 
       if (url) {
-        window.open(url, '_blank');
+        openPortfolioUrl(url);
       } else {
-        const itemName = linkMap[type] || 'This item';
-        if (viewingSharedCard) {
-          alert(`No ${itemName} link available for this contact.`);
-        } else {
-          alert(`No link set for ${itemName}.\n\nAdd a URL in Settings to link to your portfolio.`);
-        }
+        _alertMissingPortfolioLink(type in PORTFOLIO_LABELS ? getPortfolioLabel(type) : t('portfolio.thisSection'));
       }
     });
   });
-}
\ No newline at end of file
+}
+
+/* ==========================================================
+   RESUME CHOOSER
+   In-card list of resume variants (label, format, updated)
+   ========================================================== */
+
+/**
+ * Format a resume's YYYY-MM-DD updated date for display
+ * @param {string} updated - Date from the resume editor
+ * @returns {string} e.g. "Mar 2026" in the current language, or '' if unset
+ */
+function _formatResumeDate(updated) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(updated || '');
+  if (!match) return '';
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return formatDate(date, { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Show the resume chooser on the back of the card
+ * @param {Array} resumes - Resume variants with URLs
+ */
+function openResumeChooser(resumes) {
+  const chooser = document.getElementById('resumeChooser');
+  const list = document.getElementById('resumeChooserList');
+  if (!chooser || !list) return;
+
+  list.innerHTML = resumes.map(resume => {
+    const updated = _formatResumeDate(resume.updated);
+    const details = [getResumeFormatLabel(resume.format)]
+      .concat(updated ? t('resume.updated', { date: updated }) : []).join(' · ');
+
+    return `
+      <button type="button" class="resume-choice" data-url="${escapeHtml(resume.url)}">
+        <span class="resume-choice-label">${escapeHtml(resume.label)}</span>
+        <span class="resume-choice-details">${escapeHtml(details)}</span>
+      </button>`;
+  }).join('');
+
+  list.querySelectorAll('.resume-choice').forEach(button => {
+    button.addEventListener('click', () => {
+      openPortfolioUrl(button.getAttribute('data-url'));
+      closeResumeChooser();
+    });
+  });
+
+  chooser.style.display = 'flex';
+  list.querySelector('.resume-choice').focus();
+}
+
+/**
+ * Hide the resume chooser
+ */
+function closeResumeChooser() {
+  const chooser = document.getElementById('resumeChooser');
+  if (chooser) chooser.style.display = 'none';
+}
+
+/**
+ * Close the resume chooser with Escape
+ * @param {KeyboardEvent} event - Keydown event from the chooser
+ */
+function handleResumeChooserKey(event) {
+  if (event.key === 'Escape') {
+    event.stopPropagation();
+    closeResumeChooser();
+  }
+}
@@ -0,0 +1,680 @@
+/* ==========================================================
+   PRINT MODULE
+   Print-ready PDF of the own card: front and back drawn at
+   print resolution with bleed and crop marks, one card per
+   page for print shops or up to 10 on Letter / A4 for home printing
+   ========================================================== */
+
+// Size of the on-screen card (.card-container) in CSS pixels; photo,
+// text and pattern sizes are scaled from it so the print matches the screen
+const _PRINT_SCREEN_CARD = { width: 480, height: 280 };
+
+/* ==========================================================
+   PUBLIC API
+   ========================================================== */
+
+/**
+ * Download the print-ready PDF chosen in the share panel
+ * The QR code on the back uses the share panel's link options
+ */
+async function downloadPrintPdf() {
+  const cardData = await getMyCard();
+  if (!cardData) {
+    alert(t('share.noCard'));
+    return;
+  }
+
+  const shareUrl = await buildShareUrlFromUI();
+  if (!shareUrl) return; // Options problem already reported
+
+  let qr;
+  try {
+    qr = encodeQRCode(shareUrl, QR_ERROR_CORRECTION);
+  } catch (error) {
+    console.error('QR encoding failed:', error);
+    alert(t('print.qrFailed'));
+    return;
+  }
+
+  const button = document.getElementById('printPdfButton');
+  button.disabled = true;
+  button.textContent = t('print.preparing');
+
+  try {
+    const pdf = await buildPrintPdf(cardData, qr,
+      document.getElementById('printSizeSelect').value,
+      document.getElementById('printLayoutSelect').value);
+
+    const fileName = `${cardData.firstName || 'card'}_${cardData.lastName || ''}`
+      .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+      .replace(/_+$/, '');
+    const url = URL.createObjectURL(new Blob([pdf], { type: 'application/pdf' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}_card.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('Print export failed:', error);
+    alert(t('print.failed'));
+  } finally {
+    button.disabled = false;
+    button.textContent = t('print.download');
+  }
+}
+
+/**
+ * Build the print-ready PDF: fronts on page 1, backs on page 2
+ * @param {Object} cardData - Card data (current schema)
+ * @param {Object} qr - encodeQRCode() result for the back
+ * @param {string} sizeKey - PRINT_CARD_SIZES key
+ * @param {string} sheetKey - PRINT_SHEETS key for a sheet of cards, or '' for one card with bleed
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function buildPrintPdf(cardData, qr, sizeKey, sheetKey) {
+  const size = PRINT_CARD_SIZES[sizeKey] || PRINT_CARD_SIZES.us;
+  const sheet = PRINT_SHEETS[sheetKey];
+
+  // Cards butted together on a sheet have no room for bleed
+  const bleed = sheet ? 0 : size.bleed;
+
+  const images = await _printLoadCardImages(cardData);
+  if (document.fonts) await document.fonts.ready;
+
+  const faces = {};
+  for (const side of ['front', 'back']) {
+    const canvas = renderPrintFace(cardData, side, size, bleed, images);
+    faces[side] = { jpeg: await _printCanvasToJpeg(canvas), width: canvas.width, height: canvas.height };
+  }
+
+  const pages = sheet
+    ? _printSheetPages(size, sheet, qr)
+    : _printSinglePages(size, qr);
+
+  return buildPdf({
+    title: `${cardData.firstName} ${cardData.lastName}`.trim(),
+    images: faces,
+    pages
+  });
+}
+
+/**
+ * Draw one face of the card on a canvas at print resolution
+ * The QR code is not drawn here; the PDF adds it as vector shapes
+ * @param {Object} cardData - Card data (current schema)
+ * @param {string} side - 'front' or 'back'
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @param {number} bleed - Bleed on every side (mm)
+ * @param {Object} images - {photo, logo} from _printLoadCardImages()
+ * @returns {HTMLCanvasElement} Canvas covering the trim plus bleed
+ */
+function renderPrintFace(cardData, side, size, bleed, images) {
+  const px = PRINT_SETTINGS.dpi / 25.4; // Pixels per mm
+  const theme = normalizeCardTheme(cardData.theme);
+  const textColor = getCardTextColor(cardData.cardColor, theme);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round((size.width + bleed * 2) * px);
+  canvas.height = Math.round((size.height + bleed * 2) * px);
+  const ctx = canvas.getContext('2d');
+
+  // Trim box in pixels, and pixels per on-screen CSS pixel
+  const trim = { x: bleed * px, y: bleed * px, width: size.width * px, height: size.height * px };
+  const unit = Math.min(trim.width / _PRINT_SCREEN_CARD.width, trim.height / _PRINT_SCREEN_CARD.height);
+
+  _printPaintBackground(ctx, cardData.cardColor, theme, canvas.width, canvas.height);
+  _printPaintPattern(ctx, theme.pattern, getCardPatternInk(textColor), canvas, trim, unit);
+  _printPaintBorder(ctx, theme, textColor, trim, unit, PRINT_SETTINGS.safeMargin * px / 2);
+
+  const fonts = {
+    heading: CARD_FONT_PAIRINGS[theme.fonts].heading || getComputedStyle(document.body).fontFamily,
+    body: CARD_FONT_PAIRINGS[theme.fonts].body || getComputedStyle(document.body).fontFamily
+  };
+  const face = { ctx, trim, unit, safe: PRINT_SETTINGS.safeMargin * px, textColor, fonts };
+
+  if (side === 'front') {
+    _printDrawFront(face, cardData, theme, images);
+  } else {
+    _printDrawBack(face, cardData, size);
+  }
+  return canvas;
+}
+
+/* ==========================================================
+   FACES
+   ========================================================== */
+
+/**
+ * Draw the front: photo, photo and name, or logo and name
+ * @param {Object} face - Drawing context from renderPrintFace()
+ * @param {Object} cardData - Card data
+ * @param {Object} theme - Normalized theme
+ * @param {Object} images - {photo, logo}
+ */
+function _printDrawFront(face, cardData, theme, images) {
+  const { ctx, trim, unit } = face;
+  const name = `${cardData.firstName} ${cardData.lastName}`.trim();
+  const layout = theme.layout === 'logoName' && !images.logo ? 'photoName' : theme.layout;
+  const centerX = trim.x + trim.width / 2;
+  const gap = 14 * unit;
+  const nameSize = 26 * unit;
+
+  if (layout === 'photo') {
+    _printDrawPhoto(face, images.photo, name, centerX, trim.y + trim.height / 2, 200 * unit);
+    return;
+  }
+
+  // Picture above the name, centred as a block
+  let pictureHeight;
+  if (layout === 'logoName') {
+    // Natural size, within 60% of the width and 120px (as .card-logo)
+    const scale = Math.min(unit, trim.width * 0.6 / images.logo.width, 120 * unit / images.logo.height);
+    pictureHeight = images.logo.height * scale;
+    const top = trim.y + (trim.height - pictureHeight - gap - nameSize) / 2;
+    const width = images.logo.width * scale;
+    ctx.drawImage(images.logo, centerX - width / 2, top, width, pictureHeight);
+  } else {
+    pictureHeight = 150 * unit;
+    const top = trim.y + (trim.height - pictureHeight - gap - nameSize) / 2;
+    _printDrawPhoto(face, images.photo, name, centerX, top + pictureHeight / 2, pictureHeight);
+  }
+
+  const nameTop = trim.y + (trim.height + pictureHeight + gap - nameSize) / 2;
+  ctx.fillStyle = face.textColor;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.font = `600 ${nameSize}px ${face.fonts.heading}`;
+  ctx.fillText(_printFitText(ctx, name, trim.width - face.safe * 2), centerX, nameTop);
+}
+
+/**
+ * Draw the back: name, job title and contact lines beside the QR code area
+ * @param {Object} face - Drawing context from renderPrintFace()
+ * @param {Object} cardData - Card data
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ */
+function _printDrawBack(face, cardData, size) {
+  const { ctx, trim, unit, safe } = face;
+  const px = trim.width / size.width;
+  const qr = _printQrBox(size);
+  const left = trim.x + safe;
+  const maxWidth = qr.x * px - safe * 2;
+  let y = trim.y + safe;
+
+  ctx.fillStyle = face.textColor;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+
+  ctx.font = `600 ${24 * unit}px ${face.fonts.heading}`;
+  ctx.fillText(_printFitText(ctx, `${cardData.firstName} ${cardData.lastName}`.trim(), maxWidth), left, y);
+  y += 30 * unit;
+
+  if (cardData.jobTitle) {
+    ctx.globalAlpha = 0.9;
+    ctx.font = `${14 * unit}px ${face.fonts.body}`;
+    ctx.fillText(_printFitText(ctx, cardData.jobTitle, maxWidth), left, y);
+    ctx.globalAlpha = 1;
+    y += 20 * unit;
+  }
+  y += 10 * unit;
+
+  // Contact lines, as many as fit above the bottom safe margin
+  const lineHeight = 22 * unit;
+  const bottom = trim.y + trim.height - safe;
+  const lines = [cardData.email, cardData.phone]
+    .concat((cardData.socialLinks || []).map(formatSocialLink))
+    .filter(Boolean);
+
+  ctx.font = `${13 * unit}px ${face.fonts.body}`;
+  lines.forEach(line => {
+    if (y + 13 * unit > bottom) return;
+    ctx.fillText(_printFitText(ctx, line, maxWidth), left, y);
+    y += lineHeight;
+  });
+}
+
+/**
+ * Draw a round profile photo with a white ring, or initials if it could not be loaded
+ * @param {Object} face - Drawing context from renderPrintFace()
+ * @param {HTMLImageElement|null} photo - Photo
+ * @param {string} name - Full name (for initials)
+ * @param {number} centerX - Centre (px)
+ * @param {number} centerY - Centre (px)
+ * @param {number} diameter - Diameter including the ring (px)
+ */
+function _printDrawPhoto(face, photo, name, centerX, centerY, diameter) {
+  const { ctx, unit } = face;
+  const ring = 5 * unit;
+  const radius = diameter / 2;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius - ring, 0, Math.PI * 2);
+  ctx.clip();
+
+  if (photo) {
+    // object-fit: cover
+    const scale = Math.max(diameter / photo.width, diameter / photo.height);
+    const width = photo.width * scale;
+    const height = photo.height * scale;
+    ctx.drawImage(photo, centerX - width / 2, centerY - height / 2, width, height);
+  } else {
+    ctx.fillStyle = getCardChipColors(face.textColor).chip;
+    ctx.fillRect(centerX - radius, centerY - radius, diameter, diameter);
+    ctx.fillStyle = face.textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 ${diameter * 0.35}px ${face.fonts.heading}`;
+    const initials = name.split(/\s+/).filter(Boolean).map(word => [...word][0]).slice(0, 2).join('');
+    ctx.fillText(initials.toUpperCase(), centerX, centerY);
+  }
+  ctx.restore();
+
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius - ring / 2, 0, Math.PI * 2);
+  ctx.lineWidth = ring;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+}
+
+/* ==========================================================
+   BACKGROUND
+   ========================================================== */
+
+/**
+ * Paint the card's gradient the way CSS linear-gradient() lays it out
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} cardColor - First gradient stop
+ * @param {Object} theme - Normalized theme
+ * @param {number} width - Canvas width (px)
+ * @param {number} height - Canvas height (px)
+ */
+function _printPaintBackground(ctx, cardColor, theme, width, height) {
+  const stops = getCardThemeStops(cardColor, theme);
+  if (stops.length === 1) {
+    ctx.fillStyle = cardColor;
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  // CSS angles run clockwise from "to top"; the gradient line is long
+  // enough for the corners to get the first and last colors
+  const angle = theme.angle * Math.PI / 180;
+  const dx = Math.sin(angle);
+  const dy = -Math.cos(angle);
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+  const gradient = ctx.createLinearGradient(
+    width / 2 - dx * half, height / 2 - dy * half,
+    width / 2 + dx * half, height / 2 + dy * half);
+  stops.forEach((color, i) => gradient.addColorStop(i / (stops.length - 1), color));
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+}
+
+/**
+ * Paint the theme pattern (matching CARD_PATTERNS) over the background,
+ * tiled from the trim corner like the on-screen card and run into the bleed
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} pattern - CARD_PATTERNS key
+ * @param {string} ink - Pattern color
+ * @param {HTMLCanvasElement} canvas - Canvas (for its size)
+ * @param {Object} trim - Trim box (px)
+ * @param {number} unit - Pixels per on-screen CSS pixel
+ */
+function _printPaintPattern(ctx, pattern, ink, canvas, trim, unit) {
+  const { width, height } = canvas;
+  // First tile start at or before the canvas edge
+  const start = (offset, cell) => offset - Math.ceil(offset / cell) * cell;
+
+  ctx.save();
+  ctx.fillStyle = ink;
+
+  if (pattern === 'dots') {
+    const cell = 18 * unit;
+    for (let y = start(trim.y, cell); y < height; y += cell) {
+      for (let x = start(trim.x, cell); x < width; x += cell) {
+        ctx.beginPath();
+        ctx.arc(x + cell / 2, y + cell / 2, 2.25 * unit, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  } else if (pattern === 'stripes') {
+    // 6px bands every 18px at 45 degrees, across the whole canvas diagonal
+    const diagonal = Math.hypot(width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(-Math.PI / 4);
+    for (let x = -diagonal; x < diagonal; x += 18 * unit) {
+      ctx.fillRect(x, -diagonal, 6 * unit, diagonal * 2);
+    }
+  } else if (pattern === 'grid') {
+    const cell = 24 * unit;
+    for (let x = start(trim.x, cell); x < width; x += cell) ctx.fillRect(x, 0, unit, height);
+    for (let y = start(trim.y, cell); y < height; y += cell) ctx.fillRect(0, y, width, unit);
+  } else if (pattern === 'checks') {
+    // conic-gradient quarters: top right and bottom left of each cell
+    const cell = 24 * unit;
+    for (let y = start(trim.y, cell); y < height; y += cell) {
+      for (let x = start(trim.x, cell); x < width; x += cell) {
+        ctx.fillRect(x + cell / 2, y, cell / 2, cell / 2);
+        ctx.fillRect(x, y + cell / 2, cell / 2, cell / 2);
+      }
+    }
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw the theme border inside the trim (an edge border would not
+ * survive an uneven cut)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} theme - Normalized theme
+ * @param {string} textColor - Border color
+ * @param {Object} trim - Trim box (px)
+ * @param {number} unit - Pixels per on-screen CSS pixel
+ * @param {number} inset - Distance from the trim (px)
+ */
+function _printPaintBorder(ctx, theme, textColor, trim, unit, inset) {
+  if (theme.border === 'none') return;
+
+  const [widthText, style] = CARD_BORDERS[theme.border].split(' ');
+  const width = parseFloat(widthText) * unit;
+  const radius = Math.max(0, parseFloat(CARD_CORNERS[theme.corners]) * unit - inset);
+
+  const stroke = (offset, lineWidth) => {
+    const x = trim.x + offset;
+    const y = trim.y + offset;
+    const w = trim.width - offset * 2;
+    const h = trim.height - offset * 2;
+    const r = Math.min(Math.max(0, radius - (offset - inset)), w / 2, h / 2);
+
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  };
+
+  ctx.save();
+  ctx.strokeStyle = textColor;
+  if (style === 'dashed') ctx.setLineDash([width * 3, width * 2]);
+
+  if (style === 'double') {
+    stroke(inset + width / 6, width / 3);
+    stroke(inset + width * 5 / 6, width / 3);
+  } else {
+    stroke(inset + width / 2, width);
+  }
+  ctx.restore();
+}
+
+/* ==========================================================
+   PAGE LAYOUT
+   ========================================================== */
+
+/**
+ * Place the QR code on the back (mm from the trim's top-left corner)
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @returns {{x: number, y: number, side: number}} Square including the quiet zone
+ */
+function _printQrBox(size) {
+  const safe = PRINT_SETTINGS.safeMargin;
+  const side = Math.min(size.height - safe * 2, size.width * 0.42);
+  return { x: size.width - safe - side, y: (size.height - side) / 2, side };
+}
+
+/**
+ * Lay out one card per page with bleed, crop marks and print boxes
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @param {Object} qr - encodeQRCode() result
+ * @returns {Array<Object>} Front and back pages for buildPdf()
+ */
+function _printSinglePages(size, qr) {
+  const margin = size.bleed + PRINT_SETTINGS.cropMarkGap + PRINT_SETTINGS.cropMarkLength;
+  const trimBox = { x: margin, y: margin, width: size.width, height: size.height };
+  const bleedBox = {
+    x: margin - size.bleed,
+    y: margin - size.bleed,
+    width: size.width + size.bleed * 2,
+    height: size.height + size.bleed * 2
+  };
+  const page = { width: size.width + margin * 2, height: size.height + margin * 2, trimBox, bleedBox };
+  const marks = _printCropMarks(page, [margin, margin + size.width], [margin, margin + size.height], bleedBox);
+
+  return ['front', 'back'].map(name => ({
+    ...page,
+    items: [{ type: 'image', name, ...bleedBox }]
+      .concat(name === 'back' ? _printQrItems(qr, [{ x: margin, y: margin }], size) : [])
+      .concat([marks])
+  }));
+}
+
+/**
+ * Work out how many cards fit on a sheet for a home printer
+ * Up to PRINT_SETTINGS.columns x rows, leaving each margin room for the
+ * unprintable edge and crop marks of at least cropMarkMinLength
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @param {Object} sheet - PRINT_SHEETS entry
+ * @returns {{columns: number, rows: number}|null} Grid, or null if not even one card fits
+ */
+function getPrintSheetGrid(size, sheet) {
+  const margin = PRINT_SETTINGS.printableMargin + PRINT_SETTINGS.cropMarkGap + PRINT_SETTINGS.cropMarkMinLength;
+  const columns = Math.min(PRINT_SETTINGS.columns, Math.floor((sheet.width - margin * 2) / size.width));
+  const rows = Math.min(PRINT_SETTINGS.rows, Math.floor((sheet.height - margin * 2) / size.height));
+  return columns > 0 && rows > 0 ? { columns, rows } : null;
+}
+
+/**
+ * Label the sheet layouts with the number of cards that fit the chosen
+ * size, disabling a sheet no card fits on
+ * Called when the share panel opens, the size changes or the language changes
+ */
+function renderPrintLayoutOptions() {
+  const select = document.getElementById('printLayoutSelect');
+  if (!select) return;
+
+  const size = PRINT_CARD_SIZES[document.getElementById('printSizeSelect').value] || PRINT_CARD_SIZES.us;
+  const labels = { letter: 'print.layoutLetter', a4: 'print.layoutA4' };
+
+  Array.from(select.options).forEach(option => {
+    if (!labels[option.value]) return;
+    const grid = getPrintSheetGrid(size, PRINT_SHEETS[option.value]);
+    option.textContent = t(labels[option.value], { count: grid ? grid.columns * grid.rows : 0 });
+    option.disabled = !grid;
+  });
+  if (select.selectedOptions[0] && select.selectedOptions[0].disabled) select.value = '';
+}
+
+/**
+ * Lay out the cards that fit (getPrintSheetGrid) on a sheet with crop
+ * marks in the margins. The grid is centred, so the backs line up with
+ * the fronts when printed double-sided.
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @param {Object} sheet - PRINT_SHEETS entry
+ * @param {Object} qr - encodeQRCode() result
+ * @returns {Array<Object>} Fronts page and backs page for buildPdf()
+ */
+function _printSheetPages(size, sheet, qr) {
+  const fit = getPrintSheetGrid(size, sheet);
+  if (!fit) throw new Error('Card size does not fit on the sheet');
+
+  const { columns, rows } = fit;
+  const grid = {
+    x: (sheet.width - size.width * columns) / 2,
+    y: (sheet.height - size.height * rows) / 2,
+    width: size.width * columns,
+    height: size.height * rows
+  };
+
+  const cards = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      cards.push({ x: grid.x + column * size.width, y: grid.y + row * size.height });
+    }
+  }
+
+  const cutsX = Array.from({ length: columns + 1 }, (_, i) => grid.x + i * size.width);
+  const cutsY = Array.from({ length: rows + 1 }, (_, i) => grid.y + i * size.height);
+  const marks = _printCropMarks(sheet, cutsX, cutsY, grid, PRINT_SETTINGS.printableMargin);
+
+  return ['front', 'back'].map(name => ({
+    width: sheet.width,
+    height: sheet.height,
+    items: cards.map(card => ({ type: 'image', name, ...card, width: size.width, height: size.height }))
+      .concat(name === 'back' ? _printQrItems(qr, cards, size) : [])
+      .concat([marks])
+  }));
+}
+
+/**
+ * Build the QR code shapes for the backs of the given cards
+ * @param {Object} qr - encodeQRCode() result
+ * @param {Array<{x: number, y: number}>} cards - Trim corners of the cards (mm)
+ * @param {Object} size - PRINT_CARD_SIZES entry
+ * @returns {Array<Object>} White quiet zones and black modules
+ */
+function _printQrItems(qr, cards, size) {
+  const box = _printQrBox(size);
+  const border = 4; // Quiet zone in modules
+  const module = box.side / (qr.size + border * 2);
+  const light = [];
+  const dark = [];
+
+  cards.forEach(card => {
+    const left = card.x + box.x;
+    const top = card.y + box.y;
+    light.push({ x: left, y: top, width: box.side, height: box.side });
+
+    // One rectangle per horizontal run of dark modules
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (!qr.modules[y][x]) continue;
+        const start = x;
+        while (x + 1 < qr.size && qr.modules[y][x + 1]) x++;
+        dark.push({
+          x: left + (start + border) * module,
+          y: top + (y + border) * module,
+          width: (x - start + 1) * module,
+          height: module
+        });
+      }
+    }
+  });
+
+  return [
+    { type: 'rects', color: '#ffffff', rects: light },
+    { type: 'rects', color: '#000000', rects: dark }
+  ];
+}
+
+/**
+ * Build crop marks outside the artwork, in line with every cut
+ * Marks are shortened (or left out) where the page edge is too close
+ * @param {Object} page - Page size ({width, height}, mm)
+ * @param {Array<number>} cutsX - Vertical cut positions (mm)
+ * @param {Array<number>} cutsY - Horizontal cut positions (mm)
+ * @param {Object} artwork - Printed area the marks stay clear of ({x, y, width, height})
+ * @param {number} edge - Unprintable margin at the page edge (mm)
+ * @returns {Object} Lines item for buildPdf()
+ */
+function _printCropMarks(page, cutsX, cutsY, artwork, edge = 0) {
+  const gap = PRINT_SETTINGS.cropMarkGap;
+  const lines = [];
+  const mark = (from, room, add) => {
+    const length = Math.min(PRINT_SETTINGS.cropMarkLength, room - gap - edge);
+    if (length >= PRINT_SETTINGS.cropMarkMinLength) add(from, length);
+  };
+
+  const top = artwork.y - gap;
+  const bottom = artwork.y + artwork.height + gap;
+  const left = artwork.x - gap;
+  const right = artwork.x + artwork.width + gap;
+
+  cutsX.forEach(x => {
+    mark(top, artwork.y, (from, length) => lines.push({ x1: x, y1: from, x2: x, y2: from - length }));
+    mark(bottom, page.height - artwork.y - artwork.height, (from, length) => lines.push({ x1: x, y1: from, x2: x, y2: from + length }));
+  });
+  cutsY.forEach(y => {
+    mark(left, artwork.x, (from, length) => lines.push({ x1: from, y1: y, x2: from - length, y2: y }));
+    mark(right, page.width - artwork.x - artwork.width, (from, length) => lines.push({ x1: from, y1: y, x2: from + length, y2: y }));
+  });
+
+  return { type: 'lines', color: '#000000', lineWidth: PRINT_SETTINGS.cropMarkWidth, lines };
+}
+
+/* ==========================================================
+   HELPERS
+   ========================================================== */
+
+/**
+ * Load the card's photo and logo for drawing on a canvas
+ * Images are requested with CORS so the canvas can still be exported;
+ * one that cannot be loaded that way is left out
+ * @param {Object} cardData - Card data
+ * @returns {Promise<{photo: HTMLImageElement|null, logo: HTMLImageElement|null}>} Images
+ */
+async function _printLoadCardImages(cardData) {
+  const load = (src) => new Promise(resolve => {
+    if (!src) {
+      resolve(null);
+      return;
+    }
+    const img = new Image();
+    if (!src.startsWith('data:')) img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+
+  // Same placeholder as the on-screen card when there is no photo
+  const photoUrl = isSafeImageSource(cardData.profilePic)
+    ? cardData.profilePic
+    : `https://ui-avatars.com/api/?name=${encodeURIComponent(cardData.firstName + ' ' + cardData.lastName)}&size=400&background=6366f1&color=fff&bold=true`;
+
+  const theme = normalizeCardTheme(cardData.theme);
+  const [photo, logo] = await Promise.all([
+    load(photoUrl),
+    load(theme.layout === 'logoName' ? theme.logo : '')
+  ]);
+  return { photo, logo };
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the current font
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (font already set)
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width (px)
+ * @returns {string} Text that fits
+ */
+function _printFitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+
+  const chars = [...text];
+  while (chars.length && ctx.measureText(chars.join('') + '…').width > maxWidth) chars.pop();
+  return chars.join('').trimEnd() + '…';
+}
+
+/**
+ * Encode a canvas as JPEG bytes
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @returns {Promise<Uint8Array>} JPEG file bytes
+ */
+function _printCanvasToJpeg(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Canvas could not be encoded'));
+        return;
+      }
+      blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/jpeg', PRINT_SETTINGS.jpegQuality);
+  });
+}
@@ -0,0 +1,556 @@
+/* ==========================================================
+   QR CODE MODULE
+   Local QR code encoder (byte mode, ECC levels L/M/Q/H)
+   and canvas / SVG renderers. No network requests.
+   ========================================================== */
+
+/**
+ * Error correction levels
+ * `ordinal` indexes the capacity tables, `formatBits` goes into the symbol
+ */
+const QR_ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// ECC codewords per block, indexed [level ordinal][version] (index 0 unused)
+const _QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, indexed [level ordinal][version] (index 0 unused)
+const _QR_NUM_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const QR_MIN_VERSION = 1;
+const QR_MAX_VERSION = 40;
+
+/* ==========================================================
+   PUBLIC API
+   ========================================================== */
+
+/**
+ * Encode text as a QR code symbol (byte mode, UTF-8)
+ * Picks the smallest version that fits at the requested ECC level
+ * @param {string} text - Text to encode (typically a share URL)
+ * @param {string} ecLevel - Error correction level: 'L', 'M', 'Q' or 'H'
+ * @returns {Object} {version, size, ecLevel, mask, modules} where
+ *   modules[y][x] is true for a dark module
+ * @throws {Error} If the text does not fit in a version 40 symbol
+ */
+function encodeQRCode(text, ecLevel = 'M') {
+  const level = QR_ECC_LEVELS[ecLevel];
+  if (!level) throw new Error(`Unknown QR error correction level: ${ecLevel}`);
+
+  const bytes = _qrUtf8Bytes(text);
+
+  // Find the smallest version whose data capacity fits the segment
+  let version = QR_MIN_VERSION;
+  for (; version <= QR_MAX_VERSION; version++) {
+    const capacityBits = _qrNumDataCodewords(version, level) * 8;
+    if (_qrSegmentBits(bytes.length, version) <= capacityBits) break;
+  }
+  if (version > QR_MAX_VERSION) {
+    throw new Error(`Data too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  const dataCodewords = _qrBuildDataCodewords(bytes, version, level);
+  const allCodewords = _qrAddEccAndInterleave(dataCodewords, version, level);
+
+  const size = version * 4 + 17;
+  const modules = [];
+  const isFunction = [];
+  for (let i = 0; i < size; i++) {
+    modules.push(new Array(size).fill(false));
+    isFunction.push(new Array(size).fill(false));
+  }
+  const grid = { size, modules, isFunction };
+
+  _qrDrawFunctionPatterns(grid, version, level);
+  _qrDrawCodewords(grid, allCodewords);
+
+  // Try every mask and keep the one with the lowest penalty
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    _qrApplyMask(grid, mask);
+    _qrDrawFormatBits(grid, level, mask);
+    const penalty = _qrPenaltyScore(grid);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    _qrApplyMask(grid, mask); // XOR again to undo
+  }
+  _qrApplyMask(grid, bestMask);
+  _qrDrawFormatBits(grid, level, bestMask);
+
+  return { version, size, ecLevel, mask: bestMask, modules };
+}
+
+/**
+ * Render a QR code as SVG markup
+ * @param {Object} qr - Result of encodeQRCode()
+ * @param {Object} options - {border, dark, light} (border in modules)
+ * @returns {string} SVG markup
+ */
+function qrCodeToSvg(qr, options = {}) {
+  const border = options.border ?? 4;
+  const dark = options.dark || '#000000';
+  const light = options.light || '#ffffff';
+  const dim = qr.size + border * 2;
+
+  const parts = [];
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${light}"/>` +
+    `<path d="${parts.join('')}" fill="${dark}"/>` +
+    `</svg>`;
+}
+
+/**
+ * Draw a QR code onto a canvas element
+ * @param {Object} qr - Result of encodeQRCode()
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to fit)
+ * @param {Object} options - {scale, border, dark, light} (scale in px per module)
+ * @returns {HTMLCanvasElement} The same canvas
+ */
+function drawQRCodeToCanvas(qr, canvas, options = {}) {
+  const scale = options.scale || 8;
+  const border = options.border ?? 4;
+  const dim = (qr.size + border * 2) * scale;
+
+  canvas.width = dim;
+  canvas.height = dim;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = options.light || '#ffffff';
+  ctx.fillRect(0, 0, dim, dim);
+  ctx.fillStyle = options.dark || '#000000';
+
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) {
+        ctx.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+      }
+    }
+  }
+
+  return canvas;
+}
+
+/* ==========================================================
+   DATA ENCODING
+   ========================================================== */
+
+/**
+ * Convert a string to UTF-8 bytes
+ * @param {string} text - Text to convert
+ * @returns {Array<number>} Byte values
+ */
+function _qrUtf8Bytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Bits needed for a byte-mode segment (mode + length + data)
+ * @param {number} byteCount - Number of data bytes
+ * @param {number} version - QR version
+ * @returns {number} Total bit length, or Infinity if the count overflows
+ */
+function _qrSegmentBits(byteCount, version) {
+  const countBits = version <= 9 ? 8 : 16;
+  if (byteCount >= (1 << countBits)) return Infinity;
+  return 4 + countBits + byteCount * 8;
+}
+
+/**
+ * Number of modules available for data + ECC in a version
+ * @param {number} version - QR version
+ * @returns {number} Module count
+ */
+function _qrNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Number of data codewords (excluding ECC) for a version and level
+ * @param {number} version - QR version
+ * @param {Object} level - Entry from QR_ECC_LEVELS
+ * @returns {number} Codeword count
+ */
+function _qrNumDataCodewords(version, level) {
+  return Math.floor(_qrNumRawDataModules(version) / 8) -
+    _QR_ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] *
+    _QR_NUM_ECC_BLOCKS[level.ordinal][version];
+}
+
+/**
+ * Build the padded data codeword sequence for a byte-mode segment
+ * @param {Array<number>} bytes - Data bytes
+ * @param {number} version - QR version
+ * @param {Object} level - Entry from QR_ECC_LEVELS
+ * @returns {Array<number>} Data codewords
+ */
+function _qrBuildDataCodewords(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0x4, 4); // Byte mode indicator
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => append(b, 8));
+
+  const capacityBits = _qrNumDataCodewords(version, level) * 8;
+
+  // Terminator and byte alignment
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+
+  // Alternating pad bytes
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let value = 0;
+    for (let j = 0; j < 8; j++) value = (value << 1) | bits[i + j];
+    codewords.push(value);
+  }
+  return codewords;
+}
+
+/* ==========================================================
+   REED-SOLOMON ERROR CORRECTION
+   ========================================================== */
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - First factor
+ * @param {number} y - Second factor
+ * @returns {number} Product
+ */
+function _qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Compute the Reed-Solomon generator polynomial of a given degree
+ * @param {number} degree - Number of ECC codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+function _qrRsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = _qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = _qrGfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Compute Reed-Solomon ECC codewords for a block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Result of _qrRsDivisor()
+ * @returns {Array<number>} ECC codewords
+ */
+function _qrRsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= _qrGfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Split data into blocks, append ECC to each, and interleave
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @param {Object} level - Entry from QR_ECC_LEVELS
+ * @returns {Array<number>} Final codeword sequence
+ */
+function _qrAddEccAndInterleave(data, version, level) {
+  const numBlocks = _QR_NUM_ECC_BLOCKS[level.ordinal][version];
+  const blockEccLen = _QR_ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+  const rawCodewords = Math.floor(_qrNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = _qrRsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(k, k + dataLen);
+    k += dataLen;
+    const ecc = _qrRsRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0); // Placeholder, skipped below
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/* ==========================================================
+   MODULE PLACEMENT
+   ========================================================== */
+
+/**
+ * Set a module and mark it as part of a function pattern
+ */
+function _qrSetFunction(grid, x, y, dark) {
+  grid.modules[y][x] = dark;
+  grid.isFunction[y][x] = true;
+}
+
+/**
+ * Alignment pattern center coordinates for a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Ascending coordinates
+ */
+function _qrAlignmentPositions(version) {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Draw finder, timing, alignment, format and version patterns
+ */
+function _qrDrawFunctionPatterns(grid, version, level) {
+  const size = grid.size;
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    _qrSetFunction(grid, 6, i, i % 2 === 0);
+    _qrSetFunction(grid, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns (with separators) in three corners
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        _qrSetFunction(grid, x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns (skipping the three finder corners)
+  const positions = _qrAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          _qrSetFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve format areas (real bits drawn after masking)
+  _qrDrawFormatBits(grid, level, 0);
+
+  // Version information (versions 7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      _qrSetFunction(grid, a, b, dark);
+      _qrSetFunction(grid, b, a, dark);
+    }
+  }
+}
+
+/**
+ * Draw both copies of the format information
+ */
+function _qrDrawFormatBits(grid, level, mask) {
+  const size = grid.size;
+  const data = (level.formatBits << 3) | mask;
+
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i++) _qrSetFunction(grid, 8, i, bit(i));
+  _qrSetFunction(grid, 8, 7, bit(6));
+  _qrSetFunction(grid, 8, 8, bit(7));
+  _qrSetFunction(grid, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) _qrSetFunction(grid, 14 - i, 8, bit(i));
+
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i++) _qrSetFunction(grid, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) _qrSetFunction(grid, 8, size - 15 + i, bit(i));
+  _qrSetFunction(grid, 8, size - 8, true); // Dark module
+}
+
+/**
+ * Place codeword bits in the zigzag pattern, skipping function modules
+ */
+function _qrDrawCodewords(grid, codewords) {
+  const size = grid.size;
+  let i = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Skip the vertical timing column
+
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+
+        if (!grid.isFunction[y][x] && i < codewords.length * 8) {
+          grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * XOR a mask pattern onto all non-function modules
+ */
+function _qrApplyMask(grid, mask) {
+  const conditions = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+  const invert = conditions[mask];
+
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.isFunction[y][x] && invert(x, y)) {
+        grid.modules[y][x] = !grid.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Score a masked symbol using the four standard penalty rules
+ * @returns {number} Penalty (lower is better)
+ */
+function _qrPenaltyScore(grid) {
+  const { size, modules } = grid;
+  let penalty = 0;
+  let dark = 0;
+
+  const finderA = [true, false, true, true, true, false, true, false, false, false, false];
+  const finderB = finderA.slice().reverse();
+  const matchesAt = (line, i, pattern) => pattern.every((v, k) => line[i + k] === v);
+
+  const scoreLine = (line) => {
+    // Rule 1: runs of five or more same-colored modules
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) penalty += 3 + (runLength - 5);
+        runLength = 1;
+      }
+    }
+
+    // Rule 3: finder-like patterns
+    for (let i = 0; i + finderA.length <= size; i++) {
+      if (matchesAt(line, i, finderA) || matchesAt(line, i, finderB)) penalty += 40;
+    }
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map(row => row[y]));
+
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+
+      // Rule 2: 2x2 blocks of the same color
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  // Rule 4: balance of dark and light modules
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  penalty += Math.max(0, k) * 10;
+
+  return penalty;
+}
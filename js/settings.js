@@ -13,7 +13,7 @@
  * Called on page load
  */
 function initializeInputValidation() {
-  // Name input filters - allow only letters, hyphens, apostrophes, and spaces
+  // Name input filters - allow only letters (any script), hyphens, apostrophes, and spaces
   setTimeout(() => {
     const firstNameInput = document.getElementById("firstNameInput");
     const lastNameInput = document.getElementById("lastNameInput");
@@ -21,14 +21,14 @@ function initializeInputValidation() {
     if (firstNameInput) {
       firstNameInput.addEventListener("input", () => {
         // Allow only valid name characters
-        firstNameInput.value = firstNameInput.value.replace(/[^A-Za-z'-]/g, "");
+        firstNameInput.value = firstNameInput.value.replace(/[^\p{L}\p{M}'’-]/gu, "");
       });
     }
 
     if (lastNameInput) {
       lastNameInput.addEventListener("input", () => {
         // Allow spaces in last names (for multi-part names)
-        lastNameInput.value = lastNameInput.value.replace(/[^A-Za-z' -]/g, "");
+        lastNameInput.value = lastNameInput.value.replace(/[^\p{L}\p{M}'’ -]/gu, "");
       });
     }
   }, 300);
@@ -65,28 +65,106 @@ function initializeInputValidation() {
       emailErrorBox.innerHTML = "";
     } else {
       emailErrorBox.style.display = "block";
-      emailErrorBox.innerHTML = "⚠ Email is invalid:<br>• " + errors.join("<br>• ");
+      emailErrorBox.innerHTML = "⚠ " + escapeHtml(t('email.invalidHeading')) + "<br>• " + errors.map(escapeHtml).join("<br>• ");
     }
   });
 
-  // Phone number input filter (digits only, max 10)
-  (function initPhoneFilter() {
+  // Phone country list and number input
+  (function initPhoneInputs() {
+    const countrySelect = document.getElementById('countryCodeSelect');
     const localInput = document.getElementById('localNumberInput');
-    if (!localInput) return;
+    if (!countrySelect || !localInput) return;
 
-    const filter = () => {
-      // Remove non-digits and limit to 10
-      let value = localInput.value.replace(/\D+/g, '');
-      if (value.length > 10) value = value.slice(0, 10);
-      localInput.value = value;
-    };
+    renderPhoneCountryOptions();
 
-    ['input', 'paste', 'change', 'blur'].forEach(evt => {
-      localInput.addEventListener(evt, filter);
+    // Allow only characters used when writing phone numbers
+    localInput.addEventListener('input', () => {
+      const value = localInput.value.replace(/[^\d\s().+\-]+/g, '');
+      if (value !== localInput.value) localInput.value = value;
     });
+
+    countrySelect.addEventListener('change', () => updatePhoneInput());
+    localInput.addEventListener('blur', () => updatePhoneInput());
   })();
 }
 
+/**
+ * Fill the phone country list, sorted by country name in the current language
+ * Keeps the selected country when called again after a language change
+ */
+function renderPhoneCountryOptions() {
+  const countrySelect = document.getElementById('countryCodeSelect');
+  if (!countrySelect) return;
+
+  const selected = countrySelect.value;
+  while (countrySelect.options.length > 1) countrySelect.remove(1);
+
+  PHONE_COUNTRIES
+    .map(country => ({ ...country, name: getPhoneCountryName(country.region) }))
+    .sort((a, b) => a.name.localeCompare(b.name, getLocale()))
+    .forEach(country => {
+      countrySelect.add(new Option(`+${country.countryCode} ${country.name}`, country.region));
+    });
+  countrySelect.value = selected;
+}
+
+/**
+ * Refresh the phone number placeholder for the selected country
+ * and show the typed number in that country's national style
+ */
+function updatePhoneInput() {
+  const region = document.getElementById('countryCodeSelect').value;
+  const localInput = document.getElementById('localNumberInput');
+
+  localInput.placeholder = getPhoneExample(region) || t('settings.phonePlaceholder');
+
+  const parsed = parsePhoneInput(region, localInput.value);
+  if (!parsed.error) {
+    localInput.value = formatPhone(region, parsed.nationalNumber).prettyNational;
+  }
+  showPhoneError('');
+}
+
+/* ==========================================================
+   LANGUAGE SWITCHER
+   Interface language chosen in settings
+   ========================================================== */
+
+/**
+ * Fill the language list and select the current language
+ * Called on page load
+ */
+function initializeLanguageSelect() {
+  const select = document.getElementById('languageSelect');
+  if (!select) return;
+
+  Object.entries(SUPPORTED_LOCALES).forEach(([locale, name]) => {
+    select.add(new Option(name, locale));
+  });
+  select.value = getLocale();
+}
+
+/**
+ * Re-render the parts of the settings form built in JavaScript
+ * after a language change, keeping what has been typed
+ */
+function refreshSettingsLanguage() {
+  renderPhoneCountryOptions();
+  document.getElementById('localNumberInput').placeholder =
+    getPhoneExample(document.getElementById('countryCodeSelect').value) || t('settings.phonePlaceholder');
+  renderResumeEditor(_readResumeRows());
+  renderSocialLinksEditor(_readSocialLinkRows());
+  renderCustomSectionsEditor(_readCustomSectionRows());
+  renderPortfolioOrderEditor();
+  renderThemeOptions();
+  renderGradientStops(_readGradientStops());
+  updateContrastWarnings();
+  renderPhotoPalette();
+
+  // Re-run live email feedback in the new language
+  document.getElementById('emailInput').dispatchEvent(new Event('input'));
+}
+
 /* ==========================================================
    COLOR PICKER SYNC
    Keep color picker and text input synchronized
@@ -100,10 +178,12 @@ function initializeColorPickers() {
   // Card color sync
   document.getElementById('cardColorPicker').addEventListener('input', (event) => {
     document.getElementById('cardColorInput').value = event.target.value;
+    updateContrastWarnings();
   });
 
   document.getElementById('cardColorInput').addEventListener('input', (event) => {
     document.getElementById('cardColorPicker').value = event.target.value;
+    updateContrastWarnings();
   });
 
   // Background color sync
@@ -116,59 +196,319 @@ function initializeColorPickers() {
   });
 }
 
+/* ==========================================================
+   CARD THEME
+   Preset chooser and controls for the card's theme descriptor
+   ========================================================== */
+
+// Theme field -> settings select; option names are messages
+// '<select id without "Select">.<option>' (e.g. cardPattern.dots)
+const _THEME_SELECTS = {
+  pattern: 'cardPatternSelect',
+  fonts: 'cardFontsSelect',
+  layout: 'cardLayoutSelect',
+  border: 'cardBorderSelect',
+  corners: 'cardCornersSelect'
+};
+
+
+/**
+ * Fill the theme selects
+ * Called on page load
+ */
+function initializeThemeControls() {
+  renderThemeOptions();
+  fillThemeControls(DEFAULT_CARD.theme);
+  document.getElementById('gradientStopsList').addEventListener('input', updateContrastWarnings);
+}
+
+/**
+ * Render the options of the preset and theme selects in the current
+ * language, keeping the selected values
+ */
+function renderThemeOptions() {
+  const presetSelect = document.getElementById('themePresetSelect');
+  presetSelect.innerHTML = '';
+  presetSelect.add(new Option(t('settings.themeCustom'), ''));
+  Object.keys(CARD_THEME_PRESETS).forEach(key => {
+    presetSelect.add(new Option(t(`themePreset.${key}`), key));
+  });
+
+  Object.entries(_THEME_SELECTS).forEach(([field, id]) => {
+    const select = document.getElementById(id);
+    const selected = select.value;
+    const prefix = id.replace(/Select$/, '');
+    select.innerHTML = '';
+    getCardThemeOptions(field).forEach(key => select.add(new Option(t(`${prefix}.${key}`), key)));
+    if (selected) select.value = selected;
+  });
+}
+
+/**
+ * Show a theme descriptor in the settings form
+ * @param {Object} theme - Theme descriptor
+ */
+function fillThemeControls(theme) {
+  const current = normalizeCardTheme(theme);
+
+  document.getElementById('themePresetSelect').value = '';
+  renderGradientStops(current.colors);
+  document.getElementById('gradientAngleInput').value = current.angle;
+  document.getElementById('cardLogoInput').value = current.logo;
+  Object.entries(_THEME_SELECTS).forEach(([field, id]) => {
+    document.getElementById(id).value = current[field];
+  });
+  updateContrastWarnings();
+}
+
+/**
+ * Load a preset's card color and theme into the form
+ * The logo is kept; nothing is saved until "Save My Card"
+ * @param {string} key - CARD_THEME_PRESETS key ('' for custom)
+ */
+function applyThemePreset(key) {
+  const preset = getCardThemePreset(key, fixUrl(document.getElementById('cardLogoInput').value));
+  if (!preset) return;
+
+  document.getElementById('cardColorInput').value = preset.cardColor;
+  document.getElementById('cardColorPicker').value = preset.cardColor;
+  fillThemeControls(preset.theme);
+  document.getElementById('themePresetSelect').value = key;
+}
+
+/**
+ * Render the extra gradient color rows
+ * @param {Array<string>} colors - Hex colors after the card color
+ */
+function renderGradientStops(colors) {
+  const list = document.getElementById('gradientStopsList');
+  if (!list) return;
+
+  list.innerHTML = colors.map(color => `
+    <div class="gradient-stop-row">
+      <input type="color" class="gradient-stop-color" value="${escapeHtml(color)}" />
+      <button type="button" class="action-btn delete-btn" onclick="removeGradientStop(this)"
+              aria-label="${escapeHtml(t('theme.removeColor'))}">×</button>
+    </div>`).join('');
+}
+
+/**
+ * Read the gradient color rows
+ * @returns {Array<string>} Hex colors
+ */
+function _readGradientStops() {
+  return Array.from(document.querySelectorAll('#gradientStopsList .gradient-stop-color'))
+    .map(input => input.value.toLowerCase());
+}
+
+/**
+ * Add a gradient color row (starting from the last color)
+ */
+function addGradientStop() {
+  const colors = _readGradientStops();
+  if (colors.length >= CARD_THEME_LIMITS.maxExtraColors) {
+    alert(t('theme.colorLimit', { count: CARD_THEME_LIMITS.maxExtraColors }));
+    return;
+  }
+
+  const cardColor = pickColor(document.getElementById('cardColorInput').value,
+    document.getElementById('cardColorPicker').value, DEFAULT_CARD.cardColor);
+  colors.push(colors[colors.length - 1] || cardColor);
+  renderGradientStops(colors);
+  updateContrastWarnings();
+}
+
+/**
+ * Remove a gradient color row
+ * @param {HTMLElement} button - Remove button inside the row
+ */
+function removeGradientStop(button) {
+  button.closest('.gradient-stop-row').remove();
+  updateContrastWarnings();
+}
+
+/**
+ * Collect the theme descriptor from the settings form
+ * @returns {Object} Theme descriptor
+ */
+function readCardTheme() {
+  const theme = {
+    colors: _readGradientStops(),
+    angle: parseInt(document.getElementById('gradientAngleInput').value, 10),
+    logo: fixUrl(document.getElementById('cardLogoInput').value)
+  };
+  Object.entries(_THEME_SELECTS).forEach(([field, id]) => {
+    theme[field] = document.getElementById(id).value;
+  });
+
+  // Angles wrap around (e.g. 360 -> 0, -45 -> 315)
+  if (Number.isInteger(theme.angle)) theme.angle = ((theme.angle % 360) + 360) % 360;
+  return normalizeCardTheme(theme);
+}
+
+/* ==========================================================
+   CONTRAST WARNINGS
+   Live WCAG AA check of the card colors with suggested shades
+   ========================================================== */
+
+/**
+ * Show which card colors leave text, chips or portfolio buttons below AA
+ */
+function updateContrastWarnings() {
+  const box = document.getElementById('cardContrastWarnings');
+  if (!box) return;
+
+  const cardColor = pickColor(document.getElementById('cardColorInput').value,
+    document.getElementById('cardColorPicker').value, DEFAULT_CARD.cardColor);
+  const { issues } = checkCardContrast(cardColor, readCardTheme());
+
+  box.hidden = issues.length === 0;
+  if (!issues.length) {
+    box.innerHTML = '';
+    return;
+  }
+
+  // Round down so a ratio is never shown as passing when it does not
+  const ratio = (value) => Math.floor(value * 10) / 10;
+
+  box.innerHTML = `<div>${escapeHtml(t('contrast.heading', { ratio: CONTRAST_MINIMUM }))}</div>` +
+    issues.map(issue => {
+      const name = issue.stop === 0
+        ? t('contrast.cardColor', { color: issue.color })
+        : t('contrast.gradientColor', { position: issue.stop, color: issue.color });
+      const parts = issue.failing.map(part => t(`contrast.${part}`, { ratio: ratio(issue.ratios[part]) })).join(', ');
+      const fix = issue.suggestion
+        ? `<button type="button" class="action-btn contrast-fix-btn"
+                   onclick="applyContrastSuggestion(${issue.stop}, '${issue.suggestion}')">
+             <span class="contrast-swatch" style="background:${issue.suggestion}"></span>
+             ${escapeHtml(t('contrast.useShade', { color: issue.suggestion }))}
+           </button>`
+        : '';
+      return `<div class="contrast-warning"><span>${escapeHtml(name)}: ${escapeHtml(parts)}</span>${fix}</div>`;
+    }).join('');
+}
+
+/**
+ * Replace a card color with a suggested compliant shade
+ * @param {number} stop - Gradient stop (0 = card color, then gradient colors)
+ * @param {string} color - Hex color from checkCardContrast()
+ */
+function applyContrastSuggestion(stop, color) {
+  if (!isHexColor(color)) return;
+
+  if (stop === 0) {
+    document.getElementById('cardColorInput').value = color;
+    document.getElementById('cardColorPicker').value = color;
+  } else {
+    const input = document.querySelectorAll('#gradientStopsList .gradient-stop-color')[stop - 1];
+    if (input) input.value = color;
+  }
+  document.getElementById('themePresetSelect').value = '';
+  updateContrastWarnings();
+}
+
+/* ==========================================================
+   PHOTO PALETTE
+   Card/background pairings suggested from the cropped photo
+   ========================================================== */
+
+// Pairings shown for the last cropped photo
+let photoPalettePairings = [];
+
+/**
+ * Suggest card/background pairings from a cropped photo
+ * @param {HTMLCanvasElement} canvas - Cropped photo
+ */
+function showPhotoPalette(canvas) {
+  try {
+    photoPalettePairings = buildPhotoPairings(extractPhotoColors(canvas));
+  } catch (error) {
+    // A tainted canvas cannot be read back; the photo still saves
+    console.error('Palette extraction failed:', error);
+    photoPalettePairings = [];
+  }
+  renderPhotoPalette();
+}
+
+/**
+ * Render the pairing buttons for the last cropped photo
+ */
+function renderPhotoPalette() {
+  const box = document.getElementById('photoPalette');
+  box.hidden = photoPalettePairings.length === 0;
+
+  document.getElementById('photoPaletteList').innerHTML = photoPalettePairings.map(({ cardColor, bgColor }) => {
+    const label = escapeHtml(t('palette.apply', { card: cardColor, background: bgColor }));
+    return `
+      <button type="button" class="photo-palette-btn" title="${label}" aria-label="${label}"
+              style="background:${bgColor}"
+              onclick="applyPhotoPairing('${cardColor}', '${bgColor}')">
+        <span class="photo-palette-card" style="background:${cardColor}; color:${getCardTextColor(cardColor, null)}">Aa</span>
+      </button>`;
+  }).join('');
+}
+
+/**
+ * Use a suggested pairing as the card and background colors
+ * The card becomes a flat color (the pairing was checked without gradient stops)
+ * @param {string} cardColor - Hex color from buildPhotoPairings()
+ * @param {string} bgColor - Hex color from buildPhotoPairings()
+ */
+function applyPhotoPairing(cardColor, bgColor) {
+  if (!isHexColor(cardColor) || !isHexColor(bgColor)) return;
+
+  document.getElementById('cardColorInput').value = cardColor;
+  document.getElementById('cardColorPicker').value = cardColor;
+  document.getElementById('bgColorInput').value = bgColor;
+  document.getElementById('bgColorPicker').value = bgColor;
+  renderGradientStops([]);
+  document.getElementById('themePresetSelect').value = '';
+  updateContrastWarnings();
+}
+
 /* ==========================================================
    SAVE SETTINGS
-   Validate and save all card settings to localStorage
+   Validate and save all card settings to storage
    ========================================================== */
 
 /**
  * Validate and save all card settings
  * Performs comprehensive validation before saving
  */
-function saveSettings() {
+async function saveSettings() {
   // Validate and format names
-  const firstName = formatName(document.getElementById('firstNameInput').value, false);
-  const lastName = formatName(document.getElementById('lastNameInput').value, true);
+  const nameFormatting = {
+    autoCapitalize: document.getElementById('autoCapitalizeNameInput').checked,
+    particles: readNameParticles()
+  };
+  const firstName = formatName(document.getElementById('firstNameInput').value, false, nameFormatting);
+  const lastName = formatName(document.getElementById('lastNameInput').value, true, nameFormatting);
   
   if (!firstName) {
-    alert("Invalid first name.");
+    alert(t('settings.invalidFirstName', { max: NAME_LIMITS.maxLength }));
     return;
   }
   if (!lastName) {
-    alert("Invalid last name.");
+    alert(t('settings.invalidLastName', { max: NAME_LIMITS.maxLength }));
     return;
   }
 
   // Validate email
   const emailErrors = getEmailErrors(document.getElementById('emailInput').value);
   if (emailErrors.length) {
-    alert("Email invalid:\n- " + emailErrors.join("\n- "));
+    alert(t('email.invalidHeading') + "\n- " + emailErrors.join("\n- "));
     return;
   }
 
   // Get form values
   const email = document.getElementById('emailInput').value.trim().toLowerCase();
-  const linkedin = fixUrl(document.getElementById('linkedinInput').value);
   const jobTitle = document.getElementById('jobTitleInput').value;
 
   // Validate phone number
-  const countryCode = (document.getElementById('countryCodeSelect').value || '').trim();
-  const localNumber = (document.getElementById('localNumberInput').value || '').trim();
-  
-  if (!countryCode) {
-    showPhoneError('Please choose a country code.');
-    return;
-  }
-  if (!ALLOWED_COUNTRY_CODES.includes(countryCode)) {
-    showPhoneError('Country code is not allowed.');
-    return;
-  }
-  if (localNumber.length !== 10) {
-    showPhoneError('Phone number must be exactly 10 digits.');
-    return;
-  }
-  if (!/^\d{10}$/.test(localNumber)) {
-    showPhoneError('Phone number can contain digits only.');
+  const phoneRegion = document.getElementById('countryCodeSelect').value;
+  const phoneInput = parsePhoneInput(phoneRegion, document.getElementById('localNumberInput').value);
+  if (phoneInput.error) {
+    showPhoneError(phoneInput.error);
     return;
   }
   showPhoneError('');
@@ -190,8 +530,6 @@ function saveSettings() {
   const eduPage = fixUrl(document.getElementById('eduPageInput').value);
   const projPage = fixUrl(document.getElementById('projPageInput').value);
   const refPage = fixUrl(document.getElementById('refPageInput').value);
-  const resumePdfPage = fixUrl(document.getElementById('resumePdfInput').value);
-  const resumeDocxPage = fixUrl(document.getElementById('resumeDocxInput').value);
   const workPage = fixUrl(document.getElementById('workPageInput').value);
 
   // Get portfolio visibility settings
@@ -202,11 +540,32 @@ function saveSettings() {
   const showResume = document.getElementById('showResume').checked;
   const showWork = document.getElementById('showWork').checked;
 
+  // Get resume variants
+  const resumeVariants = readResumeVariants();
+  if (resumeVariants.error) {
+    alert(resumeVariants.error);
+    return;
+  }
+
+  // Get social and web profile links
+  const social = readSocialLinks();
+  if (social.error) {
+    alert(social.error);
+    return;
+  }
+
+  // Get user-defined portfolio sections
+  const custom = readCustomSections();
+  if (custom.error) {
+    alert(custom.error);
+    return;
+  }
+
   // Get profile picture (uploaded or existing)
   let profilePicData = uploadedImageData || document.getElementById('profilePic').src;
   
   // Format phone number
-  const formattedPhone = formatPhone(countryCode, localNumber);
+  const formattedPhone = formatPhone(phoneRegion, phoneInput.nationalNumber);
 
   // Build card data object
   const cardData = {
@@ -216,21 +575,19 @@ function saveSettings() {
     email: email,
     phone: formattedPhone.pretty,
     phoneE164: formattedPhone.e164,
-    countryCode: countryCode,
-    localNumber: localNumber,
-    linkedin: linkedin,
+    countryCode: phoneInput.countryCode,
+    localNumber: phoneInput.nationalNumber,
+    phoneRegion: phoneRegion,
+    socialLinks: social.links,
     cardColor: cardColor,
     bgColor: bgColor,
+    theme: readCardTheme(),
     profilePic: profilePicData,
     portfolioLinks: {
       cert: certPage,
       edu: eduPage,
       proj: projPage,
       ref: refPage,
-      resume: {
-        pdf: resumePdfPage,
-        docx: resumeDocxPage
-      },
       work: workPage
     },
     portfolioVisibility: {
@@ -241,11 +598,16 @@ function saveSettings() {
       resume: showResume,
       work: showWork
     },
+    resumes: resumeVariants.resumes,
+    nameFormatting: nameFormatting,
+    customSections: custom.sections,
+    portfolioOrder: normalizePortfolioOrder(portfolioOrderDraft,
+      Object.keys(PORTFOLIO_LABELS).concat(custom.sections.map(section => `custom:${section.id}`))),
     lastUpdated: new Date().toISOString()
   };
 
-  // Save to localStorage
-  if (!saveMyCard(cardData)) {
+  // Save to storage
+  if (!(await saveMyCard(cardData))) {
     return; // Error already handled by saveMyCard
   }
 
@@ -257,10 +619,439 @@ function saveSettings() {
   uploadedImageData = null;
 
   // Show success message BEFORE closing panel
-  alert('Your card has been saved!');
+  alert(t('settings.saved'));
   closeSettings();
 }
 
+/**
+ * Read the lowercase name particles from the settings form
+ * @returns {Array<string>} Unique particles, in the order typed
+ */
+function readNameParticles() {
+  const particles = document.getElementById('nameParticlesInput').value
+    .split(/[,\s]+/)
+    .map(particle => particle.trim().toLocaleLowerCase())
+    .filter(particle => /^[\p{L}\p{M}']+$/u.test(particle));
+
+  return [...new Set(particles)].slice(0, NAME_LIMITS.maxParticles);
+}
+
+/* ==========================================================
+   RESUME VARIANTS
+   Editor rows for each resume (label, format, URL, updated)
+   ========================================================== */
+
+/**
+ * Render the resume variant editor rows
+ * @param {Array} resumes - Resume variants ({id, label, format, url, updated})
+ */
+function renderResumeEditor(resumes) {
+  const list = document.getElementById('resumeVariantsList');
+  if (!list) return;
+
+  list.innerHTML = resumes.map(resume => {
+    const formats = Object.keys(RESUME_FORMATS).map(value =>
+      `<option value="${value}"${value === resume.format ? ' selected' : ''}>${escapeHtml(getResumeFormatLabel(value))}</option>`).join('');
+
+    return `
+    <div class="resume-variant-row" data-resume-id="${escapeHtml(resume.id)}">
+      <input type="text" class="resume-variant-label" maxlength="${RESUME_LIMITS.maxLabelLength}"
+             placeholder="${escapeHtml(t('resume.labelPlaceholder'))}" value="${escapeHtml(resume.label)}" />
+      <select class="resume-variant-format" aria-label="${escapeHtml(t('resume.format'))}">${formats}</select>
+      <button type="button" class="action-btn delete-btn" onclick="removeResumeVariant(this)"
+              aria-label="${escapeHtml(t('resume.remove'))}">×</button>
+      <input type="text" class="resume-variant-url" placeholder="https://example.com/resume.pdf"
+             value="${escapeHtml(resume.url)}" />
+      <input type="date" class="resume-variant-updated" title="${escapeHtml(t('resume.updatedTitle'))}"
+             value="${escapeHtml(resume.updated || '')}" />
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Read the resume rows as they are currently typed
+ * @returns {Array} Resume variants, including incomplete rows
+ */
+function _readResumeRows() {
+  return Array.from(document.querySelectorAll('#resumeVariantsList .resume-variant-row')).map(row => ({
+    id: row.getAttribute('data-resume-id'),
+    label: row.querySelector('.resume-variant-label').value.trim(),
+    format: row.querySelector('.resume-variant-format').value,
+    url: row.querySelector('.resume-variant-url').value.trim(),
+    updated: row.querySelector('.resume-variant-updated').value
+  }));
+}
+
+/**
+ * Add an empty resume row
+ */
+function addResumeVariant() {
+  const resumes = _readResumeRows();
+  if (resumes.length >= RESUME_LIMITS.maxVariants) {
+    alert(t('resume.limit', { count: RESUME_LIMITS.maxVariants }));
+    return;
+  }
+
+  const id = 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+  resumes.push({ id, label: '', format: 'pdf', url: '', updated: '' });
+  renderResumeEditor(resumes);
+
+  const rows = document.querySelectorAll('#resumeVariantsList .resume-variant-label');
+  rows[rows.length - 1].focus();
+}
+
+/**
+ * Remove a resume row
+ * @param {HTMLElement} button - Remove button inside the row
+ */
+function removeResumeVariant(button) {
+  button.closest('.resume-variant-row').remove();
+}
+
+/**
+ * Collect resume variants from the editor for saving
+ * Blank rows are dropped; a URL without a label gets the "Resume" section name
+ * @returns {{resumes: Array, error: string}} Resumes, or an error message
+ */
+function readResumeVariants() {
+  const resumes = _readResumeRows().filter(resume => resume.label || resume.url);
+
+  const missingUrl = resumes.find(resume => !resume.url);
+  if (missingUrl) {
+    return { resumes: [], error: t('resume.missingUrl', { label: missingUrl.label }) };
+  }
+
+  return {
+    resumes: resumes.map(resume => ({
+      ...resume,
+      label: resume.label || getPortfolioLabel('resume'),
+      url: fixUrl(resume.url)
+    })),
+    error: ''
+  };
+}
+
+/* ==========================================================
+   SOCIAL LINKS
+   Editor rows for profile links (type, URL, label for "other")
+   ========================================================== */
+
+/**
+ * Render the social link editor rows
+ * @param {Array} links - Social links ({id, type, url, label})
+ */
+function renderSocialLinksEditor(links) {
+  const list = document.getElementById('socialLinksEditor');
+  if (!list) return;
+
+  list.innerHTML = links.map(link => {
+    const types = Object.keys(SOCIAL_LINK_TYPES).map(value =>
+      `<option value="${value}"${value === link.type ? ' selected' : ''}>${escapeHtml(getSocialLinkTypeLabel(value))}</option>`).join('');
+    const isOther = link.type === 'other';
+
+    return `
+    <div class="social-link-row" data-link-id="${escapeHtml(link.id)}">
+      <select class="social-link-type" aria-label="${escapeHtml(t('social.type'))}"
+              onchange="changeSocialLinkType(this)">${types}</select>
+      <input type="text" class="social-link-url" placeholder="${escapeHtml(SOCIAL_LINK_TYPES[link.type].example)}"
+             value="${escapeHtml(link.url)}" />
+      <button type="button" class="action-btn delete-btn" onclick="removeSocialLink(this)"
+              aria-label="${escapeHtml(t('social.remove'))}">×</button>
+      <input type="text" class="social-link-label" maxlength="${SOCIAL_LINK_LIMITS.maxLabelLength}"
+             placeholder="${escapeHtml(t('social.labelPlaceholder'))}" value="${escapeHtml(link.label || '')}"
+             ${isOther ? '' : 'hidden'} />
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Read the social link rows as they are currently typed
+ * @returns {Array} Social links, including incomplete rows
+ */
+function _readSocialLinkRows() {
+  return Array.from(document.querySelectorAll('#socialLinksEditor .social-link-row')).map(row => ({
+    id: row.getAttribute('data-link-id'),
+    type: row.querySelector('.social-link-type').value,
+    url: row.querySelector('.social-link-url').value.trim(),
+    label: row.querySelector('.social-link-label').value.trim()
+  }));
+}
+
+/**
+ * Add an empty social link row
+ */
+function addSocialLink() {
+  const links = _readSocialLinkRows();
+  if (links.length >= SOCIAL_LINK_LIMITS.maxLinks) {
+    alert(t('social.limit', { count: SOCIAL_LINK_LIMITS.maxLinks }));
+    return;
+  }
+
+  // Suggest the first type not used yet
+  const used = links.map(link => link.type);
+  const type = Object.keys(SOCIAL_LINK_TYPES).find(key => !used.includes(key)) || 'other';
+
+  const id = 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+  links.push({ id, type, url: '', label: '' });
+  renderSocialLinksEditor(links);
+
+  const rows = document.querySelectorAll('#socialLinksEditor .social-link-url');
+  rows[rows.length - 1].focus();
+}
+
+/**
+ * Update a row after its type changes (example URL, label field)
+ * @param {HTMLSelectElement} select - Type select inside the row
+ */
+function changeSocialLinkType(select) {
+  const row = select.closest('.social-link-row');
+  row.querySelector('.social-link-url').placeholder = SOCIAL_LINK_TYPES[select.value].example;
+  row.querySelector('.social-link-label').hidden = select.value !== 'other';
+}
+
+/**
+ * Remove a social link row
+ * @param {HTMLElement} button - Remove button inside the row
+ */
+function removeSocialLink(button) {
+  button.closest('.social-link-row').remove();
+}
+
+/**
+ * Collect social links from the editor for saving
+ * Blank rows are dropped; each URL must match its type's pattern and
+ * "other" links need a label
+ * @returns {{links: Array, error: string}} Links, or an error message
+ */
+function readSocialLinks() {
+  const links = _readSocialLinkRows()
+    .filter(link => link.url || (link.type === 'other' && link.label))
+    .map(link => ({
+      ...link,
+      url: fixUrl(link.url),
+      label: link.type === 'other' ? link.label : ''
+    }));
+
+  for (const link of links) {
+    const name = getSocialLinkName(link);
+    if (!link.url) {
+      return { links: [], error: t('social.missingUrl', { name }) };
+    }
+    if (link.type === 'other' && !link.label) {
+      return { links: [], error: t('social.missingLabel', { url: link.url }) };
+    }
+    if (!isValidSocialLink(link.type, link.url)) {
+      return { links: [], error: t('social.invalidUrl', { name, example: SOCIAL_LINK_TYPES[link.type].example }) };
+    }
+  }
+
+  return { links, error: '' };
+}
+
+/* ==========================================================
+   CUSTOM PORTFOLIO SECTIONS
+   Editor rows for user-defined sections (label, URL, shown)
+   ========================================================== */
+
+/**
+ * Render the custom section editor rows
+ * @param {Array} sections - Custom sections ({id, label, url, visible})
+ */
+function renderCustomSectionsEditor(sections) {
+  const list = document.getElementById('customSectionsList');
+  if (!list) return;
+
+  list.innerHTML = sections.map(section => `
+    <div class="custom-section-row" data-section-id="${escapeHtml(section.id)}">
+      <input type="checkbox" class="custom-section-visible" title="${escapeHtml(t('customSection.showOnCard'))}"${section.visible !== false ? ' checked' : ''} />
+      <input type="text" class="custom-section-label" maxlength="${CUSTOM_SECTION_LIMITS.maxLabelLength}"
+             placeholder="${escapeHtml(t('customSection.labelPlaceholder'))}" value="${escapeHtml(section.label)}"
+             oninput="renderPortfolioOrderEditor()" />
+      <input type="text" class="custom-section-url" placeholder="https://example.com"
+             value="${escapeHtml(section.url)}" />
+      <button type="button" class="action-btn delete-btn" onclick="removeCustomSection(this)"
+              aria-label="${escapeHtml(t('customSection.remove'))}">×</button>
+    </div>`).join('');
+}
+
+/**
+ * Read the custom section rows as they are currently typed
+ * @returns {Array} Sections, including incomplete rows
+ */
+function _readCustomSectionRows() {
+  return Array.from(document.querySelectorAll('#customSectionsList .custom-section-row')).map(row => ({
+    id: row.getAttribute('data-section-id'),
+    label: row.querySelector('.custom-section-label').value.trim(),
+    url: row.querySelector('.custom-section-url').value.trim(),
+    visible: row.querySelector('.custom-section-visible').checked
+  }));
+}
+
+/**
+ * Add an empty custom section row
+ */
+function addCustomSection() {
+  const sections = _readCustomSectionRows();
+  if (sections.length >= CUSTOM_SECTION_LIMITS.maxSections) {
+    alert(t('customSection.limit', { count: CUSTOM_SECTION_LIMITS.maxSections }));
+    return;
+  }
+
+  const id = 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+  sections.push({ id, label: '', url: '', visible: true });
+  renderCustomSectionsEditor(sections);
+  renderPortfolioOrderEditor();
+
+  const rows = document.querySelectorAll('#customSectionsList .custom-section-label');
+  rows[rows.length - 1].focus();
+}
+
+/**
+ * Remove a custom section row
+ * @param {HTMLElement} button - Remove button inside the row
+ */
+function removeCustomSection(button) {
+  button.closest('.custom-section-row').remove();
+  renderPortfolioOrderEditor();
+}
+
+/**
+ * Collect custom sections from the editor for saving
+ * Blank rows are dropped; URLs get the same fixing as other links
+ * @returns {{sections: Array, error: string}} Sections, or an error message
+ */
+function readCustomSections() {
+  const sections = _readCustomSectionRows().filter(section => section.label || section.url);
+
+  if (sections.some(section => !section.label)) {
+    return { sections: [], error: t('customSection.missingName') };
+  }
+
+  const labels = sections.map(section => section.label.toLowerCase());
+  const builtIn = Object.keys(PORTFOLIO_LABELS)
+    .flatMap(key => [PORTFOLIO_LABELS[key], PORTFOLIO_BUTTON_LABELS[key], getPortfolioLabel(key), getPortfolioLabel(key, true)])
+    .map(label => label.toLowerCase());
+  const duplicate = sections.find((section, i) =>
+    labels.indexOf(labels[i]) !== i || builtIn.includes(labels[i]));
+  if (duplicate) {
+    return { sections: [], error: t('customSection.duplicate', { label: duplicate.label }) };
+  }
+
+  return {
+    sections: sections.map(section => ({ ...section, url: fixUrl(section.url) })),
+    error: ''
+  };
+}
+
+/* ==========================================================
+   PORTFOLIO ORDER
+   Reorderable list of built-in and custom sections
+   (drag and drop, or arrow keys on the focused item)
+   ========================================================== */
+
+// Order being edited (saved with the rest of the settings)
+let portfolioOrderDraft = [];
+
+/**
+ * Render the portfolio order list from the draft order
+ * Picks up custom sections added, renamed or removed in the editor
+ */
+function renderPortfolioOrderEditor() {
+  const list = document.getElementById('portfolioOrderList');
+  if (!list) return;
+
+  const labels = {};
+  Object.keys(PORTFOLIO_LABELS).forEach(key => {
+    labels[key] = getPortfolioLabel(key);
+  });
+  _readCustomSectionRows().forEach(section => {
+    labels[`custom:${section.id}`] = section.label || t('customSection.untitled');
+  });
+  portfolioOrderDraft = normalizePortfolioOrder(portfolioOrderDraft, Object.keys(labels));
+
+  const last = portfolioOrderDraft.length - 1;
+  list.innerHTML = portfolioOrderDraft.map((key, i) => `
+    <li class="portfolio-order-item" draggable="true" tabindex="0" data-index="${i}"
+        aria-label="${escapeHtml(t('order.itemLabel', { label: labels[key], position: i + 1, total: last + 1 }))}">
+      <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+      <span class="portfolio-order-name">${escapeHtml(labels[key])}</span>
+      <button type="button" class="action-btn" onclick="movePortfolioItem(${i}, ${i - 1})"
+              aria-label="${escapeHtml(t('order.moveUp'))}"${i === 0 ? ' disabled' : ''}>↑</button>
+      <button type="button" class="action-btn" onclick="movePortfolioItem(${i}, ${i + 1})"
+              aria-label="${escapeHtml(t('order.moveDown'))}"${i === last ? ' disabled' : ''}>↓</button>
+    </li>`).join('');
+}
+
+/**
+ * Move an item in the portfolio order and keep it focused
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ */
+function movePortfolioItem(from, to) {
+  if (to < 0 || to >= portfolioOrderDraft.length || from === to) return;
+
+  const [key] = portfolioOrderDraft.splice(from, 1);
+  portfolioOrderDraft.splice(to, 0, key);
+  renderPortfolioOrderEditor();
+
+  const moved = document.querySelector(`#portfolioOrderList [data-index="${to}"]`);
+  if (moved) moved.focus();
+}
+
+/**
+ * Attach drag-and-drop and keyboard handlers to the order list
+ * Uses delegation so re-rendering the list keeps them working
+ */
+function initializePortfolioOrderEditor() {
+  const list = document.getElementById('portfolioOrderList');
+  if (!list) return;
+
+  let dragIndex = null;
+  const itemOf = (event) => event.target.closest('.portfolio-order-item');
+
+  list.addEventListener('dragstart', (event) => {
+    const item = itemOf(event);
+    if (!item) return;
+    dragIndex = Number(item.dataset.index);
+    event.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+
+  list.addEventListener('dragover', (event) => {
+    const item = itemOf(event);
+    if (dragIndex === null || !item) return;
+    event.preventDefault();
+    list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+  });
+
+  list.addEventListener('drop', (event) => {
+    const item = itemOf(event);
+    event.preventDefault();
+    if (dragIndex !== null && item) movePortfolioItem(dragIndex, Number(item.dataset.index));
+  });
+
+  list.addEventListener('dragend', () => {
+    dragIndex = null;
+    list.querySelectorAll('.dragging, .drop-target')
+      .forEach(el => el.classList.remove('dragging', 'drop-target'));
+  });
+
+  list.addEventListener('keydown', (event) => {
+    const item = itemOf(event);
+    if (!item || event.target !== item) return;
+
+    const index = Number(item.dataset.index);
+    if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      movePortfolioItem(index, index - 1);
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      movePortfolioItem(index, index + 1);
+    }
+  });
+}
+
 /* ==========================================================
    RESET TO DEFAULT
    Clear saved data and reset to John Doe template
@@ -268,14 +1059,14 @@ function saveSettings() {
 
 /**
  * Reset card to default John Doe template
- * Clears all saved data from localStorage
+ * Clears the active profile's saved card
  */
-function resetToJohnDoe() {
-  if (!confirm('Are you sure you want to reset to default? This will delete your current card.')) {
+async function resetToJohnDoe() {
+  if (!confirm(t('settings.resetConfirm'))) {
     return;
   }
 
-  removeMyCard();
+  await removeMyCard();
 
   // Remove ?card= parameter from URL
   if (location.search.includes('card=')) {
@@ -291,7 +1082,7 @@ function resetToJohnDoe() {
   applyCardData(DEFAULT_CARD);
   loadMyCardSection();
 
-  alert('Card has been reset to default (John Doe).');
+  alert(t('settings.resetDone'));
 }
 
 /* ==========================================================
@@ -540,6 +1331,9 @@ function saveCrop() {
   document.getElementById('previewPic').src = croppedDataUrl;
   document.getElementById('profilePic').src = croppedDataUrl;
   document.getElementById('profilePicSmall').src = croppedDataUrl;
+
+  // Suggest card colors from the new photo
+  showPhotoPalette(canvas);
   
   // Close modal
   const modal = document.getElementById('cropModal');
@@ -7,14 +7,15 @@
  * Open the share panel (QR code generation)
  * Validates that user has a card before opening
  */
-function openShare() {
-  const myCard = getMyCard();
+async function openShare() {
+  const myCard = await getMyCard();
   if (!myCard) {
-    alert('Please create your card in Settings first!');
+    alert(t('share.noCard'));
     return;
   }
 
   document.getElementById('sharePanel').classList.add('active');
+  renderPrintLayoutOptions();
   generateQRCode();
 }
 
@@ -26,50 +27,54 @@ function closeShare() {
   document.getElementById('sharePanel').classList.remove('active');
 }
 
+// Bumped by every generateQRCode() call; an older call still waiting (a
+// passphrase takes a while to derive) then leaves the panel alone
+let _qrGeneration = 0;
+
 /**
  * Generate QR code for card sharing
- * Creates shareable URL and renders QR code image
+ * Creates shareable URL and renders QR code locally to a canvas
  */
-function generateQRCode() {
-  const rawCard = getMyCard();
+async function generateQRCode() {
+  const generation = ++_qrGeneration;
+  const isStale = () => generation !== _qrGeneration;
+
+  const rawCard = await getMyCard();
+  if (isStale()) return;
   const qrContainer = document.getElementById('qrcode');
   const warningsDiv = document.getElementById('qrWarnings');
 
   if (!rawCard || !qrContainer) return;
 
-  // Build share object (exclude large data)
-  const fullShareObj = buildShareObj(rawCard);
-  
-  // Smart profile picture handling for QR codes
-  let profilePicForQR = fullShareObj.profilePic;
-  
-  // Only exclude if it's a large base64 image
-  if (profilePicForQR && profilePicForQR.startsWith('data:image')) {
-    // Base64 image - too large for QR, exclude it
-    profilePicForQR = '';
+  const options = getShareOptions();
+  if (options.problem) {
+    qrContainer.innerHTML = `<p class="share-instructions">${escapeHtml(options.problem)}</p>`;
+    return;
   }
-  // If it's a URL (http/https), keep it - it's small enough
-  
-  const qrShareObj = {
-    ...fullShareObj,
-    profilePic: profilePicForQR
-  };
-  
-  const encodedCard = encodeObj(qrShareObj);
-
-  // Build share URL
-  let baseUrl = `${location.origin}${location.pathname}`;
-  
-  // Normalize URL (remove existing query params)
+
+  // Build share object (uploaded photos become a tiny thumbnail or are dropped)
+  const qrShareObj = { ...(await buildShareObj(rawCard, true)), expiresAt: options.expiresAt };
+  if (isStale()) return;
+  let encodedCard;
   try {
-    const url = new URL(baseUrl, window.location.href);
-    url.search = '';
-    baseUrl = url.href;
+    encodedCard = await encodeCardPayload(qrShareObj, options.passphrase);
   } catch (error) {
-    // If URL parsing fails, use as-is
+    if (isStale()) return;
+    console.error('Failed to encode card:', error);
+    qrContainer.innerHTML = `<p class="share-instructions">${escapeHtml(error.message)}</p>`;
+    return;
   }
+  if (isStale()) return;
 
-  const shareUrl = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}card=${encodedCard}`;
+  const photoCost = await getSharePhotoCostText(rawCard, qrShareObj, encodedCard.length, !!options.passphrase);
+  await showShareSignatureInfo();
+
+  const baseUrl = getShareBaseUrl();
+  const shareUrl = await buildShareUrl(encodedCard);
+  if (isStale()) return;
+
+  const photoInfo = document.getElementById('sharePhotoInfo');
+  if (photoInfo) photoInfo.textContent = photoCost;
 
   // Clear previous content
   qrContainer.innerHTML = '';
@@ -83,110 +88,168 @@ function generateQRCode() {
 
     if (protocol === 'file') {
       if (warningsDiv) {
-        warningsDiv.innerHTML = 
-          'This is a local file (<code>file://</code>). Phones cannot open that. ' +
-          'Run a web server and use your network URL instead.';
+        warningsDiv.innerHTML = t('share.fileWarning', { scheme: '<code>file://</code>' });
       }
     } else if (hostname === 'localhost' || hostname === '127.0.0.1') {
       if (warningsDiv) {
-        warningsDiv.innerHTML = 
-          'The QR points to <code>localhost</code>. Other devices cannot reach it. ' +
-          'Use your network IP (e.g., <code>http://192.168.1.23:5500/yourfile.html</code>).';
+        warningsDiv.innerHTML = t('share.localhostWarning', {
+          host: '<code>localhost</code>',
+          example: '<code>http://192.168.1.23:5500/yourfile.html</code>'
+        });
       }
     }
   } catch (error) {
     // Ignore URL parsing errors
   }
 
-  // Check if payload is too large for QR code
-  if (encodedCard.length > 4000) {
+  // Encode the share URL locally (no third-party QR service)
+  let qr;
+  try {
+    qr = encodeQRCode(shareUrl, QR_ERROR_CORRECTION);
+  } catch (error) {
+    console.error('QR encoding failed:', error);
     qrContainer.innerHTML = `
       <div style="padding:20px;text-align:center;">
         <p style="color:#6b7280;margin-bottom:12px;">
-          QR code generation failed. Use Copy Link or Open Link buttons below:
+          ${escapeHtml(t('share.qrFailed'))}
         </p>
         <div style="background:#f3f4f6;padding:12px;border-radius:8px;word-break:break-all;
                     font-size:11px;font-family:monospace;margin-bottom:12px;">
-          ${shareUrl}
+          ${escapeHtml(shareUrl)}
         </div>
       </div>`;
     return;
   }
 
-  // Generate QR code using quickchart.io
-  const qrImage = document.createElement('img');
-  qrImage.style.maxWidth = '100%';
-  qrImage.style.height = 'auto';
-  qrImage.crossOrigin = 'anonymous';
-
-  let imageLoaded = false;
-  
-  // Timeout fallback (5 seconds)
-  const timeout = setTimeout(() => {
-    if (!imageLoaded) {
-      qrContainer.innerHTML = `
-        <div style="padding:20px;text-align:center;">
-          <p style="color:#6b7280;margin-bottom:12px;">QR generation timed out.</p>
-          <div style="background:#f3f4f6;padding:12px;border-radius:8px;word-break:break-all;
-                      font-size:11px;font-family:monospace;">
-            ${shareUrl}
-          </div>
-        </div>`;
-    }
-  }, 5000);
-
-  qrImage.onload = function() {
-    imageLoaded = true;
-    clearTimeout(timeout);
-    qrContainer.innerHTML = '';
-    qrContainer.appendChild(qrImage);
-  };
-
-  qrImage.onerror = function() {
-    imageLoaded = true;
-    clearTimeout(timeout);
-    qrContainer.innerHTML = `
-      <div style="padding:20px;text-align:center;">
-        <p style="color:#6b7280;margin-bottom:12px;">QR image failed to load.</p>
-        <div style="background:#f3f4f6;padding:12px;border-radius:8px;word-break:break-all;
-                    font-size:11px;font-family:monospace;">
-          ${shareUrl}
-        </div>
-      </div>`;
-  };
+  const qrCanvas = drawQRCodeToCanvas(qr, document.createElement('canvas'), { scale: 8 });
+  qrCanvas.style.maxWidth = '100%';
+  qrCanvas.style.height = 'auto';
+  qrCanvas.setAttribute('role', 'img');
+  qrCanvas.setAttribute('aria-label', t('share.qrLabel'));
+  qrContainer.appendChild(qrCanvas);
+}
 
-  // Set QR code source
-  qrImage.src = `https://quickchart.io/qr?text=${encodeURIComponent(shareUrl)}&size=256&dark=000000&light=ffffff`;
+/**
+ * Describe how many bytes the profile photo adds to the share link
+ * Reuses the length of the link already encoded and only encodes the card
+ * again without its photo, unencrypted (no second passphrase derivation)
+ * @param {Object} rawCard - Stored card data
+ * @param {Object} shareObj - Share object actually encoded
+ * @param {number} encodedLength - Length of its encoded payload
+ * @param {boolean} encrypted - Whether that payload is passphrase-encrypted
+ * @returns {Promise<string>} Text for the share panel ('' without an uploaded photo)
+ */
+async function getSharePhotoCostText(rawCard, shareObj, encodedLength, encrypted) {
+  const uploaded = (rawCard.profilePic || '').startsWith('data:image');
+  const embedded = (shareObj.profilePic || '').startsWith('data:image');
+
+  if (embedded) {
+    const withoutPhoto = await encodeCardPayload({ ...shareObj, profilePic: '' });
+    const overhead = encrypted ? getCardPayloadEncryptionOverhead() : 0;
+    return t('share.photoCost', { count: encodedLength - overhead - withoutPhoto.length });
+  }
+  if (uploaded) {
+    return t('share.photoTooLarge', { count: SHARE_PHOTO.maxBytes });
+  }
+  return '';
 }
 
 /**
- * Build shareable URL from current card data
- * Smart handling: keeps URL-based images, excludes large base64 images
- * @returns {string} Complete shareable URL
+ * Show or hide the passphrase field and refresh the QR code
  */
-function buildShareUrlFromUI() {
-  const rawCard = getMyCard();
-  if (!rawCard) return `${location.origin}${location.pathname}`;
-
-  const fullShareObj = buildShareObj(rawCard);
-  
-  // Smart profile picture handling (same logic as QR code)
-  let profilePicForURL = fullShareObj.profilePic;
-  
-  // Only exclude if it's a large base64 image
-  if (profilePicForURL && profilePicForURL.startsWith('data:image')) {
-    // Base64 image - too large for URL, exclude it
-    profilePicForURL = '';
+function toggleSharePassphrase() {
+  const enabled = document.getElementById('sharePassphraseToggle').checked;
+  document.getElementById('sharePassphraseInput').hidden = !enabled;
+  if (enabled) document.getElementById('sharePassphraseInput').focus();
+  generateQRCode();
+}
+
+/**
+ * Show the custom date field when "Custom date" expiry is picked
+ * and refresh the QR code
+ */
+function changeShareExpiry() {
+  const custom = document.getElementById('shareExpirySelect').value === 'custom';
+  document.getElementById('shareExpiryDate').hidden = !custom;
+  generateQRCode();
+}
+
+/**
+ * Compute the expiry chosen in the share panel
+ * @returns {string|null} ISO date, '' for links that never expire, null if the custom date is missing
+ */
+function getShareExpiry() {
+  const select = document.getElementById('shareExpirySelect');
+  const choice = select ? select.value : 'never';
+  const expires = new Date();
+
+  switch (choice) {
+    case 'day':
+      expires.setDate(expires.getDate() + 1);
+      break;
+    case 'week':
+      expires.setDate(expires.getDate() + 7);
+      break;
+    case 'month':
+      expires.setMonth(expires.getMonth() + 1);
+      break;
+    case 'custom': {
+      const value = document.getElementById('shareExpiryDate').value;
+      if (!value) return null;
+      // Links stay valid until the end of the chosen day (local time)
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day, 23, 59, 59).toISOString();
+    }
+    default:
+      return '';
   }
-  // If it's a URL (http/https), keep it - it's small enough
-  
-  const shareObj = {
-    ...fullShareObj,
-    profilePic: profilePicForURL
-  };
-  
-  const encodedCard = encodeObj(shareObj);
+  return expires.toISOString();
+}
+
+/**
+ * Read the passphrase and expiry options from the share panel
+ * @returns {{passphrase: string, expiresAt: string, problem: string}} Options;
+ *   problem explains why no link can be built yet
+ */
+function getShareOptions() {
+  const options = { passphrase: '', expiresAt: '', problem: '' };
+
+  const toggle = document.getElementById('sharePassphraseToggle');
+  if (toggle && toggle.checked) {
+    options.passphrase = document.getElementById('sharePassphraseInput').value;
+    if (!options.passphrase) options.problem = t('share.passphraseMissing');
+  }
+
+  const expiresAt = getShareExpiry();
+  if (expiresAt === null) {
+    options.problem = t('share.expiryMissing');
+  } else if (expiresAt && Date.parse(expiresAt) <= Date.now()) {
+    options.problem = t('share.expiryPast');
+  } else {
+    options.expiresAt = expiresAt;
+  }
+
+  return options;
+}
 
+/**
+ * Show which key share links are signed with
+ */
+async function showShareSignatureInfo() {
+  const infoEl = document.getElementById('shareSignatureInfo');
+  if (!infoEl) return;
+
+  const fingerprint = await getDeviceKeyFingerprint();
+  infoEl.textContent = fingerprint
+    ? t('share.signed', { fingerprint })
+    : t('share.unsigned');
+}
+
+/**
+ * Get the page URL without query parameters
+ * @returns {string} Base URL for share links
+ */
+function getShareBaseUrl() {
   let baseUrl = `${location.origin}${location.pathname}`;
 
   try {
@@ -194,28 +257,80 @@ function buildShareUrlFromUI() {
     url.search = '';
     baseUrl = url.href;
   } catch (error) {
-    // Use baseUrl as-is
+    // If URL parsing fails, use as-is
+  }
+  return baseUrl;
+}
+
+/**
+ * Build a signed share URL for an encoded card payload
+ * @param {string} encodedCard - Payload from encodeCardPayload()
+ * @returns {Promise<string>} Complete shareable URL
+ */
+async function buildShareUrl(encodedCard) {
+  const baseUrl = getShareBaseUrl();
+  const signature = await signSharePayload(encodedCard);
+
+  let shareUrl = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}card=${encodedCard}`;
+  if (signature) shareUrl += `&sig=${signature}`;
+  return shareUrl;
+}
+
+/**
+ * Build shareable URL from current card data
+ * Smart handling: keeps URL-based images, shrinks uploaded photos to a thumbnail
+ * @returns {Promise<string|null>} Complete shareable URL, or null if it could not be built
+ */
+async function buildShareUrlFromUI() {
+  const rawCard = await getMyCard();
+  if (!rawCard) return getShareBaseUrl();
+
+  const options = getShareOptions();
+  if (options.problem) {
+    alert(options.problem);
+    return null;
   }
 
-  return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}card=${encodedCard}`;
+  // Same photo handling as the QR code
+  const shareObj = { ...(await buildShareObj(rawCard, true)), expiresAt: options.expiresAt };
+  try {
+    return await buildShareUrl(await encodeCardPayload(shareObj, options.passphrase));
+  } catch (error) {
+    console.error('Failed to encode card:', error);
+    alert(error.message);
+    return null;
+  }
 }
 
 /**
  * Copy share link to clipboard
  * Uses modern Clipboard API with fallback
  */
-function copyShareLink() {
-  const url = buildShareUrlFromUI();
+async function copyShareLink() {
+  const url = await buildShareUrlFromUI();
+  if (!url) return;
   navigator.clipboard.writeText(url)
-    .then(() => alert('Link copied to clipboard!'))
-    .catch(() => alert('Copy failed. Please select and copy manually.'));
+    .then(() => alert(t('share.linkCopied')))
+    .catch(() => alert(t('share.copyFailed')));
 }
 
 /**
  * Open share link in new tab (for testing)
  * Useful for previewing how shared card will look
  */
-function openShareLink() {
-  const url = buildShareUrlFromUI();
-  window.open(url, '_blank');
+async function openShareLink() {
+  // Open the tab synchronously so pop-up blockers treat it as user-initiated
+  const newWindow = window.open('', '_blank');
+  const url = await buildShareUrlFromUI();
+
+  if (!url) {
+    if (newWindow) newWindow.close();
+    return;
+  }
+
+  if (newWindow) {
+    newWindow.location.href = url;
+  } else {
+    window.open(url, '_blank');
+  }
 }
\ No newline at end of file
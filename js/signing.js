@@ -0,0 +1,152 @@
+/* ==========================================================
+   SIGNING MODULE
+   ECDSA (P-256) signatures for share links.
+   Each device holds one keypair; links carry
+     sig = base64url(signature) + '.' + base64url(raw public key)
+   signed over the exact ?card= payload string.
+   ========================================================== */
+
+const _SIGNING_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const _SIGNING_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Verification results shown to viewers
+const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',
+  UNSIGNED: 'unsigned',
+  MISMATCH: 'mismatch',
+  UNCHECKED: 'unchecked'
+};
+
+let _deviceKeyPromise = null;
+
+/**
+ * Check whether Web Crypto signing is available
+ * (crypto.subtle only exists on https:// and localhost)
+ * @returns {boolean} True if links can be signed and verified
+ */
+function isSigningSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Get this device's keypair, creating and storing one on first use
+ * @returns {Promise<{privateKey: CryptoKey, publicKeyRaw: string}>} Keys
+ */
+function _getDeviceKey() {
+  if (!_deviceKeyPromise) {
+    _deviceKeyPromise = _loadOrCreateDeviceKey().catch(error => {
+      _deviceKeyPromise = null;
+      throw error;
+    });
+  }
+  return _deviceKeyPromise;
+}
+
+/**
+ * Load the stored keypair or generate a new one
+ * The private key is only extractable when storage cannot hold CryptoKeys
+ * @returns {Promise<{privateKey: CryptoKey, publicKeyRaw: string}>} Keys
+ */
+async function _loadOrCreateDeviceKey() {
+  const stored = await getSigningKey();
+  let privateKey;
+  let publicKey;
+
+  if (stored && stored.privateKey instanceof CryptoKey) {
+    ({ privateKey, publicKey } = stored);
+  } else if (stored && stored.privateKey) {
+    privateKey = await crypto.subtle.importKey('jwk', stored.privateKey, _SIGNING_KEY_PARAMS, false, ['sign']);
+    publicKey = await crypto.subtle.importKey('jwk', stored.publicKey, _SIGNING_KEY_PARAMS, true, ['verify']);
+  } else {
+    const keepObjects = await canStoreCryptoKeys();
+    const pair = await crypto.subtle.generateKey(_SIGNING_KEY_PARAMS, !keepObjects, ['sign', 'verify']);
+    ({ privateKey, publicKey } = pair);
+
+    await saveSigningKey(keepObjects ? pair : {
+      privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+      publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey)
+    });
+  }
+
+  const raw = await crypto.subtle.exportKey('raw', publicKey);
+  return { privateKey, publicKeyRaw: bytesToBase64Url(new Uint8Array(raw)) };
+}
+
+/**
+ * Sign a share payload with this device's key
+ * @param {string} payload - Encoded ?card= payload
+ * @returns {Promise<string>} Value for the sig parameter, or '' if signing is unavailable
+ */
+async function signSharePayload(payload) {
+  if (!isSigningSupported()) return '';
+
+  try {
+    const { privateKey, publicKeyRaw } = await _getDeviceKey();
+    const signature = await crypto.subtle.sign(
+      _SIGNING_PARAMS, privateKey, new TextEncoder().encode(payload));
+    return `${bytesToBase64Url(new Uint8Array(signature))}.${publicKeyRaw}`;
+  } catch (error) {
+    console.error('Failed to sign share link:', error);
+    return '';
+  }
+}
+
+/**
+ * Verify a share payload against its sig parameter
+ * @param {string} payload - Encoded ?card= payload
+ * @param {string|null} sigParam - Value of the sig parameter
+ * @returns {Promise<{status: string, publicKey: string, fingerprint: string}>} Result
+ */
+async function verifySharePayload(payload, sigParam) {
+  const result = { status: SIGNATURE_STATUS.UNSIGNED, publicKey: '', fingerprint: '' };
+  if (!sigParam) return result;
+
+  const [signature, publicKey] = sigParam.split('.');
+  if (!isSigningSupported()) {
+    result.status = SIGNATURE_STATUS.UNCHECKED;
+    return result;
+  }
+
+  try {
+    const key = await crypto.subtle.importKey(
+      'raw', base64UrlToBytes(publicKey), _SIGNING_KEY_PARAMS, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      _SIGNING_PARAMS, key, base64UrlToBytes(signature), new TextEncoder().encode(payload));
+
+    result.status = valid ? SIGNATURE_STATUS.VERIFIED : SIGNATURE_STATUS.MISMATCH;
+    if (valid) {
+      result.publicKey = publicKey;
+      result.fingerprint = await getKeyFingerprint(publicKey);
+    }
+  } catch (error) {
+    console.error('Failed to verify share link signature:', error);
+    result.status = SIGNATURE_STATUS.MISMATCH;
+  }
+  return result;
+}
+
+/**
+ * Short, human-readable fingerprint of a public key
+ * @param {string} publicKey - base64url raw public key
+ * @returns {Promise<string>} First 8 bytes of its SHA-256, e.g. "3F9A 12C0 77B1 0E4D"
+ */
+async function getKeyFingerprint(publicKey) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', base64UrlToBytes(publicKey)));
+  const hex = Array.from(digest.slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+  return hex.toUpperCase().match(/.{4}/g).join(' ');
+}
+
+/**
+ * Fingerprint of this device's signing key
+ * @returns {Promise<string>} Fingerprint, or '' if signing is unavailable
+ */
+async function getDeviceKeyFingerprint() {
+  if (!isSigningSupported()) return '';
+
+  try {
+    return await getKeyFingerprint((await _getDeviceKey()).publicKeyRaw);
+  } catch (error) {
+    console.error('Failed to load signing key:', error);
+    return '';
+  }
+}
@@ -0,0 +1,177 @@
+/* ==========================================================
+   SOCIAL LINKS MODULE
+   Registry of profile link types (icon, URL pattern, display
+   text) and the social links listed on the card back
+   ========================================================== */
+
+/**
+ * Known link types
+ * icon: SVG markup drawn with the card's stroke color
+ * pattern: URL format for the type (null accepts any http(s) URL)
+ * format: display text for a URL of the type
+ * example: placeholder and hint URL
+ * vcard: TYPE used in vCard exports (also recognised on import)
+ * detectSocialLinkType() tries types in this order, so Mastodon (any
+ * server) comes after the sites with fixed hosts
+ */
+const SOCIAL_LINK_TYPES = {
+  linkedin: {
+    icon: '<path d="M16 8a6 6 0 0 1 6 6v7h-4v-7a2 2 0 0 0-2-2 2 2 0 0 0-2 2v7h-4v-7a6 6 0 0 1 6-6z"></path><rect x="2" y="9" width="4" height="12"></rect><circle cx="4" cy="4" r="2"></circle>',
+    pattern: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/(in|company|pub)\/[^/?#\s]+(?:[/?#]\S*)?$/i,
+    format: (url) => _socialStripUrl(url),
+    example: 'https://linkedin.com/in/yourname',
+    vcard: 'LinkedIn'
+  },
+  github: {
+    icon: '<path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"></path>',
+    pattern: /^https?:\/\/(www\.)?github\.com\/[a-z0-9-]+(?:[/?#]\S*)?$/i,
+    format: (url) => _socialStripUrl(url),
+    example: 'https://github.com/yourname',
+    vcard: 'GitHub'
+  },
+  website: {
+    icon: '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>',
+    pattern: null,
+    format: (url) => _socialStripUrl(url),
+    example: 'https://yourname.com',
+    vcard: 'Website'
+  },
+  x: {
+    icon: '<path d="M4 4l11.7 16H20L8.3 4z"></path><path d="M4 20l6.8-6.8M13.2 10.8L20 4"></path>',
+    pattern: /^https?:\/\/(www\.|mobile\.)?(x|twitter)\.com\/[a-z0-9_]{1,15}(?:[/?#]\S*)?$/i,
+    format: (url) => '@' + _socialPath(url)[0],
+    example: 'https://x.com/yourname',
+    vcard: 'X'
+  },
+  behance: {
+    icon: '<path d="M3 6h5a3 3 0 0 1 0 6H3zM3 12h6a3 3 0 0 1 0 6H3z"></path><path d="M14 14h7a3.5 3.5 0 0 0-7 0 3.5 3.5 0 0 0 6 2.5"></path><line x1="15" y1="7" x2="20" y2="7"></line>',
+    pattern: /^https?:\/\/(www\.)?behance\.net\/[a-z0-9_-]+(?:[/?#]\S*)?$/i,
+    format: (url) => _socialStripUrl(url),
+    example: 'https://behance.net/yourname',
+    vcard: 'Behance'
+  },
+  youtube: {
+    icon: '<path d="M22.54 6.42a2.78 2.78 0 0 0-1.94-2C18.88 4 12 4 12 4s-6.88 0-8.6.46a2.78 2.78 0 0 0-1.94 2A29 29 0 0 0 1 11.75a29 29 0 0 0 .46 5.33A2.78 2.78 0 0 0 3.4 19c1.72.46 8.6.46 8.6.46s6.88 0 8.6-.46a2.78 2.78 0 0 0 1.94-2 29 29 0 0 0 .46-5.25 29 29 0 0 0-.46-5.33z"></path><polygon points="9.75 15.02 15.5 11.75 9.75 8.48 9.75 15.02"></polygon>',
+    pattern: /^https?:\/\/(www\.|m\.)?youtube\.com\/(@[\w.-]+|c\/[\w.-]+|channel\/[\w-]+|user\/[\w.-]+)\/?(?:[?#]\S*)?$/i,
+    // Handles show as @name, older channel URLs as the link
+    format: (url) => {
+      const handle = _socialPath(url)[0];
+      return handle.startsWith('@') ? handle : _socialStripUrl(url);
+    },
+    example: 'https://youtube.com/@yourname',
+    vcard: 'YouTube'
+  },
+  mastodon: {
+    icon: '<path d="M21 11.5a8.38 8.38 0 0 1-.9 3.8 8.5 8.5 0 0 1-7.6 4.7 8.38 8.38 0 0 1-3.8-.9L3 21l1.9-5.7a8.38 8.38 0 0 1-.9-3.8 8.5 8.5 0 0 1 4.7-7.6 8.38 8.38 0 0 1 3.8-.9h.5a8.48 8.48 0 0 1 8 8v.5z"></path>',
+    pattern: /^https:\/\/[a-z0-9.-]+\.[a-z]{2,}\/@[a-z0-9_]+(@[a-z0-9.-]+\.[a-z]{2,})?\/?$/i,
+    // https://instance/@name -> @name@instance (accounts on other servers keep theirs)
+    format: (url) => {
+      const handle = _socialPath(url)[0];
+      return handle.includes('@', 1) ? handle : `${handle}@${new URL(url).hostname}`;
+    },
+    example: 'https://mastodon.social/@yourname',
+    vcard: 'Mastodon'
+  },
+  other: {
+    icon: '<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>',
+    pattern: null,
+    format: (url) => _socialStripUrl(url),
+    example: 'https://example.com/yourname',
+    vcard: ''
+  }
+};
+
+/* ==========================================================
+   LINK TYPES
+   ========================================================== */
+
+/**
+ * Check whether a URL is a valid link of a type
+ * @param {string} type - SOCIAL_LINK_TYPES key
+ * @param {string} url - Full URL
+ * @returns {boolean} True for a safe URL matching the type's pattern
+ */
+function isValidSocialLink(type, url) {
+  const linkType = SOCIAL_LINK_TYPES[type];
+  return !!linkType && isSafeUrl(url) && (!linkType.pattern || linkType.pattern.test(url));
+}
+
+/**
+ * Recognise a profile URL from a known site
+ * @param {string} url - Full URL
+ * @returns {string} SOCIAL_LINK_TYPES key, or '' if no site pattern matches
+ */
+function detectSocialLinkType(url) {
+  return Object.keys(SOCIAL_LINK_TYPES)
+    .find(type => SOCIAL_LINK_TYPES[type].pattern && isValidSocialLink(type, url)) || '';
+}
+
+/**
+ * Text shown for a link on the card
+ * @param {Object} link - Social link ({type, url, label})
+ * @returns {string} Display text ('other' links show their label)
+ */
+function formatSocialLink(link) {
+  if (link.type === 'other' && link.label) return link.label;
+
+  try {
+    return (SOCIAL_LINK_TYPES[link.type] || SOCIAL_LINK_TYPES.other).format(link.url);
+  } catch (error) {
+    return _socialStripUrl(link.url);
+  }
+}
+
+/**
+ * Name of a link for lists and messages
+ * @param {Object} link - Social link ({type, label})
+ * @returns {string} Custom label for 'other' links, otherwise the type name
+ */
+function getSocialLinkName(link) {
+  return link.type === 'other' && link.label ? link.label : getSocialLinkTypeLabel(link.type);
+}
+
+/**
+ * Drop the scheme, a leading www. and a trailing slash from a URL
+ * @param {string} url - Full URL
+ * @returns {string} Short URL
+ */
+function _socialStripUrl(url) {
+  return String(url || '')
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/$/, '');
+}
+
+/**
+ * Split a URL's path into its segments
+ * @param {string} url - Full URL
+ * @returns {Array<string>} Decoded path segments
+ */
+function _socialPath(url) {
+  return new URL(url).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+}
+
+/* ==========================================================
+   CARD DISPLAY
+   ========================================================== */
+
+/**
+ * Render the social links on the card back
+ * @param {Object} cardData - Card data (current schema)
+ */
+function renderSocialLinks(cardData) {
+  const list = document.getElementById('socialLinksList');
+  if (!list) return;
+
+  list.innerHTML = (cardData.socialLinks || [])
+    .filter(link => SOCIAL_LINK_TYPES[link.type] && isSafeUrl(link.url))
+    .map(link => `
+      <div class="contact-detail">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"
+             aria-hidden="true">${SOCIAL_LINK_TYPES[link.type].icon}</svg>
+        <a href="${escapeHtml(link.url)}" target="_blank" rel="noopener" class="social-link"
+           aria-label="${escapeHtml(`${getSocialLinkName(link)}: ${formatSocialLink(link)}`)}"
+           onclick="event.stopPropagation()">${escapeHtml(formatSocialLink(link))}</a>
+      </div>`)
+    .join('');
+}
@@ -1,60 +1,598 @@
 /* ==========================================================
    STORAGE MODULE
-   Wrapper around localStorage for card and contacts data
+   Async persistence for card profiles and saved contacts.
+   Uses IndexedDB (records as objects, photos as Blobs) and falls
+   back to localStorage when IndexedDB is unavailable.
    ========================================================== */
 
+const _IDB_NAME = 'portfolioCard';
+const _IDB_VERSION = 1;
+
+// Stored profilePic values pointing at a Blob in the images store
+const _IMAGE_REF_PREFIX = 'idb-image:';
+
+// Image data URLs already loaded from or written to IndexedDB, by image key
+const _imageCache = new Map();
+
+let _backendPromise = null;
+
+/* ==========================================================
+   BACKENDS
+   Both expose the same async record API; only IndexedDB
+   stores images separately (supportsBlobs)
+   ========================================================== */
+
+/**
+ * localStorage backend (records stored as JSON strings, images inline)
+ */
+const _localStorageBackend = {
+  supportsBlobs: false,
+  supportsCryptoKeys: false,
+
+  async getRecord(key) {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  async putRecord(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+
+  async deleteRecord(key) {
+    localStorage.removeItem(key);
+  }
+};
+
 /**
- * Get user's business card from localStorage
- * @returns {Object|null} Card data object or null if not found
+ * Get the active storage backend, opening IndexedDB on first use
+ * If IndexedDB cannot be opened, localStorage is used. If it opens but
+ * copying the localStorage data into it fails, the user is told and the
+ * session keeps using localStorage, whose data is left untouched; the
+ * copy is tried again on the next launch.
+ * @returns {Promise<Object>} Backend
  */
-function getMyCard() {
+function _getBackend() {
+  if (!_backendPromise) {
+    _backendPromise = _openIndexedDbBackend().then(async backend => {
+      try {
+        await _migrateFromLocalStorage(backend);
+        return backend;
+      } catch (error) {
+        console.error('Failed to move saved data to IndexedDB:', error);
+        alert(t('storage.migrationFailed'));
+        return _localStorageBackend;
+      }
+    }, error => {
+      console.warn('IndexedDB unavailable, using localStorage:', error);
+      return _localStorageBackend;
+    });
+  }
+  return _backendPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function _idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the IndexedDB database and build its backend
+ * @returns {Promise<Object>} Backend
+ */
+async function _openIndexedDbBackend() {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not supported');
+  }
+
+  const openRequest = indexedDB.open(_IDB_NAME, _IDB_VERSION);
+  openRequest.onupgradeneeded = () => {
+    const db = openRequest.result;
+    db.createObjectStore('records');
+    db.createObjectStore('images');
+  };
+  const db = await _idbRequest(openRequest);
+
+  // Run a single request in its own transaction, resolving on commit
+  const run = (storeName, mode, makeRequest) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const backend = {
+    supportsBlobs: true,
+    supportsCryptoKeys: true,
+    getRecord: (key) => run('records', 'readonly', store => store.get(key)).then(v => v ?? null),
+    putRecord: (key, value) => run('records', 'readwrite', store => store.put(value, key)),
+    deleteRecord: (key) => run('records', 'readwrite', store => store.delete(key)),
+    getImage: (key) => run('images', 'readonly', store => store.get(key)).then(v => v ?? null),
+    putImage: (key, blob) => run('images', 'readwrite', store => store.put(blob, key)),
+    deleteImage: (key) => run('images', 'readwrite', store => store.delete(key)),
+    getImageKeys: () => run('images', 'readonly', store => store.getAllKeys())
+  };
+  return backend;
+}
+
+/**
+ * One-time copy of localStorage data into IndexedDB
+ * Only reads localStorage (a card near the quota leaves no room for an
+ * intermediate copy); its keys are removed once the copy has been written
+ * @param {Object} backend - IndexedDB backend
+ */
+async function _migrateFromLocalStorage(backend) {
+  if (await backend.getRecord(STORAGE_KEYS.IDB_MIGRATED)) return;
+
+  const profileStore = (await _localStorageBackend.getRecord(STORAGE_KEYS.CARD_PROFILES)) ||
+    _profileStoreFromLegacyCard(await _localStorageBackend.getRecord(STORAGE_KEYS.MY_CARD));
+  const contacts = await _localStorageBackend.getRecord(STORAGE_KEYS.SAVED_CONTACTS);
+  const signingKey = await _localStorageBackend.getRecord(STORAGE_KEYS.SIGNING_KEY);
+
+  if (profileStore.profiles.length) await _writeProfileStoreTo(backend, profileStore);
+  if (contacts) await _writeContactsTo(backend, contacts);
+  if (signingKey) await backend.putRecord(STORAGE_KEYS.SIGNING_KEY, signingKey);
+  await backend.putRecord(STORAGE_KEYS.IDB_MIGRATED, true);
+
+  [STORAGE_KEYS.MY_CARD, STORAGE_KEYS.CARD_PROFILES, STORAGE_KEYS.SAVED_CONTACTS, STORAGE_KEYS.SIGNING_KEY]
+    .forEach(key => localStorage.removeItem(key));
+}
+
+/* ==========================================================
+   IMAGES
+   Uploaded photos (data URLs) are stored as Blobs and replaced
+   in the record by an image reference
+   ========================================================== */
+
+/**
+ * Move a card's data-URL photo into the images store
+ * @param {Object} backend - Storage backend
+ * @param {Object} card - Card to store
+ * @param {string} imageKey - Key for the card's image
+ * @returns {Promise<Object>} Card copy with an image reference
+ */
+async function _dehydrateCardImage(backend, card, imageKey) {
+  if (!backend.supportsBlobs || !card || !(card.profilePic || '').startsWith('data:image')) {
+    return card;
+  }
+
+  // Skip the write when the stored image is unchanged
+  if (_imageCache.get(imageKey) !== card.profilePic) {
+    const blob = await (await fetch(card.profilePic)).blob();
+    await backend.putImage(imageKey, blob);
+    _imageCache.set(imageKey, card.profilePic);
+  }
+
+  return { ...card, profilePic: _IMAGE_REF_PREFIX + imageKey };
+}
+
+/**
+ * Replace a card's image reference with a data URL
+ * @param {Object} backend - Storage backend
+ * @param {Object} card - Stored card
+ * @returns {Promise<Object>} Card with a usable profilePic
+ */
+async function _hydrateCardImage(backend, card) {
+  if (!card || !(card.profilePic || '').startsWith(_IMAGE_REF_PREFIX)) return card;
+
+  const imageKey = card.profilePic.slice(_IMAGE_REF_PREFIX.length);
+  if (!_imageCache.has(imageKey)) {
+    const blob = await backend.getImage(imageKey);
+    _imageCache.set(imageKey, blob ? await _blobToDataUrl(blob) : '');
+  }
+
+  return { ...card, profilePic: _imageCache.get(imageKey) };
+}
+
+/**
+ * Delete stored images with a prefix that are no longer referenced
+ * @param {Object} backend - Storage backend
+ * @param {string} prefix - Image key prefix ('profile-' or 'contact-')
+ * @param {Set<string>} keepKeys - Keys still in use
+ */
+async function _pruneImages(backend, prefix, keepKeys) {
+  if (!backend.supportsBlobs) return;
+
+  const keys = await backend.getImageKeys();
+  for (const key of keys) {
+    if (key.startsWith(prefix) && !keepKeys.has(key)) {
+      await backend.deleteImage(key);
+      _imageCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} Data URL
+ */
+function _blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/* ==========================================================
+   CARD PROFILES
+   Several named personal cards; one is active at a time.
+   Stored as {activeId, defaultId, profiles: [{id, name, card}]}
+   ========================================================== */
+
+/**
+ * Read the profile store from a backend, migrating a legacy `myCard` entry
+ * @param {Object} backend - Storage backend
+ * @returns {Promise<Object>} Profile store (never null)
+ */
+async function _readProfileStoreFrom(backend) {
+  const store = await backend.getRecord(STORAGE_KEYS.CARD_PROFILES);
+
+  if (store) {
+    store.profiles = await Promise.all(store.profiles.map(async profile => ({
+      ...profile,
+      card: await _hydrateCardImage(backend, profile.card)
+    })));
+    return store;
+  }
+
+  // One-time migration from the single-card key. `myCard` is only removed
+  // once the new store is written; if that write fails (the legacy photo
+  // can leave no room for a second copy) the card is still returned
+  const migrated = _profileStoreFromLegacyCard(await backend.getRecord(STORAGE_KEYS.MY_CARD));
+  if (!migrated.profiles.length) return migrated;
+
   try {
-    const myCard = localStorage.getItem('myCard');
-    return myCard ? JSON.parse(myCard) : null;
+    await _writeProfileStoreTo(backend, migrated);
   } catch (error) {
-    console.error('Failed to get card from storage:', error);
-    return null;
+    console.error('Failed to move the card into profiles:', error);
   }
+  return migrated;
 }
 
 /**
- * Save user's business card to localStorage
- * @param {Object} cardData - Card data to save
- * @returns {boolean} True if successful, false otherwise
+ * Build a profile store around a card saved before profiles existed
+ * @param {Object|null} legacyCard - Card from the `myCard` key
+ * @returns {Object} Profile store (empty without a card)
+ */
+function _profileStoreFromLegacyCard(legacyCard) {
+  if (!legacyCard) return { activeId: null, defaultId: null, profiles: [] };
+
+  const id = _newProfileId();
+  return {
+    activeId: id,
+    defaultId: id,
+    profiles: [{ id, name: t('profiles.firstProfile'), card: legacyCard }]
+  };
+}
+
+/**
+ * Write the profile store to a backend
+ * @param {Object} backend - Storage backend
+ * @param {Object} store - Profile store
+ */
+async function _writeProfileStoreTo(backend, store) {
+  const profiles = await Promise.all(store.profiles.map(async profile => ({
+    ...profile,
+    card: await _dehydrateCardImage(backend, profile.card, `profile-${profile.id}`)
+  })));
+
+  await backend.putRecord(STORAGE_KEYS.CARD_PROFILES, { ...store, profiles });
+  // The store now holds the card of a legacy `myCard` entry
+  await backend.deleteRecord(STORAGE_KEYS.MY_CARD);
+  await _pruneImages(backend, 'profile-', new Set(profiles.map(p => `profile-${p.id}`)));
+}
+
+/**
+ * Read the profile store
+ * @returns {Promise<Object>} Profile store (never null)
+ */
+async function _readProfileStore() {
+  try {
+    return await _readProfileStoreFrom(await _getBackend());
+  } catch (error) {
+    console.error('Failed to read card profiles from storage:', error);
+    return { activeId: null, defaultId: null, profiles: [] };
+  }
+}
+
+/**
+ * Write the profile store
+ * @param {Object} store - Profile store
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-function saveMyCard(cardData) {
+async function _writeProfileStore(store) {
   try {
-    localStorage.setItem('myCard', JSON.stringify(cardData));
+    await _writeProfileStoreTo(await _getBackend(), store);
     return true;
   } catch (error) {
-    console.error('Failed to save card to storage:', error);
-    alert('Could not save your card (storage full). Try reducing image size.');
+    console.error('Failed to save card profiles to storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Generate a unique profile id
+ * @returns {string} Profile id
+ */
+function _newProfileId() {
+  return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Find the active profile, falling back to the default or first one
+ * @param {Object} store - Profile store
+ * @returns {Object|null} Profile or null if there are none
+ */
+function _activeProfile(store) {
+  return store.profiles.find(p => p.id === store.activeId) ||
+    store.profiles.find(p => p.id === store.defaultId) ||
+    store.profiles[0] ||
+    null;
+}
+
+/**
+ * List card profiles (without card data)
+ * @returns {Promise<Object>} {activeId, defaultId, profiles: [{id, name, hasCard}]}
+ */
+async function getCardProfiles() {
+  const store = await _readProfileStore();
+  const active = _activeProfile(store);
+
+  return {
+    activeId: active ? active.id : null,
+    defaultId: store.defaultId,
+    profiles: store.profiles.map(p => ({ id: p.id, name: p.name, hasCard: !!p.card }))
+  };
+}
+
+/**
+ * Create a new profile and make it active
+ * @param {string} name - Profile name
+ * @param {Object|null} cardData - Initial card data (null for an empty profile)
+ * @returns {Promise<string|null>} New profile id, or null on failure
+ */
+async function createCardProfile(name, cardData = null) {
+  const store = await _readProfileStore();
+  const id = _newProfileId();
+
+  store.profiles.push({ id, name, card: cardData });
+  store.activeId = id;
+  if (!store.defaultId) store.defaultId = id;
+
+  return (await _writeProfileStore(store)) ? id : null;
+}
+
+/**
+ * Copy a profile (including its card) and make the copy active
+ * @param {string} id - Profile id to copy
+ * @param {string} name - Name for the copy
+ * @returns {Promise<string|null>} New profile id, or null on failure
+ */
+async function duplicateCardProfile(id, name) {
+  const source = (await _readProfileStore()).profiles.find(p => p.id === id);
+  if (!source) return null;
+
+  const cardCopy = source.card ? JSON.parse(JSON.stringify(source.card)) : null;
+  return createCardProfile(name, cardCopy);
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - Profile id
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function renameCardProfile(id, name) {
+  const store = await _readProfileStore();
+  const profile = store.profiles.find(p => p.id === id);
+  if (!profile) return false;
+
+  profile.name = name;
+  return _writeProfileStore(store);
+}
+
+/**
+ * Delete a profile
+ * Active and default fall back to the first remaining profile
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function deleteCardProfile(id) {
+  const store = await _readProfileStore();
+  const index = store.profiles.findIndex(p => p.id === id);
+  if (index < 0) return false;
+
+  store.profiles.splice(index, 1);
+  const fallbackId = store.profiles.length ? store.profiles[0].id : null;
+  if (store.activeId === id) store.activeId = store.defaultId !== id ? store.defaultId : fallbackId;
+  if (store.defaultId === id) store.defaultId = fallbackId;
+
+  return _writeProfileStore(store);
+}
+
+/**
+ * Make a profile the active one (used by getMyCard / saveMyCard)
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setActiveCardProfile(id) {
+  const store = await _readProfileStore();
+  if (!store.profiles.some(p => p.id === id)) return false;
+
+  store.activeId = id;
+  return _writeProfileStore(store);
+}
+
+/**
+ * Make a profile the default (loaded on startup)
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setDefaultCardProfile(id) {
+  const store = await _readProfileStore();
+  if (!store.profiles.some(p => p.id === id)) return false;
+
+  store.defaultId = id;
+  return _writeProfileStore(store);
+}
+
+/**
+ * Get the active profile's business card
+ * Older cards are migrated to the current schema and written back
+ * @returns {Promise<Object|null>} Card data object or null if not found
+ */
+async function getMyCard() {
+  const store = await _readProfileStore();
+  const profile = _activeProfile(store);
+  if (!profile || !profile.card) return null;
+
+  if (needsMigration(profile.card)) {
+    profile.card = migrateCard(profile.card);
+    await _writeProfileStore(store);
+  }
+  return profile.card;
+}
+
+/**
+ * Save the active profile's business card
+ * Creates a first profile if none exist yet
+ * @param {Object} cardData - Card data to save
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function saveMyCard(cardData) {
+  const store = await _readProfileStore();
+  let profile = _activeProfile(store);
+
+  if (!profile) {
+    profile = { id: _newProfileId(), name: t('profiles.firstProfile'), card: null };
+    store.profiles.push(profile);
+    store.defaultId = profile.id;
+  }
+  profile.card = migrateCard(cardData);
+  store.activeId = profile.id;
+
+  if (!(await _writeProfileStore(store))) {
+    alert(t('storage.full'));
     return false;
   }
+  return true;
 }
 
 /**
- * Remove user's business card from localStorage
- * @returns {boolean} True if successful, false otherwise
+ * Clear the active profile's business card (the profile itself remains)
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-function removeMyCard() {
+async function removeMyCard() {
+  const store = await _readProfileStore();
+  const profile = _activeProfile(store);
+  if (!profile) return true;
+
+  profile.card = null;
+  return _writeProfileStore(store);
+}
+
+/* ==========================================================
+   DEVICE SIGNING KEY
+   Keypair used to sign share links. IndexedDB keeps the
+   CryptoKey objects; localStorage can only hold exported JWKs
+   ========================================================== */
+
+/**
+ * Check whether the backend can store CryptoKey objects directly
+ * @returns {Promise<boolean>} True for IndexedDB
+ */
+async function canStoreCryptoKeys() {
+  return (await _getBackend()).supportsCryptoKeys;
+}
+
+/**
+ * Get this device's stored signing keypair
+ * @returns {Promise<Object|null>} {privateKey, publicKey} (CryptoKeys or JWKs), or null
+ */
+async function getSigningKey() {
+  try {
+    return await (await _getBackend()).getRecord(STORAGE_KEYS.SIGNING_KEY);
+  } catch (error) {
+    console.error('Failed to read signing key from storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Save this device's signing keypair
+ * @param {Object} keyPair - {privateKey, publicKey} (CryptoKeys or JWKs)
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function saveSigningKey(keyPair) {
   try {
-    localStorage.removeItem('myCard');
+    await (await _getBackend()).putRecord(STORAGE_KEYS.SIGNING_KEY, keyPair);
     return true;
   } catch (error) {
-    console.error('Failed to remove card from storage:', error);
+    console.error('Failed to save signing key to storage:', error);
     return false;
   }
 }
 
+/* ==========================================================
+   SAVED CONTACTS
+   Stored as an array; each contact has a stable `id`
+   used to key its photo
+   ========================================================== */
+
+/**
+ * Write the contacts array to a backend
+ * @param {Object} backend - Storage backend
+ * @param {Array} contacts - Contact objects
+ */
+async function _writeContactsTo(backend, contacts) {
+  const stored = await Promise.all(contacts.map(contact => {
+    const withId = contact.id ? contact : { ...contact, id: _newContactId() };
+    return _dehydrateCardImage(backend, withId, `contact-${withId.id}`);
+  }));
+
+  await backend.putRecord(STORAGE_KEYS.SAVED_CONTACTS, stored);
+  await _pruneImages(backend, 'contact-', new Set(stored.map(c => `contact-${c.id}`)));
+}
+
+/**
+ * Generate a unique contact id
+ * @returns {string} Contact id
+ */
+function _newContactId() {
+  return 'c' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
 /**
- * Get all saved contacts from localStorage
- * @returns {Array} Array of contact objects (empty array if none)
+ * Get all saved contacts
+ * Older contacts are migrated to the current schema, given ids and written
+ * back; the returned objects carry the same ids as the stored ones
+ * @returns {Promise<Array>} Array of contact objects (empty array if none)
  */
-function getSavedContacts() {
+async function getSavedContacts() {
   try {
-    const contacts = localStorage.getItem('savedContacts');
-    return contacts ? JSON.parse(contacts) : [];
+    const backend = await _getBackend();
+    const stored = (await backend.getRecord(STORAGE_KEYS.SAVED_CONTACTS)) || [];
+    const contacts = await Promise.all(stored.map(c => _hydrateCardImage(backend, c)));
+
+    if (contacts.some(c => needsMigration(c) || !c.id)) {
+      const migrated = contacts.map(c => {
+        const card = migrateCard(c);
+        return card.id ? card : { ...card, id: _newContactId() };
+      });
+      await saveSavedContacts(migrated);
+      return migrated;
+    }
+    return contacts;
   } catch (error) {
     console.error('Failed to get contacts from storage:', error);
     return [];
@@ -62,13 +600,13 @@ function getSavedContacts() {
 }
 
 /**
- * Save all contacts to localStorage
+ * Save all contacts
  * @param {Array} contacts - Array of contact objects
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-function saveSavedContacts(contacts) {
+async function saveSavedContacts(contacts) {
   try {
-    localStorage.setItem('savedContacts', JSON.stringify(contacts));
+    await _writeContactsTo(await _getBackend(), contacts);
     return true;
   } catch (error) {
     console.error('Failed to save contacts to storage:', error);
@@ -79,41 +617,100 @@ function saveSavedContacts(contacts) {
 /**
  * Add a contact to saved contacts
  * @param {Object} contact - Contact object to add
- * @returns {boolean} True if successful, false if duplicate or error
+ * @returns {Promise<boolean>} True if successful, false if duplicate or error
  */
-function addContact(contact) {
-  const contacts = getSavedContacts();
-  
+async function addContact(contact) {
+  const contacts = await getSavedContacts();
+
   // Check for duplicates
   const exists = contacts.some(c =>
     c.firstName === contact.firstName &&
     c.lastName === contact.lastName &&
     c.email === contact.email
   );
-  
+
   if (exists) {
     return false; // Duplicate
   }
-  
-  // Add timestamp
+
+  // Add timestamp; private annotations always start empty
   contact.savedAt = new Date().toISOString();
-  
-  contacts.push(contact);
+  contact.annotations = { tags: [], notes: '' };
+
+  contacts.push(migrateCard(contact));
+  return saveSavedContacts(contacts);
+}
+
+/**
+ * Find the saved contact a card most likely belongs to
+ * Matches on email first, then on full name (covers a changed email)
+ * @param {Object} card - Incoming card
+ * @returns {Promise<Object|null>} Matching contact, or null if none
+ */
+async function findMatchingContact(card) {
+  const contacts = await getSavedContacts();
+  const email = (card.email || '').trim().toLowerCase();
+  const name = normalizeForSearch(`${card.firstName} ${card.lastName}`);
+
+  return contacts.find(c => email && (c.email || '').trim().toLowerCase() === email) ||
+    contacts.find(c => name && normalizeForSearch(`${c.firstName} ${c.lastName}`) === name) ||
+    null;
+}
+
+/**
+ * Replace a saved contact's card with a newer version
+ * Keeps the contact's id, savedAt, private annotations and pinned key
+ * (a card's pinnedKey is only used if none was pinned yet)
+ * @param {string} contactId - Contact id
+ * @param {Object} card - Newer card
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function updateContact(contactId, card) {
+  const contacts = await getSavedContacts();
+  const index = contacts.findIndex(c => c.id === contactId);
+  if (index === -1) return false;
+
+  const existing = contacts[index];
+  contacts[index] = migrateCard({
+    ...card,
+    id: existing.id,
+    savedAt: existing.savedAt,
+    annotations: existing.annotations,
+    pinnedKey: existing.pinnedKey || card.pinnedKey || null
+  });
+  return saveSavedContacts(contacts);
+}
+
+/**
+ * Replace a contact's private tags and notes
+ * @param {string} contactId - Contact id
+ * @param {Object} annotations - {tags, notes}
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function updateContactAnnotations(contactId, annotations) {
+  const contacts = await getSavedContacts();
+  const contact = contacts.find(c => c.id === contactId);
+  if (!contact) return false;
+
+  contact.annotations = {
+    tags: annotations.tags.slice(),
+    notes: annotations.notes
+  };
   return saveSavedContacts(contacts);
 }
 
 /**
  * Remove a contact by index
  * @param {number} index - Index of contact to remove
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-function removeContact(index) {
-  const contacts = getSavedContacts();
-  
+async function removeContact(index) {
+  const contacts = await getSavedContacts();
+
   if (index < 0 || index >= contacts.length) {
     return false; // Invalid index
   }
-  
+
   contacts.splice(index, 1);
   return saveSavedContacts(contacts);
-}
\ No newline at end of file
+}
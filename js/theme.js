@@ -0,0 +1,176 @@
+/* ==========================================================
+   THEME MODULE
+   Paints a card's theme descriptor: gradient, pattern, fonts,
+   front-face layout, border and corners
+   ========================================================== */
+
+/**
+ * Pattern overlays drawn above the gradient
+ * Each builder takes the ink color and returns [image, size] layers
+ */
+const CARD_PATTERNS = {
+  none: () => [],
+  dots: (ink) => [[`radial-gradient(${ink} 2px, transparent 2.5px)`, '18px 18px']],
+  stripes: (ink) => [[`repeating-linear-gradient(45deg, ${ink} 0 6px, transparent 6px 18px)`, 'auto']],
+  grid: (ink) => [
+    [`linear-gradient(${ink} 1px, transparent 1px)`, '24px 24px'],
+    [`linear-gradient(90deg, ${ink} 1px, transparent 1px)`, '24px 24px']
+  ],
+  checks: (ink) => [[`conic-gradient(${ink} 25%, transparent 0 50%, ${ink} 0 75%, transparent 0)`, '24px 24px']]
+};
+
+/**
+ * List the allowed values of a theme option
+ * @param {string} field - 'pattern', 'fonts', 'layout', 'border' or 'corners'
+ * @returns {Array<string>} Allowed values
+ */
+function getCardThemeOptions(field) {
+  return {
+    pattern: Object.keys(CARD_PATTERNS),
+    fonts: Object.keys(CARD_FONT_PAIRINGS),
+    layout: CARD_LAYOUTS,
+    border: Object.keys(CARD_BORDERS),
+    corners: Object.keys(CARD_CORNERS)
+  }[field] || [];
+}
+
+/**
+ * Fill in a theme descriptor, replacing missing or unknown values with defaults
+ * @param {Object} theme - Stored theme (may be partial or missing)
+ * @returns {Object} Complete theme descriptor
+ */
+function normalizeCardTheme(theme) {
+  const source = theme && typeof theme === 'object' ? theme : {};
+  const defaults = DEFAULT_CARD.theme;
+  const pick = (field) => (getCardThemeOptions(field).includes(source[field]) ? source[field] : defaults[field]);
+
+  return {
+    colors: (Array.isArray(source.colors) ? source.colors : [])
+      .filter(isHexColor)
+      .slice(0, CARD_THEME_LIMITS.maxExtraColors),
+    angle: Number.isInteger(source.angle) && source.angle >= 0 && source.angle < 360
+      ? source.angle
+      : defaults.angle,
+    pattern: pick('pattern'),
+    fonts: pick('fonts'),
+    layout: pick('layout'),
+    border: pick('border'),
+    corners: pick('corners'),
+    logo: typeof source.logo === 'string' && isSafeUrl(source.logo) ? source.logo : ''
+  };
+}
+
+/**
+ * Build a theme from a preset, keeping the current logo
+ * @param {string} key - CARD_THEME_PRESETS key
+ * @param {string} [logo] - Logo URL to keep
+ * @returns {{cardColor: string, theme: Object}|null} Preset colors and theme, or null if unknown
+ */
+function getCardThemePreset(key, logo = '') {
+  const preset = CARD_THEME_PRESETS[key];
+  if (!preset) return null;
+
+  return {
+    cardColor: preset.cardColor,
+    theme: normalizeCardTheme({ ...DEFAULT_CARD.theme, ...preset.theme, logo })
+  };
+}
+
+/**
+ * List the gradient stops of a card
+ * @param {string} cardColor - First stop
+ * @param {Object} theme - Theme descriptor
+ * @returns {Array<string>} Hex colors, cardColor first
+ */
+function getCardThemeStops(cardColor, theme) {
+  return [cardColor].concat(normalizeCardTheme(theme).colors);
+}
+
+/**
+ * Build the CSS gradient for a card's colors
+ * @param {string} cardColor - First stop
+ * @param {Object} theme - Theme descriptor
+ * @returns {string} CSS linear-gradient()
+ */
+function buildCardGradient(cardColor, theme) {
+  const stops = getCardThemeStops(cardColor, theme);
+  if (stops.length === 1) stops.push(cardColor);
+  return `linear-gradient(${normalizeCardTheme(theme).angle}deg, ${stops.join(', ')})`;
+}
+
+/**
+ * Get the pattern ink for a card's text color
+ * @param {string} textColor - Card text color
+ * @returns {string} CSS rgba() color, faint white on dark cards and faint black on light ones
+ */
+function getCardPatternInk(textColor) {
+  return textColor === CARD_TEXT_COLORS.light ? 'rgba(255,255,255,0.14)' : 'rgba(0,0,0,0.08)';
+}
+
+/**
+ * Build the layered background (pattern over gradient) for a card face
+ * @param {string} cardColor - First stop
+ * @param {Object} theme - Theme descriptor
+ * @param {string} textColor - Text color on the card (sets the pattern ink)
+ * @param {string} gradientSize - background-size of the gradient layer
+ * @returns {{image: string, size: string}} background-image and background-size
+ */
+function buildCardBackground(cardColor, theme, textColor, gradientSize) {
+  const layers = CARD_PATTERNS[normalizeCardTheme(theme).pattern](getCardPatternInk(textColor))
+    .concat([[buildCardGradient(cardColor, theme), gradientSize]]);
+
+  return {
+    image: layers.map(([image]) => image).join(', '),
+    size: layers.map(([, size]) => size).join(', ')
+  };
+}
+
+/**
+ * Paint a card's theme on the business card
+ * @param {Object} cardData - Card data (current schema)
+ * @returns {string} Text color used on the card
+ */
+function applyCardTheme(cardData) {
+  const theme = normalizeCardTheme(cardData.theme);
+  const textColor = getCardTextColor(cardData.cardColor, theme);
+  const card = document.getElementById('businessCard');
+  const cardFront = document.getElementById('cardFront');
+  const cardBack = document.getElementById('cardBack');
+
+  // The front animates its gradient across a larger canvas
+  const front = buildCardBackground(cardData.cardColor, theme, textColor, '200% 200%');
+  const back = buildCardBackground(cardData.cardColor, theme, textColor, '100% 100%');
+  cardFront.style.backgroundImage = front.image;
+  cardFront.style.backgroundSize = front.size;
+  cardBack.style.backgroundImage = back.image;
+  cardBack.style.backgroundSize = back.size;
+
+  [cardFront, cardBack].forEach(face => {
+    face.style.border = theme.border === 'none' ? '' : `${CARD_BORDERS[theme.border]} ${textColor}`;
+    face.style.borderRadius = CARD_CORNERS[theme.corners];
+  });
+
+  // Font pairing (no stack keeps the page font)
+  const fonts = CARD_FONT_PAIRINGS[theme.fonts];
+  [['--card-heading-font', fonts.heading], ['--card-body-font', fonts.body]].forEach(([name, stack]) => {
+    if (stack) {
+      card.style.setProperty(name, stack);
+    } else {
+      card.style.removeProperty(name);
+    }
+  });
+  card.style.setProperty('--card-text', textColor);
+
+  // Front-face layout (a missing logo falls back to the photo)
+  const layout = theme.layout === 'logoName' && !theme.logo ? 'photoName' : theme.layout;
+  CARD_LAYOUTS.forEach(name => cardFront.classList.toggle(`layout-${name}`, name === layout));
+  document.getElementById('cardFrontName').textContent = `${cardData.firstName} ${cardData.lastName}`;
+  const logo = document.getElementById('cardLogo');
+  if (layout === 'logoName') {
+    logo.src = theme.logo;
+  } else {
+    logo.removeAttribute('src');
+  }
+
+  return textColor;
+}
@@ -12,6 +12,55 @@ const encodeObj = (obj) => btoa(unescape(encodeURIComponent(JSON.stringify(obj))
  */
 const decodeObj = (str) => JSON.parse(decodeURIComponent(escape(atob(str))));
 
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode an unpadded base64url string
+ * @param {string} str - base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Escape text for safe insertion into HTML markup
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize text for search: strip diacritics and lower-case
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text ("José" -> "jose")
+ */
+function normalizeForSearch(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .trim();
+}
+
 /**
  * Normalize hex color (convert 3-digit to 6-digit)
  * @param {string} hex - Hex color string
@@ -42,39 +91,6 @@ function _rgb(hex) {
   };
 }
 
-/**
- * Calculate relative luminance of a color
- * @param {string} hex - Hex color string
- * @returns {number} Luminance value (0-1)
- */
-function _lum(hex) {
-  const rgb = _rgb(hex);
-  if (!rgb) return 1;
-  
-  // Convert to linear RGB and calculate luminance
-  const linearize = (val) => {
-    val /= 255;
-    return val <= 0.03928 
-      ? val / 12.92 
-      : Math.pow((val + 0.055) / 1.055, 2.4);
-  };
-  
-  const r = linearize(rgb.r);
-  const g = linearize(rgb.g);
-  const b = linearize(rgb.b);
-  
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-}
-
-/**
- * Determine best text color for given background
- * @param {string} bgHex - Background hex color
- * @returns {string} Either '#111827' (dark) or '#ffffff' (light)
- */
-function textOn(bgHex) {
-  return _lum(bgHex) > 0.5 ? '#111827' : '#ffffff';
-}
-
 /**
  * Validate hex color format
  * @param {string} value - String to validate
@@ -98,39 +114,19 @@ function pickColor(textVal, pickerVal, fallback) {
   return fallback;
 }
 
-/**
- * Calculate contrasting text color (alternative method)
- * @param {string} hex - Background hex color
- * @returns {string} Contrasting text color
- */
-function contrastColor(hex) {
-  let color = (hex || '#000').replace('#', '').trim();
-  
-  // Convert 3-digit to 6-digit
-  if (color.length === 3) {
-    color = color.split('').map(x => x + x).join('');
-  }
-  
-  // Parse RGB values
-  const r = parseInt(color.slice(0, 2), 16) || 0;
-  const g = parseInt(color.slice(2, 4), 16) || 0;
-  const b = parseInt(color.slice(4, 6), 16) || 0;
-  
-  // Calculate YIQ value
-  const yiq = (r * 299 + g * 587 + b * 114) / 1000;
-  
-  return yiq >= 128 ? '#111827' : '#ffffff';
-}
-
 /**
  * Format name with proper capitalization
- * Handles hyphenated names, apostrophes, and particles (de, van, etc.)
+ * Accepts letters from any script; capitalizes each word (and each part of
+ * hyphenated and apostrophe names) with locale-aware casing, leaving scripts
+ * without case untouched and particles (de, van, etc.) lowercase
  * @param {string} name - Name to format
  * @param {boolean} isLastName - Whether this is a last name (allows spaces)
+ * @param {Object} options - {autoCapitalize, particles} (defaults from DEFAULT_CARD)
  * @returns {string|null} Formatted name or null if invalid
  */
-function formatName(name, isLastName = false) {
-  name = name.trim();
+function formatName(name, isLastName = false, options = {}) {
+  const { autoCapitalize, particles } = { ...DEFAULT_CARD.nameFormatting, ...options };
+  name = name.normalize('NFC').trim().replace(/’/g, "'");
 
   // Normalize spaces
   if (isLastName) {
@@ -139,16 +135,28 @@ function formatName(name, isLastName = false) {
     name = name.replace(/\s+/g, "");
   }
 
-  // Validate characters
-  const allowedRegex = isLastName ? /^[A-Za-z' -]+$/ : /^[A-Za-z'-]+$/;
+  // Validate characters: letters (any script) with their combining marks
+  const allowedRegex = isLastName ? /^\p{L}[\p{L}\p{M}' -]*$/u : /^\p{L}[\p{L}\p{M}'-]*$/u;
   if (!allowedRegex.test(name)) return null;
 
   // Check length
-  if (name.length < 1 || name.length > 30) return null;
+  if (Array.from(name).length > NAME_LIMITS.maxLength) return null;
+
+  if (!autoCapitalize) return name;
+
+  const locale = _nameLocale();
+  const lowerParticles = particles.map(particle => particle.toLocaleLowerCase(locale));
 
-  // Name particles that should stay lowercase
-  const particles = ["de", "del", "la", "las", "los", "da", "das", "dos", 
-                     "van", "von", "der", "den", "le", "du", "di"];
+  /**
+   * Capitalize one part of a name (between spaces, hyphens or apostrophes)
+   * @param {string} part - Name part
+   * @returns {string} Part with an initial capital, if its script has case
+   */
+  function capitalizePart(part) {
+    const lower = part.toLocaleLowerCase(locale);
+    const match = /^(\p{L}\p{M}*)(.*)$/su.exec(lower);
+    return match ? match[1].toLocaleUpperCase(locale) + match[2] : lower;
+  }
 
   /**
    * Capitalize a word appropriately
@@ -156,27 +164,13 @@ function formatName(name, isLastName = false) {
    * @returns {string} Properly capitalized word
    */
   function capitalize(word) {
-    const lower = word.toLowerCase();
+    const lower = word.toLocaleLowerCase(locale);
 
     // Keep particles lowercase
-    if (particles.includes(lower)) return lower;
-
-    // Handle hyphenated parts
-    if (lower.includes("-")) {
-      return lower.split("-")
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-        .join("-");
-    }
-
-    // Handle apostrophes (O'Neil)
-    if (lower.includes("'")) {
-      return lower.split("'")
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-        .join("'");
-    }
+    if (lowerParticles.includes(lower)) return lower;
 
-    // Standard capitalization
-    return lower.charAt(0).toUpperCase() + lower.slice(1);
+    // Hyphenated parts and apostrophes (O'Neil) each get a capital
+    return word.split(/([-'])/).map(capitalizePart).join("");
   }
 
   // Split into words and capitalize each
@@ -184,10 +178,18 @@ function formatName(name, isLastName = false) {
   return parts.map(capitalize).join(" ");
 }
 
+/**
+ * Locale used for name casing (e.g. Turkish dotted İ)
+ * @returns {string|undefined} Browser language, or undefined for the default
+ */
+function _nameLocale() {
+  return (typeof navigator !== 'undefined' && navigator.language) || undefined;
+}
+
 /**
  * Validate email format and return list of errors
  * @param {string} email - Email to validate
- * @returns {Array<string>} Array of error messages
+ * @returns {Array<string>} Array of error messages (in the current language)
  */
 function getEmailErrors(email) {
   const trimmed = email.trim().toLowerCase();
@@ -195,54 +197,42 @@ function getEmailErrors(email) {
 
   // Length check
   if (trimmed.length < 5 || trimmed.length > 80) {
-    errors.push("Email length must be between 5–80 characters.");
+    errors.push(t('email.length', { min: 5, max: 80 }));
   }
 
   // @ symbol check
   const atCount = (trimmed.match(/@/g) || []).length;
   if (atCount !== 1) {
-    errors.push("Must contain exactly one '@' symbol.");
+    errors.push(t('email.oneAt'));
   }
 
   // Basic format checks
-  if (trimmed.includes("..")) errors.push("Email cannot contain consecutive dots.");
-  if (trimmed.startsWith(".")) errors.push("Email cannot start with a dot.");
-  if (trimmed.endsWith(".")) errors.push("Email cannot end with a dot.");
-  if (trimmed.startsWith("-")) errors.push("Email cannot start with a dash.");
+  if (trimmed.includes("..")) errors.push(t('email.consecutiveDots'));
+  if (trimmed.startsWith(".")) errors.push(t('email.startsWithDot'));
+  if (trimmed.endsWith(".")) errors.push(t('email.endsWithDot'));
+  if (trimmed.startsWith("-")) errors.push(t('email.startsWithDash'));
 
   // Domain validation
   if (atCount === 1) {
     const [localPart, domainPart] = trimmed.split("@");
 
-    if (!localPart.length) errors.push("Missing text before '@'.");
-    if (!domainPart.includes(".")) errors.push("Domain must contain a dot.");
-    if (domainPart.includes("..")) errors.push("Domain cannot contain consecutive dots.");
-    if (domainPart.startsWith(".")) errors.push("Domain cannot start with a dot.");
-    if (domainPart.endsWith(".")) errors.push("Domain cannot end with a dot.");
-    if (/[0-9]/.test(domainPart)) errors.push("Domain cannot contain numbers.");
+    if (!localPart.length) errors.push(t('email.missingLocalPart'));
+    if (!domainPart.includes(".")) errors.push(t('email.domainNoDot'));
+    if (domainPart.includes("..")) errors.push(t('email.domainConsecutiveDots'));
+    if (domainPart.startsWith(".")) errors.push(t('email.domainStartsWithDot'));
+    if (domainPart.endsWith(".")) errors.push(t('email.domainEndsWithDot'));
+    if (/[0-9]/.test(domainPart)) errors.push(t('email.domainNumbers'));
 
     // TLD validation
     const tld = domainPart.split(".").pop();
     if ((tld || '').length < 2) {
-      errors.push("Top-level domain must be at least 2 letters.");
+      errors.push(t('email.tldLength', { min: 2 }));
     }
   }
 
   return errors;
 }
 
-/**
- * Format phone number for display and E.164
- * @param {string} countryCode - Country code
- * @param {string} local - 10-digit local number
- * @returns {Object} {pretty, e164} formatted phone numbers
- */
-function formatPhone(countryCode, local) {
-  const pretty = `+${countryCode} (${local.slice(0, 3)}) ${local.slice(3, 6)}-${local.slice(6)}`;
-  const e164 = `+${countryCode}${local}`;
-  return { pretty, e164 };
-}
-
 /**
  * Show or hide phone error message
  * @param {string} message - Error message to display (empty to hide)
@@ -260,25 +250,6 @@ function showPhoneError(message) {
   }
 }
 
-/**
- * Parse pretty-formatted phone number back to components
- * @param {string} prettyPhone - Formatted phone like "+1 (555) 123-4567"
- * @returns {Object|null} {cc, local, prettyLocal} or null if invalid
- */
-function parsePrettyPhone10(prettyPhone) {
-  const match = (prettyPhone || '').match(/^\+?(\d{1,3})\s*\((\d{3})\)\s*(\d{3})-(\d{4})$/);
-  if (!match) return null;
-
-  const localNumber = match[2] + match[3] + match[4]; // 10 digits
-  const prettyLocal = `(${match[2]})-${match[3]}-${match[4]}`;
-
-  return {
-    cc: match[1],
-    local: localNumber,
-    prettyLocal: prettyLocal
-  };
-}
-
 /**
  * Add https:// to URL if missing protocol
  * @param {string} url - URL to fix
@@ -301,14 +272,14 @@ function fixUrl(url) {
 /**
  * Copy text to clipboard with user feedback
  * @param {string} text - Text to copy
- * @param {string} label - Label for feedback message (e.g., "Email", "Phone")
+ * @param {string} label - Translated label for feedback message (e.g., "Email", "Phone")
  */
 function copyToClipboard(text, label) {
   // Try modern clipboard API first
   if (navigator.clipboard && navigator.clipboard.writeText) {
     navigator.clipboard.writeText(text)
       .then(() => {
-        showCopyFeedback(`${label} copied!`);
+        showCopyFeedback(t('copy.copied', { label }));
       })
       .catch(() => {
         // Fallback to older method
@@ -335,9 +306,9 @@ function fallbackCopy(text, label) {
   
   try {
     document.execCommand('copy');
-    showCopyFeedback(`${label} copied!`);
+    showCopyFeedback(t('copy.copied', { label }));
   } catch (err) {
-    showCopyFeedback(`Could not copy ${label.toLowerCase()}`);
+    showCopyFeedback(t('copy.failed', { label }));
   }
   
   document.body.removeChild(textarea);
@@ -0,0 +1,501 @@
+/* ==========================================================
+   VALIDATION MODULE
+   Schema check for cards that arrive from outside the app
+   (share links, imported vCards). Invalid values are removed
+   or replaced by defaults and every change is reported.
+   ========================================================== */
+
+// Maximum lengths of incoming card fields
+const CARD_FIELD_LIMITS = {
+  firstName: 60,
+  lastName: 60,
+  jobTitle: 100,
+  email: 254,
+  phone: 40,
+  url: 2048,
+  date: 40,
+  imageDataUrl: 200000
+};
+
+// Fields a shared card may carry; anything else is ignored
+const _SHARED_CARD_FIELDS = [
+  'firstName', 'lastName', 'jobTitle', 'email', 'phone', 'phoneE164', 'countryCode',
+  'localNumber', 'phoneRegion', 'linkedin', 'socialLinks', 'cardColor', 'bgColor', 'theme',
+  'profilePic', 'portfolioLinks', 'portfolioVisibility', 'resumes', 'customSections', 'portfolioOrder',
+  'lastUpdated', 'expiresAt', 'schemaVersion'
+];
+
+// Control characters and bidirectional overrides (can disguise names)
+const _UNSAFE_TEXT_CHARS = /[\u0000-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g;
+
+/* ==========================================================
+   PUBLIC API
+   ========================================================== */
+
+/**
+ * Check whether a URL is safe to use as a link (http or https only)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL parses and uses http(s)
+ */
+function isSafeUrl(url) {
+  if (typeof url !== 'string' || !url || url.length > CARD_FIELD_LIMITS.url) return false;
+
+  try {
+    const protocol = new URL(url).protocol;
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a value is safe to use as an image source
+ * Allows http(s) URLs and base64 PNG/JPEG/WebP/GIF data URLs (no SVG)
+ * @param {string} src - Image source
+ * @returns {boolean} True if safe
+ */
+function isSafeImageSource(src) {
+  if (typeof src !== 'string' || !src) return false;
+  if (src.startsWith('data:')) {
+    return src.length <= CARD_FIELD_LIMITS.imageDataUrl &&
+      /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+=*$/.test(src);
+  }
+  return isSafeUrl(src);
+}
+
+/**
+ * Validate and sanitize a card received from outside the app
+ * Accepts the legacy shape (resume as a string, a single `linkedin` URL)
+ * as well as the current one
+ * @param {Object} raw - Decoded card object
+ * @returns {{card: Object|null, problems: Array<string>}} Sanitized card
+ *   (null if unusable) and a description of everything removed or changed
+ */
+function validateSharedCard(raw) {
+  const problems = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { card: null, problems: [t('validation.unrecognisedCard')] };
+  }
+
+  Object.keys(raw)
+    .filter(key => !_SHARED_CARD_FIELDS.includes(key))
+    .forEach(key => problems.push(t('validation.unexpectedField', { field: _describeKey(key) })));
+
+  const text = (field, label, max) => _validateText(raw[field], label, max, problems);
+
+  const card = {
+    firstName: text('firstName', t('field.firstName'), CARD_FIELD_LIMITS.firstName),
+    lastName: text('lastName', t('field.lastName'), CARD_FIELD_LIMITS.lastName),
+    jobTitle: text('jobTitle', t('field.jobTitle'), CARD_FIELD_LIMITS.jobTitle),
+    email: _validatePattern(text('email', t('field.email'), CARD_FIELD_LIMITS.email),
+      /^[^\s@<>"'`]+@[^\s@<>"'`]+\.[^\s@<>"'`]+$/, t('field.email'), problems),
+    phone: _validatePattern(text('phone', t('field.phone'), CARD_FIELD_LIMITS.phone),
+      /^[+\d\s().-]+$/, t('field.phone'), problems),
+    phoneE164: _validatePattern(text('phoneE164', t('field.phoneE164'), CARD_FIELD_LIMITS.phone),
+      isValidE164, t('field.phoneE164'), problems),
+    linkedin: _validateUrl(raw.linkedin, t('field.linkedin'), problems),
+    socialLinks: _validateSocialLinks(raw.socialLinks, problems),
+    cardColor: _validateColor(raw.cardColor, t('field.cardColor'), DEFAULT_CARD.cardColor, problems),
+    bgColor: _validateColor(raw.bgColor, t('field.bgColor'), DEFAULT_CARD.bgColor, problems),
+    theme: _validateTheme(raw.theme, problems),
+    profilePic: _validateImage(raw.profilePic, problems),
+    portfolioLinks: _validatePortfolioLinks(raw.portfolioLinks, problems),
+    portfolioVisibility: _validateVisibility(raw.portfolioVisibility, problems),
+    resumes: _validateResumes(raw.resumes, problems),
+    customSections: _validateCustomSections(raw.customSections, problems),
+    portfolioOrder: _validateOrder(raw.portfolioOrder, problems),
+    lastUpdated: _validateDate(raw.lastUpdated, t('field.lastUpdated'), problems),
+    expiresAt: _validateDate(raw.expiresAt, t('field.expiresAt'), problems)
+  };
+
+  // Only needed for editing; kept when well-formed
+  if (raw.countryCode !== undefined || raw.localNumber !== undefined) {
+    card.countryCode = _validatePattern(text('countryCode', t('field.countryCode'), 5), /^\+?\d{1,4}$/, t('field.countryCode'), problems);
+    card.localNumber = _validatePattern(text('localNumber', t('field.localNumber'), 15), /^\d{4,15}$/, t('field.localNumber'), problems);
+  }
+  if (raw.phoneRegion !== undefined) {
+    card.phoneRegion = _validatePattern(text('phoneRegion', t('field.phoneCountry'), 2),
+      region => !!getPhoneCountry(region), t('field.phoneCountry'), problems);
+  }
+
+  if (Number.isInteger(raw.schemaVersion) && raw.schemaVersion >= 0) {
+    card.schemaVersion = raw.schemaVersion;
+  } else if (raw.schemaVersion !== undefined) {
+    problems.push(t('validation.schemaVersion'));
+  }
+
+  if (!card.firstName && !card.lastName) {
+    return { card: null, problems: problems.concat(t('validation.noName')) };
+  }
+
+  return { card, problems };
+}
+
+/* ==========================================================
+   FIELD VALIDATORS
+   Each returns a safe value and pushes a message when the
+   incoming value had to be removed or changed
+   ========================================================== */
+
+/**
+ * Validate a plain text field
+ * @param {*} value - Incoming value
+ * @param {string} label - Field name for messages
+ * @param {number} max - Maximum length
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} Safe text ('' if removed)
+ */
+function _validateText(value, label, max, problems) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value !== 'string') {
+    problems.push(t('validation.notText', { label }));
+    return '';
+  }
+
+  let clean = value.replace(_UNSAFE_TEXT_CHARS, '');
+  if (clean !== value) problems.push(t('validation.controlCharacters', { label }));
+
+  clean = clean.trim();
+  if (clean.length > max) {
+    problems.push(t('validation.tooLong', { label, count: max }));
+    clean = clean.slice(0, max);
+  }
+  return clean;
+}
+
+/**
+ * Check already-cleaned text against a pattern
+ * @param {string} value - Cleaned text
+ * @param {RegExp|Function} pattern - Allowed format, or a predicate
+ * @param {string} label - Field name for messages
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} The value, or '' if it does not match
+ */
+function _validatePattern(value, pattern, label, problems) {
+  if (!value || (typeof pattern === 'function' ? pattern(value) : pattern.test(value))) return value;
+  problems.push(t('validation.invalidValue', { label, value: value.slice(0, 40) }));
+  return '';
+}
+
+/**
+ * Validate a link URL
+ * @param {*} value - Incoming value
+ * @param {string} label - Field name for messages
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} Safe URL ('' if removed)
+ */
+function _validateUrl(value, label, problems) {
+  if (value === undefined || value === null || value === '') return '';
+  if (isSafeUrl(value)) return value;
+
+  problems.push(t('validation.invalidUrl', { label }));
+  return '';
+}
+
+/**
+ * Validate a hex color
+ * @param {*} value - Incoming value
+ * @param {string} label - Field name for messages
+ * @param {string} fallback - Default color
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} Safe color
+ */
+function _validateColor(value, label, fallback, problems) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'string' && isHexColor(value)) return value;
+
+  problems.push(t('validation.invalidColor', { label }));
+  return fallback;
+}
+
+/**
+ * Validate a card theme descriptor
+ * @param {*} value - Incoming theme
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Object} Complete theme (invalid parts replaced by defaults)
+ */
+function _validateTheme(value, problems) {
+  if (value === undefined || value === null) return normalizeCardTheme(null);
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    problems.push(t('validation.unrecognisedTheme'));
+    return normalizeCardTheme(null);
+  }
+
+  const colors = Array.isArray(value.colors) ? value.colors : [];
+  if (value.colors !== undefined && (colors !== value.colors ||
+      colors.length > CARD_THEME_LIMITS.maxExtraColors || !colors.every(isHexColor))) {
+    problems.push(t('validation.invalidColor', { label: t('field.gradientColor') }));
+  }
+
+  if (value.angle !== undefined && !(Number.isInteger(value.angle) && value.angle >= 0 && value.angle < 360)) {
+    problems.push(t('validation.invalidThemeOption', { option: t('settings.gradientAngle'), value: _describeKey(String(value.angle)) }));
+  }
+
+  const options = { pattern: 'settings.pattern', fonts: 'settings.fonts', layout: 'settings.layout',
+    border: 'settings.border', corners: 'settings.corners' };
+  Object.entries(options).forEach(([field, label]) => {
+    if (value[field] !== undefined && !getCardThemeOptions(field).includes(value[field])) {
+      problems.push(t('validation.invalidThemeOption', { option: t(label), value: _describeKey(String(value[field])) }));
+    }
+  });
+
+  return normalizeCardTheme({ ...value, logo: _validateUrl(value.logo, t('field.logo'), problems) });
+}
+
+/**
+ * Validate a profile picture source
+ * @param {*} value - Incoming value
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} Safe image source ('' if removed)
+ */
+function _validateImage(value, problems) {
+  if (value === undefined || value === null || value === '') return '';
+  if (isSafeImageSource(value)) return value;
+
+  problems.push(t('validation.invalidImage'));
+  return '';
+}
+
+/**
+ * Validate an ISO date string
+ * @param {*} value - Incoming value
+ * @param {string} label - Field name for messages
+ * @param {Array<string>} problems - Collected problems
+ * @returns {string} Date string ('' if removed)
+ */
+function _validateDate(value, label, problems) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'string' && value.length <= CARD_FIELD_LIMITS.date && !Number.isNaN(Date.parse(value))) {
+    return value;
+  }
+
+  problems.push(t('validation.invalidDate', { label }));
+  return '';
+}
+
+/**
+ * Validate portfolio links
+ * A legacy resume (string or {pdf, docx}) is kept for migrateCard() to convert
+ * into resume variants
+ * @param {*} value - Incoming portfolioLinks
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Object} Safe portfolio links
+ */
+function _validatePortfolioLinks(value, problems) {
+  const links = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  if (value !== undefined && links !== value) problems.push(t('validation.unrecognisedLinks'));
+
+  Object.keys(links)
+    .filter(key => !(key in PORTFOLIO_LABELS))
+    .forEach(key => problems.push(t('validation.unknownSection', { section: _describeKey(key) })));
+
+  const result = {};
+  Object.keys(PORTFOLIO_LABELS).forEach(key => {
+    if (key !== 'resume') {
+      result[key] = _validateUrl(links[key], getPortfolioLabel(key), problems);
+    }
+  });
+
+  const resume = links.resume;
+  if (typeof resume === 'string') {
+    result.resume = { pdf: _validateUrl(resume, getPortfolioLabel('resume'), problems), docx: '' };
+  } else if (resume !== undefined) {
+    const formats = resume && typeof resume === 'object' ? resume : {};
+    result.resume = {
+      pdf: _validateUrl(formats.pdf, `${getPortfolioLabel('resume')} (PDF)`, problems),
+      docx: _validateUrl(formats.docx, `${getPortfolioLabel('resume')} (DOCX)`, problems)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Validate portfolio visibility flags
+ * @param {*} value - Incoming portfolioVisibility
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Object} Visibility flags (missing or invalid flags are visible)
+ */
+function _validateVisibility(value, problems) {
+  const flags = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const result = {};
+
+  Object.keys(PORTFOLIO_LABELS).forEach(key => {
+    const flag = flags[key];
+    if (flag !== undefined && typeof flag !== 'boolean') {
+      problems.push(t('validation.invalidVisibility', { section: getPortfolioLabel(key) }));
+    }
+    result[key] = flag !== false;
+  });
+  return result;
+}
+
+/**
+ * Validate resume variants
+ * @param {*} value - Incoming resumes
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Array} Safe variants ({id, label, format, url, updated})
+ */
+function _validateResumes(value, problems) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    problems.push(t('validation.unrecognisedResumes'));
+    return [];
+  }
+
+  if (value.length > RESUME_LIMITS.maxVariants) {
+    problems.push(t('validation.tooManyResumes', { count: RESUME_LIMITS.maxVariants }));
+  }
+
+  const resumes = [];
+  value.slice(0, RESUME_LIMITS.maxVariants).forEach((resume, i) => {
+    if (!resume || typeof resume !== 'object') {
+      problems.push(t('validation.unrecognisedResume'));
+      return;
+    }
+
+    const label = _validateText(resume.label, t('field.resumeName'), RESUME_LIMITS.maxLabelLength, problems) ||
+      getPortfolioLabel('resume');
+    if (!(resume.format in RESUME_FORMATS)) {
+      problems.push(t('validation.resumeFormat', { label }));
+      return;
+    }
+
+    const url = _validateUrl(resume.url, t('validation.resumeNamed', { label }), problems);
+    if (!url) return;
+
+    let updated = '';
+    if (typeof resume.updated === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(resume.updated)) {
+      updated = resume.updated;
+    } else if (resume.updated) {
+      problems.push(t('validation.resumeDate', { label }));
+    }
+
+    resumes.push({
+      id: typeof resume.id === 'string' && /^[a-z0-9]{1,20}$/i.test(resume.id) ? resume.id : `r${i + 1}`,
+      label,
+      format: resume.format,
+      url,
+      updated
+    });
+  });
+  return resumes;
+}
+
+/**
+ * Validate social links
+ * @param {*} value - Incoming socialLinks
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Array} Safe links ({id, type, url, label})
+ */
+function _validateSocialLinks(value, problems) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    problems.push(t('validation.unrecognisedSocialLinks'));
+    return [];
+  }
+
+  if (value.length > SOCIAL_LINK_LIMITS.maxLinks) {
+    problems.push(t('validation.tooManySocialLinks', { count: SOCIAL_LINK_LIMITS.maxLinks }));
+  }
+
+  const links = [];
+  value.slice(0, SOCIAL_LINK_LIMITS.maxLinks).forEach((link, i) => {
+    if (!link || typeof link !== 'object') {
+      problems.push(t('validation.unrecognisedSocialLink'));
+      return;
+    }
+    if (!(link.type in SOCIAL_LINK_TYPES)) {
+      problems.push(t('validation.socialLinkType', { type: _describeKey(String(link.type)) }));
+      return;
+    }
+
+    const label = link.type === 'other'
+      ? _validateText(link.label, t('field.socialLinkName'), SOCIAL_LINK_LIMITS.maxLabelLength, problems)
+      : '';
+    const name = getSocialLinkName({ type: link.type, label });
+
+    const url = _validateUrl(link.url, name, problems);
+    if (!url) return;
+    if (!isValidSocialLink(link.type, url)) {
+      problems.push(t('validation.socialLinkUrl', { name }));
+      return;
+    }
+
+    links.push({
+      id: typeof link.id === 'string' && /^[a-z0-9]{1,20}$/i.test(link.id) ? link.id : `l${i + 1}`,
+      type: link.type,
+      url,
+      label
+    });
+  });
+  return links;
+}
+
+/**
+ * Validate user-defined portfolio sections
+ * @param {*} value - Incoming customSections
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Array} Safe sections ({id, label, url, visible})
+ */
+function _validateCustomSections(value, problems) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    problems.push(t('validation.unrecognisedSections'));
+    return [];
+  }
+
+  if (value.length > CUSTOM_SECTION_LIMITS.maxSections) {
+    problems.push(t('validation.tooManySections', { count: CUSTOM_SECTION_LIMITS.maxSections }));
+  }
+
+  const sections = [];
+  value.slice(0, CUSTOM_SECTION_LIMITS.maxSections).forEach((section, i) => {
+    if (!section || typeof section !== 'object') {
+      problems.push(t('validation.unrecognisedSection'));
+      return;
+    }
+
+    const label = _validateText(section.label, t('field.customSectionName'), CUSTOM_SECTION_LIMITS.maxLabelLength, problems);
+    if (!label) {
+      problems.push(t('validation.unnamedSection'));
+      return;
+    }
+
+    sections.push({
+      id: typeof section.id === 'string' && /^[a-z0-9]{1,20}$/i.test(section.id) ? section.id : `s${i + 1}`,
+      label,
+      url: _validateUrl(section.url, label, problems),
+      visible: section.visible !== false
+    });
+  });
+  return sections;
+}
+
+/**
+ * Validate the portfolio order (reconciled with the sections on render)
+ * @param {*} value - Incoming portfolioOrder
+ * @param {Array<string>} problems - Collected problems
+ * @returns {Array<string>} Section keys
+ */
+function _validateOrder(value, problems) {
+  if (value === undefined || value === null) return [];
+
+  const max = Object.keys(PORTFOLIO_LABELS).length + CUSTOM_SECTION_LIMITS.maxSections;
+  if (!Array.isArray(value) || value.length > max ||
+      !value.every(key => typeof key === 'string' && /^(custom:)?[a-z0-9]{1,20}$/i.test(key))) {
+    problems.push(t('validation.invalidOrder'));
+    return [];
+  }
+  return value.slice();
+}
+
+/**
+ * Shorten an untrusted key for use in a message
+ * @param {string} key - Object key
+ * @returns {string} Printable key
+ */
+function _describeKey(key) {
+  return key.replace(_UNSAFE_TEXT_CHARS, '').slice(0, 30);
+}
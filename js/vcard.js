@@ -0,0 +1,499 @@
+/* ==========================================================
+   VCARD MODULE
+   vCard 3.0 / 4.0 generation and parsing (.vcf files)
+   ========================================================== */
+
+// URL TYPE labels used for portfolio links in exported vCards
+const VCARD_PORTFOLIO_TYPES = {
+  cert: 'Certifications',
+  edu: 'Education',
+  proj: 'Projects',
+  ref: 'References',
+  work: 'Experience'
+};
+
+/* ==========================================================
+   EXPORT
+   ========================================================== */
+
+/**
+ * Build a vCard string from a card object
+ * @param {Object} cardData - Card data in the current schema (own card or saved contact)
+ * @param {string} version - vCard version: '3.0' or '4.0'
+ * @returns {string} vCard text with CRLF line endings
+ */
+function buildVCard(cardData, version = VCARD_VERSION) {
+  const v4 = version === '4.0';
+  const firstName = cardData.firstName || '';
+  const lastName = cardData.lastName || '';
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${v4 ? '4.0' : '3.0'}`,
+    `N:${_vcEscape(lastName)};${_vcEscape(firstName)};;;`,
+    `FN:${_vcEscape(`${firstName} ${lastName}`.trim())}`
+  ];
+
+  if (cardData.jobTitle) lines.push(`TITLE:${_vcEscape(cardData.jobTitle)}`);
+
+  if (cardData.email) {
+    lines.push(v4
+      ? `EMAIL:${_vcEscape(cardData.email)}`
+      : `EMAIL;TYPE=INTERNET:${_vcEscape(cardData.email)}`);
+  }
+
+  const tel = cardData.phoneE164 || cardData.phone;
+  if (tel) {
+    lines.push(v4
+      ? `TEL;TYPE=cell;VALUE=uri:tel:${tel}`
+      : `TEL;TYPE=CELL:${_vcEscape(tel)}`);
+  }
+
+  // Social links: known sites by name, "other" links as labelled social profiles
+  (cardData.socialLinks || []).forEach(link => {
+    if (!link.url) return;
+    const linkType = SOCIAL_LINK_TYPES[link.type] || SOCIAL_LINK_TYPES.other;
+    const label = (link.label || '').replace(/[;:,"\\]/g, '').trim();
+    if (linkType.vcard) {
+      lines.push(`URL;TYPE=${linkType.vcard}:${link.url}`);
+    } else {
+      lines.push(label ? `X-SOCIALPROFILE;TYPE="${label}":${link.url}` : `X-SOCIALPROFILE:${link.url}`);
+    }
+  });
+
+  // Portfolio links as labelled URL entries
+  const portfolioLinks = cardData.portfolioLinks;
+  Object.keys(VCARD_PORTFOLIO_TYPES).forEach(key => {
+    const url = (portfolioLinks[key] || '').trim();
+    if (url) lines.push(`URL;TYPE=${VCARD_PORTFOLIO_TYPES[key]}:${url}`);
+  });
+
+  // Resumes as Resume-<FORMAT>, with the label when it is not just "Resume"
+  (cardData.resumes || []).forEach(resume => {
+    if (!resume.url) return;
+    const label = resume.label.replace(/[;:,"\\()]/g, '').trim();
+    const type = `Resume-${resume.format.toUpperCase()}`;
+    lines.push(label && label !== 'Resume'
+      ? `URL;TYPE="${type} (${label})":${resume.url}`
+      : `URL;TYPE=${type}:${resume.url}`);
+  });
+
+  // Custom sections use their own label as the TYPE
+  (cardData.customSections || []).forEach(section => {
+    const type = section.label.replace(/[;:,"\\]/g, '').trim();
+    if (section.url && type) lines.push(`URL;TYPE="${type}":${section.url}`);
+  });
+
+  const photo = _vcPhotoLine(cardData.profilePic, v4);
+  if (photo) lines.push(photo);
+
+  if (cardData.lastUpdated) lines.push(`REV:${cardData.lastUpdated}`);
+
+  lines.push('END:VCARD');
+
+  return lines.map(_vcFold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Trigger a browser download of a card as a .vcf file
+ * @param {Object} cardData - Card data to export
+ */
+function downloadVCard(cardData) {
+  const blob = new Blob([buildVCard(cardData)], { type: 'text/vcard;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const fileName = `${cardData.firstName || 'contact'}_${cardData.lastName || ''}`
+    .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+    .replace(/_+$/, '');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${fileName}.vcf`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build the PHOTO property for a profile picture
+ * @param {string} profilePic - Data URL or http(s) URL
+ * @param {boolean} v4 - Whether to use vCard 4.0 syntax
+ * @returns {string} PHOTO line, or empty string if no usable photo
+ */
+function _vcPhotoLine(profilePic, v4) {
+  if (!profilePic) return '';
+
+  if (profilePic.startsWith('data:image')) {
+    if (v4) return `PHOTO:${profilePic}`;
+
+    const match = profilePic.match(/^data:image\/(\w+);base64,(.+)$/);
+    if (!match) return '';
+    return `PHOTO;ENCODING=b;TYPE=${match[1].toUpperCase()}:${match[2]}`;
+  }
+
+  if (/^https?:\/\//i.test(profilePic)) {
+    return v4 ? `PHOTO:${profilePic}` : `PHOTO;VALUE=URI:${profilePic}`;
+  }
+
+  return '';
+}
+
+/**
+ * Escape a text value per RFC 6350
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function _vcEscape(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 6350), never splitting a character
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+function _vcFold(line) {
+  if (new TextEncoder().encode(line).length <= 75) return line;
+
+  // Continuation lines start with a space, leaving 74 octets of content
+  const chunks = [''];
+  let octets = 0;
+  for (const char of line) {
+    const code = char.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4; // UTF-8 length
+    if (octets + size > (chunks.length === 1 ? 75 : 74)) {
+      chunks.push('');
+      octets = 0;
+    }
+    chunks[chunks.length - 1] += char;
+    octets += size;
+  }
+  return chunks.join('\r\n ');
+}
+
+/* ==========================================================
+   IMPORT
+   ========================================================== */
+
+/**
+ * Parse one or more vCards into card objects
+ * Unknown properties are ignored; unlabelled URLs are matched to
+ * portfolio sections by keyword where possible
+ * @param {string} text - Contents of a .vcf file
+ * @returns {Array<Object>} Card objects (contacts without a name are skipped)
+ */
+function parseVCards(text) {
+  // Unfold continuation lines
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const cards = [];
+  let props = null;
+
+  lines.forEach(line => {
+    const upper = line.trim().toUpperCase();
+    if (upper === 'BEGIN:VCARD') {
+      props = [];
+    } else if (upper === 'END:VCARD') {
+      if (props) {
+        const card = _vcPropsToCard(props);
+        if (card) cards.push(card);
+      }
+      props = null;
+    } else if (props) {
+      const prop = _vcParseLine(line);
+      if (prop) props.push(prop);
+    }
+  });
+
+  return cards;
+}
+
+/**
+ * Parse a single content line into name, params and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} {name, params, value} or null if malformed
+ */
+function _vcParseLine(line) {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+
+  const [nameWithGroup, ...paramParts] = line.slice(0, colon).split(';');
+  const name = nameWithGroup.split('.').pop().toUpperCase();
+
+  const params = {};
+  paramParts.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq < 0) {
+      // vCard 2.1 style bare parameter, e.g. "TEL;CELL"
+      params.TYPE = (params.TYPE ? params.TYPE + ',' : '') + part;
+    } else {
+      const key = part.slice(0, eq).toUpperCase();
+      const val = part.slice(eq + 1).replace(/^"|"$/g, '');
+      params[key] = params[key] ? `${params[key]},${val}` : val;
+    }
+  });
+
+  return { name, params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Undo text escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function _vcUnescape(value) {
+  return value.replace(/\\([\\,;nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Split a structured value on unescaped semicolons
+ * @param {string} value - Structured value (e.g. N property)
+ * @returns {Array<string>} Unescaped components
+ */
+function _vcSplitStructured(value) {
+  return value.split(/(?<!\\);/).map(_vcUnescape);
+}
+
+/**
+ * Convert parsed vCard properties into a card object
+ * @param {Array<Object>} props - Parsed properties
+ * @returns {Object|null} Card object or null if the vCard has no name
+ */
+function _vcPropsToCard(props) {
+  const first = (name) => props.find(p => p.name === name);
+  const typeOf = (prop) => (prop.params.TYPE || '').toLowerCase();
+
+  // Name: prefer structured N, fall back to splitting FN
+  let firstName = '';
+  let lastName = '';
+  const n = first('N');
+  if (n) {
+    const parts = _vcSplitStructured(n.value);
+    lastName = (parts[0] || '').trim();
+    firstName = (parts[1] || '').trim();
+  }
+  const fn = first('FN');
+  if (!firstName && !lastName && fn) {
+    const words = _vcUnescape(fn.value).trim().split(/\s+/);
+    firstName = words.shift() || '';
+    lastName = words.join(' ');
+  }
+  if (!firstName && !lastName) return null;
+
+  // Job title: TITLE, then ROLE, then organization name
+  const titleProp = first('TITLE') || first('ROLE');
+  const org = first('ORG');
+  const jobTitle = titleProp
+    ? _vcUnescape(titleProp.value).trim()
+    : org ? _vcSplitStructured(org.value)[0].trim() : '';
+
+  const emailProp = first('EMAIL');
+  const email = emailProp ? _vcUnescape(emailProp.value).trim().toLowerCase() : '';
+
+  // Phone: prefer a mobile number
+  const tels = props.filter(p => p.name === 'TEL');
+  const telProp = tels.find(p => /cell|mobile/.test(typeOf(p))) || tels[0];
+  const phoneFields = telProp ? _vcPhoneFields(_vcUnescape(telProp.value)) : {};
+
+  // URLs: social links, labelled portfolio links, then keyword guesses
+  const portfolioLinks = { cert: '', edu: '', proj: '', ref: '', work: '' };
+  const socialLinks = [];
+  const unmatched = [];
+  const resumes = [];
+  const customSections = [];
+
+  props.filter(p => p.name === 'URL' || p.name === 'X-SOCIALPROFILE').forEach(prop => {
+    const url = fixUrl(_vcUnescape(prop.value));
+    const type = typeOf(prop);
+    const slot = _vcGuessPortfolioSlot(type, url);
+
+    const socialType = _vcSocialLinkType(prop, url);
+
+    if (socialType && socialLinks.length < SOCIAL_LINK_LIMITS.maxLinks) {
+      socialLinks.push({
+        id: `l${socialLinks.length + 1}`,
+        type: socialType,
+        url,
+        label: socialType === 'other'
+          ? (prop.params.TYPE || '').replace(/^"|"$/g, '').slice(0, SOCIAL_LINK_LIMITS.maxLabelLength)
+          : ''
+      });
+    } else if (slot === 'resume' && resumes.length < RESUME_LIMITS.maxVariants) {
+      resumes.push(_vcResumeVariant(prop.params.TYPE, url, resumes.length));
+    } else if (slot && slot !== 'resume' && !portfolioLinks[slot]) {
+      portfolioLinks[slot] = url;
+    } else if (_vcIsCustomLabel(prop.params.TYPE) && customSections.length < CUSTOM_SECTION_LIMITS.maxSections) {
+      customSections.push({
+        id: `s${customSections.length + 1}`,
+        label: prop.params.TYPE.replace(/^"|"$/g, '').slice(0, CUSTOM_SECTION_LIMITS.maxLabelLength),
+        url,
+        visible: true
+      });
+    } else {
+      unmatched.push(url);
+    }
+  });
+
+  // A plain homepage is most likely a personal portfolio site
+  if (unmatched.length && !portfolioLinks.proj) {
+    portfolioLinks.proj = unmatched.shift();
+  }
+
+  const photoProp = first('PHOTO');
+  const profilePic = photoProp ? _vcPhotoValue(photoProp) : '';
+
+  const rev = first('REV');
+
+  return {
+    firstName,
+    lastName,
+    jobTitle,
+    email,
+    phone: phoneFields.phone || '',
+    phoneE164: phoneFields.phoneE164 || '',
+    countryCode: phoneFields.countryCode || '',
+    localNumber: phoneFields.localNumber || '',
+    phoneRegion: phoneFields.phoneRegion || '',
+    socialLinks,
+    cardColor: DEFAULT_CARD.cardColor,
+    bgColor: DEFAULT_CARD.bgColor,
+    profilePic,
+    portfolioLinks,
+    portfolioVisibility: {
+      cert: !!portfolioLinks.cert,
+      edu: !!portfolioLinks.edu,
+      proj: !!portfolioLinks.proj,
+      ref: !!portfolioLinks.ref,
+      resume: resumes.length > 0,
+      work: !!portfolioLinks.work
+    },
+    resumes,
+    customSections,
+    lastUpdated: rev ? rev.value.trim() : ''
+  };
+}
+
+/**
+ * Check whether a URL's TYPE is a label rather than a standard vCard type
+ * @param {string} type - TYPE parameter as written in the file
+ * @returns {boolean} True for labels such as "Demo Reel"
+ */
+function _vcIsCustomLabel(type) {
+  const label = (type || '').replace(/^"|"$/g, '').trim();
+  return !!label && !/^(home|work|pref|internet|other|x-[\w-]*)$/i.test(label) && !label.includes(',');
+}
+
+/**
+ * Recognise a social link among URL entries
+ * A TYPE naming a known site wins, then the site's URL pattern; other
+ * X-SOCIALPROFILE entries become "other" links
+ * @param {Object} prop - Parsed URL or X-SOCIALPROFILE property
+ * @param {string} url - URL value
+ * @returns {string} SOCIAL_LINK_TYPES key, or '' for a non-social URL
+ */
+function _vcSocialLinkType(prop, url) {
+  const type = (prop.params.TYPE || '').replace(/^"|"$/g, '').toLowerCase();
+  const named = Object.keys(SOCIAL_LINK_TYPES).find(key =>
+    SOCIAL_LINK_TYPES[key].vcard && SOCIAL_LINK_TYPES[key].vcard.toLowerCase() === type);
+  const aliased = type === 'twitter' ? 'x' : named;
+
+  if (aliased && isValidSocialLink(aliased, url)) return aliased;
+  return detectSocialLinkType(url) || (prop.name === 'X-SOCIALPROFILE' && isSafeUrl(url) ? 'other' : '');
+}
+
+/**
+ * Guess which portfolio section a URL belongs to
+ * @param {string} type - Lower-cased TYPE parameter
+ * @param {string} url - URL value
+ * @returns {string} Portfolio key (including 'resume'), or ''
+ */
+function _vcGuessPortfolioSlot(type, url) {
+  const hint = `${type} ${url}`.toLowerCase();
+  // TYPE may list several values (e.g. "work,pref"); whole values are
+  // compared where a keyword is also part of a standard one
+  const tokens = type.replace(/"/g, '').split(',').map(token => token.trim());
+
+  if (/resume|cv\b/.test(hint) || /\.(pdf|docx?)(\?|$)/i.test(url)) return 'resume';
+  if (/cert/.test(type)) return 'cert';
+  if (/edu|school/.test(type)) return 'edu';
+  if (/proj|portfolio/.test(type)) return 'proj';
+  if (tokens.some(token => /^ref(erences?)?$/.test(token))) return 'ref';
+  if (tokens.some(token => /experience|work/.test(token) && token !== 'work')) return 'work';
+  if (/github\.com|gitlab\.com|behance\.net|dribbble\.com/.test(hint)) return 'proj';
+  return '';
+}
+
+/**
+ * Build a resume variant from a resume URL entry
+ * Reads labels written as TYPE="Resume-PDF (Engineering)"; the format comes
+ * from the TYPE, then the file extension, and defaults to PDF
+ * @param {string} type - TYPE parameter as written in the file
+ * @param {string} url - URL value
+ * @param {number} index - Position among the imported resumes
+ * @returns {Object} Resume variant
+ */
+function _vcResumeVariant(type, url, index) {
+  const typeText = (type || '').replace(/^"|"$/g, '');
+  const label = (/\(([^)]+)\)/.exec(typeText) || [])[1] || 'Resume';
+  const hint = `${typeText} ${url}`.toLowerCase();
+
+  let format = 'pdf';
+  if (/docx|word|\.docx?(\?|$)/.test(hint)) format = 'docx';
+  else if (/markdown|resume-md\b|\.md(\?|$)/.test(hint)) format = 'md';
+  else if (/resume-html?\b|\.html?(\?|$)/.test(hint)) format = 'html';
+
+  return {
+    id: `r${index + 1}`,
+    label: label.trim().slice(0, RESUME_LIMITS.maxLabelLength),
+    format,
+    url,
+    updated: ''
+  };
+}
+
+/**
+ * Split a vCard telephone value into the card's phone fields
+ * @param {string} value - TEL value (may be a tel: URI)
+ * @returns {Object} {phone, phoneE164, countryCode, localNumber, phoneRegion}
+ */
+function _vcPhoneFields(value) {
+  const raw = value.replace(/^tel:/i, '').trim();
+  const parsed = parsePhoneNumber(raw);
+
+  if (parsed) {
+    const formatted = formatPhone(parsed.region, parsed.nationalNumber);
+    return {
+      phone: formatted.pretty,
+      phoneE164: formatted.e164,
+      countryCode: parsed.countryCode,
+      localNumber: parsed.nationalNumber,
+      phoneRegion: parsed.region
+    };
+  }
+
+  return { phone: raw, phoneE164: '', countryCode: '', localNumber: '', phoneRegion: '' };
+}
+
+/**
+ * Convert a PHOTO property into a usable image URL
+ * @param {Object} prop - Parsed PHOTO property
+ * @returns {string} Data URL or http(s) URL, or empty string
+ */
+function _vcPhotoValue(prop) {
+  const value = prop.value.trim();
+
+  if (/^(data:image|https?:\/\/)/i.test(value)) return value;
+
+  const encoding = (prop.params.ENCODING || '').toLowerCase();
+  if (encoding === 'b' || encoding === 'base64') {
+    const type = (prop.params.TYPE || 'jpeg').toLowerCase().replace(/^image\//, '');
+    return `data:image/${type};base64,${value.replace(/\s+/g, '')}`;
+  }
+
+  return '';
+}